@@ -0,0 +1,51 @@
+// accounts.js (ESM) - registered players and their passwords
+// Passwords are kept as salted scrypt hashes on the player's record in the
+// game store. Anyone else plays as a guest under a name nobody has registered.
+// Bot accounts also get an API token, stored only as its SHA-256 hash.
+import { randomBytes, scrypt, timingSafeEqual, createHash } from "crypto";
+import { promisify } from "util";
+
+const scryptAsync = promisify(scrypt);
+
+export const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+// Letters, digits, _ and -; names starting with "Guest-" are left for anonymous players
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,20}$/;
+
+export const isValidUsername = (username) => USERNAME_PATTERN.test(username) && !/^guest-/i.test(username);
+
+// True for player records that belong to an account (rated guests of old have none)
+export const isRegistered = (player) => Boolean(player?.password);
+
+// True for accounts registered for a program rather than a person
+export const isBot = (player) => isRegistered(player) && Boolean(player.bot);
+
+export const hashPassword = async (password) => {
+  const salt = randomBytes(16).toString("hex");
+  const hash = await scryptAsync(password, salt, KEY_LENGTH);
+  return { algorithm: "scrypt", salt, hash: hash.toString("hex") };
+};
+
+export const verifyPassword = async (password, stored) => {
+  if (!stored) return false;
+  const hash = await scryptAsync(password, stored.salt, KEY_LENGTH);
+  const expected = Buffer.from(stored.hash, "hex");
+  return expected.length === hash.length && timingSafeEqual(expected, hash);
+};
+
+// API tokens are long and random, so a fast unsalted hash is enough to keep them out of the store
+const hashApiToken = (token) => createHash("sha256").update(token).digest("hex");
+
+// A new token for a bot account; only the hash is kept, so the token is shown once
+export const createApiToken = () => {
+  const token = `bot_${randomBytes(24).toString("base64url")}`;
+  return { token, hash: hashApiToken(token) };
+};
+
+export const verifyApiToken = (token, storedHash) => {
+  if (!storedHash) return false;
+  const expected = Buffer.from(storedHash, "hex");
+  const actual = Buffer.from(hashApiToken(token), "hex");
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+};
@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MIN_PASSWORD_LENGTH,
+  isValidUsername,
+  isRegistered,
+  isBot,
+  hashPassword,
+  verifyPassword,
+  createApiToken,
+  verifyApiToken
+} from "./accounts.js";
+
+test("usernames are 3-20 plain characters and leave Guest- names alone", () => {
+  ["abc", "Magnus_99", "a-b-c", "x".repeat(20)].forEach((name) => assert.equal(isValidUsername(name), true, name));
+  ["ab", "x".repeat(21), "has space", "émile", "Guest-1234", "guest-abcd"].forEach((name) =>
+    assert.equal(isValidUsername(name), false, name)
+  );
+  assert.equal(MIN_PASSWORD_LENGTH, 8);
+});
+
+test("only records with a password are accounts, and only flagged ones bots", () => {
+  assert.equal(isRegistered(null), false);
+  assert.equal(isRegistered({ username: "old", ratings: {} }), false);
+  assert.equal(isRegistered({ username: "alice", password: {} }), true);
+  assert.equal(isBot({ username: "alice", password: {} }), false);
+  assert.equal(isBot({ username: "bot", password: {}, bot: true }), true);
+  assert.equal(isBot({ username: "bot", bot: true }), false);
+});
+
+test("passwords are salted and hashed, and only the right one verifies", async () => {
+  const first = await hashPassword("correct horse");
+  const second = await hashPassword("correct horse");
+  assert.equal(first.algorithm, "scrypt");
+  assert.notEqual(first.salt, second.salt);
+  assert.notEqual(first.hash, second.hash);
+  assert.equal(JSON.stringify(first).includes("correct horse"), false);
+
+  assert.equal(await verifyPassword("correct horse", first), true);
+  assert.equal(await verifyPassword("correct horse", second), true);
+  assert.equal(await verifyPassword("wrong horse", first), false);
+  assert.equal(await verifyPassword("correct horse", undefined), false);
+});
+
+test("API tokens are checked against their stored hash", () => {
+  const { token, hash } = createApiToken();
+  assert.match(token, /^bot_[A-Za-z0-9_-]{32}$/);
+  assert.equal(hash.includes(token), false);
+  assert.equal(verifyApiToken(token, hash), true);
+  assert.equal(verifyApiToken(createApiToken().token, hash), false);
+  assert.equal(verifyApiToken(token, undefined), false);
+});
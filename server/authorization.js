@@ -0,0 +1,201 @@
+// authorization.js (ESM) - who may send which message, and when
+// Runs after validation and before any handler. Game-scoped messages are
+// checked against the sender's role in the game, the game's status and any
+// rule specific to the action, so handlers are left with the chess itself.
+import { ERROR_CODES } from "./protocol.js";
+import { getClaimableDraw, isAbortable } from "./termination.js";
+
+// Messages a connection may send before it has logged in
+const PUBLIC_MESSAGES = new Set(["HELLO", "PING", "LOGIN", "REGISTER"]);
+
+// Ways into a game other than a challenge, which bot accounts may not use
+const BOT_FORBIDDEN_MESSAGES = new Set([
+  "CREATE_GAME",
+  "JOIN_GAME",
+  "QUEUE_FOR_GAME",
+  "CREATE_SEEK",
+  "ACCEPT_SEEK",
+  "PLAY_VS_BOT"
+]);
+
+const ACTIVE = ["playing"];
+const FINISHED = ["completed", "abandoned"];
+
+const deny = (code, message, reason) => ({ code, message, reason });
+
+// Who may send a message, by their role in the game: "player", "spectator" or "outsider"
+const PLAYERS = {
+  roles: ["player"],
+  roleCode: ERROR_CODES.NOT_A_PLAYER,
+  roleMessage: "You are not a player in this game"
+};
+const PARTICIPANTS = {
+  roles: ["player", "spectator"],
+  roleCode: ERROR_CODES.NOT_IN_GAME,
+  roleMessage: "You are not playing or watching this game"
+};
+const NON_PLAYERS = {
+  roles: ["spectator", "outsider"],
+  roleCode: ERROR_CODES.ALREADY_IN_GAME,
+  roleMessage: "You are already playing in this game"
+};
+const ANYONE = { roles: ["player", "spectator", "outsider"] };
+
+// The opponent left and did not reconnect within the grace period
+const isOpponentAbsent = (game, color) => Boolean(game.absentColor) && game.absentColor !== color;
+
+// Only the opponent of whoever made an offer may answer it
+const answersOpponentOffer = (getOfferedBy, code, message) => ({ game, username }) => {
+  const offeredBy = getOfferedBy(game);
+  return !offeredBy || offeredBy === username ? deny(code, message, "no offer from the opponent") : null;
+};
+
+// Rules for every message that names a game. `statuses` limits the game states the
+// action is allowed in, and `check` adds rules of its own given { game, color, username, turn }.
+// `resync` rejections carry the server's FEN so the client can fix its board.
+const GAME_RULES = {
+  JOIN_GAME: {
+    ...NON_PLAYERS,
+    statuses: ["waiting"],
+    statusCode: ERROR_CODES.GAME_NOT_JOINABLE,
+    statusMessage: "Game is already in progress or completed"
+  },
+  GET_GAME_STATE: ANYONE,
+  WATCH_GAME: NON_PLAYERS,
+  STOP_WATCHING: {
+    roles: ["spectator"],
+    roleCode: ERROR_CODES.NOT_IN_GAME,
+    roleMessage: "You are not watching this game"
+  },
+  MAKE_MOVE: {
+    ...PLAYERS,
+    statuses: ACTIVE,
+    resync: true,
+    check: ({ color, turn }) =>
+      color !== turn ? deny(ERROR_CODES.NOT_YOUR_TURN, "It is not your turn", "moved out of turn") : null
+  },
+  RESIGN: { ...PLAYERS, statuses: ACTIVE },
+  ABORT_GAME: {
+    ...PLAYERS,
+    statuses: ACTIVE,
+    check: ({ game }) =>
+      !isAbortable(game)
+        ? deny(ERROR_CODES.ABORT_NOT_AVAILABLE, "Games can only be aborted before both players have moved", "both players have moved")
+        : null
+  },
+  OFFER_DRAW: { ...PLAYERS, statuses: ACTIVE },
+  ACCEPT_DRAW: {
+    ...PLAYERS,
+    statuses: ACTIVE,
+    check: answersOpponentOffer((game) => game.drawOfferedBy, ERROR_CODES.NO_DRAW_OFFER, "There is no draw offer to accept")
+  },
+  DECLINE_DRAW: {
+    ...PLAYERS,
+    statuses: ACTIVE,
+    check: answersOpponentOffer((game) => game.drawOfferedBy, ERROR_CODES.NO_DRAW_OFFER, "There is no draw offer to decline")
+  },
+  CLAIM_DRAW: {
+    ...PLAYERS,
+    statuses: ACTIVE,
+    check: ({ game, color }) =>
+      !getClaimableDraw(game.game) && !isOpponentAbsent(game, color)
+        ? deny(ERROR_CODES.NO_DRAW_TO_CLAIM, "There is no threefold repetition, fifty-move rule or absent opponent to claim", "nothing to claim")
+        : null
+  },
+  CLAIM_VICTORY: {
+    ...PLAYERS,
+    statuses: ACTIVE,
+    check: ({ game, color }) =>
+      !isOpponentAbsent(game, color)
+        ? deny(ERROR_CODES.NO_VICTORY_TO_CLAIM, "Your opponent has not been gone long enough to claim the game", "opponent not absent")
+        : null
+  },
+  REQUEST_TAKEBACK: {
+    ...PLAYERS,
+    statuses: ACTIVE,
+    check: ({ game }) =>
+      !game.allowTakebacks
+        ? deny(ERROR_CODES.TAKEBACKS_DISABLED, "Takebacks are disabled in this game", "takebacks disabled")
+        : null
+  },
+  ACCEPT_TAKEBACK: {
+    ...PLAYERS,
+    statuses: ACTIVE,
+    check: answersOpponentOffer(
+      (game) => game.takebackRequest?.requestedBy,
+      ERROR_CODES.NO_TAKEBACK_REQUEST,
+      "There is no takeback request to accept"
+    )
+  },
+  DECLINE_TAKEBACK: {
+    ...PLAYERS,
+    statuses: ACTIVE,
+    check: answersOpponentOffer(
+      (game) => game.takebackRequest?.requestedBy,
+      ERROR_CODES.NO_TAKEBACK_REQUEST,
+      "There is no takeback request to decline"
+    )
+  },
+  OFFER_REMATCH: {
+    ...PLAYERS,
+    statuses: FINISHED,
+    statusCode: ERROR_CODES.REMATCH_NOT_AVAILABLE,
+    statusMessage: "A rematch can only be offered once the game is over",
+    check: ({ game }) =>
+      !game.opponent || game.rematchGameId
+        ? deny(ERROR_CODES.REMATCH_NOT_AVAILABLE, "A rematch is not available for this game", "no opponent or already rematched")
+        : null
+  },
+  ACCEPT_REMATCH: {
+    ...PLAYERS,
+    statuses: FINISHED,
+    statusCode: ERROR_CODES.NO_REMATCH_OFFER,
+    statusMessage: "There is no rematch offer to accept",
+    // An offer that already started a rematch cannot be accepted again
+    check: answersOpponentOffer(
+      (game) => !game.rematchGameId && game.rematchOfferedBy,
+      ERROR_CODES.NO_REMATCH_OFFER,
+      "There is no rematch offer to accept"
+    )
+  },
+  TIMEOUT: { ...PARTICIPANTS, statuses: ACTIVE },
+  CHAT_MESSAGE: PARTICIPANTS
+};
+
+export const isGameScoped = (type) => Boolean(GAME_RULES[type]);
+
+// Check that the sender may send a message; returns null when allowed, otherwise
+// { code, message, reason, resync }. `reason` is for the server log.
+// context: { loggedIn, username, bot, game, role, color, turn }, game fields only for game-scoped messages
+export const authorizeMessage = (type, context) => {
+  if (PUBLIC_MESSAGES.has(type)) return null;
+  if (!context.loggedIn) {
+    return deny(ERROR_CODES.NOT_LOGGED_IN, "Log in first", "not logged in");
+  }
+  if (context.bot && BOT_FORBIDDEN_MESSAGES.has(type)) {
+    return deny(ERROR_CODES.BOT_NOT_ALLOWED, "Bot accounts only play games they are challenged to", "bot account");
+  }
+
+  const rule = GAME_RULES[type];
+  if (!rule) return null;
+
+  const { game, role } = context;
+  if (!game) {
+    return deny(ERROR_CODES.GAME_NOT_FOUND, "Game not found", "no such game");
+  }
+
+  let problem = null;
+  if (!rule.roles.includes(role)) {
+    problem = deny(rule.roleCode, rule.roleMessage, `${role} may not send this`);
+  } else if (rule.statuses && !rule.statuses.includes(game.status)) {
+    problem = deny(
+      rule.statusCode || ERROR_CODES.GAME_NOT_ACTIVE,
+      rule.statusMessage || "Game is not in progress",
+      `game is ${game.status}`
+    );
+  } else if (rule.check) {
+    problem = rule.check(context);
+  }
+
+  return problem && { ...problem, resync: Boolean(rule.resync) };
+};
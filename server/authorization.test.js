@@ -0,0 +1,116 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { authorizeMessage, isGameScoped } from "./authorization.js";
+import { replayGame } from "./position.js";
+
+const playingGame = (extra = {}) => ({
+  status: "playing",
+  game: replayGame(null, ["e4", "e5"]),
+  startPly: 0,
+  allowTakebacks: true,
+  drawOfferedBy: null,
+  takebackRequest: null,
+  absentColor: null,
+  ...extra
+});
+
+// A logged-in sender, seated as white in a game to move unless overridden
+const context = (extra = {}) => ({
+  loggedIn: true,
+  username: "alice",
+  bot: false,
+  game: playingGame(),
+  role: "player",
+  color: "white",
+  turn: "white",
+  ...extra
+});
+
+const codeFor = (type, extra) => authorizeMessage(type, context(extra))?.code ?? null;
+
+test("only the public messages are open before logging in", () => {
+  ["HELLO", "PING", "LOGIN", "REGISTER"].forEach((type) =>
+    assert.equal(authorizeMessage(type, { loggedIn: false }), null, type)
+  );
+  assert.equal(authorizeMessage("CREATE_GAME", { loggedIn: false }).code, "NOT_LOGGED_IN");
+  assert.equal(authorizeMessage("LIST_SEEKS", { loggedIn: true }), null);
+});
+
+test("bots only get into games through challenges", () => {
+  ["CREATE_GAME", "JOIN_GAME", "QUEUE_FOR_GAME", "CREATE_SEEK", "ACCEPT_SEEK", "PLAY_VS_BOT"].forEach((type) =>
+    assert.equal(codeFor(type, { bot: true }), "BOT_NOT_ALLOWED", type)
+  );
+  assert.equal(codeFor("ACCEPT_CHALLENGE", { bot: true, game: null }), null);
+});
+
+test("game messages need an existing game", () => {
+  assert.equal(isGameScoped("MAKE_MOVE"), true);
+  assert.equal(isGameScoped("CREATE_GAME"), false);
+  assert.equal(codeFor("MAKE_MOVE", { game: null }), "GAME_NOT_FOUND");
+});
+
+test("moves come from the player to move, in a game being played", () => {
+  assert.equal(codeFor("MAKE_MOVE"), null);
+  assert.equal(codeFor("MAKE_MOVE", { role: "spectator" }), "NOT_A_PLAYER");
+  assert.equal(codeFor("MAKE_MOVE", { role: "outsider" }), "NOT_A_PLAYER");
+  assert.equal(codeFor("MAKE_MOVE", { turn: "black" }), "NOT_YOUR_TURN");
+  assert.equal(codeFor("MAKE_MOVE", { game: playingGame({ status: "completed" }) }), "GAME_NOT_ACTIVE");
+  // Rejected moves carry the board so the client can resync
+  assert.equal(authorizeMessage("MAKE_MOVE", context({ turn: "black" })).resync, true);
+  assert.equal(authorizeMessage("RESIGN", context({ role: "outsider" })).resync, false);
+});
+
+test("nobody answers their own offer", () => {
+  assert.equal(codeFor("ACCEPT_DRAW"), "NO_DRAW_OFFER");
+  assert.equal(codeFor("ACCEPT_DRAW", { game: playingGame({ drawOfferedBy: "alice" }) }), "NO_DRAW_OFFER");
+  assert.equal(codeFor("ACCEPT_DRAW", { game: playingGame({ drawOfferedBy: "bob" }) }), null);
+  assert.equal(codeFor("DECLINE_DRAW", { game: playingGame({ drawOfferedBy: "bob" }) }), null);
+
+  const takebackBy = (requestedBy) => playingGame({ takebackRequest: { requestedBy, plies: 1 } });
+  assert.equal(codeFor("ACCEPT_TAKEBACK", { game: takebackBy("alice") }), "NO_TAKEBACK_REQUEST");
+  assert.equal(codeFor("ACCEPT_TAKEBACK", { game: takebackBy("bob") }), null);
+  assert.equal(codeFor("REQUEST_TAKEBACK", { game: playingGame({ allowTakebacks: false }) }), "TAKEBACKS_DISABLED");
+});
+
+test("rematches are for finished games, once", () => {
+  const finished = (extra) => playingGame({ status: "completed", opponent: "bob", ...extra });
+  assert.equal(codeFor("OFFER_REMATCH"), "REMATCH_NOT_AVAILABLE");
+  assert.equal(codeFor("OFFER_REMATCH", { game: finished() }), null);
+  assert.equal(codeFor("OFFER_REMATCH", { game: finished({ rematchGameId: "g2" }) }), "REMATCH_NOT_AVAILABLE");
+  assert.equal(codeFor("ACCEPT_REMATCH", { game: finished({ rematchOfferedBy: "bob" }) }), null);
+  assert.equal(codeFor("ACCEPT_REMATCH", { game: finished({ rematchOfferedBy: "alice" }) }), "NO_REMATCH_OFFER");
+  assert.equal(codeFor("ACCEPT_REMATCH", { game: finished({ rematchOfferedBy: "bob", rematchGameId: "g2" }) }), "NO_REMATCH_OFFER");
+});
+
+test("aborts are only possible before both sides have moved", () => {
+  assert.equal(codeFor("ABORT_GAME"), "ABORT_NOT_AVAILABLE");
+  assert.equal(codeFor("ABORT_GAME", { game: playingGame({ game: replayGame(null, ["e4"]) }) }), null);
+  // Moves from a starting PGN don't count
+  assert.equal(codeFor("ABORT_GAME", { game: playingGame({ startPly: 2 }) }), null);
+});
+
+test("draws and victories are claimed only when the rules or an absence allow it", () => {
+  assert.equal(codeFor("CLAIM_DRAW"), "NO_DRAW_TO_CLAIM");
+  assert.equal(codeFor("CLAIM_DRAW", { game: playingGame({ absentColor: "black" }) }), null);
+  const repeated = replayGame(null, ["Nf3", "Nf6", "Ng1", "Ng8", "Nf3", "Nf6", "Ng1", "Ng8"]);
+  assert.equal(codeFor("CLAIM_DRAW", { game: playingGame({ game: repeated }) }), null);
+
+  assert.equal(codeFor("CLAIM_VICTORY"), "NO_VICTORY_TO_CLAIM");
+  assert.equal(codeFor("CLAIM_VICTORY", { game: playingGame({ absentColor: "white" }) }), "NO_VICTORY_TO_CLAIM");
+  assert.equal(codeFor("CLAIM_VICTORY", { game: playingGame({ absentColor: "black" }) }), null);
+});
+
+test("joining, watching and chatting depend on the sender's role", () => {
+  const waiting = playingGame({ status: "waiting" });
+  assert.equal(codeFor("JOIN_GAME", { game: waiting, role: "outsider" }), null);
+  assert.equal(codeFor("JOIN_GAME", { game: waiting }), "ALREADY_IN_GAME");
+  assert.equal(codeFor("JOIN_GAME", { role: "outsider" }), "GAME_NOT_JOINABLE");
+  assert.equal(codeFor("WATCH_GAME", { role: "outsider" }), null);
+  assert.equal(codeFor("WATCH_GAME"), "ALREADY_IN_GAME");
+  assert.equal(codeFor("STOP_WATCHING", { role: "spectator" }), null);
+  assert.equal(codeFor("STOP_WATCHING", { role: "outsider" }), "NOT_IN_GAME");
+  assert.equal(codeFor("CHAT_MESSAGE", { role: "spectator" }), null);
+  assert.equal(codeFor("CHAT_MESSAGE", { role: "outsider" }), "NOT_IN_GAME");
+  assert.equal(codeFor("TIMEOUT", { role: "spectator" }), null);
+  assert.equal(codeFor("GET_GAME_STATE", { role: "outsider" }), null);
+});
@@ -0,0 +1,19 @@
+// bots.js (ESM) - limits for bot accounts
+// Bots connect over /ws like anyone else but log in with an API token. They
+// carry the BOT title, only play games they are challenged to (see
+// authorization.js) and may only send so many messages.
+
+export const BOT_TITLE = "BOT";
+
+// Each bot connection may send BOT_RATE_LIMIT messages per BOT_RATE_WINDOW_MS
+export const BOT_RATE_LIMIT = Number(process.env.BOT_RATE_LIMIT) || 60;
+export const BOT_RATE_WINDOW_MS = Number(process.env.BOT_RATE_WINDOW_MS) || 10000;
+
+// Sliding-window limiter; returns true if the bot may send another message now
+export const allowBotMessage = (socket, now = Date.now()) => {
+  socket.botMessageTimestamps = (socket.botMessageTimestamps || []).filter((time) => now - time < BOT_RATE_WINDOW_MS);
+  if (socket.botMessageTimestamps.length >= BOT_RATE_LIMIT) return false;
+
+  socket.botMessageTimestamps.push(now);
+  return true;
+};
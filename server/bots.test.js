@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// A small limit to hit
+process.env.BOT_RATE_LIMIT = "3";
+process.env.BOT_RATE_WINDOW_MS = "1000";
+const { BOT_TITLE, BOT_RATE_LIMIT, BOT_RATE_WINDOW_MS, allowBotMessage } = await import("./bots.js");
+
+test("the limits come from the environment", () => {
+  assert.equal(BOT_TITLE, "BOT");
+  assert.equal(BOT_RATE_LIMIT, 3);
+  assert.equal(BOT_RATE_WINDOW_MS, 1000);
+});
+
+test("each bot connection may send a limited number of messages per window", () => {
+  const socket = {};
+  assert.equal(allowBotMessage(socket, 0), true);
+  assert.equal(allowBotMessage(socket, 10), true);
+  assert.equal(allowBotMessage(socket, 20), true);
+  assert.equal(allowBotMessage(socket, 30), false);
+  // The first message has left the window
+  assert.equal(allowBotMessage(socket, 1000), true);
+  assert.equal(allowBotMessage(socket, 1005), false);
+  // Other connections have their own allowance
+  assert.equal(allowBotMessage({}, 1005), true);
+});
+
+test("refused messages don't count against the window", () => {
+  const socket = {};
+  [0, 1, 2, 3, 4, 5].forEach((time) => allowBotMessage(socket, time));
+  assert.equal(socket.botMessageTimestamps.length, 3);
+  assert.equal(allowBotMessage(socket, 1002), true);
+});
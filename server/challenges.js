@@ -0,0 +1,64 @@
+// challenges.js (ESM) - direct challenges from one player to another
+// Unlike a seek, a challenge names its opponent, who accepts or declines it.
+// This is the only way a bot account starts a game.
+import { v4 as uuidv4 } from "uuid";
+
+// challengeId -> { id, challenger, challengerTitle, opponent, opponentTitle, timeControl, color, rated, createdAt }
+const challenges = new Map();
+
+export const createChallenge = ({
+  challenger,
+  challengerTitle = null,
+  opponent,
+  opponentTitle = null,
+  timeControl,
+  color = "random",
+  rated = false
+}) => {
+  const challenge = {
+    id: uuidv4().substring(0, 8),
+    challenger,
+    challengerTitle,
+    opponent,
+    opponentTitle,
+    timeControl,
+    color,
+    rated,
+    createdAt: Date.now()
+  };
+  challenges.set(challenge.id, challenge);
+  return challenge;
+};
+
+export const getChallenge = (challengeId) => challenges.get(challengeId) || null;
+
+export const removeChallenge = (challengeId) => challenges.delete(challengeId);
+
+// Drop the challenges a player has sent; returns the removed challenges
+export const removeChallengesFrom = (username) => {
+  const removed = [...challenges.values()].filter((challenge) => challenge.challenger === username);
+  removed.forEach((challenge) => challenges.delete(challenge.id));
+  return removed;
+};
+
+// Drop every challenge a player sent or received; returns the removed challenges
+export const removeChallengesInvolving = (username) => {
+  const removed = [...challenges.values()].filter(
+    (challenge) => challenge.challenger === username || challenge.opponent === username
+  );
+  removed.forEach((challenge) => challenges.delete(challenge.id));
+  return removed;
+};
+
+// What both players see of a challenge; `color` is the challenger's side
+export const toPublicChallenge = (challenge) => ({
+  challengeId: challenge.id,
+  challenger: challenge.challenger,
+  challengerTitle: challenge.challengerTitle,
+  opponent: challenge.opponent,
+  opponentTitle: challenge.opponentTitle,
+  timeControl: challenge.timeControl,
+  color: challenge.color,
+  rated: challenge.rated,
+  createdAt: challenge.createdAt
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createChallenge,
+  getChallenge,
+  removeChallenge,
+  removeChallengesFrom,
+  removeChallengesInvolving,
+  toPublicChallenge
+} from "./challenges.js";
+
+const timeControl = { minutes: 5, increment: 3 };
+
+test("a challenge is kept under its id with the defaults filled in", () => {
+  const challenge = createChallenge({ challenger: "alice", opponent: "bob", timeControl });
+  assert.equal(getChallenge(challenge.id), challenge);
+  assert.equal(challenge.color, "random");
+  assert.equal(challenge.rated, false);
+  assert.equal(challenge.challengerTitle, null);
+  assert.ok(challenge.createdAt <= Date.now());
+
+  assert.equal(removeChallenge(challenge.id), true);
+  assert.equal(getChallenge(challenge.id), null);
+  assert.equal(getChallenge("missing"), null);
+});
+
+test("a player's sent challenges can be dropped without their received ones", () => {
+  const sent = createChallenge({ challenger: "carol", opponent: "dave", timeControl });
+  const received = createChallenge({ challenger: "erin", opponent: "carol", timeControl });
+
+  assert.deepEqual(removeChallengesFrom("carol"), [sent]);
+  assert.equal(getChallenge(sent.id), null);
+  assert.equal(getChallenge(received.id), received);
+  removeChallenge(received.id);
+});
+
+test("a player leaving drops every challenge they sent or received", () => {
+  const sent = createChallenge({ challenger: "frank", opponent: "grace", timeControl });
+  const received = createChallenge({ challenger: "heidi", opponent: "frank", timeControl });
+  const unrelated = createChallenge({ challenger: "heidi", opponent: "grace", timeControl });
+
+  assert.deepEqual(removeChallengesInvolving("frank"), [sent, received]);
+  assert.equal(getChallenge(unrelated.id), unrelated);
+  assert.deepEqual(removeChallengesInvolving("frank"), []);
+  removeChallenge(unrelated.id);
+});
+
+test("both players see the challenge under its challengeId", () => {
+  const challenge = createChallenge({
+    challenger: "ivan",
+    challengerTitle: "BOT",
+    opponent: "judy",
+    timeControl,
+    color: "black",
+    rated: true
+  });
+  const { challengeId, ...rest } = toPublicChallenge(challenge);
+  assert.equal(challengeId, challenge.id);
+  assert.deepEqual(rest, {
+    challenger: "ivan",
+    challengerTitle: "BOT",
+    opponent: "judy",
+    opponentTitle: null,
+    timeControl,
+    color: "black",
+    rated: true,
+    createdAt: challenge.createdAt
+  });
+  removeChallenge(challenge.id);
+});
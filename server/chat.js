@@ -0,0 +1,48 @@
+// chat.js (ESM) - in-game chat limits, rate limiting and the optional profanity filter
+
+export const MAX_CHAT_LENGTH = 300;
+
+// Oldest messages are dropped once a game's history reaches this size
+export const MAX_CHAT_HISTORY = 200;
+
+// Each socket may send CHAT_RATE_LIMIT messages per CHAT_RATE_WINDOW_MS
+const CHAT_RATE_LIMIT = Number(process.env.CHAT_RATE_LIMIT) || 5;
+const CHAT_RATE_WINDOW_MS = Number(process.env.CHAT_RATE_WINDOW_MS) || 10000;
+
+const PROFANITY_FILTER_ENABLED = process.env.CHAT_PROFANITY_FILTER === "true";
+
+// Deliberately short; extend with CHAT_BLOCKED_WORDS (comma separated)
+const BLOCKED_WORDS = [
+  "fuck",
+  "shit",
+  "bitch",
+  "cunt",
+  "asshole",
+  "bastard",
+  ...(process.env.CHAT_BLOCKED_WORDS || "").split(",").map((word) => word.trim()).filter(Boolean)
+];
+
+const blockedPattern = new RegExp(
+  `\\b\\w*(${BLOCKED_WORDS.map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|")})\\w*\\b`,
+  "gi"
+);
+
+// Sliding-window limiter; returns true if the socket may send another message now
+export const allowChatMessage = (socket, now = Date.now()) => {
+  socket.chatTimestamps = (socket.chatTimestamps || []).filter((time) => now - time < CHAT_RATE_WINDOW_MS);
+  if (socket.chatTimestamps.length >= CHAT_RATE_LIMIT) return false;
+
+  socket.chatTimestamps.push(now);
+  return true;
+};
+
+// Trim the text and mask blocked words when the filter is on
+export const cleanChatText = (text) => {
+  const trimmed = text.trim().slice(0, MAX_CHAT_LENGTH);
+  if (!PROFANITY_FILTER_ENABLED) return trimmed;
+  return trimmed.replace(blockedPattern, (word) => "*".repeat(word.length));
+};
+
+// Chat a viewer may see: spectators read everything, players only the player channel
+export const getVisibleChat = (chat = [], isSpectator = false) =>
+  isSpectator ? chat : chat.filter((message) => message.channel === "players");
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// A small limit to hit, and the filter on
+process.env.CHAT_RATE_LIMIT = "2";
+process.env.CHAT_RATE_WINDOW_MS = "1000";
+process.env.CHAT_PROFANITY_FILTER = "true";
+process.env.CHAT_BLOCKED_WORDS = "darn, heck";
+const { MAX_CHAT_LENGTH, allowChatMessage, cleanChatText, getVisibleChat } = await import("./chat.js");
+
+test("each socket may send a limited number of messages per window", () => {
+  const socket = {};
+  assert.equal(allowChatMessage(socket, 0), true);
+  assert.equal(allowChatMessage(socket, 100), true);
+  assert.equal(allowChatMessage(socket, 200), false);
+  // The first message has left the window
+  assert.equal(allowChatMessage(socket, 1000), true);
+  assert.equal(allowChatMessage(socket, 1050), false);
+  assert.equal(allowChatMessage({}, 1050), true);
+});
+
+test("text is trimmed and cut to the maximum length", () => {
+  assert.equal(cleanChatText("  hello  "), "hello");
+  assert.equal(cleanChatText("a".repeat(MAX_CHAT_LENGTH + 50)).length, MAX_CHAT_LENGTH);
+});
+
+test("blocked words are masked, including extra ones from the environment", () => {
+  assert.equal(cleanChatText("oh shit"), "oh ****");
+  assert.equal(cleanChatText("Bullshit!"), "********!");
+  assert.equal(cleanChatText("darn it"), "**** it");
+  assert.equal(cleanChatText("good game"), "good game");
+});
+
+test("players see only the player channel, spectators see both", () => {
+  const chat = [
+    { channel: "players", text: "hi" },
+    { channel: "spectators", text: "nice move" }
+  ];
+  assert.deepEqual(getVisibleChat(chat).map(({ text }) => text), ["hi"]);
+  assert.deepEqual(getVisibleChat(chat, true).map(({ text }) => text), ["hi", "nice move"]);
+  assert.deepEqual(getVisibleChat(undefined), []);
+});
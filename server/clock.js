@@ -0,0 +1,74 @@
+// clock.js (ESM) - authoritative chess clocks kept on the server
+// Times are tracked in milliseconds. Only the side to move has a running
+// clock; it is charged for the time elapsed since that clock was started.
+
+const MAX_MINUTES = 180;
+const MAX_INCREMENT_SECONDS = 180;
+
+export const otherColor = (color) => (color === "white" ? "black" : "white");
+
+// Validate a client-supplied time control, returning null if it is unusable
+export const normalizeTimeControl = (timeControl) => {
+  if (!timeControl || typeof timeControl !== "object") return null;
+
+  const minutes = Number(timeControl.minutes);
+  const increment = Number(timeControl.increment ?? 0);
+
+  if (!Number.isFinite(minutes) || minutes <= 0 || minutes > MAX_MINUTES) return null;
+  if (!Number.isFinite(increment) || increment < 0 || increment > MAX_INCREMENT_SECONDS) return null;
+
+  return { minutes, increment };
+};
+
+// Estimated game length in seconds (40 moves of increment), Infinity for untimed games
+export const estimateDuration = (timeControl) =>
+  timeControl ? timeControl.minutes * 60 + timeControl.increment * 40 : Infinity;
+
+export const createClock = ({ minutes, increment }) => ({
+  remaining: {
+    white: minutes * 60 * 1000,
+    black: minutes * 60 * 1000
+  },
+  incrementMs: increment * 1000,
+  active: null,
+  startedAt: null
+});
+
+// Start the given side's clock
+export const startClock = (clock, color, now = Date.now()) => {
+  clock.active = color;
+  clock.startedAt = now;
+};
+
+// Charge the running side for its elapsed time and stop the clock
+export const stopClock = (clock, now = Date.now()) => {
+  if (clock.active) {
+    const elapsed = now - clock.startedAt;
+    clock.remaining[clock.active] = Math.max(0, clock.remaining[clock.active] - elapsed);
+  }
+  clock.active = null;
+  clock.startedAt = null;
+};
+
+// Called once `color` has completed a move: charge them, add the increment
+// and start the opponent's clock
+export const pressClock = (clock, color, now = Date.now()) => {
+  stopClock(clock, now);
+  clock.remaining[color] += clock.incrementMs;
+  startClock(clock, otherColor(color), now);
+};
+
+// Remaining time for both sides, counting the running side's elapsed time
+export const getClockTimes = (clock, now = Date.now()) => {
+  const times = { ...clock.remaining };
+  if (clock.active) {
+    times[clock.active] = Math.max(0, times[clock.active] - (now - clock.startedAt));
+  }
+  return times;
+};
+
+// The color whose running clock has reached zero, if any
+export const getFlaggedColor = (clock, now = Date.now()) => {
+  if (!clock.active) return null;
+  return getClockTimes(clock, now)[clock.active] <= 0 ? clock.active : null;
+};
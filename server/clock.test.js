@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  otherColor,
+  normalizeTimeControl,
+  estimateDuration,
+  createClock,
+  startClock,
+  stopClock,
+  pressClock,
+  getClockTimes,
+  getFlaggedColor
+} from "./clock.js";
+
+test("time controls are validated and defaulted", () => {
+  assert.deepEqual(normalizeTimeControl({ minutes: 5, increment: 3 }), { minutes: 5, increment: 3 });
+  assert.deepEqual(normalizeTimeControl({ minutes: "10" }), { minutes: 10, increment: 0 });
+  assert.equal(normalizeTimeControl(null), null);
+  assert.equal(normalizeTimeControl({ minutes: 0 }), null);
+  assert.equal(normalizeTimeControl({ minutes: 181 }), null);
+  assert.equal(normalizeTimeControl({ minutes: 5, increment: -1 }), null);
+  assert.equal(normalizeTimeControl({ minutes: 5, increment: 181 }), null);
+  assert.equal(normalizeTimeControl({ minutes: "soon" }), null);
+});
+
+test("a game lasts its base time plus 40 increments, untimed ones forever", () => {
+  assert.equal(estimateDuration({ minutes: 3, increment: 2 }), 260);
+  assert.equal(estimateDuration(null), Infinity);
+});
+
+test("only the running side is charged", () => {
+  const clock = createClock({ minutes: 1, increment: 0 });
+  assert.deepEqual(getClockTimes(clock, 5000), { white: 60000, black: 60000 });
+
+  startClock(clock, "white", 1000);
+  assert.deepEqual(getClockTimes(clock, 4000), { white: 57000, black: 60000 });
+
+  stopClock(clock, 6000);
+  assert.equal(clock.active, null);
+  assert.deepEqual(getClockTimes(clock, 100000), { white: 55000, black: 60000 });
+});
+
+test("pressing the clock adds the increment and starts the opponent", () => {
+  const clock = createClock({ minutes: 1, increment: 2 });
+  startClock(clock, "white", 0);
+  pressClock(clock, "white", 10000);
+
+  assert.equal(clock.active, "black");
+  assert.deepEqual(getClockTimes(clock, 13000), { white: 52000, black: 57000 });
+});
+
+test("the side to move flags once its time reaches zero", () => {
+  const clock = createClock({ minutes: 1, increment: 0 });
+  startClock(clock, "black", 0);
+
+  assert.equal(getFlaggedColor(clock, 59999), null);
+  assert.equal(getFlaggedColor(clock, 60000), "black");
+  assert.equal(getClockTimes(clock, 90000).black, 0);
+
+  stopClock(clock, 90000);
+  assert.equal(getFlaggedColor(clock, 90000), null);
+});
+
+test("otherColor swaps sides", () => {
+  assert.equal(otherColor("white"), "black");
+  assert.equal(otherColor("black"), "white");
+});
@@ -0,0 +1,69 @@
+// computer.js (ESM) - the computer opponent in PLAY_VS_BOT games
+// Searches run off the main thread in a small pool of workers, COMPUTER_WORKERS
+// of them, each thinking about one position at a time. When all are busy a search
+// waits its turn, and the wait comes off the computer's clock before its think
+// time is worked out. Workers start as they are first needed.
+import { Worker } from "worker_threads";
+import { getEngineSettings, getThinkTime } from "./engine.js";
+
+export const COMPUTER_WORKERS = Math.max(Math.floor(Number(process.env.COMPUTER_WORKERS)) || 2, 1);
+
+const workers = []; // { thread, request }, request being the search it is running or null
+const waiting = []; // searches queued for a free worker
+let nextRequestId = 1;
+
+// A search's settings as it starts, with the time it spent waiting taken off the clock
+const getSearchOptions = ({ level, clock, queuedAt }) => {
+  const { depth, randomness } = getEngineSettings(level);
+  const remainingClock = clock && { ...clock, remainingMs: Math.max(clock.remainingMs - (Date.now() - queuedAt), 0) };
+  return { depth, randomness, timeMs: getThinkTime(level, remainingClock) };
+};
+
+const startWorker = () => {
+  const worker = { thread: new Worker(new URL("./engineWorker.js", import.meta.url)), request: null };
+  worker.thread.on("message", ({ id, result, error }) => {
+    const { request } = worker;
+    if (!request || request.id !== id) return;
+    worker.request = null;
+    worker.thread.unref();
+    if (error) request.reject(new Error(error));
+    else request.resolve(result);
+    runWaitingSearches();
+  });
+
+  // A crashed worker fails its search and leaves the pool; a fresh one takes its place when needed
+  const fail = (error) => {
+    if (!workers.includes(worker)) return;
+    workers.splice(workers.indexOf(worker), 1);
+    worker.request?.reject(error);
+    worker.request = null;
+    runWaitingSearches();
+  };
+  worker.thread.on("error", fail);
+  worker.thread.on("exit", (code) => fail(new Error(`Engine worker exited with code ${code}`)));
+  // Only a worker in the middle of a search keeps the process alive. Listening for
+  // messages refs it, so this comes after.
+  worker.thread.unref();
+
+  workers.push(worker);
+  return worker;
+};
+
+// Hand waiting searches to idle workers, starting workers while the pool has room
+const runWaitingSearches = () => {
+  while (waiting.length) {
+    const worker = workers.find(({ request }) => !request) || (workers.length < COMPUTER_WORKERS ? startWorker() : null);
+    if (!worker) return;
+    const request = waiting.shift();
+    worker.request = request;
+    worker.thread.ref();
+    worker.thread.postMessage({ id: request.id, fen: request.fen, options: getSearchOptions(request) });
+  }
+};
+
+// The computer's move in a position: resolves to findBestMove's result, or null with no legal move
+export const chooseComputerMove = (fen, level, clock = null) =>
+  new Promise((resolve, reject) => {
+    waiting.push({ id: nextRequestId++, fen, level, clock, queuedAt: Date.now(), resolve, reject });
+    runWaitingSearches();
+  });
@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Chess } from "chess.js";
+
+process.env.COMPUTER_WORKERS = "2";
+const { COMPUTER_WORKERS, chooseComputerMove } = await import("./computer.js");
+
+const MIDDLEGAME = "r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1";
+const START_FEN = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+
+test("a long think doesn't hold up other games' searches", async () => {
+  assert.equal(COMPUTER_WORKERS, 2);
+  const finished = [];
+  // two seconds at level 5: a fortieth of 80 seconds left
+  const long = chooseComputerMove(MIDDLEGAME, 5, { remainingMs: 80000, incrementMs: 0 }).then(() => finished.push("long"));
+  const short = chooseComputerMove(START_FEN, 1).then(() => finished.push("short"));
+  await Promise.all([long, short]);
+  assert.deepEqual(finished, ["short", "long"]);
+});
+
+test("searches beyond the pool's size wait their turn and are all answered", async () => {
+  const results = await Promise.all(
+    [1, 2, 3, 4, 5].map(() => chooseComputerMove(START_FEN, 1, { remainingMs: 4000, incrementMs: 0 }))
+  );
+  results.forEach(({ move }) => assert.doesNotThrow(() => new Chess(START_FEN).move(move)));
+  assert.equal(await chooseComputerMove("7k/6Q1/6K1/8/8/8/8/8 b - - 0 1", 1), null);
+});
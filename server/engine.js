@@ -0,0 +1,485 @@
+// engine.js (ESM) - the built-in computer opponent
+// An alpha-beta searcher with iterative deepening under a time budget,
+// quiescence search on captures and a material plus piece-square evaluation.
+// It has its own 0x88 move generator (chess.js builds SAN and FENs for every
+// move, far too slow to search with) and imports nothing, so the desktop app
+// runs this same file in a worker. Positions go in as FEN.
+
+export const MIN_ENGINE_LEVEL = 1;
+export const MAX_ENGINE_LEVEL = 5;
+export const DEFAULT_ENGINE_LEVEL = 3;
+
+// Strength settings. `depth` and `timeMs` cap the search; lower levels also pick
+// at random among root moves scoring within `randomness` centipawns of the best.
+export const ENGINE_LEVELS = {
+  1: { name: "Beginner", depth: 1, timeMs: 300, randomness: 200 },
+  2: { name: "Casual", depth: 2, timeMs: 600, randomness: 60 },
+  3: { name: "Club", depth: 3, timeMs: 1500, randomness: 20 },
+  4: { name: "Strong", depth: 4, timeMs: 3000, randomness: 0 },
+  5: { name: "Master", depth: 6, timeMs: 5000, randomness: 0 }
+};
+
+export const getEngineSettings = (level) => ENGINE_LEVELS[level] || ENGINE_LEVELS[DEFAULT_ENGINE_LEVEL];
+
+// Spaces and brackets are not allowed in account names, so nobody can register one of these
+export const getComputerName = (level) => `Computer (Level ${level})`;
+
+// How long the computer may think: its level's budget, but never more than a
+// fortieth of its remaining time plus most of the increment.
+// `clock` is { remainingMs, incrementMs } for the computer's side in timed games.
+export const getThinkTime = (level, clock = null) => {
+  const { timeMs } = getEngineSettings(level);
+  if (!clock) return timeMs;
+  return Math.max(50, Math.min(timeMs, clock.remainingMs / 40 + clock.incrementMs * 0.8));
+};
+
+const PIECE_VALUES = { p: 100, n: 320, b: 330, r: 500, q: 900, k: 0 };
+
+// Piece-square tables from white's point of view, rank 8 first like chess.js boards
+const PIECE_SQUARES = {
+  p: [
+    0, 0, 0, 0, 0, 0, 0, 0,
+    50, 50, 50, 50, 50, 50, 50, 50,
+    10, 10, 20, 30, 30, 20, 10, 10,
+    5, 5, 10, 25, 25, 10, 5, 5,
+    0, 0, 0, 20, 20, 0, 0, 0,
+    5, -5, -10, 0, 0, -10, -5, 5,
+    5, 10, 10, -20, -20, 10, 10, 5,
+    0, 0, 0, 0, 0, 0, 0, 0
+  ],
+  n: [
+    -50, -40, -30, -30, -30, -30, -40, -50,
+    -40, -20, 0, 0, 0, 0, -20, -40,
+    -30, 0, 10, 15, 15, 10, 0, -30,
+    -30, 5, 15, 20, 20, 15, 5, -30,
+    -30, 0, 15, 20, 20, 15, 0, -30,
+    -30, 5, 10, 15, 15, 10, 5, -30,
+    -40, -20, 0, 5, 5, 0, -20, -40,
+    -50, -40, -30, -30, -30, -30, -40, -50
+  ],
+  b: [
+    -20, -10, -10, -10, -10, -10, -10, -20,
+    -10, 0, 0, 0, 0, 0, 0, -10,
+    -10, 0, 5, 10, 10, 5, 0, -10,
+    -10, 5, 5, 10, 10, 5, 5, -10,
+    -10, 0, 10, 10, 10, 10, 0, -10,
+    -10, 10, 10, 10, 10, 10, 10, -10,
+    -10, 5, 0, 0, 0, 0, 5, -10,
+    -20, -10, -10, -10, -10, -10, -10, -20
+  ],
+  r: [
+    0, 0, 0, 0, 0, 0, 0, 0,
+    5, 10, 10, 10, 10, 10, 10, 5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    0, 0, 0, 5, 5, 0, 0, 0
+  ],
+  q: [
+    -20, -10, -10, -5, -5, -10, -10, -20,
+    -10, 0, 0, 0, 0, 0, 0, -10,
+    -10, 0, 5, 5, 5, 5, 0, -10,
+    -5, 0, 5, 5, 5, 5, 0, -5,
+    0, 0, 5, 5, 5, 5, 0, -5,
+    -10, 5, 5, 5, 5, 5, 0, -10,
+    -10, 0, 5, 0, 0, 0, 0, -10,
+    -20, -10, -10, -5, -5, -10, -10, -20
+  ],
+  k: [
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -20, -30, -30, -40, -40, -30, -30, -20,
+    -10, -20, -20, -20, -20, -20, -20, -10,
+    20, 20, 0, 0, 0, 0, 20, 20,
+    20, 30, 10, 0, 0, 10, 30, 20
+  ]
+};
+
+const MATE_SCORE = 100000;
+const INFINITY = 1000000;
+const MAX_QUIESCENCE_DEPTH = 6;
+// How many nodes between looks at the clock
+const TIME_CHECK_INTERVAL = 1024;
+
+// Board squares are 0x88 indexes: row 0 is rank 8, so a8 = 0 and h1 = 119.
+// Pieces are FEN letters, upper case for white.
+const FILES = "abcdefgh";
+const KNIGHT_STEPS = [-33, -31, -18, -14, 14, 18, 31, 33];
+const BISHOP_STEPS = [-17, -15, 15, 17];
+const ROOK_STEPS = [-16, -1, 1, 16];
+const KING_STEPS = [...BISHOP_STEPS, ...ROOK_STEPS];
+const PROMOTIONS = ["q", "n", "r", "b"];
+
+const CASTLE_WK = 1;
+const CASTLE_WQ = 2;
+const CASTLE_BK = 4;
+const CASTLE_BQ = 8;
+// Rights lost when anything leaves or lands on a king or rook square
+const CASTLING_LOST = { 0: CASTLE_BQ, 4: CASTLE_BK | CASTLE_BQ, 7: CASTLE_BK, 112: CASTLE_WQ, 116: CASTLE_WK | CASTLE_WQ, 119: CASTLE_WK };
+
+const isOffBoard = (sq) => (sq & 0x88) !== 0;
+const colorOf = (piece) => (piece === piece.toUpperCase() ? "w" : "b");
+const squareName = (sq) => FILES[sq & 7] + (8 - (sq >> 4));
+const toSquare = (name) => (8 - Number(name[1])) * 16 + FILES.indexOf(name[0]);
+const opposite = (color) => (color === "w" ? "b" : "w");
+
+export const parseFen = (fen) => {
+  const [placement, turn = "w", castling = "-", ep = "-", halfmove = "0"] = fen.trim().split(/\s+/);
+  const board = new Array(128).fill(null);
+  const kings = {};
+  placement.split("/").forEach((rank, row) => {
+    let file = 0;
+    for (const char of rank) {
+      if (/\d/.test(char)) {
+        file += Number(char);
+      } else {
+        const sq = row * 16 + file;
+        board[sq] = char;
+        if (char === "K") kings.w = sq;
+        if (char === "k") kings.b = sq;
+        file += 1;
+      }
+    }
+  });
+
+  return {
+    board,
+    kings,
+    turn,
+    castling:
+      (castling.includes("K") ? CASTLE_WK : 0) |
+      (castling.includes("Q") ? CASTLE_WQ : 0) |
+      (castling.includes("k") ? CASTLE_BK : 0) |
+      (castling.includes("q") ? CASTLE_BQ : 0),
+    epSquare: ep === "-" ? -1 : toSquare(ep),
+    halfmove: Number(halfmove) || 0
+  };
+};
+
+const attackedBySlider = (board, sq, steps, byColor, pieces) =>
+  steps.some((step) => {
+    for (let target = sq + step; !isOffBoard(target); target += step) {
+      const piece = board[target];
+      if (piece) return colorOf(piece) === byColor && pieces.includes(piece.toLowerCase());
+    }
+    return false;
+  });
+
+const attackedByStep = (board, sq, steps, piece) =>
+  steps.some((step) => !isOffBoard(sq + step) && board[sq + step] === piece);
+
+export const isAttacked = (position, sq, byColor) => {
+  const { board } = position;
+  const white = byColor === "w";
+  // A white pawn attacks upwards, so it sits on the row below the square
+  const pawnSteps = white ? [15, 17] : [-15, -17];
+  return (
+    attackedByStep(board, sq, pawnSteps, white ? "P" : "p") ||
+    attackedByStep(board, sq, KNIGHT_STEPS, white ? "N" : "n") ||
+    attackedByStep(board, sq, KING_STEPS, white ? "K" : "k") ||
+    attackedBySlider(board, sq, BISHOP_STEPS, byColor, "bq") ||
+    attackedBySlider(board, sq, ROOK_STEPS, byColor, "rq")
+  );
+};
+
+export const isInCheck = (position, color = position.turn) =>
+  isAttacked(position, position.kings[color], opposite(color));
+
+// Moves that follow the piece rules but may leave the king in check.
+// `tacticalOnly` keeps just captures and promotions, for quiescence search.
+const generatePseudoMoves = (position, tacticalOnly) => {
+  const { board, turn, castling, epSquare } = position;
+  const moves = [];
+  const add = (from, to, extra = {}) =>
+    moves.push({ from, to, piece: board[from].toLowerCase(), captured: board[to]?.toLowerCase() ?? null, ...extra });
+
+  for (let sq = 0; sq < 128; sq++) {
+    if (isOffBoard(sq)) {
+      sq += 7;
+      continue;
+    }
+    const piece = board[sq];
+    if (!piece || colorOf(piece) !== turn) continue;
+    const type = piece.toLowerCase();
+
+    if (type === "p") {
+      const forward = turn === "w" ? -16 : 16;
+      const startRow = turn === "w" ? 6 : 1;
+      const lastRow = turn === "w" ? 0 : 7;
+      const addPawnMove = (to, extra) => {
+        if (to >> 4 === lastRow) PROMOTIONS.forEach((promotion) => add(sq, to, { ...extra, promotion }));
+        else if (!tacticalOnly || extra.enPassant || board[to]) add(sq, to, extra);
+      };
+
+      const one = sq + forward;
+      if (!board[one]) {
+        addPawnMove(one, {});
+        const two = one + forward;
+        if (!tacticalOnly && sq >> 4 === startRow && !board[two]) add(sq, two, { double: true });
+      }
+      [forward - 1, forward + 1].forEach((step) => {
+        const to = sq + step;
+        if (isOffBoard(to)) return;
+        if (board[to] && colorOf(board[to]) !== turn) addPawnMove(to, {});
+        else if (to === epSquare) add(sq, to, { enPassant: true, captured: "p" });
+      });
+      continue;
+    }
+
+    const slides = type === "b" || type === "r" || type === "q";
+    const steps = { n: KNIGHT_STEPS, b: BISHOP_STEPS, r: ROOK_STEPS, q: KING_STEPS, k: KING_STEPS }[type];
+    steps.forEach((step) => {
+      for (let to = sq + step; !isOffBoard(to); to += step) {
+        if (board[to]) {
+          if (colorOf(board[to]) !== turn) add(sq, to);
+          break;
+        }
+        if (!tacticalOnly) add(sq, to);
+        if (!slides) break;
+      }
+    });
+  }
+
+  if (!tacticalOnly) {
+    const enemy = opposite(turn);
+    const home = turn === "w" ? 112 : 0;
+    const [kingSide, queenSide] = turn === "w" ? [CASTLE_WK, CASTLE_WQ] : [CASTLE_BK, CASTLE_BQ];
+    const king = home + 4;
+    const safe = (...squares) => squares.every((sq) => !isAttacked(position, sq, enemy));
+    if (castling & kingSide && !board[king + 1] && !board[king + 2] && safe(king, king + 1, king + 2)) {
+      add(king, king + 2, { castle: true });
+    }
+    if (castling & queenSide && !board[king - 1] && !board[king - 2] && !board[king - 3] && safe(king, king - 1, king - 2)) {
+      add(king, king - 2, { castle: true });
+    }
+  }
+
+  return moves;
+};
+
+// Play a move on the position; returns what unmakeMove needs to put it back
+const makeMove = (position, move) => {
+  const { board } = position;
+  const undo = {
+    castling: position.castling,
+    epSquare: position.epSquare,
+    halfmove: position.halfmove,
+    captured: board[move.to]
+  };
+  const piece = board[move.from];
+  const white = position.turn === "w";
+
+  board[move.to] = move.promotion ? (white ? move.promotion.toUpperCase() : move.promotion) : piece;
+  board[move.from] = null;
+  if (move.enPassant) {
+    undo.captureSquare = move.to + (white ? 16 : -16);
+    undo.captured = board[undo.captureSquare];
+    board[undo.captureSquare] = null;
+  }
+  if (move.castle) {
+    const [rookFrom, rookTo] = move.to > move.from ? [move.from + 3, move.from + 1] : [move.from - 4, move.from - 1];
+    board[rookTo] = board[rookFrom];
+    board[rookFrom] = null;
+  }
+  if (move.piece === "k") position.kings[position.turn] = move.to;
+
+  position.castling &= ~((CASTLING_LOST[move.from] || 0) | (CASTLING_LOST[move.to] || 0));
+  position.epSquare = move.double ? (move.from + move.to) / 2 : -1;
+  position.halfmove = move.piece === "p" || move.captured ? 0 : position.halfmove + 1;
+  position.turn = opposite(position.turn);
+  return undo;
+};
+
+const unmakeMove = (position, move, undo) => {
+  const { board } = position;
+  position.turn = opposite(position.turn);
+  const white = position.turn === "w";
+
+  board[move.from] = move.promotion ? (white ? "P" : "p") : board[move.to];
+  if (move.enPassant) {
+    board[move.to] = null;
+    board[undo.captureSquare] = undo.captured;
+  } else {
+    board[move.to] = undo.captured;
+  }
+  if (move.castle) {
+    const [rookFrom, rookTo] = move.to > move.from ? [move.from + 3, move.from + 1] : [move.from - 4, move.from - 1];
+    board[rookFrom] = board[rookTo];
+    board[rookTo] = null;
+  }
+  if (move.piece === "k") position.kings[position.turn] = move.from;
+
+  position.castling = undo.castling;
+  position.epSquare = undo.epSquare;
+  position.halfmove = undo.halfmove;
+};
+
+export const generateMoves = (position, tacticalOnly = false) => {
+  const mover = position.turn;
+  return generatePseudoMoves(position, tacticalOnly).filter((move) => {
+    const undo = makeMove(position, move);
+    const legal = !isInCheck(position, mover);
+    unmakeMove(position, move, undo);
+    return legal;
+  });
+};
+
+// Score of the position for the side to move, in centipawns
+export const evaluate = (position) => {
+  let score = 0;
+  for (let sq = 0; sq < 128; sq++) {
+    const piece = position.board[sq];
+    if (isOffBoard(sq) || !piece) continue;
+    const type = piece.toLowerCase();
+    const row = sq >> 4;
+    // Black reads the table upside down
+    const index = (colorOf(piece) === "w" ? row : 7 - row) * 8 + (sq & 7);
+    const value = PIECE_VALUES[type] + PIECE_SQUARES[type][index];
+    score += colorOf(piece) === "w" ? value : -value;
+  }
+  return position.turn === "w" ? score : -score;
+};
+
+// Most valuable victim, least valuable attacker; quiet moves after captures
+const moveOrderScore = (move) =>
+  (move.captured ? 10 * PIECE_VALUES[move.captured] - PIECE_VALUES[move.piece] + 10000 : 0) +
+  (move.promotion ? PIECE_VALUES[move.promotion] : 0);
+
+const sameMove = (a, b) => Boolean(a && b) && a.from === b.from && a.to === b.to && a.promotion === b.promotion;
+
+const orderMoves = (moves, firstMove = null) =>
+  moves
+    .map((move) => ({ move, order: sameMove(move, firstMove) ? Infinity : moveOrderScore(move) }))
+    .sort((a, b) => b.order - a.order)
+    .map(({ move }) => move);
+
+const toMoveInput = ({ from, to, promotion }) =>
+  promotion ? { from: squareName(from), to: squareName(to), promotion } : { from: squareName(from), to: squareName(to) };
+
+class SearchTimeout extends Error {}
+
+// Full moves to mate for a search score: positive when the side to move mates,
+// negative when it gets mated, null when the score is not a mate
+export const getMateIn = (score) => {
+  if (Math.abs(score) <= MATE_SCORE - 1000) return null;
+  const moves = Math.ceil((MATE_SCORE - Math.abs(score)) / 2);
+  return score > 0 ? moves : -moves;
+};
+
+// Pick a move for the side to move in `fen`. Returns { move: { from, to, promotion },
+// score, depth, nodes, pv }, or null when there is no legal move; `pv` is the line the
+// search expects, starting with `move`. `depth` and `timeMs` bound the search,
+// whichever runs out first.
+export const findBestMove = (fen, { depth = 3, timeMs = 1000, randomness = 0, random = Math.random } = {}) => {
+  const position = parseFen(fen);
+  const rootMoves = generateMoves(position);
+  if (rootMoves.length === 0) return null;
+
+  const deadline = Date.now() + timeMs;
+  let nodes = 0;
+  // Best line found below each ply, rebuilt as scores back up the tree
+  const lines = [];
+
+  const checkTime = () => {
+    nodes += 1;
+    if (nodes % TIME_CHECK_INTERVAL === 0 && Date.now() > deadline) throw new SearchTimeout();
+  };
+
+  // Only captures and promotions, until the position is quiet
+  const quiesce = (alpha, beta, qDepth) => {
+    checkTime();
+    const standPat = evaluate(position);
+    if (standPat >= beta || qDepth === 0) return standPat;
+    if (standPat > alpha) alpha = standPat;
+
+    for (const move of orderMoves(generateMoves(position, true))) {
+      const undo = makeMove(position, move);
+      const score = -quiesce(-beta, -alpha, qDepth - 1);
+      unmakeMove(position, move, undo);
+      if (score >= beta) return score;
+      if (score > alpha) alpha = score;
+    }
+    return alpha;
+  };
+
+  const negamax = (remaining, alpha, beta, ply) => {
+    checkTime();
+    lines[ply] = [];
+    const moves = generateMoves(position);
+    if (moves.length === 0) {
+      // Mated sooner is worse; stalemate is a draw
+      return isInCheck(position) ? -MATE_SCORE + ply : 0;
+    }
+    if (position.halfmove >= 100) return 0;
+    if (remaining === 0) return quiesce(alpha, beta, MAX_QUIESCENCE_DEPTH);
+
+    let best = -INFINITY;
+    for (const move of orderMoves(moves)) {
+      const undo = makeMove(position, move);
+      const score = -negamax(remaining - 1, -beta, -alpha, ply + 1);
+      unmakeMove(position, move, undo);
+      if (score > best) best = score;
+      if (score > alpha) {
+        alpha = score;
+        lines[ply] = [move, ...lines[ply + 1]];
+      }
+      if (alpha >= beta) break;
+    }
+    return best;
+  };
+
+  // Score every root move well enough to tell which are within `randomness` of the best
+  const searchRoot = (rootDepth, previousBest) => {
+    const scored = [];
+    let bestScore = -INFINITY;
+    for (const move of orderMoves(rootMoves, previousBest)) {
+      const alpha = bestScore === -INFINITY ? -INFINITY : bestScore - randomness - 1;
+      const undo = makeMove(position, move);
+      try {
+        const score = -negamax(rootDepth - 1, -INFINITY, -alpha, 1);
+        scored.push({ move, score, line: [move, ...lines[1]] });
+      } finally {
+        unmakeMove(position, move, undo);
+      }
+      bestScore = Math.max(bestScore, scored.at(-1).score);
+    }
+    return scored;
+  };
+
+  let result = null;
+  for (let rootDepth = 1; rootDepth <= depth; rootDepth++) {
+    let scored;
+    try {
+      scored = searchRoot(rootDepth, result?.move);
+    } catch (error) {
+      if (!(error instanceof SearchTimeout)) throw error;
+      break;
+    }
+
+    const bestScore = Math.max(...scored.map(({ score }) => score));
+    const candidates = scored.filter(({ score }) => score >= bestScore - randomness);
+    const choice = candidates[Math.floor(random() * candidates.length)];
+    result = { move: choice.move, score: choice.score, depth: rootDepth, line: choice.line };
+
+    // A forced mate won't get any better with more depth
+    if (Math.abs(bestScore) > MATE_SCORE - 1000) break;
+  }
+
+  // Out of time before even one ply finished: take the best-looking capture or the first move
+  if (!result) {
+    const move = orderMoves(rootMoves)[0];
+    result = { move, score: 0, depth: 0, line: [move] };
+  }
+
+  return {
+    move: toMoveInput(result.move),
+    score: result.score,
+    depth: result.depth,
+    nodes,
+    pv: result.line.map(toMoveInput)
+  };
+};
@@ -0,0 +1,152 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Chess } from "chess.js";
+import {
+  ENGINE_LEVELS,
+  DEFAULT_ENGINE_LEVEL,
+  getEngineSettings,
+  getComputerName,
+  getThinkTime,
+  parseFen,
+  isInCheck,
+  generateMoves,
+  evaluate,
+  getMateIn,
+  findBestMove
+} from "./engine.js";
+
+const START_FEN = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+
+// Positions that exercise castling, en passant, promotions and pins
+const TRICKY_FENS = [
+  START_FEN,
+  "r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1",
+  "8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1",
+  "r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1",
+  "rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq f6 0 3",
+  "4k3/8/8/8/8/8/8/4K2R w K - 0 1"
+];
+
+const toSan = (fen, move) => new Chess(fen).move(move).san;
+
+test("every level has a name, depth and time budget", () => {
+  for (const [level, settings] of Object.entries(ENGINE_LEVELS)) {
+    assert.ok(settings.name, `level ${level}`);
+    assert.ok(settings.depth > 0 && settings.timeMs > 0, `level ${level}`);
+  }
+  assert.equal(getEngineSettings(99), ENGINE_LEVELS[DEFAULT_ENGINE_LEVEL]);
+  assert.equal(getComputerName(2), "Computer (Level 2)");
+});
+
+test("the computer thinks for its level's budget, less when short of time", () => {
+  assert.equal(getThinkTime(5), ENGINE_LEVELS[5].timeMs);
+  assert.equal(getThinkTime(5, { remainingMs: 10 * 60 * 1000, incrementMs: 0 }), ENGINE_LEVELS[5].timeMs);
+  assert.equal(getThinkTime(5, { remainingMs: 40 * 1000, incrementMs: 1000 }), 1000 + 800);
+  assert.equal(getThinkTime(5, { remainingMs: 0, incrementMs: 0 }), 50);
+});
+
+test("the move generator agrees with chess.js on the legal moves", () => {
+  for (const fen of TRICKY_FENS) {
+    const legal = new Chess(fen).moves({ verbose: true });
+    const generated = generateMoves(parseFen(fen));
+    assert.equal(generated.length, legal.length, fen);
+    assert.equal(generated.filter((move) => move.captured).length, legal.filter((move) => move.captured).length, fen);
+  }
+});
+
+test("captures and promotions are all that quiescence search looks at", () => {
+  const fen = TRICKY_FENS[3];
+  const chess = new Chess(fen);
+  const tactical = chess.moves({ verbose: true }).filter((move) => move.captured || move.promotion);
+  assert.equal(generateMoves(parseFen(fen), true).length, tactical.length);
+});
+
+test("checks are seen for either side", () => {
+  assert.equal(isInCheck(parseFen("4k3/8/8/8/8/8/8/4K2r w - - 0 1")), true);
+  assert.equal(isInCheck(parseFen("4k3/8/8/8/8/8/8/4K2r w - - 0 1"), "b"), false);
+  assert.equal(isInCheck(parseFen(START_FEN)), false);
+});
+
+test("the evaluation favours the side with more material", () => {
+  assert.equal(evaluate(parseFen(START_FEN)), 0);
+  const queenUp = "rnb1kbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+  assert.ok(evaluate(parseFen(queenUp)) > 800);
+  assert.ok(evaluate(parseFen(queenUp.replace(" w ", " b "))) < -800);
+});
+
+test("mate scores convert to moves to mate", () => {
+  assert.equal(getMateIn(100000 - 1), 1);
+  assert.equal(getMateIn(100000 - 3), 2);
+  assert.equal(getMateIn(-(100000 - 2)), -1);
+  assert.equal(getMateIn(350), null);
+});
+
+test("the computer finds mate in one", () => {
+  const fen = "6k1/5ppp/8/8/8/8/5PPP/R5K1 w - - 0 1";
+  const result = findBestMove(fen, { depth: 3, timeMs: 5000 });
+  assert.equal(toSan(fen, result.move), "Ra8#");
+  assert.equal(getMateIn(result.score), 1);
+  assert.deepEqual(result.pv[0], result.move);
+});
+
+test("the computer takes a hanging queen", () => {
+  const fen = "rnb1kbnr/pppp1ppp/8/4p1q1/3P4/8/PPP1PPPP/RNBQKBNR w KQkq - 0 3";
+  const result = findBestMove(fen, { depth: 2, timeMs: 5000 });
+  assert.equal(toSan(fen, result.move), "Bxg5");
+});
+
+test("promotions are played with the piece to promote to", () => {
+  const fen = "8/P6k/8/8/8/8/8/K7 w - - 0 1";
+  const { move } = findBestMove(fen, { depth: 3, timeMs: 5000 });
+  assert.deepEqual(move, { from: "a7", to: "a8", promotion: "q" });
+});
+
+test("there is no move to find in checkmate or stalemate", () => {
+  assert.equal(findBestMove("7k/6Q1/6K1/8/8/8/8/8 b - - 0 1"), null);
+  assert.equal(findBestMove("7k/5Q2/6K1/8/8/8/8/8 b - - 0 1"), null);
+});
+
+test("randomness picks among moves nearly as good as the best", () => {
+  const first = findBestMove(START_FEN, { depth: 1, timeMs: 5000, randomness: 1000, random: () => 0 });
+  const last = findBestMove(START_FEN, { depth: 1, timeMs: 5000, randomness: 1000, random: () => 0.999 });
+  assert.notDeepEqual(first.move, last.move);
+
+  // without randomness only moves tied with the best are candidates
+  const fen = "rnb1kbnr/pppp1ppp/8/4p1q1/3P4/8/PPP1PPPP/RNBQKBNR w KQkq - 0 3";
+  const strict = (random) => findBestMove(fen, { depth: 2, timeMs: 5000, random }).move;
+  assert.deepEqual(strict(() => 0), strict(() => 0.999));
+});
+
+test("the search stops at its time budget with a move to play", () => {
+  const started = Date.now();
+  const result = findBestMove(TRICKY_FENS[1], { depth: 20, timeMs: 200 });
+  assert.ok(Date.now() - started < 2000);
+  assert.ok(result.depth < 20);
+  assert.doesNotThrow(() => new Chess(TRICKY_FENS[1]).move(result.move));
+});
+
+test("the best line is a playable sequence of moves starting with the move", () => {
+  const fen = TRICKY_FENS[1];
+  const { move, pv, depth } = findBestMove(fen, { depth: 3, timeMs: 5000 });
+  assert.deepEqual(pv[0], move);
+  assert.ok(pv.length >= 1 && pv.length <= depth);
+  const chess = new Chess(fen);
+  pv.forEach((step) => assert.doesNotThrow(() => chess.move(step)));
+});
+
+test("a forced mate comes with the line that delivers it", () => {
+  // two rooks: cut the king off on the seventh, then mate on the eighth
+  const fen = "7k/8/8/8/8/8/R7/1R4K1 w - - 0 1";
+  const { pv, score } = findBestMove(fen, { depth: 4, timeMs: 5000 });
+  assert.equal(getMateIn(score), 2);
+  assert.equal(pv.length, 3);
+  const chess = new Chess(fen);
+  pv.forEach((step) => chess.move(step));
+  assert.equal(chess.isCheckmate(), true);
+});
+
+test("the side getting mated sees how soon", () => {
+  // black to move, mated next move whatever it plays
+  const { score } = findBestMove("k7/8/1K6/8/8/8/8/7R b - - 0 1", { depth: 3, timeMs: 5000 });
+  assert.equal(getMateIn(score), -1);
+});
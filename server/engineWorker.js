@@ -0,0 +1,12 @@
+// engineWorker.js (ESM) - runs engine searches off the main thread
+// Receives { id, fen, options } and answers { id, result } or { id, error }.
+import { parentPort } from "worker_threads";
+import { findBestMove } from "./engine.js";
+
+parentPort.on("message", ({ id, fen, options }) => {
+  try {
+    parentPort.postMessage({ id, result: findBestMove(fen, options) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
@@ -0,0 +1,97 @@
+// examples/bot.js (ESM) - a minimal bot account client
+// Logs in with an API token, accepts casual challenges one at a time and plays
+// the built-in engine's moves. Register the account first with
+// { type: "REGISTER", payload: { username, password, bot: true } }, which answers
+// with the token, then run:
+//   BOT_USERNAME=MyBot BOT_TOKEN=bot_... npm run bot
+import WebSocket from "ws";
+import { findBestMove, getEngineSettings, getThinkTime } from "../engine.js";
+
+const SERVER_URL = process.env.SERVER_URL || "ws://localhost:3001/ws";
+const USERNAME = process.env.BOT_USERNAME;
+const API_TOKEN = process.env.BOT_TOKEN;
+const LEVEL = Number(process.env.BOT_LEVEL) || 3;
+
+if (!USERNAME || !API_TOKEN) {
+  console.error("Set BOT_USERNAME and BOT_TOKEN");
+  process.exit(1);
+}
+
+const socket = new WebSocket(SERVER_URL);
+let current = null; // { gameId, color, timeControl }
+
+const send = (type, payload = {}) => socket.send(JSON.stringify({ type, payload, timestamp: Date.now() }));
+
+// Side to move, from the second field of a FEN
+const getTurn = (fen) => (fen.split(" ")[1] === "w" ? "white" : "black");
+
+// Search the position and send the move if it is our turn
+const playIfOurTurn = (fen, clocks) => {
+  if (!current || getTurn(fen) !== current.color) return;
+
+  const clock = clocks
+    ? { remainingMs: clocks[current.color], incrementMs: (current.timeControl?.increment || 0) * 1000 }
+    : null;
+  const result = findBestMove(fen, { ...getEngineSettings(LEVEL), timeMs: getThinkTime(LEVEL, clock) });
+  if (result) send("MAKE_MOVE", { gameId: current.gameId, move: result.move });
+};
+
+socket.on("open", () => send("LOGIN", { username: USERNAME, apiToken: API_TOKEN }));
+
+socket.on("message", (data) => {
+  const { type, payload } = JSON.parse(data.toString());
+
+  switch (type) {
+    case "LOGIN_SUCCESS":
+      console.log(`Logged in as ${payload.username}, waiting for challenges`);
+      break;
+
+    case "CHALLENGE_RECEIVED":
+      // Rated play and a second game at once are left to better bots
+      if (current || payload.rated) {
+        send("DECLINE_CHALLENGE", { challengeId: payload.challengeId, reason: current ? "busy" : "casual games only" });
+      } else {
+        send("ACCEPT_CHALLENGE", { challengeId: payload.challengeId });
+      }
+      break;
+
+    case "GAME_STARTED":
+    case "REMATCH_STARTED":
+    case "GAME_STATE":
+      if (!payload.color || payload.status !== "playing") break;
+      current = { gameId: payload.gameId, color: payload.color, timeControl: payload.timeControl };
+      console.log(`Playing ${payload.color} against ${payload.opponent} in game ${payload.gameId}`);
+      playIfOurTurn(payload.fen, payload.clocks);
+      break;
+
+    case "MOVE_MADE":
+    case "TAKEBACK_ACCEPTED":
+      if (payload.gameId === current?.gameId) playIfOurTurn(payload.fen, payload.clocks);
+      break;
+
+    case "DRAW_OFFERED":
+      send("DECLINE_DRAW", { gameId: payload.gameId });
+      break;
+
+    case "TAKEBACK_REQUESTED":
+      send("DECLINE_TAKEBACK", { gameId: payload.gameId });
+      break;
+
+    case "GAME_OVER":
+      console.log(`Game ${payload.gameId} over: ${payload.reason}`);
+      current = null;
+      break;
+
+    case "ERROR":
+      console.error(`${payload.code}: ${payload.message}`);
+      break;
+
+    default:
+      break;
+  }
+});
+
+socket.on("close", (code, reason) => {
+  console.log(`Disconnected (${code} ${reason})`);
+  process.exit(0);
+});
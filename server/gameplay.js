@@ -0,0 +1,130 @@
+// gameplay.js (ESM) - the rules of a game being played
+// Works on the server's game objects ({ game: Chess, clock, creator, opponent,
+// startPly, opening, matchScore, result, ... }). The app's offline games against
+// the computer (src/engine/localGame.js) run through the same functions, so a
+// game follows the same rules with or without a server.
+import { pressClock, stopClock, startClock, getClockTimes, getFlaggedColor, otherColor } from "./clock.js";
+import { getClaimableDraw, getTimeoutResult, getPliesPlayed } from "./termination.js";
+import { updateOpening, detectGameOpening } from "./openings.js";
+import { getPgnResult } from "./pgn.js";
+
+// Color whose turn it is in a game
+export const getTurnColor = (game) => (game.game.turn() === "w" ? "white" : "black");
+
+// Username seated at a color
+export const getPlayerName = (game, color) => (color === "white" ? game.creator : game.opponent);
+
+// Remaining clock times for a game, or null for untimed games
+export const getGameClocks = (game) => (game.clock ? getClockTimes(game.clock) : null);
+
+// Moves played so far, in the shape clients use to rebuild their move list
+export const getMoveList = (game) =>
+  game.game.history({ verbose: true }).map(({ from, to, san, color }) => ({ from, to, san, color }));
+
+// Play a move for one side, pressing its clock and following the opening.
+// Returns the MOVE_MADE payload, or null if the move is illegal; the caller
+// adds firstMoveCountdown and decides what happens next.
+export const applyMove = (game, moveInput, color) => {
+  const moveNumber = game.game.moveNumber();
+  let appliedMove;
+  try {
+    appliedMove = game.game.move(moveInput);
+  } catch (error) {
+    return null;
+  }
+
+  if (game.clock) pressClock(game.clock, color);
+  // A pending takeback no longer matches the position once another move is made
+  game.takebackRequest = null;
+  game.opening = updateOpening(game.opening, game.game.fen());
+
+  return {
+    gameId: game.id,
+    move: {
+      from: appliedMove.from,
+      to: appliedMove.to,
+      promotion: appliedMove.promotion || null,
+      color: appliedMove.color
+    },
+    san: appliedMove.san,
+    fen: game.game.fen(),
+    moveNumber,
+    player: getPlayerName(game, color),
+    clocks: getGameClocks(game),
+    claimableDraw: getClaimableDraw(game.game),
+    opening: game.opening || null
+  };
+};
+
+// Plies a takeback by `color` would undo: one if the opponent hasn't replied yet,
+// two if they have. Null when there is nothing of theirs to take back; moves from
+// a starting PGN were not played in this game and never are.
+export const getTakebackPlies = (game, color) => {
+  const plies = getTurnColor(game) === color ? 2 : 1;
+  return getPliesPlayed(game) < plies ? null : plies;
+};
+
+// Undo plies and give the move back. Clocks keep their remaining time; only the
+// running side changes. Returns the TAKEBACK_ACCEPTED payload, less firstMoveCountdown.
+export const takeBackMoves = (game, plies, requestedBy) => {
+  for (let ply = 0; ply < plies; ply++) {
+    game.game.undo();
+  }
+  game.takebackRequest = null;
+  // Taking back a move can return the game to an earlier opening
+  game.opening = detectGameOpening(game.game);
+  if (game.clock) {
+    stopClock(game.clock);
+    startClock(game.clock, getTurnColor(game));
+  }
+
+  return {
+    gameId: game.id,
+    requestedBy,
+    plies,
+    white: game.creator,
+    black: game.opponent,
+    fen: game.game.fen(),
+    turn: getTurnColor(game),
+    lastMove: game.game.history().at(-1) ?? null,
+    moves: getMoveList(game),
+    clocks: getGameClocks(game),
+    claimableDraw: getClaimableDraw(game.game),
+    opening: game.opening || null
+  };
+};
+
+// The result if the side to move has run out of time, otherwise null
+export const getFlagResult = (game) => {
+  if (game.status !== "playing" || !game.clock) return null;
+  const flagged = getFlaggedColor(game.clock);
+  return flagged ? { ...getTimeoutResult(game.game, flagged), flagged: getPlayerName(game, flagged) } : null;
+};
+
+// A result from termination.js with the players named, for clients that show who won
+export const nameResult = (game, result) =>
+  result.winnerColor
+    ? {
+        ...result,
+        winner: getPlayerName(game, result.winnerColor),
+        loser: getPlayerName(game, otherColor(result.winnerColor))
+      }
+    : result;
+
+// Running score of a rematch series by username, including this game once it has a result
+export const getMatchScore = (game) => {
+  if (!game.opponent) return null;
+
+  const score = {
+    [game.creator]: game.matchScore?.[game.creator] ?? 0,
+    [game.opponent]: game.matchScore?.[game.opponent] ?? 0
+  };
+  const result = getPgnResult(game);
+  if (result === "1-0") score[game.creator] += 1;
+  if (result === "0-1") score[game.opponent] += 1;
+  if (result === "1/2-1/2") {
+    score[game.creator] += 0.5;
+    score[game.opponent] += 0.5;
+  }
+  return score;
+};
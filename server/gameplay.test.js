@@ -0,0 +1,139 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  getTurnColor,
+  getMoveList,
+  applyMove,
+  getTakebackPlies,
+  takeBackMoves,
+  getFlagResult,
+  nameResult,
+  getMatchScore
+} from "./gameplay.js";
+import { createClock, startClock } from "./clock.js";
+import { winFor, drawBy } from "./termination.js";
+import { replayGame } from "./position.js";
+
+// A game in the shape the server keeps, with "alice" as white and "bob" as black
+const newGame = (moves = [], extra = {}) => ({
+  id: "g1",
+  creator: "alice",
+  opponent: "bob",
+  game: replayGame(null, moves),
+  startPly: 0,
+  opening: null,
+  status: "playing",
+  clock: null,
+  takebackRequest: null,
+  matchScore: null,
+  result: null,
+  ...extra
+});
+
+test("a legal move is played and described for MOVE_MADE", () => {
+  const game = newGame([], { takebackRequest: { requestedBy: "bob" } });
+  const moveMade = applyMove(game, "e4", "white");
+
+  assert.equal(moveMade.gameId, "g1");
+  assert.deepEqual(moveMade.move, { from: "e2", to: "e4", promotion: null, color: "w" });
+  assert.equal(moveMade.san, "e4");
+  assert.equal(moveMade.moveNumber, 1);
+  assert.equal(moveMade.player, "alice");
+  assert.equal(moveMade.fen, game.game.fen());
+  assert.equal(moveMade.clocks, null);
+  assert.equal(game.takebackRequest, null);
+  assert.equal(getTurnColor(game), "black");
+  assert.deepEqual(getMoveList(game), [{ from: "e2", to: "e4", san: "e4", color: "w" }]);
+});
+
+test("an illegal move leaves the game as it was", () => {
+  const game = newGame(["e4"]);
+  const fen = game.game.fen();
+  assert.equal(applyMove(game, "e4", "black"), null);
+  assert.equal(applyMove(game, { from: "e7", to: "e3" }, "black"), null);
+  assert.equal(game.game.fen(), fen);
+});
+
+test("moves follow the opening", () => {
+  const game = newGame(["e4", "e5", "Nf3", "Nc6"]);
+  assert.ok(applyMove(game, "Bb5", "white").opening?.name.includes("Ruy Lopez"));
+});
+
+test("a move presses the mover's clock", () => {
+  const clock = createClock({ minutes: 1, increment: 2 });
+  startClock(clock, "white");
+  const game = newGame([], { clock });
+  const { clocks } = applyMove(game, "e4", "white");
+
+  assert.equal(clock.active, "black");
+  assert.ok(clocks.white > 60 * 1000);
+  assert.ok(clocks.black <= 60 * 1000);
+});
+
+test("a takeback undoes the opponent's reply along with the player's move", () => {
+  const game = newGame(["e4", "e5"]);
+  assert.equal(getTakebackPlies(game, "white"), 2);
+  assert.equal(getTakebackPlies(game, "black"), 1);
+  assert.equal(getTakebackPlies(newGame(), "white"), null);
+  assert.equal(getTakebackPlies(newGame(["e4"]), "black"), null);
+});
+
+test("moves from a starting PGN cannot be taken back", () => {
+  const game = newGame(["e4", "e5", "Nf3"], { startPly: 2 });
+  assert.equal(getTakebackPlies(game, "white"), 1);
+  assert.equal(getTakebackPlies({ ...game, startPly: 3 }, "white"), null);
+});
+
+test("taking back moves rewinds the game and hands the move back", () => {
+  const clock = createClock({ minutes: 5, increment: 0 });
+  startClock(clock, "white");
+  const game = newGame(["e4", "e5", "Nf3"], { clock, takebackRequest: { requestedBy: "alice" } });
+  const takebackAccepted = takeBackMoves(game, 2, "bob");
+
+  assert.equal(takebackAccepted.requestedBy, "bob");
+  assert.equal(takebackAccepted.plies, 2);
+  assert.equal(takebackAccepted.turn, "black");
+  assert.equal(takebackAccepted.lastMove, "e4");
+  assert.deepEqual(takebackAccepted.moves, [{ from: "e2", to: "e4", san: "e4", color: "w" }]);
+  assert.equal(game.takebackRequest, null);
+  assert.equal(clock.active, "black");
+});
+
+test("only a playing game whose running clock is out of time is flagged", () => {
+  const clock = createClock({ minutes: 0, increment: 0 });
+  startClock(clock, "black");
+  const game = newGame(["e4"], { clock });
+
+  assert.deepEqual(getFlagResult(game), { ...winFor("white", "timeout"), flagged: "bob" });
+  assert.equal(getFlagResult({ ...game, status: "completed" }), null);
+  assert.equal(getFlagResult(newGame(["e4"])), null);
+  assert.equal(getFlagResult(newGame(["e4"], { clock: createClock({ minutes: 1, increment: 0 }) })), null);
+});
+
+test("results name the winner and loser", () => {
+  const game = newGame();
+  assert.deepEqual(nameResult(game, winFor("black", "resignation")), {
+    ...winFor("black", "resignation"),
+    winner: "bob",
+    loser: "alice"
+  });
+  assert.deepEqual(nameResult(game, drawBy("agreement")), drawBy("agreement"));
+});
+
+test("the match score counts this game for whoever played each color", () => {
+  assert.deepEqual(getMatchScore(newGame()), { alice: 0, bob: 0 });
+  assert.deepEqual(getMatchScore(newGame([], { result: winFor("white", "checkmate") })), { alice: 1, bob: 0 });
+  assert.deepEqual(getMatchScore(newGame([], { result: drawBy("agreement") })), { alice: 0.5, bob: 0.5 });
+  assert.equal(getMatchScore(newGame([], { opponent: null })), null);
+});
+
+test("a rematch adds to the score carried over, with colors swapped", () => {
+  // bob has white in the rematch and wins again
+  const rematch = newGame([], {
+    creator: "bob",
+    opponent: "alice",
+    matchScore: { alice: 0.5, bob: 1.5 },
+    result: winFor("white", "checkmate")
+  });
+  assert.deepEqual(getMatchScore(rematch), { alice: 0.5, bob: 2.5 });
+});
@@ -0,0 +1,85 @@
+// legacy.js (ESM) - compatibility shim for the old `t`-format protocol
+// Old clients send { t: "JOIN" | "MOVE" | "PING", ... } and expect
+// { t: "STATE" | "ILLEGAL" | "PONG" } back. Until the deprecation window
+// closes their messages are translated into the typed protocol on the way
+// in, and replies are translated back on the way out.
+import { ERROR_CODES } from "./protocol.js";
+
+// Last moment the shim is available; override with LEGACY_PROTOCOL_SUNSET
+const LEGACY_PROTOCOL_SUNSET = Date.parse(process.env.LEGACY_PROTOCOL_SUNSET || "2027-01-31T23:59:59Z");
+
+const MOVE_ERROR_CODES = new Set([
+  ERROR_CODES.NOT_YOUR_TURN,
+  ERROR_CODES.INVALID_MOVE,
+  ERROR_CODES.ILLEGAL_MOVE
+]);
+
+export const isLegacyMessage = (message) => typeof message?.t === "string";
+
+export const isLegacyProtocolSupported = (now = Date.now()) => now <= LEGACY_PROTOCOL_SUNSET;
+
+// Translate an inbound legacy message into a typed one (null if it has no equivalent).
+// `game` is the game named by the message, if it exists.
+export const fromLegacyMessage = (message, game, socket) => {
+  switch (message.t) {
+    case "PING":
+      return { type: "PING", payload: {} };
+
+    case "JOIN":
+      if (!message.gameId) return null;
+      // The old server opened a board for any id, so an unknown one creates the game under it
+      if (!game) {
+        return { type: "CREATE_GAME", payload: { gameId: message.gameId } };
+      }
+      // Our own game only needs the position again
+      if (game.creatorSocket === socket || game.opponentSocket === socket) {
+        return { type: "GET_GAME_STATE", payload: { gameId: message.gameId } };
+      }
+      // Joining an open seat takes it; anyone else watches, as everyone in an old room saw its moves
+      if (game.status === "waiting") {
+        return { type: "JOIN_GAME", payload: { gameId: message.gameId } };
+      }
+      return { type: "WATCH_GAME", payload: { gameId: message.gameId } };
+
+    case "MOVE":
+      return {
+        type: "MAKE_MOVE",
+        payload: {
+          gameId: message.gameId,
+          move: { from: message.from, to: message.to, promotion: message.promo || "q" }
+        }
+      };
+
+    default:
+      return null;
+  }
+};
+
+// Translate an outbound typed message for a legacy client (null drops it)
+export const toLegacyMessage = (data) => {
+  switch (data.type) {
+    case "PONG":
+      return { t: "PONG" };
+
+    case "GAME_STATE":
+      return { t: "STATE", fen: data.payload.fen, last: data.payload.lastMove };
+
+    // Old clients got the position back from every JOIN, including one that opened or took a seat
+    case "GAME_CREATED":
+    case "GAME_JOINED":
+      return { t: "STATE", fen: data.payload.fen, last: null };
+
+    case "MOVE_MADE":
+      return { t: "STATE", fen: data.payload.fen, last: data.payload.san };
+
+    case "TAKEBACK_ACCEPTED":
+      return { t: "STATE", fen: data.payload.fen, last: data.payload.lastMove };
+
+    case "ERROR":
+      if (MOVE_ERROR_CODES.has(data.payload.code)) return { t: "ILLEGAL" };
+      return { t: "ERROR", code: data.payload.code, message: data.payload.message };
+
+    default:
+      return null;
+  }
+};
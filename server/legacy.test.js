@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isLegacyMessage, isLegacyProtocolSupported, fromLegacyMessage, toLegacyMessage } from "./legacy.js";
+
+const socket = {};
+const otherSocket = {};
+
+test("t-format messages are told apart from typed ones", () => {
+  assert.equal(isLegacyMessage({ t: "PING" }), true);
+  assert.equal(isLegacyMessage({ type: "PING" }), false);
+  assert.equal(isLegacyMessage(null), false);
+});
+
+test("the shim is available until the sunset", () => {
+  assert.equal(isLegacyProtocolSupported(Date.parse("2026-06-01")), true);
+  assert.equal(isLegacyProtocolSupported(Date.parse("2027-02-01")), false);
+});
+
+test("JOIN opens, takes, resumes or watches a game depending on its state", () => {
+  const join = { t: "JOIN", gameId: "g1" };
+  const type = (game) => fromLegacyMessage(join, game, socket)?.type;
+
+  assert.deepEqual(fromLegacyMessage(join, undefined, socket), { type: "CREATE_GAME", payload: { gameId: "g1" } });
+  assert.equal(type({ status: "waiting", creatorSocket: otherSocket }), "JOIN_GAME");
+  assert.equal(type({ status: "waiting", creatorSocket: socket }), "GET_GAME_STATE");
+  assert.equal(type({ status: "playing", creatorSocket: otherSocket, opponentSocket: socket }), "GET_GAME_STATE");
+  assert.equal(type({ status: "playing", creatorSocket: otherSocket, opponentSocket: null }), "WATCH_GAME");
+  assert.equal(fromLegacyMessage({ t: "JOIN" }, undefined, socket), null);
+});
+
+test("MOVE becomes MAKE_MOVE, promoting to a queen by default", () => {
+  assert.deepEqual(fromLegacyMessage({ t: "MOVE", gameId: "g1", from: "a7", to: "a8" }, null, socket), {
+    type: "MAKE_MOVE",
+    payload: { gameId: "g1", move: { from: "a7", to: "a8", promotion: "q" } }
+  });
+  assert.equal(fromLegacyMessage({ t: "MOVE", gameId: "g1", from: "a7", to: "a8", promo: "n" }, null, socket).payload.move.promotion, "n");
+  assert.equal(fromLegacyMessage({ t: "SHOUT" }, null, socket), null);
+});
+
+test("replies are translated back, and ones old clients never saw are dropped", () => {
+  const fen = "8/8/8/8/8/8/8/K6k w - - 0 1";
+  assert.deepEqual(toLegacyMessage({ type: "PONG" }), { t: "PONG" });
+  assert.deepEqual(toLegacyMessage({ type: "MOVE_MADE", payload: { fen, san: "e4" } }), { t: "STATE", fen, last: "e4" });
+  assert.deepEqual(toLegacyMessage({ type: "GAME_CREATED", payload: { fen } }), { t: "STATE", fen, last: null });
+  assert.deepEqual(toLegacyMessage({ type: "GAME_JOINED", payload: { fen } }), { t: "STATE", fen, last: null });
+  assert.deepEqual(toLegacyMessage({ type: "ERROR", payload: { code: "NOT_YOUR_TURN" } }), { t: "ILLEGAL" });
+  assert.deepEqual(
+    toLegacyMessage({ type: "ERROR", payload: { code: "GAME_NOT_FOUND", message: "Game not found" } }),
+    { t: "ERROR", code: "GAME_NOT_FOUND", message: "Game not found" }
+  );
+  assert.equal(toLegacyMessage({ type: "SPECTATOR_COUNT", payload: { count: 1 } }), null);
+});
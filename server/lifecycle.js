@@ -0,0 +1,61 @@
+// lifecycle.js (ESM) - when games leave server memory
+// Finished games stay live for a while so players can rematch and download
+// them, then move to the archive (the game store). Games nobody joined expire.
+// The server runs a sweep on an interval and acts on what it returns.
+
+// How long a finished game stays in memory before it is archived
+export const FINISHED_GAME_RETENTION_MS = Number(process.env.FINISHED_GAME_RETENTION_MS) || 10 * 60 * 1000;
+
+// How long a game can wait for an opponent before it expires
+export const WAITING_GAME_TTL_MS = Number(process.env.WAITING_GAME_TTL_MS) || 30 * 60 * 1000;
+
+// How often the sweep runs
+export const LIFECYCLE_SWEEP_INTERVAL_MS = Number(process.env.LIFECYCLE_SWEEP_INTERVAL_MS) || 60 * 1000;
+
+// Above this heap size finished games are archived straight away
+export const MEMORY_LIMIT_MB = Number(process.env.MEMORY_LIMIT_MB) || 384;
+
+// Finished games kept in the archive; the oldest are dropped beyond this, 0 keeps them all
+export const ARCHIVE_MAX_GAMES = Number(process.env.ARCHIVE_MAX_GAMES ?? 10000);
+
+const FINISHED_STATUSES = new Set(["completed", "abandoned", "aborted"]);
+
+export const isFinished = (game) => FINISHED_STATUSES.has(game.status);
+
+const toMb = (bytes) => Math.round((bytes / 1024 / 1024) * 10) / 10;
+
+export const getMemoryUsage = () => {
+  const { heapUsed, rss } = process.memoryUsage();
+  return { heapUsedMb: toMb(heapUsed), rssMb: toMb(rss) };
+};
+
+export const isOverMemoryLimit = () => getMemoryUsage().heapUsedMb > MEMORY_LIMIT_MB;
+
+// Which live games should go: { archive, expire }, both lists of games.
+// Under memory pressure every finished game is archived, however recent.
+export const findStaleGames = (games, { now = Date.now(), underPressure = false } = {}) => {
+  const archive = [];
+  const expire = [];
+
+  games.forEach((game) => {
+    if (isFinished(game)) {
+      if (underPressure || now - (game.finishedAt ?? game.createdAt) >= FINISHED_GAME_RETENTION_MS) {
+        archive.push(game);
+      }
+    } else if (game.status === "waiting" && now - game.createdAt >= WAITING_GAME_TTL_MS) {
+      expire.push(game);
+    }
+  });
+
+  return { archive, expire };
+};
+
+// Counts for the monitoring endpoint
+export const countGamesByStatus = (games) => {
+  const counts = { waiting: 0, playing: 0, finished: 0 };
+  games.forEach((game) => {
+    if (isFinished(game)) counts.finished += 1;
+    else if (counts[game.status] !== undefined) counts[game.status] += 1;
+  });
+  return counts;
+};
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Short lifetimes so the arithmetic is easy to follow
+process.env.FINISHED_GAME_RETENTION_MS = "1000";
+process.env.WAITING_GAME_TTL_MS = "5000";
+const { isFinished, findStaleGames, countGamesByStatus, getMemoryUsage } = await import("./lifecycle.js");
+
+const games = [
+  { id: "waiting-new", status: "waiting", createdAt: 9000 },
+  { id: "waiting-old", status: "waiting", createdAt: 4000 },
+  { id: "playing", status: "playing", createdAt: 0 },
+  { id: "finished-new", status: "completed", createdAt: 0, finishedAt: 9500 },
+  { id: "finished-old", status: "abandoned", createdAt: 0, finishedAt: 8000 },
+  { id: "aborted-unstamped", status: "aborted", createdAt: 0 }
+];
+const ids = (list) => list.map(({ id }) => id);
+
+test("completed, abandoned and aborted games are finished", () => {
+  assert.deepEqual(ids(games.filter(isFinished)), ["finished-new", "finished-old", "aborted-unstamped"]);
+});
+
+test("finished games are archived after the retention time and unjoined games expire", () => {
+  const { archive, expire } = findStaleGames(games, { now: 10000 });
+  assert.deepEqual(ids(archive), ["finished-old", "aborted-unstamped"]);
+  assert.deepEqual(ids(expire), ["waiting-old"]);
+});
+
+test("under memory pressure every finished game is archived at once", () => {
+  const { archive, expire } = findStaleGames(games, { now: 10000, underPressure: true });
+  assert.deepEqual(ids(archive), ["finished-new", "finished-old", "aborted-unstamped"]);
+  assert.deepEqual(ids(expire), ["waiting-old"]);
+});
+
+test("games are counted by status for monitoring", () => {
+  assert.deepEqual(countGamesByStatus(games), { waiting: 2, playing: 1, finished: 3 });
+  const { heapUsedMb, rssMb } = getMemoryUsage();
+  assert.ok(heapUsedMb > 0 && rssMb >= heapUsedMb);
+});
@@ -0,0 +1,53 @@
+// lobby.js (ESM) - open game seeks
+// A seek is an offer to play anyone: its creator waits in the lobby instead
+// of sharing a game ID, and the first player to accept it starts a game.
+import { v4 as uuidv4 } from "uuid";
+
+const seeks = new Map(); // seekId -> { id, creator, socket, session, timeControl, color, rated, createdAt }
+
+// Sockets that asked for live lobby updates
+const subscribers = new Set();
+
+export const createSeek = ({ creator, socket, session, timeControl, color = "random", rated = false }) => {
+  const seek = {
+    id: uuidv4().substring(0, 8),
+    creator,
+    socket,
+    session,
+    timeControl,
+    color,
+    rated,
+    createdAt: Date.now()
+  };
+  seeks.set(seek.id, seek);
+  return seek;
+};
+
+export const getSeek = (seekId) => seeks.get(seekId) || null;
+
+export const removeSeek = (seekId) => seeks.delete(seekId);
+
+// Drop every seek a player has open; returns the removed seeks
+export const removeSeeksBy = (username) => {
+  const removed = [...seeks.values()].filter((seek) => seek.creator === username);
+  removed.forEach((seek) => seeks.delete(seek.id));
+  return removed;
+};
+
+// What other players see of a seek
+export const toPublicSeek = (seek) => ({
+  seekId: seek.id,
+  creator: seek.creator,
+  timeControl: seek.timeControl,
+  color: seek.color,
+  rated: seek.rated,
+  createdAt: seek.createdAt
+});
+
+export const listSeeks = () => [...seeks.values()].map(toPublicSeek);
+
+export const subscribeToLobby = (socket) => subscribers.add(socket);
+
+export const unsubscribeFromLobby = (socket) => subscribers.delete(socket);
+
+export const getLobbySubscribers = () => subscribers;
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createSeek,
+  getSeek,
+  removeSeek,
+  removeSeeksBy,
+  toPublicSeek,
+  listSeeks,
+  subscribeToLobby,
+  unsubscribeFromLobby,
+  getLobbySubscribers
+} from "./lobby.js";
+
+test("a seek can be found, listed without its socket, and removed", () => {
+  const socket = {};
+  const seek = createSeek({ creator: "alice", socket, session: "token", timeControl: { minutes: 5, increment: 0 } });
+  assert.equal(getSeek(seek.id), seek);
+  assert.equal(seek.color, "random");
+  assert.equal(seek.rated, false);
+
+  const listed = listSeeks().find(({ seekId }) => seekId === seek.id);
+  assert.deepEqual(listed, toPublicSeek(seek));
+  assert.equal(listed.socket, undefined);
+  assert.equal(listed.session, undefined);
+
+  assert.equal(removeSeek(seek.id), true);
+  assert.equal(getSeek(seek.id), null);
+  assert.equal(removeSeek(seek.id), false);
+});
+
+test("removing a player's seeks leaves everyone else's", () => {
+  const first = createSeek({ creator: "bob", timeControl: null, color: "white" });
+  const second = createSeek({ creator: "bob", timeControl: null, rated: true });
+  const other = createSeek({ creator: "carol", timeControl: null });
+
+  const removed = removeSeeksBy("bob");
+  assert.deepEqual(removed.map(({ id }) => id).sort(), [first.id, second.id].sort());
+  assert.equal(getSeek(first.id), null);
+  assert.equal(getSeek(other.id), other);
+  removeSeek(other.id);
+});
+
+test("sockets can subscribe to lobby updates and leave", () => {
+  const socket = {};
+  subscribeToLobby(socket);
+  subscribeToLobby(socket);
+  assert.equal([...getLobbySubscribers()].filter((subscriber) => subscriber === socket).length, 1);
+  unsubscribeFromLobby(socket);
+  assert.equal(getLobbySubscribers().has(socket), false);
+});
@@ -0,0 +1,77 @@
+// matchmaking.js (ESM) - automatic pairing queue
+// Players queue with the time control they want. At first only players who
+// asked for the same game are paired; the longer someone waits, the further
+// apart the time controls they will accept.
+import { estimateDuration } from "./clock.js";
+
+// How long a player waits before their search widens by one step
+export const QUEUE_WIDEN_INTERVAL_MS = Number(process.env.QUEUE_WIDEN_INTERVAL_MS) || 15000;
+
+// Accepted difference in estimated game length at each step, relative to the shorter game.
+// The last step pairs anyone, including timed with untimed players.
+const SEARCH_WIDTHS = [0, 0.25, 0.5, 1, Infinity];
+
+const queue = new Map(); // username -> { username, socket, session, timeControl, queuedAt }
+
+// Whites minus blacks played by each user through matchmaking, to alternate colors
+const colorBalance = new Map();
+
+export const getSearchStep = (entry, now = Date.now()) =>
+  Math.min(SEARCH_WIDTHS.length - 1, Math.floor((now - entry.queuedAt) / QUEUE_WIDEN_INTERVAL_MS));
+
+const areCompatible = (a, b, now) => {
+  const width = Math.max(SEARCH_WIDTHS[getSearchStep(a, now)], SEARCH_WIDTHS[getSearchStep(b, now)]);
+  if (width === Infinity) return true;
+
+  const durationA = estimateDuration(a.timeControl);
+  const durationB = estimateDuration(b.timeControl);
+  if (durationA === Infinity || durationB === Infinity) return durationA === durationB;
+  return Math.abs(durationA - durationB) / Math.min(durationA, durationB) <= width;
+};
+
+export const enqueue = ({ username, socket, session, timeControl }, now = Date.now()) => {
+  const entry = { username, socket, session, timeControl, queuedAt: now };
+  queue.set(username, entry);
+  return entry;
+};
+
+export const dequeue = (username) => queue.delete(username);
+
+export const getQueueEntry = (username) => queue.get(username) || null;
+
+export const getQueueEntries = () => [...queue.values()];
+
+export const getQueueSize = () => queue.size;
+
+// Pair compatible players, longest waiting first, and take them out of the queue.
+// Each pair is [earlier, later]; the earlier player's time control is used.
+export const takePairs = (now = Date.now()) => {
+  const waiting = [...queue.values()].sort((a, b) => a.queuedAt - b.queuedAt);
+  const paired = new Set();
+  const pairs = [];
+
+  waiting.forEach((entry, index) => {
+    if (paired.has(entry)) return;
+    const partner = waiting.slice(index + 1).find((other) => !paired.has(other) && areCompatible(entry, other, now));
+    if (!partner) return;
+
+    paired.add(entry);
+    paired.add(partner);
+    pairs.push([entry, partner]);
+  });
+
+  paired.forEach((entry) => queue.delete(entry.username));
+  return pairs;
+};
+
+// Give white to whoever has had black more often; a coin flip breaks ties
+export const assignColors = (a, b) => {
+  const balanceA = colorBalance.get(a.username) || 0;
+  const balanceB = colorBalance.get(b.username) || 0;
+  const aIsWhite = balanceA === balanceB ? Math.random() < 0.5 : balanceA < balanceB;
+
+  const [white, black] = aIsWhite ? [a, b] : [b, a];
+  colorBalance.set(white.username, (colorBalance.get(white.username) || 0) + 1);
+  colorBalance.set(black.username, (colorBalance.get(black.username) || 0) - 1);
+  return { white, black };
+};
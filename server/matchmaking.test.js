@@ -0,0 +1,81 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  QUEUE_WIDEN_INTERVAL_MS,
+  enqueue,
+  dequeue,
+  getQueueEntry,
+  getQueueEntries,
+  getQueueSize,
+  getSearchStep,
+  takePairs,
+  assignColors
+} from "./matchmaking.js";
+
+const BLITZ = { minutes: 5, increment: 0 };
+const RAPID = { minutes: 15, increment: 10 };
+
+// The queue lives in the module, so empty it between tests
+beforeEach(() => getQueueEntries().forEach(({ username }) => dequeue(username)));
+
+const pairNames = (pairs) => pairs.map((pair) => pair.map(({ username }) => username));
+
+test("players asking for the same game are paired at once, longest waiting first", () => {
+  enqueue({ username: "alice", timeControl: BLITZ }, 0);
+  enqueue({ username: "bob", timeControl: RAPID }, 10);
+  enqueue({ username: "carol", timeControl: BLITZ }, 20);
+  enqueue({ username: "dave", timeControl: BLITZ }, 30);
+
+  assert.deepEqual(pairNames(takePairs(40)), [["alice", "carol"]]);
+  assert.equal(getQueueSize(), 2);
+  assert.equal(getQueueEntry("alice"), null);
+  assert.ok(getQueueEntry("dave"));
+});
+
+test("queuing again replaces the earlier entry", () => {
+  enqueue({ username: "alice", timeControl: BLITZ }, 0);
+  enqueue({ username: "alice", timeControl: RAPID }, 100);
+  assert.equal(getQueueSize(), 1);
+  assert.deepEqual(getQueueEntry("alice").timeControl, RAPID);
+  assert.equal(getQueueEntry("alice").queuedAt, 100);
+});
+
+test("the search widens step by step the longer someone waits", () => {
+  const entry = enqueue({ username: "alice", timeControl: BLITZ }, 0);
+  assert.equal(getSearchStep(entry, QUEUE_WIDEN_INTERVAL_MS - 1), 0);
+  assert.equal(getSearchStep(entry, QUEUE_WIDEN_INTERVAL_MS), 1);
+  assert.equal(getSearchStep(entry, QUEUE_WIDEN_INTERVAL_MS * 100), 4);
+});
+
+test("close time controls are paired after one step, far ones only at the last", () => {
+  // 5+0 against 5+2: 300s and 380s, about 27% apart
+  enqueue({ username: "alice", timeControl: BLITZ }, 0);
+  enqueue({ username: "bob", timeControl: { minutes: 5, increment: 2 } }, 0);
+  assert.deepEqual(takePairs(QUEUE_WIDEN_INTERVAL_MS), []);
+  assert.deepEqual(pairNames(takePairs(QUEUE_WIDEN_INTERVAL_MS * 2)), [["alice", "bob"]]);
+
+  // Timed against untimed only once anyone goes
+  enqueue({ username: "carol", timeControl: BLITZ }, 0);
+  enqueue({ username: "dave", timeControl: null }, 0);
+  assert.deepEqual(takePairs(QUEUE_WIDEN_INTERVAL_MS * 3), []);
+  assert.deepEqual(pairNames(takePairs(QUEUE_WIDEN_INTERVAL_MS * 4)), [["carol", "dave"]]);
+});
+
+test("one player's wider search is enough to pair them", () => {
+  enqueue({ username: "alice", timeControl: BLITZ }, 0);
+  enqueue({ username: "bob", timeControl: RAPID }, QUEUE_WIDEN_INTERVAL_MS * 4);
+  assert.deepEqual(pairNames(takePairs(QUEUE_WIDEN_INTERVAL_MS * 4)), [["alice", "bob"]]);
+});
+
+test("colors alternate for players who keep being paired", () => {
+  const erin = { username: "erin" };
+  const frank = { username: "frank" };
+  const first = assignColors(erin, frank);
+  const second = assignColors(erin, frank);
+  assert.notEqual(first.white.username, second.white.username);
+
+  // Whoever has had black more often gets white
+  const { white: hadWhite } = assignColors({ username: "grace" }, { username: "heidi" });
+  const ivan = { username: "ivan" };
+  assert.equal(assignColors(hadWhite, ivan).white, ivan);
+});
@@ -0,0 +1,55 @@
+// openings.js (ESM) - name the opening of a game from the bundled ECO table
+// Games are matched by position rather than by move order, so an opening reached
+// by transposition is still recognised. A game's opening is that of the last of
+// its positions found in the table, and stays put once play leaves it.
+import { Chess } from "chess.js";
+import { ECO_OPENINGS } from "./eco.js";
+
+// Piece placement, side to move and castling rights; the en passant square and
+// the move counters don't change which opening a position belongs to
+export const getPositionKey = (fen) => fen.split(" ").slice(0, 3).join(" ");
+
+// Table entries by the position their moves reach. Replaying the table takes a
+// moment, so it is done once as the module loads rather than in the first game.
+const buildOpeningIndex = () => {
+  const openings = new Map();
+  // Neighbouring entries share most of their moves, so one game walks the whole
+  // table, undoing only back to where the next entry branches off
+  const chess = new Chess();
+  let played = [];
+  ECO_OPENINGS.forEach(([eco, name, moves]) => {
+    const line = moves.split(" ");
+    let shared = 0;
+    while (shared < played.length && played[shared] === line[shared]) shared++;
+    for (let ply = played.length; ply > shared; ply--) chess.undo();
+    line.slice(shared).forEach((move) => chess.move(move));
+    played = line;
+    openings.set(getPositionKey(chess.fen()), { eco, name });
+  });
+  return openings;
+};
+
+const OPENINGS_BY_POSITION = buildOpeningIndex();
+
+// { eco, name } for a position in the table, otherwise null
+export const findOpening = (fen) => OPENINGS_BY_POSITION.get(getPositionKey(fen)) || null;
+
+// The opening once a move reaches `fen`, given the opening before it
+export const updateOpening = (opening, fen) => findOpening(fen) || opening;
+
+// The opening of a game given its positions in order
+export const detectOpening = (fens) => {
+  for (let index = fens.length - 1; index >= 0; index--) {
+    const opening = findOpening(fens[index]);
+    if (opening) return opening;
+  }
+  return null;
+};
+
+// The opening of a chess.js game. Its starting position counts too, so a game
+// set up from a FEN can begin in a named opening.
+export const detectGameOpening = (chess) => {
+  const history = chess.history({ verbose: true });
+  if (history.length === 0) return findOpening(chess.fen());
+  return detectOpening([history[0].before, ...history.map(({ after }) => after)]);
+};
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Chess } from "chess.js";
+import { getPositionKey, findOpening, updateOpening, detectOpening, detectGameOpening } from "./openings.js";
+import { ECO_OPENINGS } from "./eco.js";
+import { replayGame } from "./position.js";
+
+const fensAfter = (moves) => {
+  const chess = new Chess();
+  return [chess.fen(), ...moves.map((move) => (chess.move(move), chess.fen()))];
+};
+
+const KINGS_KNIGHT = { eco: "C40", name: "King's Knight Opening" };
+
+test("every table entry has an ECO code and moves that can be played", () => {
+  ECO_OPENINGS.forEach(([eco, name, moves]) => {
+    assert.match(eco, /^[A-E]\d\d$/, name);
+    const chess = new Chess();
+    assert.doesNotThrow(() => moves.split(" ").forEach((move) => chess.move(move)), name);
+  });
+});
+
+test("position keys ignore en passant squares and move counters", () => {
+  assert.equal(
+    getPositionKey("rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1"),
+    "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq"
+  );
+});
+
+test("positions in the table are named", () => {
+  assert.deepEqual(findOpening(fensAfter(["e4", "e5", "Nf3"]).at(-1)), KINGS_KNIGHT);
+  assert.equal(findOpening(fensAfter([]).at(-1)), null);
+  assert.equal(findOpening(fensAfter(["Na3", "h6"]).at(-1)), null);
+});
+
+test("an opening reached by transposition is recognised", () => {
+  const direct = findOpening(fensAfter(["e4", "e5", "Nf3", "Nc6"]).at(-1));
+  assert.equal(direct.eco, "C44");
+  assert.deepEqual(findOpening(fensAfter(["Nf3", "Nc6", "e4", "e5"]).at(-1)), direct);
+});
+
+test("the opening stays put once play leaves the table", () => {
+  assert.deepEqual(updateOpening(KINGS_KNIGHT, fensAfter(["e4", "e5", "Nf3", "a6", "h3"]).at(-1)), KINGS_KNIGHT);
+  assert.equal(updateOpening(null, fensAfter(["Na3"]).at(-1)), null);
+  assert.equal(updateOpening(KINGS_KNIGHT, fensAfter(["e4", "e5", "Nf3", "Nf6"]).at(-1)).eco, "C42");
+});
+
+test("a game's opening is that of its last named position", () => {
+  assert.deepEqual(detectOpening(fensAfter(["e4", "e5", "Nf3", "a6", "h3"])), KINGS_KNIGHT);
+  assert.equal(detectOpening(fensAfter(["Na3", "h6"])), null);
+  assert.equal(detectOpening([]), null);
+});
+
+test("games set up from a FEN count their starting position", () => {
+  const startFen = fensAfter(["e4", "e5", "Nf3"]).at(-1);
+  assert.deepEqual(detectGameOpening(replayGame(startFen, [])), KINGS_KNIGHT);
+  assert.deepEqual(detectGameOpening(replayGame(startFen, ["h6"])), KINGS_KNIGHT);
+  assert.equal(detectGameOpening(new Chess()), null);
+  assert.match(detectGameOpening(replayGame(null, ["e4", "e5", "Nf3", "Nc6", "Bb5"])).eco, /^C6\d$/);
+});
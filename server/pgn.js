@@ -0,0 +1,68 @@
+// pgn.js (ESM) - export game records as PGN
+import { replayGame } from "./position.js";
+
+// Draw reasons used by records saved before results carried their score
+const DRAW_REASONS = new Set(["draw", "draw_agreement", "stalemate"]);
+
+// PGN Termination tag values for our GAME_OVER reasons
+const TERMINATIONS = {
+  checkmate: "normal",
+  resignation: "normal",
+  stalemate: "normal",
+  insufficient_material: "normal",
+  threefold_repetition: "normal",
+  fifty_move_rule: "normal",
+  fivefold_repetition: "normal",
+  seventy_five_move_rule: "normal",
+  draw: "normal",
+  draw_agreement: "normal",
+  timeout: "time forfeit",
+  timeout_vs_insufficient_material: "time forfeit",
+  abandoned: "abandoned",
+  opponent_left: "abandoned",
+  no_show: "abandoned",
+  aborted: "unterminated"
+};
+
+// "1-0", "0-1", "1/2-1/2", or "*" for games without a result
+export const getPgnResult = (record) => {
+  const { result } = record;
+  if (!result) return "*";
+  if (result.result) return result.result;
+  if (DRAW_REASONS.has(result.reason)) return "1/2-1/2";
+  if (result.winner && result.winner === record.creator) return "1-0";
+  if (result.winner && result.winner === record.opponent) return "0-1";
+  return "*";
+};
+
+const formatPgnDate = (timestamp) => {
+  const date = new Date(timestamp);
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getUTCFullYear()}.${pad(date.getUTCMonth() + 1)}.${pad(date.getUTCDate())}`;
+};
+
+// Seven Tag Roster plus time control, termination and the opening, followed by the moves
+export const buildPgn = (record, { site = "SilentCheckmate" } = {}) => {
+  // Games from a custom position get SetUp/FEN headers from chess.js
+  const chess = replayGame(record.startFen, record.moves);
+
+  const { timeControl } = record;
+  const headers = {
+    Event: `SilentCheckmate ${record.rated ? "rated" : "casual"} game`,
+    Site: site,
+    Date: formatPgnDate(record.createdAt),
+    Round: "-",
+    White: record.creator || "?",
+    Black: record.opponent || "?",
+    Result: getPgnResult(record),
+    TimeControl: timeControl ? `${Math.round(timeControl.minutes * 60)}+${timeControl.increment}` : "-",
+    Termination: record.result ? TERMINATIONS[record.result.reason] || "unterminated" : "unterminated"
+  };
+  if (record.opening) {
+    headers.ECO = record.opening.eco;
+    headers.Opening = record.opening.name;
+  }
+  Object.entries(headers).forEach(([key, value]) => chess.setHeader(key, value));
+
+  return chess.pgn({ maxWidth: 80 }) + "\n";
+};
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildPgn, getPgnResult } from "./pgn.js";
+
+const record = (extra = {}) => ({
+  id: "g1",
+  creator: "alice",
+  opponent: "bob",
+  startFen: null,
+  moves: ["e4", "e5", "Nf3"],
+  timeControl: { minutes: 3, increment: 2 },
+  createdAt: Date.UTC(2024, 0, 5),
+  result: null,
+  ...extra
+});
+
+test("results come from the record, with older records falling back on the winner", () => {
+  assert.equal(getPgnResult(record()), "*");
+  assert.equal(getPgnResult(record({ result: { result: "0-1", reason: "checkmate" } })), "0-1");
+  assert.equal(getPgnResult(record({ result: { winner: "alice", reason: "resignation" } })), "1-0");
+  assert.equal(getPgnResult(record({ result: { winner: "bob", reason: "timeout" } })), "0-1");
+  assert.equal(getPgnResult(record({ result: { reason: "draw_agreement" } })), "1/2-1/2");
+});
+
+test("a finished game exports its headers and moves", () => {
+  const pgn = buildPgn(record({ result: { result: "1-0", reason: "timeout" } }), { site: "http://localhost" });
+  assert.match(pgn, /\[Site "http:\/\/localhost"\]/);
+  assert.match(pgn, /\[Date "2024\.01\.05"\]/);
+  assert.match(pgn, /\[White "alice"\]/);
+  assert.match(pgn, /\[Black "bob"\]/);
+  assert.match(pgn, /\[Result "1-0"\]/);
+  assert.match(pgn, /\[TimeControl "180\+2"\]/);
+  assert.match(pgn, /\[Termination "time forfeit"\]/);
+  assert.match(pgn, /1\. e4 e5 2\. Nf3 1-0\n$/);
+});
+
+test("the event says whether the game was rated", () => {
+  assert.match(buildPgn(record()), /\[Event "SilentCheckmate casual game"\]/);
+  assert.match(buildPgn(record({ rated: true })), /\[Event "SilentCheckmate rated game"\]/);
+});
+
+test("a game in progress is unterminated and an untimed one has no time control", () => {
+  const pgn = buildPgn(record({ opponent: null, timeControl: null }));
+  assert.match(pgn, /\[Black "\?"\]/);
+  assert.match(pgn, /\[Result "\*"\]/);
+  assert.match(pgn, /\[TimeControl "-"\]/);
+  assert.match(pgn, /\[Termination "unterminated"\]/);
+});
+
+test("a game from a custom position carries SetUp and FEN headers", () => {
+  const startFen = "4k3/8/8/8/8/8/4P3/4K3 w - - 0 1";
+  const pgn = buildPgn(record({ startFen, moves: ["e4"] }));
+  assert.match(pgn, /\[SetUp "1"\]/);
+  assert.match(pgn, new RegExp(`\\[FEN "${startFen}"\\]`));
+});
+
+test("the opening is exported when known", () => {
+  const pgn = buildPgn(record({ opening: { eco: "C40", name: "King's Knight Opening" } }));
+  assert.match(pgn, /\[ECO "C40"\]/);
+  assert.match(pgn, /\[Opening "King's Knight Opening"\]/);
+});
@@ -0,0 +1,32 @@
+// position.js (ESM) - starting positions for games that don't begin from the usual setup
+import { Chess } from "chess.js";
+
+// Rebuild a board from its starting FEN (null for the standard position) and SAN moves
+export const replayGame = (startFen, moves = []) => {
+  const chess = new Chess(startFen || undefined);
+  moves.forEach((san) => chess.move(san));
+  return chess;
+};
+
+// Work out where a new game starts from an optional FEN or PGN.
+// Returns { startFen, moves }; throws with a readable message if the input is unusable.
+export const parseStartingPosition = ({ fen, pgn } = {}) => {
+  let startFen = null;
+  let moves = [];
+
+  if (fen) {
+    // chess.js validates the FEN and throws on anything malformed
+    startFen = new Chess(fen.trim()).fen();
+  } else if (pgn) {
+    const chess = new Chess();
+    chess.loadPgn(pgn);
+    startFen = chess.getHeaders().FEN || null;
+    moves = chess.history();
+  }
+
+  if (replayGame(startFen, moves).isGameOver()) {
+    throw new Error("The position is already finished");
+  }
+
+  return { startFen, moves };
+};
@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseStartingPosition, replayGame } from "./position.js";
+
+const ENDGAME_FEN = "4k3/8/8/8/8/8/4P3/4K3 w - - 0 1";
+
+test("no FEN or PGN starts from the usual setup", () => {
+  assert.deepEqual(parseStartingPosition({}), { startFen: null, moves: [] });
+  assert.deepEqual(parseStartingPosition(), { startFen: null, moves: [] });
+});
+
+test("a FEN is normalised and starts the game there", () => {
+  const { startFen, moves } = parseStartingPosition({ fen: `  ${ENDGAME_FEN}  ` });
+  assert.equal(startFen, ENDGAME_FEN);
+  assert.deepEqual(moves, []);
+});
+
+test("a PGN starts the game after its moves", () => {
+  const { startFen, moves } = parseStartingPosition({ pgn: "1. e4 e5 2. Nf3 Nc6" });
+  assert.equal(startFen, null);
+  assert.deepEqual(moves, ["e4", "e5", "Nf3", "Nc6"]);
+});
+
+test("a PGN with a FEN header keeps its starting position", () => {
+  const pgn = `[SetUp "1"]\n[FEN "${ENDGAME_FEN}"]\n\n1. e4 Kd7`;
+  const { startFen, moves } = parseStartingPosition({ pgn });
+  assert.equal(startFen, ENDGAME_FEN);
+  assert.deepEqual(moves, ["e4", "Kd7"]);
+});
+
+test("unusable positions are rejected", () => {
+  assert.throws(() => parseStartingPosition({ fen: "not a fen" }));
+  assert.throws(() => parseStartingPosition({ pgn: "1. e4 e4" }));
+  // Fool's mate: already over
+  assert.throws(() => parseStartingPosition({ pgn: "1. f3 e5 2. g4 Qh4#" }), /already finished/);
+  assert.throws(() => parseStartingPosition({ fen: "4k3/8/8/8/8/8/8/4K3 w - - 0 1" }), /already finished/);
+});
+
+test("replayGame rebuilds a board from its start and moves", () => {
+  const chess = replayGame(ENDGAME_FEN, ["e4"]);
+  assert.equal(chess.fen(), "4k3/8/8/8/4P3/8/8/4K3 b - - 0 1");
+  assert.equal(replayGame(null).fen(), "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1");
+});
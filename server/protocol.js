@@ -0,0 +1,295 @@
+// protocol.js (ESM) - the SilentCheckmate WebSocket protocol
+// Every message is { type, payload, timestamp }. Inbound messages are
+// validated against the JSON schemas below before they reach a handler.
+import Ajv from "ajv";
+import { MAX_CHAT_LENGTH } from "./chat.js";
+import { MIN_ENGINE_LEVEL, MAX_ENGINE_LEVEL } from "./engine.js";
+
+// Bumped whenever a change would break existing clients
+export const PROTOCOL_VERSION = 2;
+export const MIN_PROTOCOL_VERSION = 1;
+
+// Error codes sent with ERROR messages so clients can react without parsing text
+export const ERROR_CODES = {
+  INVALID_MESSAGE: "INVALID_MESSAGE",
+  UNKNOWN_MESSAGE_TYPE: "UNKNOWN_MESSAGE_TYPE",
+  UNSUPPORTED_PROTOCOL: "UNSUPPORTED_PROTOCOL",
+  GAME_NOT_FOUND: "GAME_NOT_FOUND",
+  GAME_NOT_JOINABLE: "GAME_NOT_JOINABLE",
+  GAME_NOT_ACTIVE: "GAME_NOT_ACTIVE",
+  NOT_A_PLAYER: "NOT_A_PLAYER",
+  NOT_IN_GAME: "NOT_IN_GAME",
+  ALREADY_IN_GAME: "ALREADY_IN_GAME",
+  NOT_YOUR_TURN: "NOT_YOUR_TURN",
+  INVALID_MOVE: "INVALID_MOVE",
+  ILLEGAL_MOVE: "ILLEGAL_MOVE",
+  INVALID_TIME_CONTROL: "INVALID_TIME_CONTROL",
+  INVALID_POSITION: "INVALID_POSITION",
+  CLOCK_NOT_EXPIRED: "CLOCK_NOT_EXPIRED",
+  NO_DRAW_OFFER: "NO_DRAW_OFFER",
+  TAKEBACKS_DISABLED: "TAKEBACKS_DISABLED",
+  NO_MOVE_TO_TAKE_BACK: "NO_MOVE_TO_TAKE_BACK",
+  NO_TAKEBACK_REQUEST: "NO_TAKEBACK_REQUEST",
+  REMATCH_NOT_AVAILABLE: "REMATCH_NOT_AVAILABLE",
+  NO_REMATCH_OFFER: "NO_REMATCH_OFFER",
+  SEEK_NOT_FOUND: "SEEK_NOT_FOUND",
+  OWN_SEEK: "OWN_SEEK",
+  CHAT_RATE_LIMITED: "CHAT_RATE_LIMITED",
+  INVALID_CREDENTIALS: "INVALID_CREDENTIALS",
+  INVALID_USERNAME: "INVALID_USERNAME",
+  WEAK_PASSWORD: "WEAK_PASSWORD",
+  USERNAME_TAKEN: "USERNAME_TAKEN",
+  NAME_REGISTERED: "NAME_REGISTERED",
+  NAME_IN_USE: "NAME_IN_USE",
+  ACCOUNT_REQUIRED: "ACCOUNT_REQUIRED",
+  NOT_LOGGED_IN: "NOT_LOGGED_IN",
+  NO_DRAW_TO_CLAIM: "NO_DRAW_TO_CLAIM",
+  ABORT_NOT_AVAILABLE: "ABORT_NOT_AVAILABLE",
+  NO_VICTORY_TO_CLAIM: "NO_VICTORY_TO_CLAIM",
+  PLAYER_NOT_FOUND: "PLAYER_NOT_FOUND",
+  CHALLENGE_NOT_FOUND: "CHALLENGE_NOT_FOUND",
+  OWN_CHALLENGE: "OWN_CHALLENGE",
+  BOT_NOT_ALLOWED: "BOT_NOT_ALLOWED",
+  BOT_ACCOUNT_REQUIRED: "BOT_ACCOUNT_REQUIRED",
+  RATE_LIMITED: "RATE_LIMITED",
+  PUZZLE_NOT_FOUND: "PUZZLE_NOT_FOUND",
+  SERVER_ERROR: "SERVER_ERROR"
+};
+
+const gameId = { type: "string", minLength: 1, maxLength: 64 };
+const square = { type: "string", pattern: "^[a-h][1-8]$" };
+
+// SAN, or { from, to, promotion }
+const move = {
+  oneOf: [
+    { type: "string", minLength: 2, maxLength: 10 },
+    {
+      type: "object",
+      required: ["from", "to"],
+      properties: {
+        from: square,
+        to: square,
+        promotion: { type: ["string", "null"], enum: ["q", "r", "b", "n", null] }
+      }
+    }
+  ]
+};
+
+// { minutes, increment }, or null for an untimed game
+const timeControl = {
+  type: ["object", "null"],
+  required: ["minutes"],
+  properties: {
+    minutes: { type: "number" },
+    increment: { type: "number" }
+  }
+};
+
+// Payload for messages that only name a seek
+const seekScoped = {
+  type: "object",
+  required: ["seekId"],
+  properties: { seekId: { type: "string", minLength: 1, maxLength: 64 } }
+};
+
+// Payload for messages that only name a challenge
+const challengeScoped = {
+  type: "object",
+  required: ["challengeId"],
+  properties: { challengeId: { type: "string", minLength: 1, maxLength: 64 } }
+};
+
+// Payload for messages that only name a game
+const gameScoped = {
+  type: "object",
+  required: ["gameId"],
+  properties: { gameId }
+};
+
+// Payload schemas, keyed by message type
+export const MESSAGE_SCHEMAS = {
+  HELLO: {
+    type: "object",
+    required: ["protocolVersion"],
+    properties: {
+      protocolVersion: { type: "integer", minimum: 1 }
+    }
+  },
+  PING: { type: "object" },
+  // Without a password, API token or session token for the same name LOGIN plays as a guest
+  LOGIN: {
+    type: "object",
+    required: ["username"],
+    not: { required: ["password", "apiToken"] },
+    properties: {
+      username: { type: "string", minLength: 1, maxLength: 32 },
+      password: { type: "string", minLength: 1, maxLength: 128 },
+      apiToken: { type: "string", minLength: 1, maxLength: 128 },
+      sessionToken: { type: "string", maxLength: 512 }
+    }
+  },
+  // `bot: true` registers a bot account and answers with its API token
+  REGISTER: {
+    type: "object",
+    required: ["username", "password"],
+    properties: {
+      username: { type: "string", minLength: 1, maxLength: 32 },
+      password: { type: "string", minLength: 1, maxLength: 128 },
+      bot: { type: "boolean" }
+    }
+  },
+  RESET_API_TOKEN: { type: "object" },
+  CREATE_GAME: {
+    type: "object",
+    // A game starts from a FEN or a PGN, not both
+    not: { required: ["fen", "pgn"] },
+    properties: {
+      fen: { type: "string", minLength: 1, maxLength: 100 },
+      pgn: { type: "string", minLength: 1, maxLength: 20000 },
+      allowTakebacks: { type: "boolean" },
+      timeControl,
+      // Only used for legacy t-format clients, whose JOIN names the game it opens
+      gameId
+    }
+  },
+  QUEUE_FOR_GAME: {
+    type: "object",
+    properties: { timeControl }
+  },
+  LEAVE_QUEUE: { type: "object" },
+  // A game against the computer; `color` is the player's side
+  PLAY_VS_BOT: {
+    type: "object",
+    properties: {
+      level: { type: "integer", minimum: MIN_ENGINE_LEVEL, maximum: MAX_ENGINE_LEVEL },
+      color: { enum: ["white", "black", "random"] },
+      allowTakebacks: { type: "boolean" },
+      timeControl
+    }
+  },
+  CREATE_SEEK: {
+    type: "object",
+    properties: {
+      timeControl,
+      color: { enum: ["white", "black", "random"] },
+      rated: { type: "boolean" }
+    }
+  },
+  CANCEL_SEEK: seekScoped,
+  LIST_SEEKS: { type: "object" },
+  LEAVE_LOBBY: { type: "object" },
+  ACCEPT_SEEK: seekScoped,
+  // `color` is the challenger's side
+  CHALLENGE: {
+    type: "object",
+    required: ["opponent"],
+    properties: {
+      opponent: { type: "string", minLength: 1, maxLength: 32 },
+      timeControl,
+      color: { enum: ["white", "black", "random"] },
+      rated: { type: "boolean" }
+    }
+  },
+  CANCEL_CHALLENGE: challengeScoped,
+  ACCEPT_CHALLENGE: challengeScoped,
+  DECLINE_CHALLENGE: {
+    type: "object",
+    required: ["challengeId"],
+    properties: {
+      challengeId: { type: "string", minLength: 1, maxLength: 64 },
+      reason: { type: "string", maxLength: 100 }
+    }
+  },
+  JOIN_GAME: gameScoped,
+  GET_GAME_STATE: gameScoped,
+  WATCH_GAME: gameScoped,
+  STOP_WATCHING: gameScoped,
+  MAKE_MOVE: {
+    type: "object",
+    required: ["gameId", "move"],
+    properties: { gameId, move }
+  },
+  RESIGN: gameScoped,
+  ABORT_GAME: gameScoped,
+  OFFER_DRAW: gameScoped,
+  ACCEPT_DRAW: gameScoped,
+  DECLINE_DRAW: gameScoped,
+  CLAIM_DRAW: gameScoped,
+  CLAIM_VICTORY: gameScoped,
+  REQUEST_TAKEBACK: gameScoped,
+  ACCEPT_TAKEBACK: gameScoped,
+  DECLINE_TAKEBACK: gameScoped,
+  OFFER_REMATCH: gameScoped,
+  ACCEPT_REMATCH: gameScoped,
+  TIMEOUT: gameScoped,
+  // A puzzle near the player's puzzle rating, optionally with one theme such as "fork"
+  GET_PUZZLE: {
+    type: "object",
+    properties: {
+      theme: { type: "string", minLength: 1, maxLength: 40 }
+    }
+  },
+  PUZZLE_MOVE: {
+    type: "object",
+    required: ["puzzleId", "move"],
+    properties: {
+      puzzleId: { type: "string", minLength: 1, maxLength: 64 },
+      move
+    }
+  },
+  CHAT_MESSAGE: {
+    type: "object",
+    required: ["gameId", "text"],
+    properties: {
+      gameId,
+      // Must contain something other than whitespace
+      text: { type: "string", minLength: 1, maxLength: MAX_CHAT_LENGTH, pattern: "\\S" }
+    }
+  }
+};
+
+const ENVELOPE_SCHEMA = {
+  type: "object",
+  required: ["type"],
+  properties: {
+    type: { type: "string" },
+    payload: { type: "object" },
+    timestamp: { type: "number" }
+  }
+};
+
+const ajv = new Ajv({ allErrors: false });
+const validateEnvelope = ajv.compile(ENVELOPE_SCHEMA);
+const payloadValidators = Object.fromEntries(
+  Object.entries(MESSAGE_SCHEMAS).map(([type, schema]) => [type, ajv.compile(schema)])
+);
+
+const describeErrors = (errors) =>
+  errors.map((error) => `${error.instancePath || "payload"} ${error.message}`).join("; ");
+
+// Check an inbound message; returns null when valid, otherwise { code, message }
+export const validateMessage = (message) => {
+  if (!validateEnvelope(message)) {
+    return {
+      code: ERROR_CODES.INVALID_MESSAGE,
+      message: `Invalid message: ${describeErrors(validateEnvelope.errors)}`
+    };
+  }
+
+  const validatePayload = payloadValidators[message.type];
+  if (!validatePayload) {
+    return {
+      code: ERROR_CODES.UNKNOWN_MESSAGE_TYPE,
+      message: `Unknown message type: ${message.type}`
+    };
+  }
+
+  if (!validatePayload(message.payload ?? {})) {
+    return {
+      code: ERROR_CODES.INVALID_MESSAGE,
+      message: `Invalid ${message.type} payload: ${describeErrors(validatePayload.errors)}`
+    };
+  }
+
+  return null;
+};
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ERROR_CODES, MESSAGE_SCHEMAS, validateMessage } from "./protocol.js";
+
+const message = (type, payload) => ({ type, payload, timestamp: Date.now() });
+
+test("a well-formed message passes", () => {
+  assert.equal(validateMessage(message("PING", {})), null);
+  assert.equal(validateMessage({ type: "PING" }), null);
+  assert.equal(validateMessage(message("MAKE_MOVE", { gameId: "abc", move: "e4" })), null);
+  assert.equal(validateMessage(message("MAKE_MOVE", { gameId: "abc", move: { from: "e7", to: "e8", promotion: "q" } })), null);
+});
+
+test("a message without a type is invalid", () => {
+  assert.equal(validateMessage({ payload: {} }).code, ERROR_CODES.INVALID_MESSAGE);
+  assert.equal(validateMessage({ type: "PING", payload: "hello" }).code, ERROR_CODES.INVALID_MESSAGE);
+});
+
+test("an unknown type is reported as such", () => {
+  const problem = validateMessage(message("TELEPORT", {}));
+  assert.equal(problem.code, ERROR_CODES.UNKNOWN_MESSAGE_TYPE);
+  assert.match(problem.message, /TELEPORT/);
+});
+
+test("payloads are checked against their schema", () => {
+  const badSquare = validateMessage(message("MAKE_MOVE", { gameId: "abc", move: { from: "z9", to: "e4" } }));
+  assert.equal(badSquare.code, ERROR_CODES.INVALID_MESSAGE);
+  assert.match(badSquare.message, /MAKE_MOVE/);
+
+  assert.equal(validateMessage(message("MAKE_MOVE", { move: "e4" })).code, ERROR_CODES.INVALID_MESSAGE);
+  assert.equal(validateMessage(message("HELLO", { protocolVersion: 0 })).code, ERROR_CODES.INVALID_MESSAGE);
+  assert.equal(validateMessage(message("CREATE_GAME", { fen: "8/8/8/8/8/8/8/K6k w - - 0 1", pgn: "1. e4" })).code, ERROR_CODES.INVALID_MESSAGE);
+});
+
+test("every schema is an object schema", () => {
+  Object.entries(MESSAGE_SCHEMAS).forEach(([type, schema]) => assert.equal(schema.type, "object", type));
+});
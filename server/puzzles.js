@@ -0,0 +1,211 @@
+// puzzles.js (ESM) - tactics puzzles: loading sets, picking one for a player,
+// checking their moves and keeping their puzzle rating and streak
+// Puzzles follow the lichess puzzle database: `fen` is the position before the
+// opponent's move, `moves` are UCI moves starting with that move, and the solver
+// plays every other move after it, finishing the line.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { Chess } from "chess.js";
+import { createRating, rateGame, toPublicRating } from "./ratings.js";
+
+// The set that ships with the server
+const BUNDLED_PUZZLES_PATH = fileURLToPath(new URL("./puzzles/starter.csv", import.meta.url));
+
+// Imported sets: every .csv and .json file in this directory is loaded at startup
+export const PUZZLE_DIR = path.resolve(process.env.PUZZLE_DIR || "data/puzzles");
+
+// A new puzzle is picked at random among this many unplayed ones closest to the player's rating
+const PUZZLE_CHOICES = 10;
+
+// Puzzles a player has been given lately, not offered again until the rest are used up
+const RECENT_PUZZLES = 200;
+
+const DEFAULT_PUZZLE_RATING = 1500;
+const DEFAULT_PUZZLE_RD = 80;
+
+const UCI_PATTERN = /^[a-h][1-8][a-h][1-8][qrbn]?$/;
+
+const puzzles = new Map(); // id -> puzzle
+
+// "e7e8q" as { from, to, promotion }
+const fromUci = (move) => ({ from: move.slice(0, 2), to: move.slice(2, 4), ...(move[4] && { promotion: move[4] }) });
+
+// Moves and themes come as arrays or space-separated strings
+const toList = (value) => (Array.isArray(value) ? value : String(value ?? "").split(/\s+/)).filter(Boolean);
+
+// A puzzle from one row of a set, checked by replaying its moves. Throws on a bad
+// FEN, an illegal move or a line that doesn't end with the solver's move.
+export const toPuzzle = ({ id, fen, moves, rating, rd, themes }) => {
+  const line = toList(moves);
+  if (!id) throw new Error("missing id");
+  if (line.length < 2 || line.length % 2 !== 0) {
+    throw new Error("moves must be the opponent's move followed by the solution");
+  }
+  const badMove = line.find((move) => !UCI_PATTERN.test(move));
+  if (badMove) throw new Error(`${badMove} is not a UCI move`);
+
+  // chess.js throws on a malformed FEN or an illegal move
+  const chess = new Chess(fen);
+  line.forEach((move) => chess.move(fromUci(move)));
+
+  return {
+    id: String(id),
+    fen: new Chess(fen).fen(),
+    moves: line,
+    rating: Number(rating) || DEFAULT_PUZZLE_RATING,
+    rd: Number(rd) || DEFAULT_PUZZLE_RD,
+    themes: toList(themes)
+  };
+};
+
+// Rows of a CSV file in the lichess column order (PuzzleId, FEN, Moves, Rating,
+// RatingDeviation, Popularity, NbPlays, Themes, ...); the header row is optional
+const parseCsv = (text) =>
+  text
+    .split(/\r?\n/)
+    .filter((line) => line.trim() && !line.startsWith("PuzzleId,"))
+    .map((line) => {
+      const [id, fen, moves, rating, rd, , , themes] = line.split(",");
+      return { id, fen, moves, rating, rd, themes };
+    });
+
+// An array of puzzles, or { puzzles: [...] }
+const parseJson = (text) => {
+  const data = JSON.parse(text);
+  return Array.isArray(data) ? data : data.puzzles || [];
+};
+
+// The puzzles in a .csv or .json file, plus { id, reason } for each row that was rejected
+export const parsePuzzleFile = (filePath) => {
+  const text = fs.readFileSync(filePath, "utf8");
+  const rows = path.extname(filePath).toLowerCase() === ".json" ? parseJson(text) : parseCsv(text);
+
+  const parsed = [];
+  const rejected = [];
+  rows.forEach((row, index) => {
+    try {
+      parsed.push(toPuzzle(row));
+    } catch (error) {
+      rejected.push({ id: row?.id || `row ${index + 1}`, reason: error.message });
+    }
+  });
+  return { puzzles: parsed, rejected };
+};
+
+// Load the bundled set, then every set in PUZZLE_DIR in name order; a puzzle
+// whose id was already loaded replaces the earlier one. Returns the puzzle count.
+export const loadPuzzles = () => {
+  const files = [BUNDLED_PUZZLES_PATH];
+  if (fs.existsSync(PUZZLE_DIR)) {
+    fs.readdirSync(PUZZLE_DIR)
+      .filter((name) => /\.(csv|json)$/i.test(name))
+      .sort()
+      .forEach((name) => files.push(path.join(PUZZLE_DIR, name)));
+  }
+
+  files.forEach((file) => {
+    try {
+      const { puzzles: loaded, rejected } = parsePuzzleFile(file);
+      loaded.forEach((puzzle) => puzzles.set(puzzle.id, puzzle));
+      if (rejected.length > 0) console.warn(`Skipped ${rejected.length} invalid puzzles in ${file}`);
+    } catch (error) {
+      console.error(`Could not read puzzles from ${file}:`, error);
+    }
+  });
+  return puzzles.size;
+};
+
+export const getPuzzleCount = () => puzzles.size;
+
+// A puzzle near `rating` that is not among the `recent` ids, only with `theme` if
+// one is given. Once every matching puzzle is recent they are offered again.
+// Returns null when no puzzle has the theme.
+export const pickPuzzle = ({ rating, recent = [], theme = null, random = Math.random }) => {
+  const matching = [...puzzles.values()].filter((puzzle) => !theme || puzzle.themes.includes(theme));
+  const recentIds = new Set(recent);
+  const unplayed = matching.filter((puzzle) => !recentIds.has(puzzle.id));
+
+  const choices = (unplayed.length > 0 ? unplayed : matching)
+    .sort((a, b) => Math.abs(a.rating - rating) - Math.abs(b.rating - rating))
+    .slice(0, PUZZLE_CHOICES);
+  return choices.length > 0 ? choices[Math.floor(random() * choices.length)] : null;
+};
+
+// A puzzle in progress, with the opponent's first move already played.
+// `ply` indexes the next move of the line; `failed` is set by the first wrong move.
+export const startPuzzle = (puzzle) => {
+  const chess = new Chess(puzzle.fen);
+  const lastMove = chess.move(fromUci(puzzle.moves[0]));
+  return { puzzle, chess, ply: 1, failed: false, lastMove };
+};
+
+// Check the solver's move. A wrong move is taken back; a right one is answered
+// with the opponent's next move in the line. Any checkmate solves the puzzle on
+// its last move, even one other than the line's. Returns { outcome, move, reply }
+// with outcome "illegal", "wrong", "correct" or "solved".
+export const playPuzzleMove = (attempt, moveInput) => {
+  const { puzzle, chess } = attempt;
+  let move;
+  try {
+    move = chess.move(moveInput);
+  } catch (error) {
+    return { outcome: "illegal", move: null, reply: null };
+  }
+
+  const isLastMove = attempt.ply === puzzle.moves.length - 1;
+  if (move.lan !== puzzle.moves[attempt.ply] && !(isLastMove && chess.isCheckmate())) {
+    chess.undo();
+    attempt.failed = true;
+    return { outcome: "wrong", move, reply: null };
+  }
+
+  attempt.ply += 1;
+  if (attempt.ply === puzzle.moves.length) {
+    return { outcome: "solved", move, reply: null };
+  }
+  const reply = chess.move(fromUci(puzzle.moves[attempt.ply]));
+  attempt.ply += 1;
+  return { outcome: "correct", move, reply };
+};
+
+// A player's puzzle record: Glicko-2 rating, current and best streak of puzzles
+// solved without a mistake, totals, and the ids of recent puzzles
+export const createPuzzleStats = () => ({
+  rating: createRating(),
+  streak: 0,
+  bestStreak: 0,
+  solved: 0,
+  failed: 0,
+  recent: []
+});
+
+// Remember a puzzle the player was given, so it isn't offered again soon
+export const addRecentPuzzle = (stats, puzzleId) => ({
+  ...stats,
+  recent: [...stats.recent.filter((id) => id !== puzzleId), puzzleId].slice(-RECENT_PUZZLES)
+});
+
+// Rate an attempt as a game against the puzzle: a win when solved without a
+// mistake, a loss at the first wrong move. The puzzle's own rating stays put.
+export const recordPuzzleResult = (stats, puzzle, solved) => {
+  const puzzleRating = { ...createRating(), rating: puzzle.rating, rd: puzzle.rd };
+  const streak = solved ? stats.streak + 1 : 0;
+  return {
+    ...stats,
+    rating: rateGame(stats.rating, puzzleRating, solved ? 1 : 0).white,
+    streak,
+    bestStreak: Math.max(stats.bestStreak, streak),
+    solved: stats.solved + (solved ? 1 : 0),
+    failed: stats.failed + (solved ? 0 : 1)
+  };
+};
+
+// What clients see of a player's puzzle record
+export const toPublicPuzzleStats = (stats) => ({
+  rating: toPublicRating(stats.rating),
+  streak: stats.streak,
+  bestStreak: stats.bestStreak,
+  solved: stats.solved,
+  failed: stats.failed
+});
@@ -0,0 +1,180 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Imported sets come from a directory of the test's own
+const puzzleDir = fs.mkdtempSync(path.join(os.tmpdir(), "puzzles-"));
+process.env.PUZZLE_DIR = puzzleDir;
+const {
+  toPuzzle,
+  parsePuzzleFile,
+  loadPuzzles,
+  getPuzzleCount,
+  pickPuzzle,
+  startPuzzle,
+  playPuzzleMove,
+  createPuzzleStats,
+  addRecentPuzzle,
+  recordPuzzleResult,
+  toPublicPuzzleStats
+} = await import("./puzzles.js");
+
+// A fork: after 1...Qc6, Ne7+ wins the queen once the king steps aside
+const FORK = {
+  id: "fork1",
+  fen: "r5k1/pp1q1ppp/8/3N4/8/3B4/PP3PPP/4R1K1 b - - 0 1",
+  moves: "d7c6 d5e7 g8h8 e7c6",
+  rating: 1400,
+  rd: 60,
+  themes: "fork middlegame"
+};
+
+// Two rooks and two mates after the king steps into the corner
+const TWO_MATES = {
+  id: "twomates",
+  fen: "6k1/5ppp/8/8/8/8/5PPP/R3R1K1 b - - 0 1",
+  moves: ["g8h8", "a1a8"],
+  rating: 700,
+  themes: ["mate", "mateIn1"]
+};
+
+test("a puzzle is checked by replaying its line", () => {
+  const puzzle = toPuzzle(FORK);
+  assert.deepEqual(puzzle.moves, ["d7c6", "d5e7", "g8h8", "e7c6"]);
+  assert.deepEqual(puzzle.themes, ["fork", "middlegame"]);
+  assert.equal(puzzle.rating, 1400);
+  assert.equal(puzzle.rd, 60);
+
+  assert.equal(toPuzzle({ ...TWO_MATES, rating: "" }).rating, 1500);
+  assert.throws(() => toPuzzle({ ...FORK, id: "" }), /missing id/);
+  assert.throws(() => toPuzzle({ ...FORK, moves: "d7c6 d5e7 g8h8" }), /opponent's move followed by the solution/);
+  assert.throws(() => toPuzzle({ ...FORK, moves: "d7c6 Ne7+" }), /not a UCI move/);
+  assert.throws(() => toPuzzle({ ...FORK, moves: "d7c6 d5d6" }));
+  assert.throws(() => toPuzzle({ ...FORK, fen: "not a fen" }));
+});
+
+test("sets are read from CSV in the lichess column order or from JSON", () => {
+  const csvPath = path.join(puzzleDir, "b-set.csv");
+  fs.writeFileSync(
+    csvPath,
+    [
+      "PuzzleId,FEN,Moves,Rating,RatingDeviation,Popularity,NbPlays,Themes,GameUrl,OpeningTags",
+      `${FORK.id},${FORK.fen},${FORK.moves},${FORK.rating},${FORK.rd},95,100,${FORK.themes},,`,
+      `broken,${FORK.fen},d7c6,1000,80,0,0,fork,,`,
+      ""
+    ].join("\n")
+  );
+  const fromCsv = parsePuzzleFile(csvPath);
+  assert.deepEqual(fromCsv.puzzles.map(({ id }) => id), ["fork1"]);
+  assert.deepEqual(fromCsv.rejected, [{ id: "broken", reason: "moves must be the opponent's move followed by the solution" }]);
+
+  const jsonPath = path.join(puzzleDir, "a-set.json");
+  fs.writeFileSync(jsonPath, JSON.stringify({ puzzles: [TWO_MATES, { fen: FORK.fen }] }));
+  const fromJson = parsePuzzleFile(jsonPath);
+  assert.deepEqual(fromJson.puzzles.map(({ id }) => id), ["twomates"]);
+  assert.deepEqual(fromJson.rejected, [{ id: "row 2", reason: "missing id" }]);
+});
+
+test("imported sets load after the bundled one, replacing puzzles by id", () => {
+  fs.writeFileSync(path.join(puzzleDir, "c-override.json"), JSON.stringify([{ ...FORK, rating: 2900 }]));
+  fs.writeFileSync(path.join(puzzleDir, "notes.txt"), "not a puzzle set");
+
+  const count = loadPuzzles();
+  assert.equal(count, getPuzzleCount());
+  assert.ok(count > 2);
+  assert.equal(pickPuzzle({ rating: 2900, theme: "fork", random: () => 0 }).rating, 2900);
+});
+
+test("puzzles are picked near the player's rating, skipping recent ones", () => {
+  assert.equal(pickPuzzle({ rating: 700, theme: "mateIn1", random: () => 0 }).id, "twomates");
+  assert.notEqual(pickPuzzle({ rating: 700, theme: "mateIn1", recent: ["twomates"], random: () => 0 }).id, "twomates");
+  assert.equal(pickPuzzle({ rating: 1500, theme: "nosuchtheme" }), null);
+});
+
+test("once every puzzle with the theme is recent they come round again", () => {
+  const everyFork = ["fork1", "sc006"];
+  assert.ok(everyFork.includes(pickPuzzle({ rating: 1500, theme: "fork", recent: everyFork }).id));
+});
+
+test("a puzzle starts after the opponent's move and answers right moves", () => {
+  const attempt = startPuzzle(toPuzzle(FORK));
+  assert.equal(attempt.lastMove.san, "Qc6");
+  assert.equal(attempt.chess.turn(), "w");
+
+  const first = playPuzzleMove(attempt, { from: "d5", to: "e7" });
+  assert.equal(first.outcome, "correct");
+  assert.equal(first.move.san, "Ne7+");
+  assert.equal(first.reply.san, "Kh8");
+
+  const last = playPuzzleMove(attempt, "Nxc6");
+  assert.equal(last.outcome, "solved");
+  assert.equal(last.reply, null);
+  assert.equal(attempt.failed, false);
+});
+
+test("a wrong move is taken back and the puzzle can still be finished", () => {
+  const attempt = startPuzzle(toPuzzle(FORK));
+  const fen = attempt.chess.fen();
+
+  const wrong = playPuzzleMove(attempt, "Nf6+");
+  assert.equal(wrong.outcome, "wrong");
+  assert.equal(wrong.move.san, "Nf6+");
+  assert.equal(attempt.chess.fen(), fen);
+  assert.equal(attempt.failed, true);
+
+  assert.equal(playPuzzleMove(attempt, "Ne7+").outcome, "correct");
+  assert.equal(playPuzzleMove(attempt, "Nxc6").outcome, "solved");
+  assert.equal(attempt.failed, true);
+});
+
+test("illegal moves are refused without counting as a mistake", () => {
+  const attempt = startPuzzle(toPuzzle(FORK));
+  assert.deepEqual(playPuzzleMove(attempt, "Qd8"), { outcome: "illegal", move: null, reply: null });
+  assert.equal(attempt.failed, false);
+});
+
+test("any checkmate on the last move solves the puzzle", () => {
+  const puzzle = toPuzzle(TWO_MATES);
+  assert.equal(playPuzzleMove(startPuzzle(puzzle), "Ra8#").outcome, "solved");
+  assert.equal(playPuzzleMove(startPuzzle(puzzle), "Re8#").outcome, "solved");
+  assert.equal(playPuzzleMove(startPuzzle(puzzle), "Rad1").outcome, "wrong");
+});
+
+test("recent puzzles are kept once each, newest last", () => {
+  let stats = createPuzzleStats();
+  ["a", "b", "a"].forEach((id) => {
+    stats = addRecentPuzzle(stats, id);
+  });
+  assert.deepEqual(stats.recent, ["b", "a"]);
+
+  for (let count = 0; count < 250; count++) stats = addRecentPuzzle(stats, `p${count}`);
+  assert.equal(stats.recent.length, 200);
+  assert.equal(stats.recent.at(-1), "p249");
+});
+
+test("solving wins rating and builds the streak; a mistake ends it", () => {
+  const puzzle = toPuzzle(FORK);
+  const start = createPuzzleStats();
+  const once = recordPuzzleResult(start, puzzle, true);
+  const twice = recordPuzzleResult(once, puzzle, true);
+  assert.ok(once.rating.rating > start.rating.rating);
+  assert.equal(twice.streak, 2);
+  assert.equal(twice.solved, 2);
+
+  const missed = recordPuzzleResult(twice, puzzle, false);
+  assert.ok(missed.rating.rating < twice.rating.rating);
+  assert.equal(missed.streak, 0);
+  assert.equal(missed.bestStreak, 2);
+  assert.equal(missed.failed, 1);
+  assert.equal(puzzle.rating, 1400);
+});
+
+test("clients see the rating and counts but not the recent list", () => {
+  const shown = toPublicPuzzleStats(addRecentPuzzle(createPuzzleStats(), "a"));
+  assert.deepEqual(Object.keys(shown).sort(), ["bestStreak", "failed", "rating", "solved", "streak"]);
+  assert.equal(shown.rating.provisional, true);
+});
+
+test.after(() => fs.rmSync(puzzleDir, { recursive: true, force: true }));
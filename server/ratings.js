@@ -0,0 +1,117 @@
+// ratings.js (ESM) - Glicko-2 player ratings
+// Every rated game is treated as its own rating period, so both players'
+// ratings move as soon as it ends. Players have a separate rating for each
+// time-control category.
+// See http://www.glicko.net/glicko/glicko2.pdf for the algorithm.
+import { estimateDuration } from "./clock.js";
+
+export const RATING_CATEGORIES = ["bullet", "blitz", "rapid", "classical", "untimed"];
+
+const DEFAULT_RATING = 1500;
+const DEFAULT_RD = 350;
+const DEFAULT_VOLATILITY = 0.06;
+const MIN_RD = 30;
+
+// Constrains how much volatility can change per game
+const TAU = 0.5;
+const CONVERGENCE_TOLERANCE = 0.000001;
+
+// Converts between the Glicko scale and the Glicko-2 scale
+const GLICKO2_SCALE = 173.7178;
+
+// Ratings with a deviation above this are shown as provisional
+const PROVISIONAL_RD = 110;
+
+// Category by estimated game length in seconds
+export const getRatingCategory = (timeControl) => {
+  const duration = estimateDuration(timeControl);
+  if (duration === Infinity) return "untimed";
+  if (duration < 180) return "bullet";
+  if (duration < 480) return "blitz";
+  if (duration < 1500) return "rapid";
+  return "classical";
+};
+
+export const createRating = () => ({
+  rating: DEFAULT_RATING,
+  rd: DEFAULT_RD,
+  volatility: DEFAULT_VOLATILITY,
+  games: 0
+});
+
+const g = (phi) => 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+
+// Step 5 of the paper: find the new volatility with the Illinois algorithm
+const getNewVolatility = (phi, sigma, delta, v) => {
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const denominator = phi * phi + v + ex;
+    return (ex * (delta * delta - phi * phi - v - ex)) / (2 * denominator * denominator) - (x - a) / (TAU * TAU);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) k += 1;
+    B = a - k * TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > CONVERGENCE_TOLERANCE) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA /= 2;
+    }
+    B = C;
+    fB = fC;
+  }
+  return Math.exp(A / 2);
+};
+
+// New rating for `player` after one game against `opponent`; score is 1, 0.5 or 0
+const ratePlayer = (player, opponent, score) => {
+  const mu = (player.rating - DEFAULT_RATING) / GLICKO2_SCALE;
+  const phi = player.rd / GLICKO2_SCALE;
+  const opponentMu = (opponent.rating - DEFAULT_RATING) / GLICKO2_SCALE;
+  const opponentPhi = opponent.rd / GLICKO2_SCALE;
+
+  const gPhi = g(opponentPhi);
+  const expected = 1 / (1 + Math.exp(-gPhi * (mu - opponentMu)));
+  const v = 1 / (gPhi * gPhi * expected * (1 - expected));
+  const delta = v * gPhi * (score - expected);
+
+  const volatility = getNewVolatility(phi, player.volatility, delta, v);
+  const preRatingPhi = Math.sqrt(phi * phi + volatility * volatility);
+  const newPhi = 1 / Math.sqrt(1 / (preRatingPhi * preRatingPhi) + 1 / v);
+  const newMu = mu + newPhi * newPhi * gPhi * (score - expected);
+
+  return {
+    rating: newMu * GLICKO2_SCALE + DEFAULT_RATING,
+    rd: Math.min(DEFAULT_RD, Math.max(MIN_RD, newPhi * GLICKO2_SCALE)),
+    volatility,
+    games: player.games + 1
+  };
+};
+
+// Both players' new ratings after a game; whiteScore is 1, 0.5 or 0
+export const rateGame = (white, black, whiteScore) => ({
+  white: ratePlayer(white, black, whiteScore),
+  black: ratePlayer(black, white, 1 - whiteScore)
+});
+
+// What clients see of a rating
+export const toPublicRating = (rating) => ({
+  rating: Math.round(rating.rating),
+  rd: Math.round(rating.rd),
+  games: rating.games,
+  provisional: rating.rd > PROVISIONAL_RD
+});
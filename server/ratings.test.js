@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { RATING_CATEGORIES, getRatingCategory, createRating, rateGame, toPublicRating } from "./ratings.js";
+
+test("categories follow the estimated game length", () => {
+  assert.equal(getRatingCategory({ minutes: 1, increment: 0 }), "bullet");
+  assert.equal(getRatingCategory({ minutes: 2, increment: 1 }), "bullet");
+  assert.equal(getRatingCategory({ minutes: 3, increment: 0 }), "blitz");
+  assert.equal(getRatingCategory({ minutes: 5, increment: 0 }), "blitz");
+  assert.equal(getRatingCategory({ minutes: 10, increment: 0 }), "rapid");
+  assert.equal(getRatingCategory({ minutes: 15, increment: 10 }), "rapid");
+  assert.equal(getRatingCategory({ minutes: 30, increment: 0 }), "classical");
+  assert.equal(getRatingCategory(null), "untimed");
+  assert.deepEqual(RATING_CATEGORIES, ["bullet", "blitz", "rapid", "classical", "untimed"]);
+});
+
+test("between new players the winner gains what the loser drops", () => {
+  const { white, black } = rateGame(createRating(), createRating(), 1);
+  assert.equal(Math.round(white.rating), 1662);
+  assert.equal(Math.round(black.rating), 1338);
+  assert.equal(Math.round(white.rd), 290);
+  assert.equal(white.rd, black.rd);
+  assert.equal(white.games, 1);
+  assert.equal(black.games, 1);
+});
+
+test("a draw between equals moves nobody, but makes both ratings surer", () => {
+  const { white, black } = rateGame(createRating(), createRating(), 0.5);
+  assert.equal(Math.round(white.rating), 1500);
+  assert.equal(Math.round(black.rating), 1500);
+  assert.ok(white.rd < createRating().rd);
+});
+
+test("beating a stronger player is worth more than beating a weaker one", () => {
+  const strong = { ...createRating(), rating: 1900, rd: 60 };
+  const weak = { ...createRating(), rating: 1100, rd: 60 };
+  const player = { ...createRating(), rating: 1500, rd: 60 };
+  const upset = rateGame(player, strong, 1).white.rating - player.rating;
+  const expected = rateGame(player, weak, 1).white.rating - player.rating;
+  assert.ok(upset > expected && expected > 0);
+  // A settled rating moves less than a new one
+  assert.ok(upset < rateGame(createRating(), createRating(), 1).white.rating - 1500);
+});
+
+test("deviation never drops below its floor", () => {
+  let white = { ...createRating(), rd: 31 };
+  let black = { ...createRating(), rd: 31 };
+  for (let game = 0; game < 20; game++) ({ white, black } = rateGame(white, black, 0.5));
+  assert.ok(white.rd >= 30);
+});
+
+test("clients see rounded ratings, provisional while the deviation is high", () => {
+  assert.deepEqual(toPublicRating(createRating()), { rating: 1500, rd: 350, games: 0, provisional: true });
+  assert.deepEqual(toPublicRating({ rating: 1612.6, rd: 80.2, volatility: 0.06, games: 30 }), {
+    rating: 1613,
+    rd: 80,
+    games: 30,
+    provisional: false
+  });
+});
@@ -0,0 +1,109 @@
+// records.js (ESM) - convert live games to plain records for the game store and back
+// A record holds everything needed to rebuild a game after a restart; sockets
+// and timers are rebuilt by the server when players reconnect.
+import { getClockTimes, startClock } from "./clock.js";
+import { replayGame } from "./position.js";
+
+export const toGameRecord = (game) => ({
+  id: game.id,
+  creator: game.creator,
+  creatorSession: game.creatorSession,
+  opponent: game.opponent,
+  opponentSession: game.opponentSession,
+  status: game.status,
+  startFen: game.startFen || null,
+  startPly: game.startPly || 0,
+  moves: game.game.history(),
+  opening: game.opening || null,
+  timeControl: game.timeControl,
+  clock: game.clock
+    ? {
+        remaining: getClockTimes(game.clock),
+        incrementMs: game.clock.incrementMs,
+        active: game.clock.active
+      }
+    : null,
+  drawOfferedBy: game.drawOfferedBy || null,
+  allowTakebacks: game.allowTakebacks,
+  takebackRequest: game.takebackRequest || null,
+  rated: Boolean(game.rated),
+  chat: game.chat || [],
+  previousGameId: game.previousGameId || null,
+  rematchGameId: game.rematchGameId || null,
+  rematchOfferedBy: game.rematchOfferedBy || null,
+  matchScore: game.matchScore || null,
+  bot: game.bot || null,
+  result: game.result || null,
+  createdAt: game.createdAt,
+  finishedAt: game.finishedAt || null,
+  updatedAt: Date.now()
+});
+
+// What anyone may see of an archived game: no session tokens or chat
+export const toPublicRecord = (record) => ({
+  id: record.id,
+  white: record.creator,
+  black: record.opponent,
+  status: record.status,
+  startFen: record.startFen || null,
+  moves: record.moves,
+  opening: record.opening || null,
+  timeControl: record.timeControl,
+  rated: Boolean(record.rated),
+  bot: record.bot || null,
+  result: record.result || null,
+  previousGameId: record.previousGameId || null,
+  rematchGameId: record.rematchGameId || null,
+  createdAt: record.createdAt,
+  finishedAt: record.finishedAt || null
+});
+
+// Rebuild a game from its record; a running clock restarts now, so downtime isn't charged
+export const fromGameRecord = (record) => {
+  let clock = null;
+  if (record.clock) {
+    clock = {
+      remaining: { ...record.clock.remaining },
+      incrementMs: record.clock.incrementMs,
+      active: null,
+      startedAt: null
+    };
+    if (record.clock.active) startClock(clock, record.clock.active);
+  }
+
+  return {
+    id: record.id,
+    creator: record.creator,
+    creatorSocket: null,
+    creatorSession: record.creatorSession,
+    opponent: record.opponent,
+    opponentSocket: null,
+    opponentSession: record.opponentSession,
+    game: replayGame(record.startFen, record.moves),
+    startFen: record.startFen || null,
+    startPly: record.startPly || 0,
+    opening: record.opening || null,
+    status: record.status,
+    timeControl: record.timeControl,
+    clock,
+    flagTimer: null,
+    firstMoveTimer: null,
+    firstMoveDeadline: null,
+    disconnectTimers: {},
+    absentColor: null,
+    drawOfferedBy: record.drawOfferedBy,
+    // Records saved before takebacks existed allow them
+    allowTakebacks: record.allowTakebacks !== false,
+    takebackRequest: record.takebackRequest || null,
+    rated: Boolean(record.rated),
+    chat: record.chat || [],
+    previousGameId: record.previousGameId || null,
+    rematchGameId: record.rematchGameId || null,
+    rematchOfferedBy: record.rematchOfferedBy || null,
+    matchScore: record.matchScore || null,
+    bot: record.bot || null,
+    result: record.result,
+    createdAt: record.createdAt,
+    finishedAt: record.finishedAt || null
+  };
+};
@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toGameRecord, toPublicRecord, fromGameRecord } from "./records.js";
+import { replayGame } from "./position.js";
+import { createClock, startClock, getClockTimes } from "./clock.js";
+
+const liveGame = (extra = {}) => ({
+  id: "g1",
+  creator: "alice",
+  creatorSocket: {},
+  creatorSession: "token-a",
+  opponent: "bob",
+  opponentSocket: {},
+  opponentSession: "token-b",
+  status: "playing",
+  game: replayGame(null, ["e4", "e5", "Nf3"]),
+  startFen: null,
+  startPly: 0,
+  opening: { eco: "C40", name: "King's Knight Opening" },
+  timeControl: { minutes: 5, increment: 0 },
+  clock: null,
+  drawOfferedBy: "alice",
+  allowTakebacks: false,
+  takebackRequest: null,
+  rated: true,
+  chat: [{ channel: "players", from: "bob", text: "hi", sentAt: 1 }],
+  createdAt: 1000,
+  ...extra
+});
+
+test("a game survives the trip through its record", () => {
+  const record = toGameRecord(liveGame());
+  assert.deepEqual(record.moves, ["e4", "e5", "Nf3"]);
+  assert.equal(record.creatorSocket, undefined);
+
+  const game = fromGameRecord(JSON.parse(JSON.stringify(record)));
+  assert.equal(game.game.fen(), liveGame().game.fen());
+  assert.equal(game.creatorSocket, null);
+  assert.equal(game.creatorSession, "token-a");
+  assert.equal(game.drawOfferedBy, "alice");
+  assert.equal(game.allowTakebacks, false);
+  assert.equal(game.rated, true);
+  assert.deepEqual(game.opening, { eco: "C40", name: "King's Knight Opening" });
+  assert.deepEqual(game.disconnectTimers, {});
+});
+
+test("a running clock is saved with its time and restarts on reload", () => {
+  const clock = createClock({ minutes: 5, increment: 2 });
+  startClock(clock, "black", Date.now() - 10000);
+  const record = JSON.parse(JSON.stringify(toGameRecord(liveGame({ clock }))));
+  assert.equal(record.clock.active, "black");
+  assert.ok(record.clock.remaining.black <= 290000);
+
+  const { clock: reloaded } = fromGameRecord(record);
+  assert.equal(reloaded.active, "black");
+  assert.equal(reloaded.incrementMs, 2000);
+  // Downtime isn't charged: the clock picks up where the record left it
+  assert.ok(record.clock.remaining.black - getClockTimes(reloaded).black < 100);
+});
+
+test("a game from a custom position replays from its starting FEN", () => {
+  const startFen = "4k3/8/8/8/8/8/4P3/4K3 w - - 0 1";
+  const record = toGameRecord(liveGame({ game: replayGame(startFen, ["e4"]), startFen, startPly: 0 }));
+  assert.equal(fromGameRecord(record).game.fen(), "4k3/8/8/8/4P3/8/8/4K3 b - - 0 1");
+});
+
+test("records saved before takebacks existed allow them", () => {
+  const { allowTakebacks, ...record } = toGameRecord(liveGame());
+  assert.equal(fromGameRecord(record).allowTakebacks, true);
+});
+
+test("the public record leaves out session tokens and chat", () => {
+  const record = toPublicRecord(toGameRecord(liveGame()));
+  assert.equal(record.white, "alice");
+  assert.equal(record.black, "bob");
+  assert.equal(record.creatorSession, undefined);
+  assert.equal(record.chat, undefined);
+});
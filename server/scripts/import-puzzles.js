@@ -0,0 +1,33 @@
+// scripts/import-puzzles.js (ESM) - add a puzzle set to the server
+// Checks every puzzle in a lichess-format CSV (or a JSON array of
+// { id, fen, moves, rating, rd, themes }) and saves the valid ones to PUZZLE_DIR,
+// where the server loads them at its next start:
+//   npm run import-puzzles -- path/to/lichess_db_puzzle.csv
+import fs from "fs";
+import path from "path";
+import { PUZZLE_DIR, parsePuzzleFile } from "../puzzles.js";
+
+const [file] = process.argv.slice(2);
+if (!file) {
+  console.error("Usage: npm run import-puzzles -- <file.csv|file.json>");
+  process.exit(1);
+}
+
+// npm runs scripts from the package directory, so resolve against where it was called
+const source = path.resolve(process.env.INIT_CWD || process.cwd(), file);
+if (!fs.existsSync(source)) {
+  console.error(`No such file: ${source}`);
+  process.exit(1);
+}
+
+const { puzzles, rejected } = parsePuzzleFile(source);
+rejected.forEach(({ id, reason }) => console.warn(`Skipped ${id}: ${reason}`));
+if (puzzles.length === 0) {
+  console.error("No valid puzzles to import");
+  process.exit(1);
+}
+
+fs.mkdirSync(PUZZLE_DIR, { recursive: true });
+const target = path.join(PUZZLE_DIR, `${path.basename(source, path.extname(source))}.json`);
+fs.writeFileSync(target, JSON.stringify(puzzles));
+console.log(`Imported ${puzzles.length} puzzles to ${target}; restart the server to use them`);
@@ -0,0 +1,95 @@
+// Claims against an opponent who disconnected and did not come back
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, connect, startGame, playMoves, delay, closeAll } from "./testing.js";
+
+const RECONNECT_GRACE_MS = 400;
+
+let server;
+before(async () => {
+  server = await startServer({ RECONNECT_GRACE_MS: String(RECONNECT_GRACE_MS) });
+});
+after(() => server.stop());
+
+// A game with a move each, whose black player then disconnects past the grace period
+const startAbandonedGame = async (options) => {
+  const game = await startGame(server, options);
+  await playMoves(game, ["e4", "e5"]);
+  await game.black.close();
+  const { payload } = await game.white.next("OPPONENT_DISCONNECTED");
+  assert.equal(payload.graceMs, RECONNECT_GRACE_MS);
+  return game;
+};
+
+test("nothing can be claimed while the opponent may still come back", async () => {
+  const game = await startGame(server);
+  await playMoves(game, ["e4", "e5"]);
+  await game.black.close();
+  await game.white.next("OPPONENT_DISCONNECTED");
+  game.white.send("CLAIM_VICTORY", { gameId: game.gameId });
+  assert.equal(await game.white.nextError(), "NO_VICTORY_TO_CLAIM");
+  await game.white.close();
+});
+
+test("after the grace period the present player may claim the win", async () => {
+  const game = await startAbandonedGame();
+  const { payload: absent } = await game.white.next("OPPONENT_ABSENT");
+  assert.equal(absent.opponent, game.black.session.username);
+
+  game.white.send("GET_GAME_STATE", { gameId: game.gameId });
+  assert.equal((await game.white.next("GAME_STATE")).payload.absentPlayer, game.black.session.username);
+
+  game.white.send("CLAIM_VICTORY", { gameId: game.gameId });
+  const { payload } = await game.white.next("GAME_OVER");
+  assert.equal(payload.result, "1-0");
+  assert.equal(payload.reason, "opponent_left");
+  assert.equal(payload.absent, game.black.session.username);
+  assert.equal(payload.claimedBy, game.white.session.username);
+  await game.white.close();
+});
+
+test("or settle for a draw", async () => {
+  const game = await startAbandonedGame();
+  await game.white.next("OPPONENT_ABSENT");
+  game.white.send("CLAIM_DRAW", { gameId: game.gameId });
+  const { payload } = await game.white.next("GAME_OVER");
+  assert.equal(payload.result, "1/2-1/2");
+  assert.equal(payload.reason, "opponent_left");
+  await game.white.close();
+});
+
+test("coming back in time takes the claim away", async () => {
+  const game = await startAbandonedGame();
+  await game.white.next("OPPONENT_ABSENT");
+
+  const returning = await connect(server);
+  returning.send("LOGIN", { username: game.black.session.username, sessionToken: game.black.session.sessionToken });
+  await returning.next("GAME_STATE");
+  await game.white.next("OPPONENT_RECONNECTED");
+  game.white.send("CLAIM_VICTORY", { gameId: game.gameId });
+  assert.equal(await game.white.nextError(), "NO_VICTORY_TO_CLAIM");
+  await closeAll([game.white, returning]);
+});
+
+test("the absent player's clock keeps running", async () => {
+  const game = await startGame(server, { timeControl: { minutes: 0.02, increment: 0 } });
+  await playMoves(game, ["e4", "e5", "Nf3"]);
+  await game.black.close();
+  const { payload } = await game.white.next("GAME_OVER", () => true, 3000);
+  assert.equal(payload.reason, "timeout");
+  assert.equal(payload.winnerColor, "white");
+  await game.white.close();
+});
+
+test("a game both players leave is abandoned", async () => {
+  const game = await startAbandonedGame();
+  await game.white.next("OPPONENT_ABSENT");
+  await game.white.close();
+
+  const { status } = await (await fetch(`${server.httpUrl}/api/games/${game.gameId}`)).json();
+  await delay(RECONNECT_GRACE_MS + 300);
+  const record = await (await fetch(`${server.httpUrl}/api/games/${game.gameId}`)).json();
+  assert.equal(status, "playing");
+  assert.equal(record.status, "abandoned");
+  assert.equal(record.result.reason, "abandoned");
+});
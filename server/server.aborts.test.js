@@ -0,0 +1,64 @@
+// Aborting a game before it gets going, and first-move no-shows
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, startGame, playMoves, closeAll } from "./testing.js";
+
+const FIRST_MOVE_TIMEOUT_MS = 800;
+
+let server;
+before(async () => {
+  server = await startServer({ FIRST_MOVE_TIMEOUT_MS: String(FIRST_MOVE_TIMEOUT_MS) });
+});
+after(() => server.stop());
+
+test("either player may abort until both have moved, with no result", async () => {
+  const game = await startGame(server);
+  await playMoves(game, ["e4"]);
+  game.black.send("ABORT_GAME", { gameId: game.gameId });
+  const { payload } = await game.white.next("GAME_OVER");
+  assert.equal(payload.result, "*");
+  assert.equal(payload.reason, "aborted");
+  assert.equal(payload.abortedBy, game.black.session.username);
+  assert.equal(payload.matchScore[game.white.session.username], 0);
+
+  game.white.send("GET_GAME_STATE", { gameId: game.gameId });
+  assert.equal((await game.white.next("GAME_STATE")).payload.status, "aborted");
+  game.white.send("OFFER_REMATCH", { gameId: game.gameId });
+  assert.equal(await game.white.nextError(), "REMATCH_NOT_AVAILABLE");
+  await closeAll([game.white, game.black]);
+});
+
+test("once both sides have moved the game can no longer be aborted", async () => {
+  const game = await startGame(server);
+  await playMoves(game, ["e4", "e5"]);
+  game.white.send("ABORT_GAME", { gameId: game.gameId });
+  assert.equal(await game.white.nextError(), "ABORT_NOT_AVAILABLE");
+  await closeAll([game.white, game.black]);
+});
+
+test("the first-move countdown runs for the side to move and stops once both have moved", async () => {
+  const game = await startGame(server);
+  game.white.send("GET_GAME_STATE", { gameId: game.gameId });
+  const { firstMoveCountdown } = (await game.white.next("GAME_STATE")).payload;
+  assert.equal(firstMoveCountdown.color, "white");
+  assert.ok(firstMoveCountdown.remainingMs > 0 && firstMoveCountdown.remainingMs <= FIRST_MOVE_TIMEOUT_MS);
+
+  const afterWhite = await playMoves(game, ["e4"]);
+  assert.equal(afterWhite.payload.firstMoveCountdown.color, "black");
+  const afterBlack = await playMoves(game, ["e5"], "black");
+  assert.equal(afterBlack.payload.firstMoveCountdown, null);
+
+  // No abort once the countdown has stopped
+  assert.equal(await game.white.receives("GAME_OVER", FIRST_MOVE_TIMEOUT_MS + 200), false);
+  await closeAll([game.white, game.black]);
+});
+
+test("a side that never makes its first move gets the game aborted", async () => {
+  const game = await startGame(server);
+  await playMoves(game, ["d4"]);
+  const { payload } = await game.white.next("GAME_OVER", () => true, FIRST_MOVE_TIMEOUT_MS + 1000);
+  assert.equal(payload.result, "*");
+  assert.equal(payload.reason, "no_show");
+  assert.equal(payload.noShow, game.black.session.username);
+  await closeAll([game.white, game.black]);
+});
@@ -0,0 +1,132 @@
+// Accounts, guests and who may use a name
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { startServer, connect, login, register, uniqueName, closeAll } from "./testing.js";
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+test("registering creates an account that logs in with its password", async () => {
+  const name = uniqueName("member");
+  const member = await register(server, name, "password123");
+  assert.equal(member.session.username, name);
+  assert.equal(member.session.guest, false);
+  assert.equal(member.session.title, null);
+  assert.equal(member.session.ratings.blitz.rating, 1500);
+  await member.close();
+
+  const wrong = await connect(server);
+  wrong.send("LOGIN", { username: name, password: "password124" });
+  assert.equal(await wrong.nextError(), "INVALID_CREDENTIALS");
+  wrong.send("LOGIN", { username: uniqueName("nobody"), password: "password123" });
+  assert.equal(await wrong.nextError(), "INVALID_CREDENTIALS");
+  wrong.send("LOGIN", { username: name });
+  assert.equal(await wrong.nextError(), "NAME_REGISTERED");
+
+  const again = await login(server, name, "password123");
+  assert.equal(again.session.guest, false);
+  await closeAll([wrong, again]);
+});
+
+test("registration checks the name and password", async () => {
+  const client = await connect(server);
+  client.send("REGISTER", { username: "Guest-abcd", password: "password123" });
+  assert.equal(await client.nextError(), "INVALID_USERNAME");
+  client.send("REGISTER", { username: "no spaces", password: "password123" });
+  assert.equal(await client.nextError(), "INVALID_USERNAME");
+  client.send("REGISTER", { username: uniqueName("member"), password: "short" });
+  assert.equal(await client.nextError(), "WEAK_PASSWORD");
+
+  const taken = uniqueName("member");
+  const first = await register(server, taken);
+  await first.close();
+  client.send("REGISTER", { username: taken, password: "password123" });
+  assert.equal(await client.nextError(), "USERNAME_TAKEN");
+
+  // Nor can a name be registered from under a guest using it
+  const guest = await login(server, uniqueName("guest"));
+  client.send("REGISTER", { username: guest.session.username, password: "password123" });
+  assert.equal(await client.nextError(), "NAME_IN_USE");
+  await closeAll([client, guest]);
+});
+
+test("a name is used by one connection at a time, unless its session is resumed", async () => {
+  const name = uniqueName("guest");
+  const first = await login(server, name);
+  const second = await connect(server);
+  second.send("LOGIN", { username: name });
+  assert.equal(await second.nextError(), "NAME_IN_USE");
+
+  const member = await register(server, uniqueName("member"));
+  second.send("LOGIN", { username: member.session.username, password: "password123" });
+  assert.equal(await second.nextError(), "NAME_IN_USE");
+
+  // The session token takes the name over and closes the old connection
+  second.send("LOGIN", { username: name, sessionToken: first.session.sessionToken });
+  const { payload } = await second.next("LOGIN_SUCCESS");
+  assert.equal(payload.resumed, true);
+  assert.equal(await first.closed, 4001);
+  await closeAll([second, member]);
+});
+
+test("a guest session cannot be resumed once its name is registered", async () => {
+  const name = uniqueName("guest");
+  const guest = await login(server, name);
+  await guest.close();
+
+  const owner = await connect(server);
+  owner.send("REGISTER", { username: name, password: "password123" });
+  assert.equal((await owner.next("LOGIN_SUCCESS")).payload.guest, false);
+
+  const returning = await connect(server);
+  returning.send("LOGIN", { username: name, sessionToken: guest.session.sessionToken });
+  assert.equal(await returning.nextError(), "NAME_REGISTERED");
+
+  // The account keeps its connection
+  owner.send("PING");
+  assert.equal((await owner.next("PONG")).type, "PONG");
+  await closeAll([owner, returning]);
+});
+
+test("a login that fails on the server is answered with an error", async () => {
+  // An account whose stored password hash is damaged makes checking the password throw
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "server-accounts-test-"));
+  const storePath = path.join(tempDir, "games.json");
+  const damaged = { username: "damaged", ratings: {}, password: { algorithm: "scrypt", salt: 5, hash: "00" } };
+  fs.writeFileSync(storePath, JSON.stringify({ games: [], players: [damaged] }));
+  const fileServer = await startServer({ GAME_STORE: "file", GAME_STORE_PATH: storePath });
+
+  const client = await connect(fileServer);
+  client.send("LOGIN", { username: "damaged", password: "password123" });
+  assert.equal(await client.nextError(), "SERVER_ERROR");
+  assert.match(fileServer.output(), /Login failed for a new connection/);
+
+  // The connection is still usable
+  client.send("LOGIN", { username: uniqueName("guest") });
+  assert.equal((await client.next("LOGIN_SUCCESS")).payload.guest, true);
+  await client.close();
+  await fileServer.stop();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test("guests follow the rules for names and cannot pass for an account", async () => {
+  const client = await connect(server);
+  for (const username of ["ab", "trailing ", "Computer (Level 3)", "Guest-abcd"]) {
+    client.send("LOGIN", { username });
+    assert.equal(await client.nextError(), "INVALID_USERNAME", username);
+  }
+
+  const name = uniqueName("member");
+  await (await register(server, name)).close();
+  client.send("LOGIN", { username: name.toUpperCase() });
+  assert.equal(await client.nextError(), "NAME_REGISTERED");
+  client.send("REGISTER", { username: name.toUpperCase(), password: "password123" });
+  assert.equal(await client.nextError(), "USERNAME_TAKEN");
+  await client.close();
+});
@@ -0,0 +1,98 @@
+// Who may send which message over the socket
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, connect, login, startGame, uniqueName, closeAll } from "./testing.js";
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+test("a player in a game cannot create or join another", async () => {
+  const game = await startGame(server);
+  const host = await login(server, uniqueName("host"));
+  host.send("CREATE_GAME", {});
+  const { gameId } = (await host.next("GAME_CREATED")).payload;
+
+  game.white.send("CREATE_GAME", {});
+  assert.equal(await game.white.nextError(), "ALREADY_IN_GAME");
+  game.black.send("JOIN_GAME", { gameId });
+  assert.equal(await game.black.nextError(), "ALREADY_IN_GAME");
+  assert.equal(await host.receives("OPPONENT_JOINED"), false);
+
+  // Still seated in the first game
+  game.white.send("MAKE_MOVE", { gameId: game.gameId, move: "e4" });
+  assert.equal((await game.black.next("MOVE_MADE")).payload.san, "e4");
+
+  // Once it is over they are free to play again
+  game.black.send("RESIGN", { gameId: game.gameId });
+  await game.black.next("GAME_OVER");
+  game.black.send("JOIN_GAME", { gameId });
+  assert.equal((await game.black.next("GAME_JOINED")).payload.gameId, gameId);
+  await closeAll([game.white, game.black, host]);
+});
+
+test("nothing but the handshake and logging in before a login", async () => {
+  const client = await connect(server);
+  client.send("CREATE_GAME", {});
+  assert.equal(await client.nextError(), "NOT_LOGGED_IN");
+  client.send("PING");
+  assert.equal((await client.next("PONG")).type, "PONG");
+  await client.close();
+});
+
+test("outsiders cannot act on someone else's game, and rejections are logged", async () => {
+  const game = await startGame(server);
+  const outsider = await login(server, uniqueName("outsider"));
+  for (const type of ["RESIGN", "OFFER_DRAW", "ACCEPT_DRAW", "ABORT_GAME"]) {
+    outsider.send(type, { gameId: game.gameId });
+    assert.equal(await outsider.nextError(), "NOT_A_PLAYER", type);
+  }
+  outsider.send("MAKE_MOVE", { gameId: game.gameId, move: "e4" });
+  const { payload } = await outsider.next("ERROR");
+  assert.equal(payload.code, "NOT_A_PLAYER");
+  assert.match(payload.fen, /^rnbqkbnr\/pppppppp/);
+  outsider.send("RESIGN", { gameId: "nosuchgame" });
+  assert.equal(await outsider.nextError(), "GAME_NOT_FOUND");
+  assert.match(server.output(), new RegExp(`Rejected RESIGN from ${outsider.session.username} for game ${game.gameId}: outsider may not send this`));
+
+  game.white.send("GET_GAME_STATE", { gameId: game.gameId });
+  assert.equal((await game.white.next("GAME_STATE")).payload.status, "playing");
+  await closeAll([game.white, game.black, outsider]);
+});
+
+test("the player who offered a draw cannot accept it", async () => {
+  const game = await startGame(server);
+  game.white.send("OFFER_DRAW", { gameId: game.gameId });
+  await game.black.next("DRAW_OFFERED");
+  game.white.send("ACCEPT_DRAW", { gameId: game.gameId });
+  assert.equal(await game.white.nextError(), "NO_DRAW_OFFER");
+  game.black.send("MAKE_MOVE", { gameId: game.gameId, move: "e5" });
+  assert.equal(await game.black.nextError(), "NOT_YOUR_TURN");
+  await closeAll([game.white, game.black]);
+});
+
+test("game ids that name Object members are just unknown games", async () => {
+  const player = await login(server, uniqueName());
+  for (const gameId of ["constructor", "__proto__", "toString", "hasOwnProperty"]) {
+    player.send("GET_GAME_STATE", { gameId });
+    assert.equal(await player.nextError(), "GAME_NOT_FOUND", gameId);
+    player.send("MAKE_MOVE", { gameId, move: "e4" });
+    assert.equal(await player.nextError(), "GAME_NOT_FOUND", gameId);
+    player.send("WATCH_GAME", { gameId });
+    assert.equal(await player.nextError(), "GAME_NOT_FOUND", gameId);
+    assert.equal((await fetch(`${server.httpUrl}/api/games/${gameId}`)).status, 404, gameId);
+    assert.equal((await fetch(`${server.httpUrl}/api/games/${gameId}/pgn`)).status, 404, gameId);
+  }
+
+  // a legacy JOIN opens a game under such an id like any other
+  const legacy = await connect(server);
+  legacy.sendRaw({ t: "JOIN", gameId: "constructor" });
+  assert.equal((await legacy.next("STATE")).t, "STATE");
+
+  // and the server is still up
+  player.send("PING");
+  await player.next("PONG");
+  await closeAll([player, legacy]);
+});
@@ -0,0 +1,148 @@
+// Bot accounts: API tokens, the BOT title and the rules bots play by
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, connect, login, register, uniqueName, closeAll } from "./testing.js";
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+const registerBot = (target = server) => register(target, uniqueName("bot"), "password123", { bot: true });
+
+// Try a LOGIN and return the LOGIN_SUCCESS payload, or the error code
+const tryLogin = async (payload) => {
+  const client = await connect(server);
+  client.send("LOGIN", payload);
+  // whichever doesn't arrive times out unheard
+  const reply = await Promise.race(["LOGIN_SUCCESS", "ERROR"].map((type) => client.next(type).catch(() => new Promise(() => {}))));
+  await client.close();
+  return reply.type === "ERROR" ? reply.payload.code : reply.payload;
+};
+
+test("a new bot account gets its API token once", async () => {
+  const bot = await registerBot();
+  assert.match(bot.session.apiToken, /^bot_/);
+  assert.equal(bot.session.title, "BOT");
+  assert.equal(bot.session.guest, false);
+
+  const human = await register(server, uniqueName("human"));
+  assert.equal(human.session.title, null);
+  assert.equal(human.session.apiToken, undefined);
+  await closeAll([bot, human]);
+});
+
+test("bots log in with their API token", async () => {
+  const bot = await registerBot();
+  const { username, apiToken } = bot.session;
+  await bot.close();
+
+  const session = await tryLogin({ username, apiToken });
+  assert.equal(session.username, username);
+  assert.equal(session.title, "BOT");
+  assert.equal(session.apiToken, undefined);
+  assert.equal(await tryLogin({ username, apiToken: "bot_wrong" }), "INVALID_CREDENTIALS");
+  // the password still works, for replacing a lost token
+  assert.equal((await tryLogin({ username, password: "password123" })).title, "BOT");
+});
+
+test("API tokens only log in bot accounts", async () => {
+  const human = await register(server, uniqueName("human"));
+  await human.close();
+  assert.equal(await tryLogin({ username: human.session.username, apiToken: "bot_anything" }), "INVALID_CREDENTIALS");
+  assert.equal(await tryLogin({ username: uniqueName("nobody"), apiToken: "bot_anything" }), "INVALID_CREDENTIALS");
+});
+
+test("a reset token replaces the old one", async () => {
+  const bot = await registerBot();
+  const { username, apiToken: oldToken } = bot.session;
+  bot.send("RESET_API_TOKEN");
+  const { payload } = await bot.next("API_TOKEN");
+  assert.equal(payload.username, username);
+  assert.notEqual(payload.apiToken, oldToken);
+  await bot.close();
+
+  assert.equal(await tryLogin({ username, apiToken: oldToken }), "INVALID_CREDENTIALS");
+  assert.equal((await tryLogin({ username, apiToken: payload.apiToken })).username, username);
+});
+
+test("only bot accounts have tokens to reset", async () => {
+  const human = await register(server, uniqueName("human"));
+  human.send("RESET_API_TOKEN");
+  assert.equal(await human.nextError(), "BOT_ACCOUNT_REQUIRED");
+  await human.close();
+});
+
+test("bots only get into games through challenges", async () => {
+  const bot = await registerBot();
+  for (const [type, payload] of [
+    ["CREATE_GAME", {}],
+    ["JOIN_GAME", { gameId: "anything" }],
+    ["QUEUE_FOR_GAME", {}],
+    ["CREATE_SEEK", { timeControl: { minutes: 5, increment: 0 } }],
+    ["ACCEPT_SEEK", { seekId: "anything" }],
+    ["PLAY_VS_BOT", { level: 1 }]
+  ]) {
+    bot.send(type, payload);
+    assert.equal(await bot.nextError(), "BOT_NOT_ALLOWED", type);
+  }
+  await bot.close();
+});
+
+test("bots may challenge bots but not people", async () => {
+  const bot = await registerBot();
+  const otherBot = await registerBot();
+  const human = await login(server, uniqueName("human"));
+
+  bot.send("CHALLENGE", { opponent: human.session.username });
+  assert.equal(await bot.nextError(), "BOT_NOT_ALLOWED");
+  assert.equal(await human.receives("CHALLENGE_RECEIVED"), false);
+
+  bot.send("CHALLENGE", { opponent: otherBot.session.username });
+  const { payload } = await otherBot.next("CHALLENGE_RECEIVED");
+  assert.equal(payload.challengerTitle, "BOT");
+  assert.equal(payload.opponentTitle, "BOT");
+  await closeAll([bot, otherBot, human]);
+});
+
+test("people challenge bots and see their title in the game", async () => {
+  const bot = await registerBot();
+  const human = await login(server, uniqueName("human"));
+  human.send("CHALLENGE", { opponent: bot.session.username, color: "white" });
+  const { payload: challenge } = await bot.next("CHALLENGE_RECEIVED");
+  assert.equal(challenge.challengerTitle, null);
+  assert.equal(challenge.opponentTitle, "BOT");
+
+  bot.send("ACCEPT_CHALLENGE", { challengeId: challenge.challengeId });
+  const { payload: started } = await human.next("GAME_STARTED");
+  // only players with a title are listed
+  assert.deepEqual(started.titles, { [bot.session.username]: "BOT" });
+
+  const { payload: botView } = await bot.next("GAME_STARTED");
+  assert.equal(botView.color, "black");
+  human.send("MAKE_MOVE", { gameId: started.gameId, move: "e4" });
+  await bot.next("MOVE_MADE");
+  bot.send("MAKE_MOVE", { gameId: started.gameId, move: "e5" });
+  assert.equal((await human.next("MOVE_MADE", ({ payload }) => payload.san === "e5")).payload.player, bot.session.username);
+  await closeAll([bot, human]);
+});
+
+test("bots are limited in how many messages they send", async () => {
+  const limited = await startServer({ BOT_RATE_LIMIT: "5", BOT_RATE_WINDOW_MS: "60000" });
+  try {
+    const bot = await registerBot(limited);
+    for (let count = 0; count < 5; count++) bot.send("PING");
+    for (let count = 0; count < 5; count++) await bot.next("PONG");
+    bot.send("PING");
+    assert.equal(await bot.nextError(), "RATE_LIMITED");
+
+    // people are not limited
+    const human = await login(limited, uniqueName("human"));
+    for (let count = 0; count < 10; count++) human.send("PING");
+    for (let count = 0; count < 10; count++) await human.next("PONG");
+    await closeAll([bot, human]);
+  } finally {
+    await limited.stop();
+  }
+});
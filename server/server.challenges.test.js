@@ -0,0 +1,164 @@
+// Challenges from one player to another
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, login, register, startGame, uniqueName, closeAll } from "./testing.js";
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+// Two guests, with `challenger` having sent `options` to `opponent`
+const challengeGuest = async (options = {}) => {
+  const challenger = await login(server, uniqueName("challenger"));
+  const opponent = await login(server, uniqueName("opponent"));
+  challenger.send("CHALLENGE", { opponent: opponent.session.username, timeControl: { minutes: 5, increment: 0 }, ...options });
+  const { payload: sent } = await challenger.next("CHALLENGE_SENT");
+  const { payload: received } = await opponent.next("CHALLENGE_RECEIVED");
+  return { challenger, opponent, sent, received, challengeId: sent.challengeId };
+};
+
+test("both players hear about a challenge", async () => {
+  const { challenger, opponent, sent, received } = await challengeGuest({ color: "white" });
+  assert.deepEqual(received, sent);
+  assert.equal(sent.challenger, challenger.session.username);
+  assert.equal(sent.opponent, opponent.session.username);
+  assert.deepEqual(sent.timeControl, { minutes: 5, increment: 0 });
+  assert.equal(sent.color, "white");
+  assert.equal(sent.challengerTitle, null);
+  await closeAll([challenger, opponent]);
+});
+
+test("accepting starts the game with the challenger's color", async () => {
+  const { challenger, opponent, challengeId } = await challengeGuest({ color: "black" });
+  opponent.send("ACCEPT_CHALLENGE", { challengeId });
+
+  const { payload } = await challenger.next("GAME_STARTED");
+  assert.equal(payload.color, "black");
+  assert.equal(payload.white, opponent.session.username);
+  assert.equal(payload.opponent, opponent.session.username);
+  assert.equal(payload.allowTakebacks, true);
+  assert.equal((await opponent.next("GAME_STARTED")).payload.color, "white");
+  assert.equal((await challenger.next("CHALLENGE_REMOVED")).payload.reason, "accepted");
+  await closeAll([challenger, opponent]);
+});
+
+test("a declined challenge passes the reason on", async () => {
+  const { challenger, opponent, challengeId } = await challengeGuest();
+  opponent.send("DECLINE_CHALLENGE", { challengeId, reason: "later" });
+  const { payload } = await challenger.next("CHALLENGE_REMOVED");
+  assert.deepEqual(payload, { challengeId, reason: "declined", declineReason: "later" });
+
+  opponent.send("ACCEPT_CHALLENGE", { challengeId });
+  assert.equal(await opponent.nextError(), "CHALLENGE_NOT_FOUND");
+  await closeAll([challenger, opponent]);
+});
+
+test("only the challenger can cancel and only the opponent can answer", async () => {
+  const { challenger, opponent, challengeId } = await challengeGuest();
+  opponent.send("CANCEL_CHALLENGE", { challengeId });
+  assert.equal(await opponent.nextError(), "CHALLENGE_NOT_FOUND");
+  challenger.send("ACCEPT_CHALLENGE", { challengeId });
+  assert.equal(await challenger.nextError(), "CHALLENGE_NOT_FOUND");
+
+  challenger.send("CANCEL_CHALLENGE", { challengeId });
+  assert.equal((await opponent.next("CHALLENGE_REMOVED")).payload.reason, "cancelled");
+  await closeAll([challenger, opponent]);
+});
+
+test("a new challenge replaces the open one", async () => {
+  const { challenger, opponent, challengeId } = await challengeGuest();
+  challenger.send("CHALLENGE", { opponent: opponent.session.username });
+  const { payload: removed } = await opponent.next("CHALLENGE_REMOVED");
+  assert.deepEqual(removed, { challengeId, reason: "replaced" });
+  const { payload: received } = await opponent.next("CHALLENGE_RECEIVED");
+  assert.notEqual(received.challengeId, challengeId);
+  assert.equal(received.timeControl, null);
+  await closeAll([challenger, opponent]);
+});
+
+test("a challenge goes when either player disconnects", async () => {
+  const { challenger, opponent, challengeId } = await challengeGuest();
+  await opponent.close();
+  assert.deepEqual((await challenger.next("CHALLENGE_REMOVED")).payload, { challengeId, reason: "disconnected" });
+  await challenger.close();
+});
+
+test("challenges need an online opponent other than yourself", async () => {
+  const player = await login(server, uniqueName());
+  player.send("CHALLENGE", { opponent: player.session.username });
+  assert.equal(await player.nextError(), "OWN_CHALLENGE");
+  player.send("CHALLENGE", { opponent: uniqueName("absent") });
+  assert.equal(await player.nextError(), "PLAYER_NOT_FOUND");
+  player.send("CHALLENGE", { opponent: "anyone", timeControl: { minutes: 500, increment: 0 } });
+  assert.equal(await player.nextError(), "INVALID_TIME_CONTROL");
+  await player.close();
+});
+
+test("rated challenges need an account on both sides and have no takebacks", async () => {
+  const guest = await login(server, uniqueName("guest"));
+  const member = await register(server, uniqueName("member"));
+  const rival = await register(server, uniqueName("rival"));
+
+  guest.send("CHALLENGE", { opponent: member.session.username, rated: true });
+  assert.equal(await guest.nextError(), "ACCOUNT_REQUIRED");
+  member.send("CHALLENGE", { opponent: guest.session.username, rated: true });
+  assert.equal(await member.nextError(), "ACCOUNT_REQUIRED");
+
+  member.send("CHALLENGE", { opponent: rival.session.username, rated: true, timeControl: { minutes: 5, increment: 0 } });
+  const { payload: challenge } = await rival.next("CHALLENGE_RECEIVED");
+  assert.equal(challenge.rated, true);
+  rival.send("ACCEPT_CHALLENGE", { challengeId: challenge.challengeId });
+  const { payload: started } = await member.next("GAME_STARTED");
+  assert.equal(started.rated, true);
+  assert.equal(started.allowTakebacks, false);
+  await closeAll([guest, member, rival]);
+});
+
+test("players in a game can neither send nor accept challenges", async () => {
+  const game = await startGame(server);
+  const idle = await login(server, uniqueName("idle"));
+
+  game.white.send("CHALLENGE", { opponent: idle.session.username });
+  assert.equal(await game.white.nextError(), "ALREADY_IN_GAME");
+
+  idle.send("CHALLENGE", { opponent: game.black.session.username });
+  const { payload } = await game.black.next("CHALLENGE_RECEIVED");
+  game.black.send("ACCEPT_CHALLENGE", { challengeId: payload.challengeId });
+  assert.equal(await game.black.nextError(), "ALREADY_IN_GAME");
+  await closeAll([game.white, game.black, idle]);
+});
+
+test("starting a game withdraws the players' other challenges", async () => {
+  const { challenger, opponent, challengeId } = await challengeGuest();
+  const other = await login(server, uniqueName("other"));
+  opponent.send("CHALLENGE", { opponent: other.session.username });
+  const { payload: pending } = await other.next("CHALLENGE_RECEIVED");
+
+  opponent.send("ACCEPT_CHALLENGE", { challengeId });
+  const { payload } = await other.next("CHALLENGE_REMOVED");
+  assert.deepEqual(payload, { challengeId: pending.challengeId, reason: "started_game" });
+  await closeAll([challenger, opponent, other]);
+});
+
+test("logging in under another name withdraws what was open under the old one", async () => {
+  const { challenger, opponent, challengeId } = await challengeGuest();
+  const watcher = await login(server, uniqueName("watcher"));
+  watcher.send("LIST_SEEKS");
+  await watcher.next("SEEK_LIST");
+  challenger.send("CREATE_SEEK", {});
+  const { payload: seek } = await challenger.next("SEEK_CREATED");
+  challenger.send("QUEUE_FOR_GAME", { timeControl: { minutes: 9, increment: 9 } });
+  assert.equal((await challenger.next("QUEUE_STATUS")).payload.queued, true);
+
+  challenger.send("LOGIN", { username: uniqueName("renamed") });
+  await challenger.next("LOGIN_SUCCESS");
+  assert.deepEqual((await opponent.next("CHALLENGE_REMOVED")).payload, { challengeId, reason: "logged_out" });
+  assert.equal((await watcher.next("SEEK_REMOVED")).payload.seekId, seek.seekId);
+  assert.equal((await challenger.next("QUEUE_STATUS")).payload.queued, false);
+
+  opponent.send("ACCEPT_CHALLENGE", { challengeId });
+  assert.equal(await opponent.nextError(), "CHALLENGE_NOT_FOUND");
+  await closeAll([challenger, opponent, watcher]);
+});
@@ -0,0 +1,88 @@
+// In-game chat over the socket
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, login, startGame, uniqueName, closeAll } from "./testing.js";
+
+let server;
+before(async () => {
+  server = await startServer({ CHAT_RATE_LIMIT: "3", CHAT_RATE_WINDOW_MS: "60000" });
+});
+after(() => server.stop());
+
+test("someone neither playing nor watching sees no chat in the game state", async () => {
+  const game = await startGame(server);
+  game.white.send("CHAT_MESSAGE", { gameId: game.gameId, text: "good luck" });
+  await game.black.next("CHAT_MESSAGE");
+
+  const outsider = await login(server, uniqueName("outsider"));
+  outsider.send("GET_GAME_STATE", { gameId: game.gameId });
+  const { payload } = await outsider.next("GAME_STATE");
+  assert.equal(payload.gameId, game.gameId);
+  assert.deepEqual(payload.chat, []);
+
+  game.black.send("GET_GAME_STATE", { gameId: game.gameId });
+  assert.deepEqual((await game.black.next("GAME_STATE")).payload.chat.map(({ text }) => text), ["good luck"]);
+  await closeAll([game.white, game.black, outsider]);
+});
+
+// Two players and a spectator watching them
+const startWatchedGame = async () => {
+  const game = await startGame(server);
+  const spectator = await login(server, uniqueName("spectator"));
+  spectator.send("WATCH_GAME", { gameId: game.gameId });
+  await spectator.next("GAME_STATE");
+  return { ...game, spectator };
+};
+
+test("player chat reaches everyone in the game", async () => {
+  const { white, black, spectator, gameId } = await startWatchedGame();
+  white.send("CHAT_MESSAGE", { gameId, text: "  have fun  " });
+  const { payload } = await black.next("CHAT_MESSAGE");
+  assert.equal(payload.channel, "players");
+  assert.equal(payload.from, white.session.username);
+  assert.equal(payload.text, "have fun");
+  assert.equal((await spectator.next("CHAT_MESSAGE")).payload.text, "have fun");
+  assert.equal((await white.next("CHAT_MESSAGE")).payload.text, "have fun");
+  await closeAll([white, black, spectator]);
+});
+
+test("spectator chat stays with the spectators", async () => {
+  const { white, black, spectator, gameId } = await startWatchedGame();
+  const other = await login(server, uniqueName("spectator"));
+  other.send("WATCH_GAME", { gameId });
+  await other.next("GAME_STATE");
+
+  spectator.send("CHAT_MESSAGE", { gameId, text: "white is winning" });
+  assert.equal((await other.next("CHAT_MESSAGE")).payload.channel, "spectators");
+  assert.equal(await white.receives("CHAT_MESSAGE"), false);
+  assert.equal(await black.receives("CHAT_MESSAGE"), false);
+
+  // Saved with the game, but only spectators get it back
+  black.send("GET_GAME_STATE", { gameId });
+  assert.deepEqual((await black.next("GAME_STATE")).payload.chat, []);
+  other.send("GET_GAME_STATE", { gameId });
+  assert.deepEqual((await other.next("GAME_STATE")).payload.chat.map(({ text }) => text), ["white is winning"]);
+  await closeAll([white, black, spectator, other]);
+});
+
+test("chatting too quickly is refused", async () => {
+  const { white, black, spectator, gameId } = await startWatchedGame();
+  for (let count = 0; count < 3; count++) {
+    white.send("CHAT_MESSAGE", { gameId, text: `message ${count}` });
+    await black.next("CHAT_MESSAGE");
+  }
+  white.send("CHAT_MESSAGE", { gameId, text: "one too many" });
+  assert.equal(await white.nextError(), "CHAT_RATE_LIMITED");
+  assert.equal(await black.receives("CHAT_MESSAGE"), false);
+  await closeAll([white, black, spectator]);
+});
+
+test("only players and spectators may chat", async () => {
+  const { white, black, spectator, gameId } = await startWatchedGame();
+  const outsider = await login(server, uniqueName("outsider"));
+  outsider.send("CHAT_MESSAGE", { gameId, text: "hello" });
+  assert.equal(await outsider.nextError(), "NOT_IN_GAME");
+  outsider.send("CHAT_MESSAGE", { gameId, text: "x".repeat(301) });
+  assert.equal(await outsider.nextError(), "INVALID_MESSAGE");
+  await closeAll([white, black, spectator, outsider]);
+});
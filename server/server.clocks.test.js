@@ -0,0 +1,47 @@
+// Clocks run on the server, which alone decides when a flag falls
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, startGame, closeAll } from "./testing.js";
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+test("moves carry both clocks, with the increment added", async () => {
+  const { white, black, gameId } = await startGame(server, { timeControl: { minutes: 1, increment: 2 } });
+
+  white.send("MAKE_MOVE", { gameId, move: "e4" });
+  const { clocks } = (await black.next("MOVE_MADE")).payload;
+  assert.ok(clocks.white > 60000 && clocks.white <= 62000, `white has ${clocks.white}`);
+  assert.ok(clocks.black <= 60000 && clocks.black > 59000, `black has ${clocks.black}`);
+  await closeAll([white, black]);
+});
+
+test("a TIMEOUT from a client is refused while the clock still has time", async () => {
+  const { white, black, gameId } = await startGame(server, { timeControl: { minutes: 1, increment: 0 } });
+
+  black.sendRaw({ type: "TIMEOUT", payload: { gameId, winner: black.session.username }, timestamp: Date.now() });
+  const { payload } = await black.next("ERROR");
+  assert.equal(payload.code, "CLOCK_NOT_EXPIRED");
+  assert.ok(payload.clocks.white > 0);
+  await closeAll([white, black]);
+});
+
+test("the server declares the flag loss when a clock runs out", async () => {
+  // Three seconds each; black never moves
+  const { white, black, gameId } = await startGame(server, { timeControl: { minutes: 0.05, increment: 0 } });
+  white.send("MAKE_MOVE", { gameId, move: "e4" });
+  await black.next("MOVE_MADE");
+
+  const { payload } = await white.next("GAME_OVER", () => true, 5000);
+  assert.equal(payload.reason, "timeout");
+  assert.equal(payload.result, "1-0");
+  assert.equal(payload.winner, white.session.username);
+  assert.equal(payload.loser, black.session.username);
+
+  black.send("MAKE_MOVE", { gameId, move: "e5" });
+  assert.equal(await black.nextError(), "GAME_NOT_ACTIVE");
+  await closeAll([white, black]);
+});
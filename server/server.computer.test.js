@@ -0,0 +1,128 @@
+// Games against the built-in computer (PLAY_VS_BOT)
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, login, startGame, uniqueName, closeAll } from "./testing.js";
+
+// The computer has a whole search to run before it replies
+const THINK_WAIT_MS = 5000;
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+// A guest playing the computer at level 1 with `options`; resolves with the GAME_STARTED payload too
+const playComputer = async (options = {}) => {
+  const player = await login(server, uniqueName());
+  player.send("PLAY_VS_BOT", { level: 1, ...options });
+  const { payload: started } = await player.next("GAME_STARTED");
+  return { player, started, gameId: started.gameId };
+};
+
+const computerMove = (player, gameId) =>
+  player.next("MOVE_MADE", ({ payload }) => payload.gameId === gameId && payload.player.startsWith("Computer"), THINK_WAIT_MS);
+
+test("the computer takes the other seat and answers each move", async () => {
+  const { player, started, gameId } = await playComputer({ color: "white", level: 2 });
+  assert.equal(started.color, "white");
+  assert.equal(started.white, player.session.username);
+  assert.equal(started.black, "Computer (Level 2)");
+  assert.equal(started.opponent, "Computer (Level 2)");
+  assert.deepEqual(started.bot, { color: "black", level: 2 });
+  assert.equal(started.rated, false);
+  assert.equal(started.titles["Computer (Level 2)"], "BOT");
+
+  player.send("MAKE_MOVE", { gameId, move: "e4" });
+  await player.next("MOVE_MADE", ({ payload }) => payload.san === "e4");
+  const { payload } = await computerMove(player, gameId);
+  assert.equal(payload.move.color, "b");
+  assert.equal(payload.player, "Computer (Level 2)");
+  await player.close();
+});
+
+test("the computer moves first when the player takes black", async () => {
+  const { player, started, gameId } = await playComputer({ color: "black" });
+  assert.equal(started.black, player.session.username);
+  const { payload } = await computerMove(player, gameId);
+  assert.equal(payload.move.color, "w");
+  await player.close();
+});
+
+test("the level defaults to 3 and the color to random", async () => {
+  const player = await login(server, uniqueName());
+  player.send("PLAY_VS_BOT", {});
+  const { payload } = await player.next("GAME_STARTED");
+  assert.equal(payload.bot.level, 3);
+  assert.ok(["white", "black"].includes(payload.color));
+  assert.notEqual(payload.bot.color, payload.color);
+  await player.close();
+});
+
+test("levels outside 1 to 5 are refused", async () => {
+  const player = await login(server, uniqueName());
+  player.send("PLAY_VS_BOT", { level: 6 });
+  assert.equal(await player.nextError(), "INVALID_MESSAGE");
+  player.send("PLAY_VS_BOT", { level: 0 });
+  assert.equal(await player.nextError(), "INVALID_MESSAGE");
+  await player.close();
+});
+
+test("a player in a game cannot start one against the computer", async () => {
+  const game = await startGame(server);
+  game.white.send("PLAY_VS_BOT", { level: 1 });
+  assert.equal(await game.white.nextError(), "ALREADY_IN_GAME");
+  await closeAll([game.white, game.black]);
+});
+
+test("the computer's clock runs while it thinks", async () => {
+  const { player, started, gameId } = await playComputer({ color: "white", timeControl: { minutes: 1, increment: 0 } });
+  // White's clock is already running by the time the game starts
+  assert.ok(started.clocks.white <= 60000 && started.clocks.white > 59000, `white has ${started.clocks.white}`);
+  assert.equal(started.clocks.black, 60000);
+  player.send("MAKE_MOVE", { gameId, move: "d4" });
+  await player.next("MOVE_MADE", ({ payload }) => payload.san === "d4");
+  const { payload } = await computerMove(player, gameId);
+  assert.ok(payload.clocks.black < 60000);
+  await player.close();
+});
+
+test("the computer declines draws and accepts takebacks at once", async () => {
+  const { player, gameId } = await playComputer({ color: "white" });
+  player.send("MAKE_MOVE", { gameId, move: "e4" });
+  await computerMove(player, gameId);
+
+  player.send("OFFER_DRAW", { gameId });
+  assert.equal((await player.next("DRAW_DECLINED")).payload.declinedBy, "Computer (Level 1)");
+
+  player.send("REQUEST_TAKEBACK", { gameId });
+  const { payload } = await player.next("TAKEBACK_ACCEPTED");
+  assert.equal(payload.plies, 2);
+  assert.deepEqual(payload.moves, []);
+  assert.equal(payload.turn, "white");
+  await player.close();
+});
+
+test("takebacks can be turned off against the computer too", async () => {
+  const { player, gameId } = await playComputer({ color: "white", allowTakebacks: false });
+  player.send("MAKE_MOVE", { gameId, move: "e4" });
+  await computerMove(player, gameId);
+  player.send("REQUEST_TAKEBACK", { gameId });
+  assert.equal(await player.nextError(), "TAKEBACKS_DISABLED");
+  await player.close();
+});
+
+test("the computer accepts a rematch and swaps colors", async () => {
+  const { player, gameId } = await playComputer({ color: "black" });
+  await computerMove(player, gameId);
+  player.send("RESIGN", { gameId });
+  const { payload: over } = await player.next("GAME_OVER");
+  assert.equal(over.winner, "Computer (Level 1)");
+  assert.deepEqual(over.matchScore, { "Computer (Level 1)": 1, [player.session.username]: 0 });
+
+  player.send("OFFER_REMATCH", { gameId });
+  const { payload } = await player.next("REMATCH_STARTED");
+  assert.equal(payload.white, player.session.username);
+  assert.deepEqual(payload.bot, { color: "black", level: 1 });
+  await player.close();
+});
@@ -3,10 +3,124 @@ import http from "http";
 import express from "express";
 import cors from "cors";
 import { WebSocketServer } from "ws";
-import { Chess } from "chess.js";
 import { v4 as uuidv4 } from "uuid";
 import path from "path";
 import { fileURLToPath } from "url";
+import {
+  normalizeTimeControl,
+  createClock,
+  startClock,
+  stopClock,
+  getClockTimes,
+  otherColor
+} from "./clock.js";
+import {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  ERROR_CODES,
+  validateMessage
+} from "./protocol.js";
+import { isGameScoped, authorizeMessage } from "./authorization.js";
+import {
+  isLegacyMessage,
+  isLegacyProtocolSupported,
+  fromLegacyMessage,
+  toLegacyMessage
+} from "./legacy.js";
+import { createSession, getSession, restoreSession, pruneSessions, getSessionCount } from "./sessions.js";
+import {
+  MIN_PASSWORD_LENGTH,
+  isValidUsername,
+  isRegistered,
+  isBot,
+  hashPassword,
+  verifyPassword,
+  createApiToken,
+  verifyApiToken
+} from "./accounts.js";
+import { BOT_TITLE, BOT_RATE_LIMIT, BOT_RATE_WINDOW_MS, allowBotMessage } from "./bots.js";
+import {
+  createChallenge,
+  getChallenge,
+  removeChallenge,
+  removeChallengesFrom,
+  removeChallengesInvolving,
+  toPublicChallenge
+} from "./challenges.js";
+import { createGameStore } from "./store.js";
+import { toGameRecord, fromGameRecord, toPublicRecord } from "./records.js";
+import {
+  LIFECYCLE_SWEEP_INTERVAL_MS,
+  ARCHIVE_MAX_GAMES,
+  findStaleGames,
+  countGamesByStatus,
+  getMemoryUsage,
+  isOverMemoryLimit
+} from "./lifecycle.js";
+import { buildPgn, getPgnResult } from "./pgn.js";
+import { replayGame, parseStartingPosition } from "./position.js";
+import {
+  winFor,
+  drawBy,
+  unfinishedBy,
+  getAutomaticResult,
+  getClaimableDraw,
+  isAbortable
+} from "./termination.js";
+import {
+  getTurnColor,
+  getPlayerName,
+  getGameClocks,
+  getMoveList,
+  applyMove,
+  getTakebackPlies,
+  takeBackMoves,
+  getFlagResult,
+  nameResult,
+  getMatchScore
+} from "./gameplay.js";
+import { DEFAULT_ENGINE_LEVEL, getComputerName } from "./engine.js";
+import { chooseComputerMove } from "./computer.js";
+import { detectGameOpening } from "./openings.js";
+import { MAX_CHAT_HISTORY, allowChatMessage, cleanChatText, getVisibleChat } from "./chat.js";
+import {
+  createSeek,
+  getSeek,
+  removeSeek,
+  removeSeeksBy,
+  toPublicSeek,
+  listSeeks,
+  subscribeToLobby,
+  unsubscribeFromLobby,
+  getLobbySubscribers
+} from "./lobby.js";
+import {
+  enqueue,
+  dequeue,
+  getQueueEntry,
+  getQueueEntries,
+  getQueueSize,
+  getSearchStep,
+  takePairs,
+  assignColors
+} from "./matchmaking.js";
+import {
+  RATING_CATEGORIES,
+  getRatingCategory,
+  createRating,
+  rateGame,
+  toPublicRating
+} from "./ratings.js";
+import {
+  loadPuzzles,
+  pickPuzzle,
+  startPuzzle,
+  playPuzzleMove,
+  createPuzzleStats,
+  addRecentPuzzle,
+  recordPuzzleResult,
+  toPublicPuzzleStats
+} from "./puzzles.js";
 
 // Get __dirname equivalent in ESM
 const __filename = fileURLToPath(import.meta.url);
@@ -27,6 +141,54 @@ app.use(express.static(publicPath));
 // API route
 app.get("/api", (_, res) => res.json({ name: "SilentCheckmate", ok: true }));
 
+// PGN export of a game, in progress or finished
+app.get("/api/games/:id/pgn", (req, res) => {
+  const { id } = req.params;
+  const record = games[id] ? toGameRecord(games[id]) : store.getGame(id);
+  if (!record) {
+    res.status(404).json({ error: "Game not found" });
+    return;
+  }
+  
+  res.attachment(`silentcheckmate-${id}.pgn`);
+  res.type("application/x-chess-pgn");
+  res.send(buildPgn(record, { site: `${req.protocol}://${req.get("host")}` }));
+});
+
+// Finished games from the archive, newest first: /api/games?player=alice&limit=20
+app.get("/api/games", (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || ARCHIVE_PAGE_SIZE, 1), MAX_ARCHIVE_PAGE_SIZE);
+  const records = store.listFinishedGames({ username: req.query.player || null, limit });
+  res.json(records.map(toPublicRecord));
+});
+
+// One game, live or archived, without anything private to its players
+app.get("/api/games/:id", (req, res) => {
+  const { id } = req.params;
+  const record = games[id] ? toGameRecord(games[id]) : store.getGame(id);
+  if (!record) {
+    res.status(404).json({ error: "Game not found" });
+    return;
+  }
+  res.json(toPublicRecord(record));
+});
+
+// Memory and game counts for monitoring, as of the last lifecycle sweep
+app.get("/api/stats", (_, res) => res.json(lastStats || collectStats()));
+
+// Top rated players, for one category or all of them: /api/leaderboard?category=blitz&limit=20
+app.get("/api/leaderboard", (req, res) => {
+  const { category } = req.query;
+  if (category && !RATING_CATEGORIES.includes(category)) {
+    res.status(400).json({ error: `Unknown category, expected one of ${RATING_CATEGORIES.join(", ")}` });
+    return;
+  }
+  
+  const limit = Math.min(Math.max(Number(req.query.limit) || LEADERBOARD_SIZE, 1), MAX_LEADERBOARD_SIZE);
+  const categories = category ? [category] : RATING_CATEGORIES;
+  res.json(Object.fromEntries(categories.map((name) => [name, getLeaderboard(name, limit)])));
+});
+
 // Root route - serve the web client
 app.get("/", (req, res) => {
   res.sendFile(path.join(publicPath, "index.html"));
@@ -41,32 +203,1187 @@ app.get("*", (req, res) => {
 const server = http.createServer(app);
 const wss = new WebSocketServer({ server, path: "/ws" });
 
-// Store active games
-const games = {};
+// How long a disconnected player has to reconnect before their opponent may claim the game
+const RECONNECT_GRACE_MS = Number(process.env.RECONNECT_GRACE_MS) || 60000;
+
+// How long each side has to make its first move before the game is aborted
+const FIRST_MOVE_TIMEOUT_MS = Number(process.env.FIRST_MOVE_TIMEOUT_MS) || 30000;
+
+// Default and largest number of players on a leaderboard
+const LEADERBOARD_SIZE = 50;
+const MAX_LEADERBOARD_SIZE = 200;
+
+// Default and largest number of games in one page of the archive
+const ARCHIVE_PAGE_SIZE = 20;
+const MAX_ARCHIVE_PAGE_SIZE = 100;
+
+// Store active games; the game store keeps them across restarts.
+// Game ids come from clients, so the lookup has no prototype for an id like
+// "constructor" or "__proto__" to find something in.
+const games = Object.create(null);
+const store = createGameStore();
+console.log(`Loaded ${loadPuzzles()} puzzles`);
 const userSockets = new Map();
 
-// Store rooms for direct chess.js validation
-const rooms = new Map(); // gameId -> { chess, sockets:Set }
-function getRoom(id) {
-  if (!rooms.has(id)) rooms.set(id, { chess: new Chess(), sockets: new Set() });
-  return rooms.get(id);
-}
+// Sockets in each game, so broadcasts don't scan every client.
+// `sockets` holds everyone in the room; `spectators` the read-only subset.
+const rooms = new Map(); // gameId -> { sockets:Set, spectators:Set }
+
+const getSpectatorCount = (gameId) => rooms.get(gameId)?.spectators.size ?? 0;
+
+// Tell everyone in a game how many people are watching
+const broadcastSpectatorCount = (gameId) => {
+  broadcastToGame(gameId, {
+    type: "SPECTATOR_COUNT",
+    payload: { gameId, count: getSpectatorCount(gameId) },
+    timestamp: Date.now()
+  });
+};
 
-// Helper to send JSON messages
+// Move a socket into a game's room as a player or spectator, leaving any room it was in before
+const joinRoom = (socket, gameId, role = "player") => {
+  leaveRoom(socket);
+  if (!rooms.has(gameId)) rooms.set(gameId, { sockets: new Set(), spectators: new Set() });
+  
+  const room = rooms.get(gameId);
+  room.sockets.add(socket);
+  socket.gameId = gameId;
+  
+  if (role === "spectator") {
+    room.spectators.add(socket);
+    broadcastSpectatorCount(gameId);
+  }
+};
+
+const leaveRoom = (socket) => {
+  const room = socket.gameId && rooms.get(socket.gameId);
+  if (!room) return;
+  
+  room.sockets.delete(socket);
+  if (room.sockets.size === 0) {
+    rooms.delete(socket.gameId);
+  } else if (room.spectators.delete(socket)) {
+    broadcastSpectatorCount(socket.gameId);
+  }
+};
+
+// Close a game's room, leaving its sockets in no game
+const closeRoom = (gameId) => {
+  rooms.get(gameId)?.sockets.forEach((client) => {
+    if (client.gameId === gameId) client.gameId = null;
+  });
+  rooms.delete(gameId);
+};
+
+// Helper to send JSON messages; old `t`-format clients get translated replies
 const sendJSON = (socket, data) => {
-  if (socket.readyState === 1) {
-    socket.send(JSON.stringify(data));
+  if (!socket || socket.readyState !== 1) return;
+  
+  if (socket.messageFormat === "legacy") {
+    const legacyData = toLegacyMessage(data);
+    if (legacyData) socket.send(JSON.stringify(legacyData));
+    return;
+  }
+  
+  socket.send(JSON.stringify(data));
+};
+
+// Helper to send a typed error
+const sendError = (socket, code, message, extra = {}) => {
+  sendJSON(socket, {
+    type: "ERROR",
+    payload: { code, message, ...extra },
+    timestamp: Date.now()
+  });
+};
+
+// The socket's part in a game: "player", "spectator" or "outsider"
+const getGameRole = (game, socket) => {
+  if (getPlayerColor(game, socket)) return "player";
+  if (rooms.get(game.id)?.spectators.has(socket)) return "spectator";
+  return "outsider";
+};
+
+// Work out which color a socket is playing in a game (null for anyone else)
+const getPlayerColor = (game, socket) => {
+  if (socket === game.creatorSocket) return "white";
+  if (socket === game.opponentSocket) return "black";
+  return null;
+};
+
+// True if the computer plays this color in the game
+const isComputer = (game, color) => game.bot?.color === color;
+
+// Turn a client move (SAN string or { from, to, promotion }) into chess.js input
+const parseMoveInput = (move) => {
+  if (typeof move === "string" && move.trim()) {
+    return move.trim();
+  }
+  if (move && typeof move.from === "string" && typeof move.to === "string") {
+    const input = { from: move.from, to: move.to };
+    if (move.promotion) input.promotion = move.promotion;
+    return input;
   }
+  return null;
 };
 
 // Helper to broadcast to all clients in a game
 const broadcastToGame = (gameId, data, excludeSocket = null) => {
-  const gameClients = Array.from(wss.clients).filter(
-    client => client.gameId === gameId && client !== excludeSocket
+  const room = rooms.get(gameId);
+  if (!room) return;
+  
+  room.sockets.forEach(client => {
+    if (client !== excludeSocket) sendJSON(client, data);
+  });
+};
+
+// Save a game's current state to the game store
+const persistGame = (game) => {
+  store.saveGame(toGameRecord(game));
+};
+
+// Full snapshot of a game, enough for a client to rebuild its view.
+// Spectators also get the spectator chat channel; outsiders get no chat at all.
+const buildGameState = (game, { spectating = false, outsider = false } = {}) => ({
+  gameId: game.id,
+  status: game.status,
+  white: game.creator,
+  black: game.opponent,
+  fen: game.game.fen(),
+  turn: getTurnColor(game),
+  lastMove: game.game.history().at(-1) ?? null,
+  moves: getMoveList(game),
+  timeControl: game.timeControl,
+  clocks: getGameClocks(game),
+  drawOfferedBy: game.drawOfferedBy || null,
+  claimableDraw: game.status === "playing" ? getClaimableDraw(game.game) : null,
+  opening: game.opening || null,
+  absentPlayer: game.absentColor ? getPlayerName(game, game.absentColor) : null,
+  firstMoveCountdown: getFirstMoveCountdown(game),
+  allowTakebacks: game.allowTakebacks,
+  takebackRequest: game.takebackRequest || null,
+  rated: Boolean(game.rated),
+  spectatorCount: getSpectatorCount(game.id),
+  chat: outsider ? [] : getVisibleChat(game.chat, spectating),
+  previousGameId: game.previousGameId || null,
+  rematchGameId: game.rematchGameId || null,
+  rematchOfferedBy: game.rematchOfferedBy || null,
+  matchScore: getMatchScore(game),
+  ratings: getGameRatings(game),
+  titles: getGameTitles(game),
+  bot: game.bot || null,
+  ...(spectating && { spectating: true })
+});
+
+// A player's rating in one category, or a fresh one if they have not played it yet
+const getPlayerRating = (username, category) =>
+  store.getPlayer(username)?.ratings?.[category] || createRating();
+
+// A player's ratings in every category, as sent to clients
+const getPublicRatings = (username) => Object.fromEntries(
+  RATING_CATEGORIES.map((category) => [category, toPublicRating(getPlayerRating(username, category))])
+);
+
+// Both players' ratings in the game's category, keyed by username
+const getGameRatings = (game) => {
+  const category = getRatingCategory(game.timeControl);
+  return Object.fromEntries(
+    [game.creator, game.opponent]
+      .filter(Boolean)
+      .map((name) => [name, toPublicRating(getPlayerRating(name, category))])
   );
+};
+
+// A player's title, such as BOT for bot accounts, or null
+const getPlayerTitle = (username) => (isBot(store.getPlayer(username)) ? BOT_TITLE : null);
+
+// Titles of the players in a game, keyed by username; the built-in computer counts as a bot
+const getGameTitles = (game) => Object.fromEntries(
+  ["white", "black"]
+    .map((color) => {
+      const name = getPlayerName(game, color);
+      return [name, isComputer(game, color) ? BOT_TITLE : getPlayerTitle(name)];
+    })
+    .filter(([name, title]) => name && title)
+);
+
+// Players who have finished a rated game in the category, best first
+const getLeaderboard = (category, limit) =>
+  store.listPlayers()
+    .filter((player) => player.ratings?.[category])
+    .map((player) => ({ username: player.username, ...toPublicRating(player.ratings[category]) }))
+    .sort((a, b) => b.rating - a.rating)
+    .slice(0, limit);
+
+const WHITE_SCORES = { "1-0": 1, "0-1": 0, "1/2-1/2": 0.5 };
+
+// Update both players' ratings after a rated game with a result.
+// Returns each player's change keyed by username, or null if nothing was rated.
+const applyRatings = (game) => {
+  const whiteScore = WHITE_SCORES[getPgnResult(game)];
+  if (!game.rated || !game.opponent || whiteScore === undefined) return null;
+  
+  const category = getRatingCategory(game.timeControl);
+  const before = { white: getPlayerRating(game.creator, category), black: getPlayerRating(game.opponent, category) };
+  const after = rateGame(before.white, before.black, whiteScore);
+  
+  const changes = {};
+  ["white", "black"].forEach((color) => {
+    const username = getPlayerName(game, color);
+    const player = store.getPlayer(username) || { username, ratings: {} };
+    store.savePlayer({
+      ...player,
+      ratings: { ...player.ratings, [category]: { ...after[color], updatedAt: Date.now() } }
+    });
+    
+    const oldRating = Math.round(before[color].rating);
+    const newRating = Math.round(after[color].rating);
+    changes[username] = { category, before: oldRating, after: newRating, change: newRating - oldRating };
+  });
+  return changes;
+};
+
+// End a game and tell everyone in it. `result` comes from termination.js, plus any
+// details of how the game ended (who flagged, claimed or abandoned).
+// Rated games update both players' ratings and report the change.
+const finishGame = (game, result, status = "completed") => {
+  const wasPlaying = game.status === "playing";
+  game.status = status;
+  game.finishedAt = Date.now();
+  
+  // Name the players too, for clients that show who won
+  game.result = nameResult(game, result);
+  
+  const ratingChanges = wasPlaying ? applyRatings(game) : null;
+  if (ratingChanges) game.result = { ...game.result, ratingChanges };
+  if (game.clock) {
+    stopClock(game.clock);
+    clearTimeout(game.flagTimer);
+  }
+  clearTimeout(game.firstMoveTimer);
+  game.firstMoveDeadline = null;
+  Object.values(game.disconnectTimers).forEach(clearTimeout);
+  game.disconnectTimers = {};
+  persistGame(game);
+  
+  broadcastToGame(game.id, {
+    type: "GAME_OVER",
+    payload: {
+      gameId: game.id,
+      ...game.result,
+      clocks: getGameClocks(game),
+      matchScore: getMatchScore(game)
+    },
+    timestamp: Date.now()
+  });
+};
+
+// End the game on time if the side to move has run out; returns true if it did
+const checkFlag = (game) => {
+  if (game.status !== "playing" || !game.clock) return false;
+  
+  const flagResult = getFlagResult(game);
+  if (!flagResult) {
+    scheduleFlagCheck(game);
+    return false;
+  }
+  
+  finishGame(game, flagResult);
+  return true;
+};
+
+// Arm a timer that fires when the side to move would run out of time
+const scheduleFlagCheck = (game) => {
+  clearTimeout(game.flagTimer);
+  if (!game.clock || !game.clock.active) return;
+  
+  const remaining = getClockTimes(game.clock)[game.clock.active];
+  game.flagTimer = setTimeout(() => checkFlag(game), remaining + 50);
+};
+
+// Give the side to move FIRST_MOVE_TIMEOUT_MS for its first move, or stop
+// counting once both sides have moved. Called whenever the move count changes.
+const scheduleFirstMoveCheck = (game) => {
+  clearTimeout(game.firstMoveTimer);
+  if (!isAbortable(game)) {
+    game.firstMoveDeadline = null;
+    return;
+  }
+  
+  game.firstMoveDeadline = Date.now() + FIRST_MOVE_TIMEOUT_MS;
+  game.firstMoveTimer = setTimeout(() => {
+    if (!isAbortable(game)) return;
+    const noShow = getPlayerName(game, getTurnColor(game));
+    console.log(`Aborting game ${game.id}: ${noShow} did not make a first move`);
+    finishGame(game, { ...unfinishedBy("no_show"), noShow }, "aborted");
+  }, FIRST_MOVE_TIMEOUT_MS);
+};
+
+// Time left for the side that still owes its first move, or null once both have moved
+const getFirstMoveCountdown = (game) =>
+  game.firstMoveDeadline
+    ? { color: getTurnColor(game), remainingMs: Math.max(0, game.firstMoveDeadline - Date.now()) }
+    : null;
+
+// A player did not reconnect within the grace period. Their opponent may now claim
+// the win or a draw; if the opponent is gone too, or is the computer, the game is abandoned.
+const markAbsent = (game, color) => {
+  delete game.disconnectTimers[color];
+  if (game.status !== "playing") return;
+  
+  if (game.absentColor || game.bot) {
+    finishGame(game, { ...unfinishedBy("abandoned"), abandonedBy: getPlayerName(game, color) }, "abandoned");
+    return;
+  }
+  
+  // The absent player's clock keeps running, so they can still lose on time
+  game.absentColor = color;
+  const presentSocket = color === "white" ? game.opponentSocket : game.creatorSocket;
+  sendJSON(presentSocket, {
+    type: "OPPONENT_ABSENT",
+    payload: { gameId: game.id, opponent: getPlayerName(game, color) },
+    timestamp: Date.now()
+  });
+};
+
+// The result a player claims against an opponent who stayed away
+const getAbsenceResult = (game, claimant, claimType) => ({
+  ...(claimType === "victory" ? winFor(claimant, "opponent_left") : drawBy("opponent_left")),
+  absent: getPlayerName(game, otherColor(claimant)),
+  claimedBy: getPlayerName(game, claimant)
+});
+
+// Create a game with both players already seated and send each a snapshot with their color.
+// white/black are { username, socket, session }; the rest are the game's settings.
+// `bot` is { color, level } when the computer takes one of the seats, and
+// `startingPosition` is { startFen, moves } as from parseStartingPosition.
+const startSeatedGame = ({
+  white,
+  black,
+  timeControl = null,
+  startingPosition = {},
+  allowTakebacks = true,
+  rated = false,
+  previousGameId = null,
+  matchScore = null,
+  bot = null
+}, messageType = "GAME_STARTED") => {
+  [white, black].forEach(stopSeeking);
+  
+  const gameId = uuidv4().substring(0, 8);
+  const chess = replayGame(startingPosition.startFen, startingPosition.moves);
+  const game = {
+    id: gameId,
+    creator: white.username,
+    creatorSocket: white.socket,
+    creatorSession: white.session,
+    opponent: black.username,
+    opponentSocket: black.socket,
+    opponentSession: black.session,
+    game: chess,
+    startFen: startingPosition.startFen || null,
+    startPly: startingPosition.moves?.length ?? 0,
+    opening: detectGameOpening(chess),
+    status: "playing",
+    timeControl,
+    clock: timeControl ? createClock(timeControl) : null,
+    flagTimer: null,
+    firstMoveTimer: null,
+    firstMoveDeadline: null,
+    disconnectTimers: {},
+    absentColor: null,
+    drawOfferedBy: null,
+    allowTakebacks,
+    takebackRequest: null,
+    rated,
+    chat: [],
+    previousGameId,
+    matchScore,
+    bot,
+    result: null,
+    createdAt: Date.now()
+  };
+  games[gameId] = game;
+  
+  [white.session, black.session].forEach((token) => {
+    const session = getSession(token);
+    if (session) session.gameId = gameId;
+  });
+  
+  if (game.clock) {
+    startClock(game.clock, getTurnColor(game));
+    scheduleFlagCheck(game);
+  }
+  scheduleFirstMoveCheck(game);
+  persistGame(game);
+  
+  ["white", "black"].forEach((color) => {
+    const playerSocket = color === "white" ? game.creatorSocket : game.opponentSocket;
+    if (!playerSocket) return;
+    
+    joinRoom(playerSocket, gameId);
+    sendJSON(playerSocket, {
+      type: messageType,
+      payload: {
+        ...buildGameState(game),
+        color,
+        opponent: getPlayerName(game, otherColor(color))
+      },
+      timestamp: Date.now()
+    });
+  });
+  
+  requestComputerMove(game);
+  return game;
+};
+
+// A rematch seats both players again, so neither may have started another game since.
+// Tells the socket who is busy; true if the rematch can go ahead.
+const canStartRematch = (previousGame, socket) => {
+  const busySeat = [previousGame.creatorSocket, previousGame.opponentSocket].find((seat) => seat && isPlayingGame(seat));
+  if (busySeat) {
+    const busyPlayer = busySeat.username === socket.username ? "You are" : `${busySeat.username} is`;
+    sendError(socket, ERROR_CODES.ALREADY_IN_GAME, `${busyPlayer} playing another game`);
+  }
+  return !busySeat;
+};
+
+// Start the rematch of a finished game: same settings, colors swapped, spectators brought along
+const startRematch = (previousGame) => {
+  const spectators = [...(rooms.get(previousGame.id)?.spectators ?? [])];
+  
+  const rematch = startSeatedGame({
+    white: { username: previousGame.opponent, socket: previousGame.opponentSocket, session: previousGame.opponentSession },
+    black: { username: previousGame.creator, socket: previousGame.creatorSocket, session: previousGame.creatorSession },
+    timeControl: previousGame.timeControl,
+    // The same starting position, including any moves from a starting PGN
+    startingPosition: {
+      startFen: previousGame.startFen,
+      moves: previousGame.game.history().slice(0, previousGame.startPly || 0)
+    },
+    allowTakebacks: previousGame.allowTakebacks,
+    rated: previousGame.rated,
+    previousGameId: previousGame.id,
+    matchScore: getMatchScore(previousGame),
+    bot: previousGame.bot && { ...previousGame.bot, color: otherColor(previousGame.bot.color) }
+  }, "REMATCH_STARTED");
+  
+  previousGame.rematchGameId = rematch.id;
+  previousGame.rematchOfferedBy = null;
+  persistGame(previousGame);
+  
+  spectators.forEach((spectator) => {
+    joinRoom(spectator, rematch.id, "spectator");
+    sendJSON(spectator, {
+      type: "GAME_STATE",
+      payload: buildGameState(rematch, { spectating: true }),
+      timestamp: Date.now()
+    });
+  });
+};
+
+// Play a move for one side: run the clocks, tell everyone in the game and end it on
+// checkmate or an automatic draw. Returns the MOVE_MADE payload, or null if the move is illegal.
+const playMove = (game, moveInput, color) => {
+  const moveMade = applyMove(game, moveInput, color);
+  if (!moveMade) return null;
+  
+  scheduleFlagCheck(game);
+  scheduleFirstMoveCheck(game);
+  persistGame(game);
+  
+  // Broadcast the server-computed result to all players in the game
+  broadcastToGame(game.id, {
+    type: "MOVE_MADE",
+    payload: { ...moveMade, firstMoveCountdown: getFirstMoveCountdown(game) },
+    timestamp: Date.now()
+  });
+  
+  // Checkmate and the automatic draws end the game; claimable draws wait for CLAIM_DRAW
+  const automaticResult = getAutomaticResult(game.game);
+  if (automaticResult) {
+    finishGame(game, automaticResult);
+  } else {
+    requestComputerMove(game);
+  }
+  return moveMade;
+};
+
+// Undo the moves of an accepted takeback request and send everyone the new position
+const takeBack = (game) => {
+  const { requestedBy, plies } = game.takebackRequest;
+  const takebackAccepted = takeBackMoves(game, plies, requestedBy);
+  scheduleFlagCheck(game);
+  scheduleFirstMoveCheck(game);
+  persistGame(game);
+  
+  broadcastToGame(game.id, {
+    type: "TAKEBACK_ACCEPTED",
+    payload: { ...takebackAccepted, firstMoveCountdown: getFirstMoveCountdown(game) },
+    timestamp: Date.now()
+  });
+  requestComputerMove(game);
+};
+
+// When it is the computer's turn, search in the background and play the answer
+// through the same path as a player's move. Its clock runs while it thinks; an
+// answer for a position that has since changed (a takeback, the game ending) is dropped.
+const requestComputerMove = (game) => {
+  if (!game.bot || game.status !== "playing" || getTurnColor(game) !== game.bot.color) return;
+  
+  const position = `${game.game.history().length} ${game.game.fen()}`;
+  const clock = game.clock
+    ? { remainingMs: getClockTimes(game.clock)[game.bot.color], incrementMs: game.clock.incrementMs }
+    : null;
+  
+  chooseComputerMove(game.game.fen(), game.bot.level, clock)
+    .then((result) => {
+      const unchanged = `${game.game.history().length} ${game.game.fen()}` === position;
+      if (!result || game.status !== "playing" || !unchanged || checkFlag(game)) return;
+      playMove(game, result.move, game.bot.color);
+    })
+    .catch((error) => console.error(`Computer move failed in game ${game.id}:`, error));
+};
+
+// Start an unrated game between the socket's player and the computer
+const startComputerGame = (socket, { level, color, timeControl, allowTakebacks }) => {
+  const humanColor = color === "random" ? (Math.random() < 0.5 ? "white" : "black") : color;
+  const human = { username: socket.username, socket, session: socket.sessionToken };
+  const computer = { username: getComputerName(level), socket: null, session: null };
+  
+  return startSeatedGame({
+    white: humanColor === "white" ? human : computer,
+    black: humanColor === "white" ? computer : human,
+    timeControl,
+    allowTakebacks,
+    bot: { color: otherColor(humanColor), level }
+  });
+};
+
+// Take a finished game out of memory; its record stays in the store as the archive
+const archiveGame = (game) => {
+  persistGame(game);
+  closeRoom(game.id);
+  delete games[game.id];
+};
+
+// Drop a game nobody joined, telling its creator and anyone watching
+const expireGame = (game) => {
+  broadcastToGame(game.id, {
+    type: "GAME_EXPIRED",
+    payload: { gameId: game.id, reason: "no_opponent" },
+    timestamp: Date.now()
+  });
+  
+  const session = getSession(game.creatorSession);
+  if (session?.gameId === game.id) session.gameId = null;
+  closeRoom(game.id);
+  delete games[game.id];
+  store.deleteGame(game.id);
+};
+
+let lastStats = null;
+
+const collectStats = (sweep = null) => ({
+  at: Date.now(),
+  uptimeSeconds: Math.round(process.uptime()),
+  games: countGamesByStatus(Object.values(games)),
+  storedGames: store.countGames(),
+  rooms: rooms.size,
+  connections: wss.clients.size,
+  loggedInUsers: userSockets.size,
+  sessions: getSessionCount(),
+  memory: getMemoryUsage(),
+  lastSweep: sweep
+});
+
+// Archive finished games, expire unjoined ones and free whatever nothing uses any more
+const sweepGames = () => {
+  const underPressure = isOverMemoryLimit();
+  const { archive, expire } = findStaleGames(Object.values(games), { underPressure });
+  archive.forEach(archiveGame);
+  expire.forEach(expireGame);
+  
+  // Rooms of games that are gone, and sockets that closed without cleaning up
+  let roomsFreed = 0;
+  rooms.forEach((room, gameId) => {
+    if (room.sockets.size === 0 || !games[gameId]) {
+      closeRoom(gameId);
+      roomsFreed += 1;
+    }
+  });
+  userSockets.forEach((client, username) => {
+    if (client.readyState === client.CLOSED) userSockets.delete(username);
+  });
+  
+  const sweep = {
+    archived: archive.length,
+    expired: expire.length,
+    roomsFreed,
+    sessionsPruned: pruneSessions(),
+    archivePruned: ARCHIVE_MAX_GAMES > 0 ? store.pruneArchive(ARCHIVE_MAX_GAMES) : 0,
+    underPressure
+  };
+  lastStats = collectStats(sweep);
+  
+  if (sweep.archived || sweep.expired || sweep.archivePruned || underPressure) {
+    console.log("Lifecycle sweep:", JSON.stringify(lastStats));
+  }
+};
+
+// Tell everyone browsing the lobby about a change to the seek list
+const broadcastToLobby = (data) => {
+  getLobbySubscribers().forEach((client) => sendJSON(client, data));
+};
+
+// Take a player's open seeks out of the lobby, e.g. once they start playing
+const withdrawSeeks = (username, reason) => {
+  removeSeeksBy(username).forEach((seek) => {
+    broadcastToLobby({
+      type: "SEEK_REMOVED",
+      payload: { seekId: seek.id, reason },
+      timestamp: Date.now()
+    });
+  });
+};
+
+// A player whose game has started stops looking for another one
+const stopSeeking = ({ username, socket }) => {
+  leaveQueue(socket);
+  withdrawSeeks(username, "started_game");
+  withdrawChallenges(removeChallengesFrom(username), "started_game");
+};
+
+// A player leaving under their current name, by disconnecting or logging in as someone
+// else, takes their seeks, challenges and place in the queue with them
+const withdrawPlayer = (socket, reason) => {
+  if (socket.username) {
+    withdrawSeeks(socket.username, reason);
+    withdrawChallenges(removeChallengesInvolving(socket.username), reason);
+  }
+  leaveQueue(socket);
+};
+
+// Tell both sides of each challenge that it is gone, and why
+const withdrawChallenges = (removed, reason, extra = {}) => {
+  removed.forEach((challenge) => {
+    [challenge.challenger, challenge.opponent].forEach((name) => {
+      sendJSON(userSockets.get(name), {
+        type: "CHALLENGE_REMOVED",
+        payload: { challengeId: challenge.id, reason, ...extra },
+        timestamp: Date.now()
+      });
+    });
+  });
+};
+
+// True if the socket holds a seat in a game that is still being played
+const isPlayingGame = (socket) => {
+  const currentGame = games[socket.gameId];
+  return Boolean(currentGame && currentGame.status === "playing" && getPlayerColor(currentGame, socket));
+};
+
+// Open a game with the socket's player as white and wait for an opponent
+const createWaitingGame = (socket, { gameId = uuidv4().substring(0, 8), timeControl, startingPosition = {}, allowTakebacks = true }) => {
+  joinRoom(socket, gameId);
+  
+  const chess = replayGame(startingPosition.startFen, startingPosition.moves);
+  const game = {
+    id: gameId,
+    creator: socket.username,
+    creatorSocket: socket,
+    creatorSession: socket.sessionToken,
+    opponent: null,
+    opponentSocket: null,
+    opponentSession: null,
+    game: chess,
+    startFen: startingPosition.startFen || null,
+    // Moves from a starting PGN were played before this game began
+    startPly: startingPosition.moves?.length ?? 0,
+    opening: detectGameOpening(chess),
+    status: "waiting",
+    timeControl,
+    clock: timeControl ? createClock(timeControl) : null,
+    flagTimer: null,
+    firstMoveTimer: null,
+    firstMoveDeadline: null,
+    disconnectTimers: {},
+    absentColor: null,
+    drawOfferedBy: null,
+    // Takebacks are on unless the creator turns them off (e.g. for rated play)
+    allowTakebacks,
+    takebackRequest: null,
+    rated: false,
+    chat: [],
+    result: null,
+    createdAt: Date.now()
+  };
+  games[gameId] = game;
+  persistGame(game);
+  
+  const creatorSession = getSession(socket.sessionToken);
+  if (creatorSession) creatorSession.gameId = gameId;
+  
+  sendJSON(socket, { 
+    type: "GAME_CREATED", 
+    payload: { 
+      gameId,
+      timeControl,
+      allowTakebacks: game.allowTakebacks,
+      clocks: getGameClocks(game),
+      fen: game.game.fen(),
+      turn: getTurnColor(game),
+      opening: game.opening || null,
+      ratings: getGameRatings(game),
+      titles: getGameTitles(game)
+    },
+    timestamp: Date.now()
+  });
+  return game;
+};
+
+// Seat the socket's player as black in a waiting game and start it
+const seatOpponent = (game, socket) => {
+  joinRoom(socket, game.id);
+  game.opponent = socket.username;
+  game.opponentSocket = socket;
+  game.opponentSession = socket.sessionToken;
+  game.status = "playing";
+  
+  const joinerSession = getSession(socket.sessionToken);
+  if (joinerSession) joinerSession.gameId = game.id;
+  persistGame(game);
+  [{ username: game.creator, socket: game.creatorSocket }, { username: socket.username, socket }].forEach(stopSeeking);
+  
+  // The side to move starts its clock as soon as both players are seated
+  if (game.clock) {
+    startClock(game.clock, getTurnColor(game));
+    scheduleFlagCheck(game);
+  }
+  scheduleFirstMoveCheck(game);
+  
+  // Notify both players
+  sendJSON(socket, { 
+    type: "GAME_JOINED", 
+    payload: { 
+      gameId: game.id, 
+      creator: game.creator,
+      color: "black",
+      timeControl: game.timeControl,
+      allowTakebacks: game.allowTakebacks,
+      clocks: getGameClocks(game),
+      fen: game.game.fen(),
+      turn: getTurnColor(game),
+      opening: game.opening || null,
+      ratings: getGameRatings(game),
+      titles: getGameTitles(game),
+      firstMoveCountdown: getFirstMoveCountdown(game)
+    },
+    timestamp: Date.now()
+  });
+  
+  sendJSON(game.creatorSocket, { 
+    type: "OPPONENT_JOINED", 
+    payload: { 
+      gameId: game.id, 
+      opponent: socket.username,
+      color: "white",
+      timeControl: game.timeControl,
+      allowTakebacks: game.allowTakebacks,
+      clocks: getGameClocks(game),
+      fen: game.game.fen(),
+      turn: getTurnColor(game),
+      opening: game.opening || null,
+      ratings: getGameRatings(game),
+      titles: getGameTitles(game),
+      firstMoveCountdown: getFirstMoveCountdown(game)
+    },
+    timestamp: Date.now()
+  });
+  
+  // Anyone already watching the open game gets the new lineup
+  rooms.get(game.id)?.spectators.forEach((spectator) => {
+    sendJSON(spectator, {
+      type: "GAME_STATE",
+      payload: buildGameState(game, { spectating: true }),
+      timestamp: Date.now()
+    });
+  });
+};
+
+// Tell a queued player where their search stands
+const sendQueueStatus = (socket, entry) => {
+  sendJSON(socket, {
+    type: "QUEUE_STATUS",
+    payload: entry
+      ? {
+          queued: true,
+          timeControl: entry.timeControl,
+          waitingMs: Date.now() - entry.queuedAt,
+          searchStep: getSearchStep(entry),
+          playersInQueue: getQueueSize()
+        }
+      : { queued: false },
+    timestamp: Date.now()
+  });
+};
+
+// Take a player out of the matchmaking queue, telling them if they were in it.
+// A seat reloaded after a restart has no socket until its player comes back.
+const leaveQueue = (socket) => {
+  if (socket?.username && getQueueEntry(socket.username)?.socket === socket) {
+    dequeue(socket.username);
+    sendQueueStatus(socket, null);
+  }
+};
+
+// Pair whoever can be paired and start their games through the usual create/join flow
+const runMatchmaking = () => {
+  takePairs().forEach(([earlier, later]) => {
+    const { white, black } = assignColors(earlier, later);
+    [white, black].forEach((entry) => sendQueueStatus(entry.socket, null));
+    const game = createWaitingGame(white.socket, { timeControl: earlier.timeControl });
+    seatOpponent(game, black.socket);
+  });
+  
+  // Let players still waiting know when their search has widened
+  getQueueEntries().forEach((entry) => {
+    const step = getSearchStep(entry);
+    if (step !== entry.lastSearchStep) {
+      entry.lastSearchStep = step;
+      sendQueueStatus(entry.socket, entry);
+    }
+  });
+};
+
+// Put a reconnecting player back in their seat and send them the full game state
+const resumeSeat = (socket, session) => {
+  const game = games[session.gameId];
+  if (!game || (game.status !== "waiting" && game.status !== "playing")) return;
+  
+  let color = null;
+  if (game.creatorSession === session.token) color = "white";
+  if (game.opponentSession === session.token) color = "black";
+  if (!color) return;
+  
+  if (color === "white") {
+    game.creatorSocket = socket;
+  } else {
+    game.opponentSocket = socket;
+  }
+  joinRoom(socket, game.id);
+  clearTimeout(game.disconnectTimers[color]);
+  delete game.disconnectTimers[color];
+  // Back in time to stop the opponent claiming the game
+  if (game.absentColor === color) game.absentColor = null;
+  
+  sendJSON(socket, {
+    type: "GAME_STATE",
+    payload: {
+      ...buildGameState(game),
+      color,
+      opponent: getPlayerName(game, otherColor(color))
+    },
+    timestamp: Date.now()
+  });
+  
+  const opponentSocket = color === "white" ? game.opponentSocket : game.creatorSocket;
+  if (opponentSocket) {
+    sendJSON(opponentSocket, {
+      type: "OPPONENT_RECONNECTED",
+      payload: {
+        gameId: game.id,
+        opponent: socket.username
+      },
+      timestamp: Date.now()
+    });
+  }
+};
+
+// Guests, and legacy clients that never log in, have no account
+const hasAccount = (socket) => socket.isGuest === false;
+
+// True if another open connection is logged in under the name
+const isNameInUse = (username, socket) => {
+  const holder = userSockets.get(username);
+  return Boolean(holder && holder !== socket && holder.readyState === 1);
+};
+
+// Log the socket in under a name it has proven it may use. A token resume takes
+// the name over from a stale connection; anyone else must wait until it is free.
+// A freshly registered bot gets its API token in LOGIN_SUCCESS, the only time it is sent.
+const completeLogin = (socket, username, { guest = false, resumedSession = null, apiToken = null } = {}) => {
+  if (socket.readyState !== 1) return;
+  
+  const holder = userSockets.get(username);
+  if (isNameInUse(username, socket)) {
+    // Resuming takes the name over, but a guest session never from a logged-in account
+    if (!resumedSession || (resumedSession.guest && hasAccount(holder))) {
+      sendError(socket, ERROR_CODES.NAME_IN_USE, `${username} is already logged in elsewhere`);
+      return;
+    }
+    holder.close(4001, "Logged in elsewhere");
+  }
+  
+  // A socket that logs in again gives up its previous name
+  if (socket.username && userSockets.get(socket.username) === socket) {
+    userSockets.delete(socket.username);
+    if (socket.username !== username) withdrawPlayer(socket, "logged_out");
+  }
+  
+  const session = resumedSession || createSession(username, { guest });
+  socket.username = username;
+  socket.sessionToken = session.token;
+  socket.isGuest = session.guest;
+  socket.isBot = !session.guest && isBot(store.getPlayer(username));
+  userSockets.set(username, socket);
+  sendJSON(socket, {
+    type: "LOGIN_SUCCESS",
+    payload: {
+      username,
+      sessionToken: session.token,
+      resumed: Boolean(resumedSession),
+      guest: session.guest,
+      title: getPlayerTitle(username),
+      ratings: getPublicRatings(username),
+      ...(apiToken && { apiToken })
+    },
+    timestamp: Date.now()
+  });
+  
+  if (resumedSession) {
+    resumeSeat(socket, session);
+  }
+};
+
+// Logging in and registering wait on password hashing; if that fails the client still gets an answer
+const reportServerError = (socket, action) => (error) => {
+  console.error(`${action} failed for ${socket.username || "a new connection"}:`, error);
+  sendError(socket, ERROR_CODES.SERVER_ERROR, `${action} failed on the server; please try again`);
+};
+
+const INVALID_USERNAME_MESSAGE = "Usernames are 3-20 letters, digits, _ or -, and cannot start with Guest-";
+
+// The account registered under a name in any letter case, so "ALICE" can't pass for "alice"
+const findAccount = (username) => {
+  const lowerCase = username.toLowerCase();
+  return store.listPlayers().find((player) => isRegistered(player) && player.username.toLowerCase() === lowerCase) ?? null;
+};
+
+// LOGIN: resume with a session token, log in to an account with a password or a
+// bot account with its API token, or play as a guest
+const logIn = async (socket, { username, password, apiToken, sessionToken }) => {
+  // A valid token for the same name resumes that session, seat included
+  const previousSession = getSession(sessionToken);
+  if (previousSession && previousSession.username === username) {
+    // A guest's name may have been registered since; it belongs to the account now
+    if (previousSession.guest && isRegistered(store.getPlayer(username))) {
+      sendError(socket, ERROR_CODES.NAME_REGISTERED, `${username} is a registered account; log in with its password`);
+      return;
+    }
+    completeLogin(socket, username, { resumedSession: previousSession });
+    return;
+  }
+  
+  const player = store.getPlayer(username);
+  if (apiToken !== undefined) {
+    if (!isBot(player) || !verifyApiToken(apiToken, player.apiTokenHash)) {
+      sendError(socket, ERROR_CODES.INVALID_CREDENTIALS, "Wrong username or API token");
+      return;
+    }
+    completeLogin(socket, username);
+    return;
+  }
+  
+  if (password === undefined) {
+    // Guests follow the account rules too, so none can pass for a player, the computer or another guest
+    if (!isValidUsername(username)) {
+      sendError(socket, ERROR_CODES.INVALID_USERNAME, INVALID_USERNAME_MESSAGE);
+      return;
+    }
+    const account = findAccount(username);
+    if (account) {
+      sendError(socket, ERROR_CODES.NAME_REGISTERED, `${account.username} is a registered account; log in with its password`);
+      return;
+    }
+    completeLogin(socket, username, { guest: true });
+    return;
+  }
+  
+  if (!isRegistered(player) || !(await verifyPassword(password, player.password))) {
+    sendError(socket, ERROR_CODES.INVALID_CREDENTIALS, "Wrong username or password");
+    return;
+  }
+  completeLogin(socket, username);
+};
+
+// REGISTER: create an account and log straight into it
+const registerAccount = async (socket, { username, password, bot = false }) => {
+  if (!isValidUsername(username)) {
+    sendError(socket, ERROR_CODES.INVALID_USERNAME, INVALID_USERNAME_MESSAGE);
+    return;
+  }
+  
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    sendError(socket, ERROR_CODES.WEAK_PASSWORD, `Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+    return;
+  }
+  
+  if (isNameInUse(username, socket)) {
+    sendError(socket, ERROR_CODES.NAME_IN_USE, `${username} is already logged in elsewhere`);
+    return;
+  }
+  
+  const passwordHash = await hashPassword(password);
+  
+  // Checked after hashing too, in case someone else registered the name meanwhile
+  const player = store.getPlayer(username);
+  if (findAccount(username)) {
+    sendError(socket, ERROR_CODES.USERNAME_TAKEN, `${username} is already taken`);
+    return;
+  }
+  
+  const apiToken = bot ? createApiToken() : null;
+  store.savePlayer({
+    ratings: {},
+    ...player,
+    username,
+    password: passwordHash,
+    ...(apiToken && { bot: true, apiTokenHash: apiToken.hash }),
+    registeredAt: Date.now()
+  });
+  completeLogin(socket, username, { apiToken: apiToken?.token });
+};
+
+// RESET_API_TOKEN: replace a bot account's API token; the old one stops working
+const resetApiToken = (socket) => {
+  const player = store.getPlayer(socket.username);
+  if (!socket.isBot || !isBot(player)) {
+    sendError(socket, ERROR_CODES.BOT_ACCOUNT_REQUIRED, "Only bot accounts have API tokens");
+    return;
+  }
   
-  gameClients.forEach(client => {
-    sendJSON(client, data);
+  const apiToken = createApiToken();
+  store.savePlayer({ ...player, apiTokenHash: apiToken.hash });
+  sendJSON(socket, {
+    type: "API_TOKEN",
+    payload: { username: socket.username, apiToken: apiToken.token },
+    timestamp: Date.now()
+  });
+};
+
+// Accounts keep their puzzle record in the store; a guest's lasts as long as their session
+const getPuzzleStats = (socket) => {
+  const owner = hasAccount(socket) ? store.getPlayer(socket.username) : getSession(socket.sessionToken);
+  return owner?.puzzles || createPuzzleStats();
+};
+
+const savePuzzleStats = (socket, puzzles) => {
+  if (hasAccount(socket)) {
+    store.savePlayer({ ...store.getPlayer(socket.username), puzzles });
+    return;
+  }
+  const session = getSession(socket.sessionToken);
+  if (session) session.puzzles = puzzles;
+};
+
+// Rate a finished attempt and save it. Returns the rating change, shown like a game's.
+const finishPuzzle = (socket, puzzle, solved) => {
+  const before = getPuzzleStats(socket);
+  const after = recordPuzzleResult(before, puzzle, solved);
+  savePuzzleStats(socket, after);
+  
+  const oldRating = Math.round(before.rating.rating);
+  const newRating = Math.round(after.rating.rating);
+  return { stats: after, ratingChange: { before: oldRating, after: newRating, change: newRating - oldRating } };
+};
+
+const toPuzzleMove = (move) => ({ from: move.from, to: move.to, san: move.san });
+
+// GET_PUZZLE: start a new puzzle near the player's puzzle rating, optionally with a
+// theme. Its themes are kept back until it is solved, since they hint at the answer.
+const sendPuzzle = (socket, theme = null) => {
+  const stats = getPuzzleStats(socket);
+  const puzzle = pickPuzzle({ rating: stats.rating.rating, recent: stats.recent, theme });
+  if (!puzzle) {
+    sendError(socket, ERROR_CODES.PUZZLE_NOT_FOUND, theme ? `No puzzles with the theme ${theme}` : "No puzzles are loaded");
+    return;
+  }
+  
+  const updatedStats = addRecentPuzzle(stats, puzzle.id);
+  savePuzzleStats(socket, updatedStats);
+  socket.puzzle = startPuzzle(puzzle);
+  
+  const { chess, lastMove } = socket.puzzle;
+  sendJSON(socket, {
+    type: "PUZZLE",
+    payload: {
+      puzzleId: puzzle.id,
+      fen: chess.fen(),
+      color: chess.turn() === "w" ? "white" : "black",
+      lastMove: toPuzzleMove(lastMove),
+      rating: puzzle.rating,
+      stats: toPublicPuzzleStats(updatedStats)
+    },
+    timestamp: Date.now()
+  });
+};
+
+// PUZZLE_MOVE: check a move in the current puzzle. The first mistake costs rating
+// and the streak; after it the puzzle can still be finished, but unrated.
+const checkPuzzleMove = (socket, { puzzleId, move }) => {
+  const attempt = socket.puzzle;
+  if (!attempt || attempt.puzzle.id !== puzzleId) {
+    sendError(socket, ERROR_CODES.PUZZLE_NOT_FOUND, "That puzzle is not in progress");
+    return;
+  }
+  
+  const { puzzle, chess } = attempt;
+  const alreadyFailed = attempt.failed;
+  const result = playPuzzleMove(attempt, move);
+  
+  if (result.outcome === "illegal") {
+    sendError(socket, ERROR_CODES.ILLEGAL_MOVE, "Illegal move", { fen: chess.fen() });
+    return;
+  }
+  
+  if (result.outcome === "wrong") {
+    const { stats, ratingChange } = alreadyFailed
+      ? { stats: getPuzzleStats(socket), ratingChange: null }
+      : finishPuzzle(socket, puzzle, false);
+    sendJSON(socket, {
+      type: "PUZZLE_MOVE_REJECTED",
+      payload: {
+        puzzleId,
+        move: toPuzzleMove(result.move),
+        fen: chess.fen(),
+        stats: toPublicPuzzleStats(stats),
+        ...(ratingChange && { ratingChange })
+      },
+      timestamp: Date.now()
+    });
+    return;
+  }
+  
+  const solved = result.outcome === "solved";
+  const { stats, ratingChange } = solved && !alreadyFailed
+    ? finishPuzzle(socket, puzzle, true)
+    : { stats: getPuzzleStats(socket), ratingChange: null };
+  if (solved) socket.puzzle = null;
+  
+  sendJSON(socket, {
+    type: "PUZZLE_MOVE_ACCEPTED",
+    payload: {
+      puzzleId,
+      move: toPuzzleMove(result.move),
+      fen: chess.fen(),
+      reply: result.reply ? { ...toPuzzleMove(result.reply), fen: result.reply.after } : null,
+      solved,
+      ...(solved && { themes: puzzle.themes }),
+      stats: toPublicPuzzleStats(stats),
+      ...(ratingChange && { ratingChange })
+    },
+    timestamp: Date.now()
   });
 };
 
@@ -80,255 +1397,259 @@ wss.on("connection", (socket) => {
     socket.isAlive = true;
   });
   
-  // Send welcome message
+  // Send welcome message, announcing the protocol versions we speak
   sendJSON(socket, { 
     type: "CONNECTED", 
-    message: "Connected to SilentCheckmate server",
+    payload: {
+      message: "Connected to SilentCheckmate server",
+      protocolVersion: PROTOCOL_VERSION,
+      minProtocolVersion: MIN_PROTOCOL_VERSION
+    },
     timestamp: Date.now()
   });
+  
   // Handle messages
   socket.on("message", (data) => {
     let message;
     try {
       message = JSON.parse(data.toString());
     } catch (error) {
-      console.error("Invalid message format:", error);
+      sendError(socket, ERROR_CODES.INVALID_MESSAGE, "Message is not valid JSON");
       return;
     }
     
-    // Handle both old and new message formats
-    if (message.t) {
-      // New format (t, gameId, from, to)
-      const msg = message;
-      
-      if (msg.t === "JOIN" && msg.gameId) {
-        const r = getRoom(msg.gameId);
-        r.sockets.add(socket);
-        socket._room = msg.gameId;
-        console.log("JOIN", msg.gameId);
-        socket.send(JSON.stringify({ t: "STATE", fen: r.chess.fen(), last: null }));
+    // Translate old `t`-format clients during the deprecation window
+    if (isLegacyMessage(message)) {
+      if (!isLegacyProtocolSupported()) {
+        socket.send(JSON.stringify({
+          t: "ERROR",
+          code: ERROR_CODES.UNSUPPORTED_PROTOCOL,
+          message: "The t-format protocol is no longer supported; please update your client"
+        }));
         return;
       }
       
-      if (msg.t === "MOVE" && socket._room && msg.gameId === socket._room) {
-        const r = getRoom(socket._room);
-        const mv = r.chess.move({ from: msg.from, to: msg.to, promotion: msg.promo || "q" });
-        if (!mv) {
-          socket.send(JSON.stringify({ t: "ILLEGAL" }));
-          return;
-        }
-        const payload = JSON.stringify({ t: "STATE", fen: r.chess.fen(), last: mv.san });
-        console.log("MOVE", socket._room, mv.san);
-        for (const s of r.sockets) if (s.readyState === 1) s.send(payload);
-        return;
+      // Clients that also speak the typed protocol keep receiving typed replies
+      if (!socket.messageFormat) {
+        socket.messageFormat = "legacy";
+        console.warn("Deprecated t-format protocol in use");
+      }
+      if (!socket.username) {
+        socket.username = `Guest-${uuidv4().substring(0, 4)}`;
       }
       
-      if (msg.t === "PING") socket.send(JSON.stringify({ t: "PONG" }));
+      message = fromLegacyMessage(message, games[message.gameId], socket);
+      if (!message) return;
+    } else {
+      socket.messageFormat = "typed";
+    }
+    
+    const problem = validateMessage(message);
+    if (problem) {
+      sendError(socket, problem.code, problem.message);
+      return;
+    }
+    
+    const { type, payload = {} } = message;
+    
+    // Bots get a message budget so a runaway program cannot flood the server
+    if (socket.isBot && !allowBotMessage(socket)) {
+      sendError(socket, ERROR_CODES.RATE_LIMITED, `Bots may send ${BOT_RATE_LIMIT} messages every ${BOT_RATE_WINDOW_MS / 1000}s`);
       return;
     }
     
-    // Original format (type, payload)
-    const { type, payload } = message;
+    // Check the sender may send this, and for game messages that the game allows it
+    const targetGame = isGameScoped(type) ? games[payload.gameId] : null;
+    const denied = authorizeMessage(type, {
+      loggedIn: Boolean(socket.username),
+      username: socket.username,
+      bot: Boolean(socket.isBot),
+      game: targetGame,
+      role: targetGame ? getGameRole(targetGame, socket) : null,
+      color: targetGame ? getPlayerColor(targetGame, socket) : null,
+      turn: targetGame ? getTurnColor(targetGame) : null
+    });
+    if (denied) {
+      const target = payload.gameId ? ` for game ${payload.gameId}` : "";
+      console.warn(`Rejected ${type} from ${socket.username || "anonymous"}${target}: ${denied.reason}`);
+      sendError(socket, denied.code, denied.message, denied.resync ? { fen: targetGame.game.fen() } : {});
+      return;
+    }
     
     // Handle different message types
     switch (type) {
+      case "HELLO":
+        // Version handshake: clients say which protocol version they speak
+        const { protocolVersion } = payload;
+        if (protocolVersion < MIN_PROTOCOL_VERSION || protocolVersion > PROTOCOL_VERSION) {
+          sendError(socket, ERROR_CODES.UNSUPPORTED_PROTOCOL, `Protocol version ${protocolVersion} is not supported`, {
+            protocolVersion: PROTOCOL_VERSION,
+            minProtocolVersion: MIN_PROTOCOL_VERSION
+          });
+          return;
+        }
+        
+        socket.protocolVersion = protocolVersion;
+        sendJSON(socket, {
+          type: "HELLO_ACK",
+          payload: { protocolVersion },
+          timestamp: Date.now()
+        });
+        break;
+        
       case "PING":
         sendJSON(socket, { type: "PONG", timestamp: Date.now() });
         break;
         
       case "LOGIN":
-        const { username } = payload;
-        socket.username = username;
-        userSockets.set(username, socket);
-        sendJSON(socket, { 
-          type: "LOGIN_SUCCESS", 
-          payload: { username },
-          timestamp: Date.now()
-        });
+        logIn(socket, payload).catch(reportServerError(socket, "Login"));
         break;
         
-      case "CREATE_GAME":
-        const gameId = uuidv4().substring(0, 8);
-        socket.gameId = gameId;
+      case "REGISTER":
+        registerAccount(socket, payload).catch(reportServerError(socket, "Registration"));
+        break;
+        
+      case "RESET_API_TOKEN":
+        resetApiToken(socket);
+        break;
         
+      case "CREATE_GAME":
         // Check if time control is specified
-        const timeControl = payload?.timeControl;
+        const timeControl = normalizeTimeControl(payload.timeControl);
+        if (payload.timeControl && !timeControl) {
+          sendError(socket, ERROR_CODES.INVALID_TIME_CONTROL, "Time control must be 0-180 minutes plus 0-180 seconds increment");
+          return;
+        }
         
-        // Create new game
-        games[gameId] = {
-          id: gameId,
-          creator: socket.username,
-          creatorSocket: socket,
-          opponent: null,
-          opponentSocket: null,
-          game: new Chess(),
-          status: "waiting",
-          timeControl: timeControl || null
-        };
+        if (isPlayingGame(socket)) {
+          sendError(socket, ERROR_CODES.ALREADY_IN_GAME, "You cannot create a game while playing");
+          return;
+        }
         
-        sendJSON(socket, { 
-          type: "GAME_CREATED", 
-          payload: { 
-            gameId,
-            timeControl: timeControl || null
-          },
-          timestamp: Date.now()
+        // Optional custom starting position from a FEN or PGN
+        let startingPosition;
+        try {
+          startingPosition = parseStartingPosition(payload);
+        } catch (error) {
+          sendError(socket, ERROR_CODES.INVALID_POSITION, `Invalid starting position: ${error.message}`);
+          return;
+        }
+        
+        // Legacy t-format JOINs name the game they open (see legacy.js); typed clients get a random id
+        const requestedGameId = socket.messageFormat === "legacy" ? payload.gameId : undefined;
+        if (requestedGameId && (games[requestedGameId] || store.getGame(requestedGameId))) {
+          sendError(socket, ERROR_CODES.GAME_NOT_JOINABLE, "Game is already in progress or completed");
+          return;
+        }
+        
+        leaveQueue(socket);
+        createWaitingGame(socket, {
+          gameId: requestedGameId,
+          timeControl,
+          startingPosition,
+          allowTakebacks: payload.allowTakebacks !== false
         });
         break;
         
       case "JOIN_GAME":
-        const { gameId: joinGameId } = payload;
-        
-        // Check if game exists
-        if (!games[joinGameId]) {
-          sendJSON(socket, { 
-            type: "ERROR", 
-            payload: { message: "Game not found" },
-            timestamp: Date.now()
-          });
+        // Joining moves the socket to the new game's room, cutting a player off from their own
+        if (isPlayingGame(socket)) {
+          sendError(socket, ERROR_CODES.ALREADY_IN_GAME, "You cannot join another game while playing");
           return;
         }
         
-        // Check if game is already full
-        if (games[joinGameId].status !== "waiting") {
-          sendJSON(socket, { 
-            type: "ERROR", 
-            payload: { message: "Game is already in progress or completed" },
-            timestamp: Date.now()
-          });
+        seatOpponent(games[payload.gameId], socket);
+        break;
+        
+      case "GET_GAME_STATE":
+        const { gameId: stateGameId } = payload;
+        const stateGame = games[stateGameId];
+        const stateRole = getGameRole(stateGame, socket);
+        
+        sendJSON(socket, {
+          type: "GAME_STATE",
+          payload: buildGameState(stateGame, {
+            spectating: stateRole === "spectator",
+            outsider: stateRole === "outsider"
+          }),
+          timestamp: Date.now()
+        });
+        break;
+        
+      case "WATCH_GAME":
+        const { gameId: watchGameId } = payload;
+        const watchGame = games[watchGameId];
+        
+        // Watching moves the socket to another room, which would cut a player off from their game
+        if (isPlayingGame(socket)) {
+          sendError(socket, ERROR_CODES.ALREADY_IN_GAME, "You cannot watch another game while playing");
           return;
         }
         
-        // Join the game
-        socket.gameId = joinGameId;
-        games[joinGameId].opponent = socket.username;
-        games[joinGameId].opponentSocket = socket;
-        games[joinGameId].status = "playing";
-        
-        // Notify both players
-        sendJSON(socket, { 
-          type: "GAME_JOINED", 
-          payload: { 
-            gameId: joinGameId, 
-            creator: games[joinGameId].creator,
-            color: "black",
-            timeControl: games[joinGameId].timeControl
-          },
+        joinRoom(socket, watchGameId, "spectator");
+        sendJSON(socket, {
+          type: "GAME_STATE",
+          payload: buildGameState(watchGame, { spectating: true }),
           timestamp: Date.now()
         });
+        break;
         
-        sendJSON(games[joinGameId].creatorSocket, { 
-          type: "OPPONENT_JOINED", 
-          payload: { 
-            gameId: joinGameId, 
-            opponent: socket.username,
-            color: "white"
-          },
-          timestamp: Date.now()
-        });
+      case "STOP_WATCHING":
+        leaveRoom(socket);
+        socket.gameId = null;
         break;
         
       case "MAKE_MOVE":
-        const { gameId: moveGameId, move, fen } = payload;
+        const { gameId: moveGameId, move } = payload;
+        const moveGame = games[moveGameId];
         
-        // Check if game exists
-        if (!games[moveGameId]) {
-          sendJSON(socket, { 
-            type: "ERROR", 
-            payload: { message: "Game not found" },
-            timestamp: Date.now()
-          });
+        // A flag that fell before the timer fired still loses the game
+        if (checkFlag(moveGame)) {
           return;
         }
         
-        // Update game state
-        try {
-          games[moveGameId].game = new Chess(fen);
-          
-          // Broadcast move to all players in the game
-          broadcastToGame(moveGameId, {
-            type: "MOVE_MADE",
-            payload: {
-              move,
-              fen,
-              player: socket.username
-            },
-            timestamp: Date.now()
+        const moveInput = parseMoveInput(move);
+        if (!moveInput) {
+          sendError(socket, ERROR_CODES.INVALID_MOVE, "Move must be SAN or { from, to, promotion }", {
+            fen: moveGame.game.fen()
           });
-          
-          // Check if game is over
-          if (games[moveGameId].game.isGameOver()) {
-            games[moveGameId].status = "completed";
-            
-            let reason = "unknown";
-            if (games[moveGameId].game.isCheckmate()) {
-              reason = "checkmate";
-            } else if (games[moveGameId].game.isDraw()) {
-              reason = "draw";
-            } else if (games[moveGameId].game.isStalemate()) {
-              reason = "stalemate";
-            }
-            
-            broadcastToGame(moveGameId, {
-              type: "GAME_OVER",
-              payload: {
-                reason,
-                winner: socket.username
-              },
-              timestamp: Date.now()
-            });
-          }
-        } catch (error) {
-          console.error("Error processing move:", error);
-          sendJSON(socket, { 
-            type: "ERROR", 
-            payload: { message: "Invalid move" },
-            timestamp: Date.now()
+          return;
+        }
+        
+        // The server's own board decides; an illegal move changes nothing
+        if (!playMove(moveGame, moveInput, getPlayerColor(moveGame, socket))) {
+          console.log("Rejected illegal move", moveGameId, moveInput);
+          sendError(socket, ERROR_CODES.ILLEGAL_MOVE, "Illegal move", {
+            fen: moveGame.game.fen()
           });
         }
         break;
         
       case "RESIGN":
-        const { gameId: resignGameId } = payload;
-        
-        // Check if game exists
-        if (!games[resignGameId]) {
-          sendJSON(socket, { 
-            type: "ERROR", 
-            payload: { message: "Game not found" },
-            timestamp: Date.now()
-          });
-          return;
-        }
+        const resignGame = games[payload.gameId];
         
-        // Determine the winner
-        const winner = socket.username === games[resignGameId].creator 
-          ? games[resignGameId].opponent 
-          : games[resignGameId].creator;
+        // End the game and notify all players
+        finishGame(resignGame, winFor(otherColor(getPlayerColor(resignGame, socket)), "resignation"));
+        break;
         
-        // Update game status
-        games[resignGameId].status = "completed";
+      case "ABORT_GAME":
+        const abortGame = games[payload.gameId];
         
-        // Notify all players
-        broadcastToGame(resignGameId, {
-          type: "GAME_OVER",
-          payload: {
-            reason: "resignation",
-            winner,
-            loser: socket.username
-          },
-          timestamp: Date.now()
-        });
+        // No result and no rating change; either player may abort until both have moved
+        finishGame(abortGame, { ...unfinishedBy("aborted"), abortedBy: socket.username }, "aborted");
         break;
         
       case "OFFER_DRAW":
         const { gameId: drawGameId } = payload;
         
-        // Check if game exists
-        if (!games[drawGameId]) {
-          sendJSON(socket, { 
-            type: "ERROR", 
-            payload: { message: "Game not found" },
+        // The computer always plays on
+        if (isComputer(games[drawGameId], otherColor(getPlayerColor(games[drawGameId], socket)))) {
+          sendJSON(socket, {
+            type: "DRAW_DECLINED",
+            payload: {
+              gameId: drawGameId,
+              declinedBy: getPlayerName(games[drawGameId], games[drawGameId].bot.color)
+            },
             timestamp: Date.now()
           });
           return;
@@ -336,6 +1657,7 @@ wss.on("connection", (socket) => {
         
         // Store who offered the draw
         games[drawGameId].drawOfferedBy = socket.username;
+        persistGame(games[drawGameId]);
         
         // Notify opponent
         const drawOpponentSocket = socket.username === games[drawGameId].creator 
@@ -357,56 +1679,31 @@ wss.on("connection", (socket) => {
       case "ACCEPT_DRAW":
         const { gameId: acceptDrawGameId } = payload;
         
-        // Check if game exists
-        if (!games[acceptDrawGameId]) {
-          sendJSON(socket, { 
-            type: "ERROR", 
-            payload: { message: "Game not found" },
-            timestamp: Date.now()
-          });
-          return;
-        }
-        
-        // Check if draw was offered
-        if (!games[acceptDrawGameId].drawOfferedBy) {
-          sendJSON(socket, { 
-            type: "ERROR", 
-            payload: { message: "No draw was offered" },
-            timestamp: Date.now()
-          });
-          return;
-        }
+        // End the game and notify all players
+        finishGame(games[acceptDrawGameId], drawBy("draw_agreement"));
+        break;
         
-        // Update game status
-        games[acceptDrawGameId].status = "completed";
+      case "CLAIM_DRAW":
+        // Threefold repetition, the fifty-move rule or an absent opponent; the authorization check made sure one applies
+        const claimGame = games[payload.gameId];
+        const claimableDraw = getClaimableDraw(claimGame.game);
+        finishGame(claimGame, claimableDraw
+          ? { ...drawBy(claimableDraw), claimedBy: socket.username }
+          : getAbsenceResult(claimGame, getPlayerColor(claimGame, socket), "draw"));
+        break;
         
-        // Notify all players
-        broadcastToGame(acceptDrawGameId, {
-          type: "GAME_OVER",
-          payload: {
-            reason: "draw_agreement",
-            result: "draw"
-          },
-          timestamp: Date.now()
-        });
+      case "CLAIM_VICTORY":
+        const victoryGame = games[payload.gameId];
+        finishGame(victoryGame, getAbsenceResult(victoryGame, getPlayerColor(victoryGame, socket), "victory"));
         break;
         
       case "DECLINE_DRAW":
         const { gameId: declineDrawGameId } = payload;
         
-        // Check if game exists
-        if (!games[declineDrawGameId]) {
-          sendJSON(socket, { 
-            type: "ERROR", 
-            payload: { message: "Game not found" },
-            timestamp: Date.now()
-          });
-          return;
-        }
-        
         // Clear draw offer
         const drawOfferedBy = games[declineDrawGameId].drawOfferedBy;
         games[declineDrawGameId].drawOfferedBy = null;
+        persistGame(games[declineDrawGameId]);
         
         // Notify the player who offered the draw
         const offererSocket = drawOfferedBy === games[declineDrawGameId].creator 
@@ -425,36 +1722,463 @@ wss.on("connection", (socket) => {
         }
         break;
         
-      case "TIMEOUT":
-        const { gameId: timeoutGameId, winner: timeoutWinner, loser: timeoutLoser } = payload;
+      case "REQUEST_TAKEBACK":
+        const { gameId: takebackGameId } = payload;
+        const takebackGame = games[takebackGameId];
+        const takebackColor = getPlayerColor(takebackGame, socket);
         
-        // Check if game exists
-        if (!games[timeoutGameId]) {
-          sendJSON(socket, { 
-            type: "ERROR", 
-            payload: { message: "Game not found" },
-            timestamp: Date.now()
-          });
+        // Undo our last move, and the opponent's reply if they have made one
+        const takebackPlies = getTakebackPlies(takebackGame, takebackColor);
+        if (!takebackPlies) {
+          sendError(socket, ERROR_CODES.NO_MOVE_TO_TAKE_BACK, "You have no move to take back");
+          return;
+        }
+        
+        takebackGame.takebackRequest = { requestedBy: socket.username, plies: takebackPlies };
+        
+        // The computer always agrees
+        if (isComputer(takebackGame, otherColor(takebackColor))) {
+          takeBack(takebackGame);
+          return;
+        }
+        persistGame(takebackGame);
+        
+        // Ask the opponent
+        const takebackOpponentSocket = takebackColor === "white" ? takebackGame.opponentSocket : takebackGame.creatorSocket;
+        sendJSON(takebackOpponentSocket, {
+          type: "TAKEBACK_REQUESTED",
+          payload: {
+            gameId: takebackGameId,
+            requestedBy: socket.username,
+            plies: takebackPlies
+          },
+          timestamp: Date.now()
+        });
+        break;
+        
+      case "ACCEPT_TAKEBACK":
+        takeBack(games[payload.gameId]);
+        break;
+        
+      case "DECLINE_TAKEBACK":
+        const { gameId: declineTakebackGameId } = payload;
+        const declineTakebackGame = games[declineTakebackGameId];
+        const declinedTakeback = declineTakebackGame.takebackRequest;
+        
+        declineTakebackGame.takebackRequest = null;
+        persistGame(declineTakebackGame);
+        
+        // Notify the player who asked
+        const takebackRequesterSocket = declinedTakeback.requestedBy === declineTakebackGame.creator
+          ? declineTakebackGame.creatorSocket
+          : declineTakebackGame.opponentSocket;
+        
+        sendJSON(takebackRequesterSocket, {
+          type: "TAKEBACK_DECLINED",
+          payload: {
+            gameId: declineTakebackGameId,
+            declinedBy: socket.username
+          },
+          timestamp: Date.now()
+        });
+        break;
+        
+      case "OFFER_REMATCH":
+        const { gameId: rematchGameId } = payload;
+        const rematchGame = games[rematchGameId];
+        const rematchColor = getPlayerColor(rematchGame, socket);
+        if (!canStartRematch(rematchGame, socket)) return;
+        
+        // Offering when the opponent already has is the same as accepting, and the computer always accepts
+        const rematchOffered = rematchGame.rematchOfferedBy && rematchGame.rematchOfferedBy !== socket.username;
+        if (rematchOffered || isComputer(rematchGame, otherColor(rematchColor))) {
+          startRematch(rematchGame);
           return;
         }
         
-        // Update game status
-        games[timeoutGameId].status = "completed";
+        rematchGame.rematchOfferedBy = socket.username;
+        persistGame(rematchGame);
         
-        // Notify all players
-        broadcastToGame(timeoutGameId, {
-          type: "GAME_OVER",
+        // Notify opponent
+        const rematchOpponentSocket = rematchColor === "white" ? rematchGame.opponentSocket : rematchGame.creatorSocket;
+        sendJSON(rematchOpponentSocket, {
+          type: "REMATCH_OFFERED",
           payload: {
-            reason: "timeout",
-            winner: timeoutWinner,
-            loser: timeoutLoser
+            gameId: rematchGameId,
+            offeredBy: socket.username
           },
           timestamp: Date.now()
         });
         break;
         
+      case "ACCEPT_REMATCH":
+        if (canStartRematch(games[payload.gameId], socket)) startRematch(games[payload.gameId]);
+        break;
+        
+      case "PLAY_VS_BOT":
+        const botTimeControl = normalizeTimeControl(payload.timeControl);
+        if (payload.timeControl && !botTimeControl) {
+          sendError(socket, ERROR_CODES.INVALID_TIME_CONTROL, "Time control must be 0-180 minutes plus 0-180 seconds increment");
+          return;
+        }
+        
+        if (isPlayingGame(socket)) {
+          sendError(socket, ERROR_CODES.ALREADY_IN_GAME, "You cannot start another game while playing");
+          return;
+        }
+        
+        startComputerGame(socket, {
+          level: payload.level ?? DEFAULT_ENGINE_LEVEL,
+          color: payload.color ?? "random",
+          timeControl: botTimeControl,
+          allowTakebacks: payload.allowTakebacks !== false
+        });
+        break;
+        
+      case "QUEUE_FOR_GAME":
+        const queueTimeControl = normalizeTimeControl(payload.timeControl);
+        if (payload.timeControl && !queueTimeControl) {
+          sendError(socket, ERROR_CODES.INVALID_TIME_CONTROL, "Time control must be 0-180 minutes plus 0-180 seconds increment");
+          return;
+        }
+        
+        if (isPlayingGame(socket)) {
+          sendError(socket, ERROR_CODES.ALREADY_IN_GAME, "You cannot queue for a game while playing");
+          return;
+        }
+        
+        // Queuing again changes the time control and starts the wait over
+        enqueue({
+          username: socket.username,
+          socket,
+          session: socket.sessionToken,
+          timeControl: queueTimeControl
+        });
+        runMatchmaking();
+        break;
+        
+      case "LEAVE_QUEUE":
+        leaveQueue(socket);
+        break;
+        
+      case "CREATE_SEEK":
+        const seekTimeControl = normalizeTimeControl(payload.timeControl);
+        if (payload.timeControl && !seekTimeControl) {
+          sendError(socket, ERROR_CODES.INVALID_TIME_CONTROL, "Time control must be 0-180 minutes plus 0-180 seconds increment");
+          return;
+        }
+        
+        if (isPlayingGame(socket)) {
+          sendError(socket, ERROR_CODES.ALREADY_IN_GAME, "You cannot seek a game while playing");
+          return;
+        }
+        
+        // Ratings belong to accounts, so guests only play casual games
+        if (payload.rated && !hasAccount(socket)) {
+          sendError(socket, ERROR_CODES.ACCOUNT_REQUIRED, "Register an account to play rated games");
+          return;
+        }
+        
+        // One open seek per player; a new one replaces the old
+        withdrawSeeks(socket.username, "replaced");
+        const seek = createSeek({
+          creator: socket.username,
+          socket,
+          session: socket.sessionToken,
+          timeControl: seekTimeControl,
+          color: payload.color,
+          rated: payload.rated
+        });
+        
+        sendJSON(socket, {
+          type: "SEEK_CREATED",
+          payload: toPublicSeek(seek),
+          timestamp: Date.now()
+        });
+        broadcastToLobby({
+          type: "SEEK_ADDED",
+          payload: toPublicSeek(seek),
+          timestamp: Date.now()
+        });
+        break;
+        
+      case "CANCEL_SEEK":
+        const cancelledSeek = getSeek(payload.seekId);
+        if (!cancelledSeek || cancelledSeek.creator !== socket.username) {
+          sendError(socket, ERROR_CODES.SEEK_NOT_FOUND, "Seek not found");
+          return;
+        }
+        
+        removeSeek(cancelledSeek.id);
+        broadcastToLobby({
+          type: "SEEK_REMOVED",
+          payload: { seekId: cancelledSeek.id, reason: "cancelled" },
+          timestamp: Date.now()
+        });
+        break;
+        
+      case "LIST_SEEKS":
+        // Listing the lobby also subscribes to its updates until LEAVE_LOBBY
+        subscribeToLobby(socket);
+        sendJSON(socket, {
+          type: "SEEK_LIST",
+          payload: { seeks: listSeeks() },
+          timestamp: Date.now()
+        });
+        break;
+        
+      case "LEAVE_LOBBY":
+        unsubscribeFromLobby(socket);
+        break;
+        
+      case "ACCEPT_SEEK":
+        const acceptedSeek = getSeek(payload.seekId);
+        if (!acceptedSeek) {
+          sendError(socket, ERROR_CODES.SEEK_NOT_FOUND, "Seek not found");
+          return;
+        }
+        
+        if (acceptedSeek.creator === socket.username) {
+          sendError(socket, ERROR_CODES.OWN_SEEK, "You cannot accept your own seek");
+          return;
+        }
+        
+        if (isPlayingGame(socket)) {
+          sendError(socket, ERROR_CODES.ALREADY_IN_GAME, "You cannot accept a seek while playing");
+          return;
+        }
+        
+        if (isPlayingGame(acceptedSeek.socket)) {
+          sendError(socket, ERROR_CODES.ALREADY_IN_GAME, `${acceptedSeek.creator} is playing another game`);
+          return;
+        }
+        
+        if (acceptedSeek.rated && !hasAccount(socket)) {
+          sendError(socket, ERROR_CODES.ACCOUNT_REQUIRED, "Register an account to play rated games");
+          return;
+        }
+        
+        const seeker = {
+          username: acceptedSeek.creator,
+          socket: acceptedSeek.socket,
+          session: acceptedSeek.session
+        };
+        const accepter = {
+          username: socket.username,
+          socket,
+          session: socket.sessionToken
+        };
+        
+        // The seek's creator picked a color (or left it to chance); the accepter gets the other
+        const seekerColor = acceptedSeek.color === "random"
+          ? (Math.random() < 0.5 ? "white" : "black")
+          : acceptedSeek.color;
+        
+        withdrawSeeks(acceptedSeek.creator, "accepted");
+        
+        // Rated games are played without takebacks
+        startSeatedGame({
+          white: seekerColor === "white" ? seeker : accepter,
+          black: seekerColor === "white" ? accepter : seeker,
+          timeControl: acceptedSeek.timeControl,
+          allowTakebacks: !acceptedSeek.rated,
+          rated: acceptedSeek.rated
+        });
+        break;
+        
+      case "CHALLENGE":
+        const challengeTimeControl = normalizeTimeControl(payload.timeControl);
+        if (payload.timeControl && !challengeTimeControl) {
+          sendError(socket, ERROR_CODES.INVALID_TIME_CONTROL, "Time control must be 0-180 minutes plus 0-180 seconds increment");
+          return;
+        }
+        
+        if (payload.opponent === socket.username) {
+          sendError(socket, ERROR_CODES.OWN_CHALLENGE, "You cannot challenge yourself");
+          return;
+        }
+        
+        const challenged = userSockets.get(payload.opponent);
+        if (!challenged || challenged.readyState !== 1) {
+          sendError(socket, ERROR_CODES.PLAYER_NOT_FOUND, `${payload.opponent} is not online`);
+          return;
+        }
+        
+        if (isPlayingGame(socket)) {
+          sendError(socket, ERROR_CODES.ALREADY_IN_GAME, "You cannot challenge anyone while playing");
+          return;
+        }
+        
+        if (payload.rated && (!hasAccount(socket) || !hasAccount(challenged))) {
+          sendError(socket, ERROR_CODES.ACCOUNT_REQUIRED, "Rated games need an account on both sides");
+          return;
+        }
+        
+        // Bots may challenge each other, but only people decide to play people
+        if (socket.isBot && !challenged.isBot) {
+          sendError(socket, ERROR_CODES.BOT_NOT_ALLOWED, "Bot accounts can only challenge other bots");
+          return;
+        }
+        
+        // One open challenge per player; a new one replaces the old
+        withdrawChallenges(removeChallengesFrom(socket.username), "replaced");
+        const challenge = createChallenge({
+          challenger: socket.username,
+          challengerTitle: getPlayerTitle(socket.username),
+          opponent: payload.opponent,
+          opponentTitle: getPlayerTitle(payload.opponent),
+          timeControl: challengeTimeControl,
+          color: payload.color,
+          rated: payload.rated
+        });
+        
+        sendJSON(socket, {
+          type: "CHALLENGE_SENT",
+          payload: toPublicChallenge(challenge),
+          timestamp: Date.now()
+        });
+        sendJSON(challenged, {
+          type: "CHALLENGE_RECEIVED",
+          payload: toPublicChallenge(challenge),
+          timestamp: Date.now()
+        });
+        break;
+        
+      case "CANCEL_CHALLENGE":
+        const cancelledChallenge = getChallenge(payload.challengeId);
+        if (!cancelledChallenge || cancelledChallenge.challenger !== socket.username) {
+          sendError(socket, ERROR_CODES.CHALLENGE_NOT_FOUND, "Challenge not found");
+          return;
+        }
+        
+        removeChallenge(cancelledChallenge.id);
+        withdrawChallenges([cancelledChallenge], "cancelled");
+        break;
+        
+      case "DECLINE_CHALLENGE":
+        const declinedChallenge = getChallenge(payload.challengeId);
+        if (!declinedChallenge || declinedChallenge.opponent !== socket.username) {
+          sendError(socket, ERROR_CODES.CHALLENGE_NOT_FOUND, "Challenge not found");
+          return;
+        }
+        
+        removeChallenge(declinedChallenge.id);
+        withdrawChallenges([declinedChallenge], "declined", payload.reason ? { declineReason: payload.reason } : {});
+        break;
+        
+      case "ACCEPT_CHALLENGE":
+        const acceptedChallenge = getChallenge(payload.challengeId);
+        if (!acceptedChallenge || acceptedChallenge.opponent !== socket.username) {
+          sendError(socket, ERROR_CODES.CHALLENGE_NOT_FOUND, "Challenge not found");
+          return;
+        }
+        
+        if (isPlayingGame(socket)) {
+          sendError(socket, ERROR_CODES.ALREADY_IN_GAME, "You cannot accept a challenge while playing");
+          return;
+        }
+        
+        // Challenges go when their sender disconnects or changes name, but don't count on it
+        const challengerSocket = userSockets.get(acceptedChallenge.challenger);
+        if (!challengerSocket || challengerSocket.readyState !== 1) {
+          removeChallenge(acceptedChallenge.id);
+          sendError(socket, ERROR_CODES.CHALLENGE_NOT_FOUND, `${acceptedChallenge.challenger} is no longer online`);
+          return;
+        }
+        
+        if (isPlayingGame(challengerSocket)) {
+          sendError(socket, ERROR_CODES.ALREADY_IN_GAME, `${acceptedChallenge.challenger} is playing another game`);
+          return;
+        }
+        
+        const challenger = {
+          username: acceptedChallenge.challenger,
+          socket: challengerSocket,
+          session: challengerSocket.sessionToken
+        };
+        const challengeAccepter = {
+          username: socket.username,
+          socket,
+          session: socket.sessionToken
+        };
+        const challengerColor = acceptedChallenge.color === "random"
+          ? (Math.random() < 0.5 ? "white" : "black")
+          : acceptedChallenge.color;
+        
+        removeChallenge(acceptedChallenge.id);
+        withdrawChallenges([acceptedChallenge], "accepted");
+        
+        // Rated games are played without takebacks
+        startSeatedGame({
+          white: challengerColor === "white" ? challenger : challengeAccepter,
+          black: challengerColor === "white" ? challengeAccepter : challenger,
+          timeControl: acceptedChallenge.timeControl,
+          allowTakebacks: !acceptedChallenge.rated,
+          rated: acceptedChallenge.rated
+        });
+        break;
+        
+      case "TIMEOUT":
+        // Clients may ask for a flag check, but only the server clock decides
+        const { gameId: timeoutGameId } = payload;
+        
+        if (!checkFlag(games[timeoutGameId])) {
+          sendError(socket, ERROR_CODES.CLOCK_NOT_EXPIRED, "No clock has run out", {
+            clocks: getGameClocks(games[timeoutGameId])
+          });
+        }
+        break;
+        
+      case "GET_PUZZLE":
+        if (isPlayingGame(socket)) {
+          sendError(socket, ERROR_CODES.ALREADY_IN_GAME, "You cannot solve puzzles while playing");
+          return;
+        }
+        sendPuzzle(socket, payload.theme);
+        break;
+        
+      case "PUZZLE_MOVE":
+        checkPuzzleMove(socket, payload);
+        break;
+        
+      case "CHAT_MESSAGE":
+        const { gameId: chatGameId, text } = payload;
+        const chatGame = games[chatGameId];
+        
+        // Players talk on the player channel, spectators on their own
+        const chatRoom = rooms.get(chatGameId);
+        const channel = getPlayerColor(chatGame, socket) ? "players" : "spectators";
+        
+        if (!allowChatMessage(socket)) {
+          sendError(socket, ERROR_CODES.CHAT_RATE_LIMITED, "You are sending messages too quickly");
+          return;
+        }
+        
+        const chatMessage = {
+          channel,
+          from: socket.username,
+          text: cleanChatText(text),
+          sentAt: Date.now()
+        };
+        chatGame.chat.push(chatMessage);
+        if (chatGame.chat.length > MAX_CHAT_HISTORY) chatGame.chat.shift();
+        persistGame(chatGame);
+        
+        // Spectator chat stays with spectators so nobody can coach the players
+        const chatPayload = {
+          type: "CHAT_MESSAGE",
+          payload: { gameId: chatGameId, ...chatMessage },
+          timestamp: Date.now()
+        };
+        if (channel === "players") {
+          broadcastToGame(chatGameId, chatPayload);
+        } else {
+          chatRoom.spectators.forEach((spectator) => sendJSON(spectator, chatPayload));
+        }
+        break;
+        
       default:
-        console.log("Unknown message type:", type);
+        sendError(socket, ERROR_CODES.UNKNOWN_MESSAGE_TYPE, `Unknown message type: ${type}`);
     }
   });
   
@@ -462,35 +2186,38 @@ wss.on("connection", (socket) => {
   socket.on("close", () => {
     console.log("Client disconnected");
     
-    // Remove from user sockets
-    if (socket.username) {
+    // Remove from user sockets and the game room
+    if (socket.username && userSockets.get(socket.username) === socket) {
       userSockets.delete(socket.username);
     }
+    leaveRoom(socket);
+    unsubscribeFromLobby(socket);
     
-    // Handle game disconnection
-    if (socket.gameId && games[socket.gameId]) {
-      const game = games[socket.gameId];
-      
-      // Determine the disconnected player
-      const isCreator = game.creator === socket.username;
-      const remainingSocket = isCreator ? game.opponentSocket : game.creatorSocket;
+    // Seeks, challenges and queue places need their player online
+    withdrawPlayer(socket, "disconnected");
+    
+    // Handle game disconnection; sockets replaced by a reconnect no longer hold a seat
+    const game = socket.gameId && games[socket.gameId];
+    const color = game ? getPlayerColor(game, socket) : null;
+    
+    if (color && game.status === "playing") {
+      const remainingSocket = color === "white" ? game.opponentSocket : game.creatorSocket;
       
       // Only notify if there's another player in the game
       if (remainingSocket) {
         sendJSON(remainingSocket, {
           type: "OPPONENT_DISCONNECTED",
           payload: {
-            gameId: socket.gameId,
-            opponent: socket.username
+            gameId: game.id,
+            opponent: socket.username,
+            graceMs: RECONNECT_GRACE_MS
           },
           timestamp: Date.now()
         });
       }
       
-      // If the game was in progress, mark it as abandoned
-      if (game.status === "playing") {
-        game.status = "abandoned";
-      }
+      // The clock keeps running; the opponent may claim the game if they don't come back in time
+      game.disconnectTimers[color] = setTimeout(() => markAbsent(game, color), RECONNECT_GRACE_MS);
     }
   });
 });
@@ -504,6 +2231,57 @@ setInterval(() => {
   });
 }, 25000);
 
+// Widen searches and retry pairing while players wait in the queue
+setInterval(runMatchmaking, 1000);
+
+// Archive and expire games so memory doesn't grow with every game ever played
+setInterval(sweepGames, LIFECYCLE_SWEEP_INTERVAL_MS);
+
+// Reload games that were still running when the server last stopped
+store.loadUnfinishedGames().forEach((record) => {
+  const game = fromGameRecord(record);
+  games[game.id] = game;
+  restoreSession(game.creatorSession, game.creator, game.id);
+  restoreSession(game.opponentSession, game.opponent, game.id);
+  
+  // Nobody is connected yet, so both players get the usual grace period to come back
+  if (game.status === "playing") {
+    ["white", "black"].filter((color) => !isComputer(game, color)).forEach((color) => {
+      game.disconnectTimers[color] = setTimeout(() => markAbsent(game, color), RECONNECT_GRACE_MS);
+    });
+    scheduleFlagCheck(game);
+    scheduleFirstMoveCheck(game);
+    requestComputerMove(game);
+  }
+});
+console.log(`Reloaded ${Object.keys(games).length} unfinished game(s)`);
+
+// On shutdown, warn clients, save every game and stop accepting connections
+const shutdown = async (signal) => {
+  console.log(`${signal} received, saving games and shutting down`);
+  
+  wss.clients.forEach((socket) => {
+    sendJSON(socket, {
+      type: "SERVER_RESTARTING",
+      payload: { message: "Server is restarting. You will be reconnected to your game shortly." },
+      timestamp: Date.now()
+    });
+  });
+  
+  Object.values(games)
+    .filter((game) => game.status === "waiting" || game.status === "playing")
+    .forEach(persistGame);
+  await store.flush();
+  
+  // 1012 = service restart, so clients know to reconnect
+  wss.clients.forEach((socket) => socket.close(1012, "Server restarting"));
+  server.close(() => process.exit(0));
+  setTimeout(() => process.exit(0), 5000).unref();
+};
+
+process.once("SIGTERM", () => shutdown("SIGTERM"));
+process.once("SIGINT", () => shutdown("SIGINT"));
+
 // IMPORTANT for Render: listen on process.env.PORT and 0.0.0.0
 const PORT = process.env.PORT || 3001;
 server.listen(PORT, "0.0.0.0", () => {
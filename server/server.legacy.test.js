@@ -0,0 +1,76 @@
+// Old t-format clients keep working through the shim in legacy.js until its sunset
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, connect, closeAll } from "./testing.js";
+
+const START_FEN = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+test("a baseline-style session plays a game end to end", async () => {
+  // Like the old client: no handshake or login, just JOIN with an id it made up
+  const first = await connect(server);
+  const second = await connect(server);
+  const watcher = await connect(server);
+
+  first.sendRaw({ t: "JOIN", gameId: "kitchen-table" });
+  assert.deepEqual(await first.next("STATE"), { t: "STATE", fen: START_FEN, last: null });
+
+  second.sendRaw({ t: "JOIN", gameId: "kitchen-table" });
+  assert.equal((await second.next("STATE")).fen, START_FEN);
+
+  first.sendRaw({ t: "MOVE", gameId: "kitchen-table", from: "e2", to: "e4" });
+  const afterE4 = await second.next("STATE");
+  assert.equal(afterE4.last, "e4");
+  assert.equal((await first.next("STATE")).last, "e4");
+
+  // Anyone else who joins sees the position and every move after it
+  watcher.sendRaw({ t: "JOIN", gameId: "kitchen-table" });
+  assert.equal((await watcher.next("STATE")).fen, afterE4.fen);
+
+  second.sendRaw({ t: "MOVE", gameId: "kitchen-table", from: "e7", to: "e5" });
+  assert.equal((await first.next("STATE")).last, "e5");
+  assert.equal((await watcher.next("STATE")).last, "e5");
+  await second.next("STATE");
+
+  // Bad moves, moves out of turn and moves by the watcher come back ILLEGAL or ERROR
+  first.sendRaw({ t: "MOVE", gameId: "kitchen-table", from: "e4", to: "e6" });
+  assert.deepEqual(await first.next("ILLEGAL"), { t: "ILLEGAL" });
+  second.sendRaw({ t: "MOVE", gameId: "kitchen-table", from: "d7", to: "d5" });
+  assert.deepEqual(await second.next("ILLEGAL"), { t: "ILLEGAL" });
+  watcher.sendRaw({ t: "MOVE", gameId: "kitchen-table", from: "g1", to: "f3" });
+  assert.equal((await watcher.next("ERROR")).code, "NOT_A_PLAYER");
+
+  first.sendRaw({ t: "MOVE", gameId: "kitchen-table", from: "g1", to: "f3" });
+  const afterNf3 = await first.next("STATE");
+  assert.equal(afterNf3.last, "Nf3");
+  assert.equal((await second.next("STATE")).last, "Nf3");
+
+  // JOIN again, e.g. after a page reload, just resends the position
+  first.sendRaw({ t: "JOIN", gameId: "kitchen-table" });
+  assert.deepEqual(await first.next("STATE"), { t: "STATE", fen: afterNf3.fen, last: "Nf3" });
+
+  first.sendRaw({ t: "PING" });
+  assert.deepEqual(await first.next("PONG"), { t: "PONG" });
+  await closeAll([first, second, watcher]);
+});
+
+test("a JOIN without a game id is ignored", async () => {
+  const client = await connect(server);
+  client.sendRaw({ t: "JOIN" });
+  assert.equal(await client.receives("STATE"), false);
+  await client.close();
+});
+
+test("after the sunset t-format messages are refused", async () => {
+  const retired = await startServer({ LEGACY_PROTOCOL_SUNSET: "2020-01-01T00:00:00Z" });
+  const client = await connect(retired);
+  client.sendRaw({ t: "JOIN", gameId: "too-late" });
+  assert.equal((await client.next("ERROR")).code, "UNSUPPORTED_PROTOCOL");
+  await client.close();
+  await retired.stop();
+});
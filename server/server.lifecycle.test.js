@@ -0,0 +1,53 @@
+// Archiving finished games and expiring unjoined ones
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, login, startGame, uniqueName, delay, closeAll } from "./testing.js";
+
+let server;
+before(async () => {
+  server = await startServer({
+    FINISHED_GAME_RETENTION_MS: "300",
+    WAITING_GAME_TTL_MS: "600",
+    LIFECYCLE_SWEEP_INTERVAL_MS: "200"
+  });
+});
+after(() => server.stop());
+
+test("a game nobody joins expires and is deleted", async () => {
+  const host = await login(server, uniqueName("host"));
+  host.send("CREATE_GAME", {});
+  const { gameId } = (await host.next("GAME_CREATED")).payload;
+  const { payload } = await host.next("GAME_EXPIRED", () => true, 2000);
+  assert.deepEqual(payload, { gameId, reason: "no_opponent" });
+
+  const response = await fetch(`${server.httpUrl}/api/games/${gameId}`);
+  assert.equal(response.status, 404);
+  await host.close();
+});
+
+test("a finished game leaves memory but stays in the archive", async () => {
+  const game = await startGame(server);
+  game.white.send("RESIGN", { gameId: game.gameId });
+  await game.black.next("GAME_OVER");
+  await delay(800);
+
+  // Gone from memory: rematches are no longer possible
+  game.black.send("OFFER_REMATCH", { gameId: game.gameId });
+  assert.equal(await game.black.nextError(), "GAME_NOT_FOUND");
+
+  const record = await (await fetch(`${server.httpUrl}/api/games/${game.gameId}`)).json();
+  assert.equal(record.status, "completed");
+  const archive = await (await fetch(`${server.httpUrl}/api/games?player=${game.white.session.username}`)).json();
+  assert.deepEqual(archive.map(({ id }) => id), [game.gameId]);
+  assert.equal((await fetch(`${server.httpUrl}/api/games/${game.gameId}/pgn`)).status, 200);
+  await closeAll([game.white, game.black]);
+});
+
+test("stats report the last sweep", async () => {
+  await delay(300);
+  const stats = await (await fetch(`${server.httpUrl}/api/stats`)).json();
+  assert.deepEqual(Object.keys(stats.games), ["waiting", "playing", "finished"]);
+  assert.equal(typeof stats.connections, "number");
+  assert.equal(typeof stats.memory.heapUsedMb, "number");
+  assert.equal(stats.lastSweep.underPressure, false);
+});
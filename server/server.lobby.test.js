@@ -0,0 +1,142 @@
+// Open seeks in the lobby
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, login, register, startGame, uniqueName, closeAll } from "./testing.js";
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+const forSeek = (seekId) => ({ payload }) => payload.seekId === seekId;
+
+test("subscribers see seeks appear and go once accepted, and the game starts for both", async () => {
+  const watcher = await login(server, uniqueName("watcher"));
+  watcher.send("LIST_SEEKS");
+  await watcher.next("SEEK_LIST");
+
+  const seeker = await login(server, uniqueName("seeker"));
+  seeker.send("CREATE_SEEK", { timeControl: { minutes: 3, increment: 2 }, color: "black" });
+  const { payload: seek } = await seeker.next("SEEK_CREATED");
+  const { payload: added } = await watcher.next("SEEK_ADDED", forSeek(seek.seekId));
+  assert.equal(added.creator, seeker.session.username);
+  assert.deepEqual(added.timeControl, { minutes: 3, increment: 2 });
+  assert.equal(added.color, "black");
+  assert.equal(added.rated, false);
+
+  const latecomer = await login(server, uniqueName("latecomer"));
+  latecomer.send("LIST_SEEKS");
+  assert.ok((await latecomer.next("SEEK_LIST")).payload.seeks.some(({ seekId }) => seekId === seek.seekId));
+
+  latecomer.send("ACCEPT_SEEK", { seekId: seek.seekId });
+  const { payload: started } = await latecomer.next("GAME_STARTED");
+  assert.equal(started.color, "white");
+  assert.equal(started.black, seeker.session.username);
+  assert.equal((await seeker.next("GAME_STARTED")).payload.color, "black");
+  assert.equal((await watcher.next("SEEK_REMOVED", forSeek(seek.seekId))).payload.reason, "accepted");
+
+  watcher.send("ACCEPT_SEEK", { seekId: seek.seekId });
+  assert.equal(await watcher.nextError(), "SEEK_NOT_FOUND");
+  await closeAll([watcher, seeker, latecomer]);
+});
+
+test("a seek is replaced by the next one and withdrawn when cancelled or its creator leaves", async () => {
+  const watcher = await login(server, uniqueName("watcher"));
+  watcher.send("LIST_SEEKS");
+  await watcher.next("SEEK_LIST");
+  const seeker = await login(server, uniqueName("seeker"));
+
+  seeker.send("CREATE_SEEK", {});
+  const { payload: first } = await seeker.next("SEEK_CREATED");
+  seeker.send("CREATE_SEEK", {});
+  const { payload: second } = await seeker.next("SEEK_CREATED");
+  assert.equal((await watcher.next("SEEK_REMOVED", forSeek(first.seekId))).payload.reason, "replaced");
+
+  seeker.send("ACCEPT_SEEK", { seekId: second.seekId });
+  assert.equal(await seeker.nextError(), "OWN_SEEK");
+  seeker.send("CANCEL_SEEK", { seekId: second.seekId });
+  assert.equal((await watcher.next("SEEK_REMOVED", forSeek(second.seekId))).payload.reason, "cancelled");
+
+  seeker.send("CREATE_SEEK", {});
+  const { payload: third } = await seeker.next("SEEK_CREATED");
+  await seeker.close();
+  await watcher.next("SEEK_REMOVED", forSeek(third.seekId));
+
+  // Once a client leaves the lobby it gets no more updates
+  watcher.send("LEAVE_LOBBY");
+  const other = await login(server, uniqueName("seeker"));
+  watcher.inbox.length = 0; // drop the updates read so far
+  other.send("CREATE_SEEK", {});
+  await other.next("SEEK_CREATED");
+  assert.equal(await watcher.receives("SEEK_ADDED"), false);
+  await closeAll([watcher, other]);
+});
+
+test("rated seeks need accounts on both sides and are played without takebacks", async () => {
+  const guest = await login(server, uniqueName("guest"));
+  guest.send("CREATE_SEEK", { rated: true });
+  assert.equal(await guest.nextError(), "ACCOUNT_REQUIRED");
+
+  const seeker = await register(server, uniqueName("member"));
+  seeker.send("CREATE_SEEK", { rated: true });
+  const { payload: seek } = await seeker.next("SEEK_CREATED");
+  assert.equal(seek.rated, true);
+  guest.send("ACCEPT_SEEK", { seekId: seek.seekId });
+  assert.equal(await guest.nextError(), "ACCOUNT_REQUIRED");
+
+  const member = await register(server, uniqueName("member"));
+  member.send("ACCEPT_SEEK", { seekId: seek.seekId });
+  const { payload: started } = await member.next("GAME_STARTED");
+  assert.equal(started.rated, true);
+  assert.equal(started.allowTakebacks, false);
+  await closeAll([guest, seeker, member]);
+});
+
+test("players in a game can neither seek nor accept a seek", async () => {
+  const game = await startGame(server);
+  game.white.send("CREATE_SEEK", {});
+  assert.equal(await game.white.nextError(), "ALREADY_IN_GAME");
+
+  const seeker = await login(server, uniqueName("seeker"));
+  seeker.send("CREATE_SEEK", {});
+  const { payload: seek } = await seeker.next("SEEK_CREATED");
+  game.black.send("ACCEPT_SEEK", { seekId: seek.seekId });
+  assert.equal(await game.black.nextError(), "ALREADY_IN_GAME");
+  await closeAll([game.white, game.black, seeker]);
+});
+
+test("a player's seeks are withdrawn whichever way their game starts", async () => {
+  const watcher = await login(server, uniqueName("watcher"));
+  watcher.send("LIST_SEEKS");
+  await watcher.next("SEEK_LIST");
+
+  // a seek left open while waiting for someone to join a game
+  const creator = await login(server, uniqueName("creator"));
+  creator.send("CREATE_GAME", {});
+  const { gameId } = (await creator.next("GAME_CREATED")).payload;
+  creator.send("CREATE_SEEK", {});
+  const { payload: creatorSeek } = await creator.next("SEEK_CREATED");
+  const joiner = await login(server, uniqueName("joiner"));
+  joiner.send("CREATE_SEEK", {});
+  const { payload: joinerSeek } = await joiner.next("SEEK_CREATED");
+  joiner.send("JOIN_GAME", { gameId });
+  await joiner.next("GAME_JOINED");
+  for (const { seekId } of [creatorSeek, joinerSeek]) {
+    assert.equal((await watcher.next("SEEK_REMOVED", forSeek(seekId))).payload.reason, "started_game");
+  }
+  watcher.send("ACCEPT_SEEK", { seekId: creatorSeek.seekId });
+  assert.equal(await watcher.nextError(), "SEEK_NOT_FOUND");
+
+  // and one from a player who goes on to a rematch
+  creator.send("RESIGN", { gameId });
+  await joiner.next("GAME_OVER");
+  creator.send("CREATE_SEEK", {});
+  const { payload: rematchSeek } = await creator.next("SEEK_CREATED");
+  creator.send("OFFER_REMATCH", { gameId });
+  await joiner.next("REMATCH_OFFERED");
+  joiner.send("ACCEPT_REMATCH", { gameId });
+  await creator.next("REMATCH_STARTED");
+  assert.equal((await watcher.next("SEEK_REMOVED", forSeek(rematchSeek.seekId))).payload.reason, "started_game");
+  await closeAll([watcher, creator, joiner]);
+});
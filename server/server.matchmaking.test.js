@@ -0,0 +1,96 @@
+// The matchmaking queue over the socket
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, login, startGame, uniqueName, closeAll } from "./testing.js";
+
+let server;
+before(async () => {
+  server = await startServer({ QUEUE_WIDEN_INTERVAL_MS: "1000" });
+});
+after(() => server.stop());
+
+test("two players queuing for the same game are started through create and join", async () => {
+  const first = await login(server, uniqueName("queued"));
+  const second = await login(server, uniqueName("queued"));
+  first.send("QUEUE_FOR_GAME", { timeControl: { minutes: 5, increment: 3 } });
+  const { payload: status } = await first.next("QUEUE_STATUS");
+  assert.equal(status.queued, true);
+  assert.equal(status.searchStep, 0);
+
+  second.send("QUEUE_FOR_GAME", { timeControl: { minutes: 5, increment: 3 } });
+  assert.equal((await first.next("QUEUE_STATUS")).payload.queued, false);
+  assert.equal((await second.next("QUEUE_STATUS")).payload.queued, false);
+
+  // Whoever got white created the game and hears the opponent join
+  const white = (await first.receives("GAME_CREATED", 1000)) ? first : second;
+  const black = white === first ? second : first;
+  const { payload: joined } = await black.next("GAME_JOINED");
+  assert.deepEqual(joined.timeControl, { minutes: 5, increment: 3 });
+  assert.equal((await white.next("OPPONENT_JOINED")).payload.gameId, joined.gameId);
+  await closeAll([first, second]);
+});
+
+test("the search widens while waiting and pairs different time controls", async () => {
+  const blitz = await login(server, uniqueName("queued"));
+  const rapid = await login(server, uniqueName("queued"));
+  blitz.send("QUEUE_FOR_GAME", { timeControl: { minutes: 5, increment: 0 } });
+  rapid.send("QUEUE_FOR_GAME", { timeControl: { minutes: 6, increment: 0 } });
+  await blitz.next("QUEUE_STATUS");
+  await rapid.next("QUEUE_STATUS");
+
+  // 5 and 6 minutes are 20% apart: not paired at first, but once the search has widened
+  assert.equal(await blitz.receives("QUEUE_STATUS", 500), false);
+  assert.equal((await blitz.next("QUEUE_STATUS", () => true, 3000)).payload.queued, false);
+  await rapid.next("QUEUE_STATUS", ({ payload }) => !payload.queued);
+  await closeAll([blitz, rapid]);
+});
+
+test("leaving the queue cancels the search", async () => {
+  const player = await login(server, uniqueName("queued"));
+  player.send("QUEUE_FOR_GAME", {});
+  assert.equal((await player.next("QUEUE_STATUS")).payload.queued, true);
+  player.send("LEAVE_QUEUE");
+  assert.equal((await player.next("QUEUE_STATUS")).payload.queued, false);
+
+  const other = await login(server, uniqueName("queued"));
+  other.send("QUEUE_FOR_GAME", {});
+  await other.next("QUEUE_STATUS");
+  assert.equal(await player.receives("GAME_CREATED"), false);
+  assert.equal(await player.receives("GAME_JOINED"), false);
+  other.send("LEAVE_QUEUE");
+  await closeAll([player, other]);
+});
+
+test("players in a game cannot queue", async () => {
+  const game = await startGame(server);
+  game.white.send("QUEUE_FOR_GAME", {});
+  assert.equal(await game.white.nextError(), "ALREADY_IN_GAME");
+  game.white.send("QUEUE_FOR_GAME", { timeControl: { minutes: 500, increment: 0 } });
+  assert.equal(await game.white.nextError(), "INVALID_TIME_CONTROL");
+  await closeAll([game.white, game.black]);
+});
+
+test("a game starting any other way takes its players out of the queue", async () => {
+  const creator = await login(server, uniqueName("creator"));
+  creator.send("CREATE_GAME", {});
+  const { gameId } = (await creator.next("GAME_CREATED")).payload;
+  creator.send("QUEUE_FOR_GAME", { timeControl: { minutes: 7, increment: 7 } });
+  assert.equal((await creator.next("QUEUE_STATUS")).payload.queued, true);
+
+  const joiner = await login(server, uniqueName("joiner"));
+  joiner.send("JOIN_GAME", { gameId });
+  await joiner.next("GAME_JOINED");
+  assert.equal((await creator.next("QUEUE_STATUS")).payload.queued, false);
+
+  // the same for a rematch
+  joiner.send("RESIGN", { gameId });
+  await creator.next("GAME_OVER");
+  joiner.send("QUEUE_FOR_GAME", { timeControl: { minutes: 7, increment: 7 } });
+  assert.equal((await joiner.next("QUEUE_STATUS")).payload.queued, true);
+  creator.send("OFFER_REMATCH", { gameId });
+  await joiner.next("REMATCH_OFFERED");
+  joiner.send("ACCEPT_REMATCH", { gameId });
+  await joiner.next("REMATCH_STARTED");
+  assert.equal((await joiner.next("QUEUE_STATUS")).payload.queued, false);
+  await closeAll([creator, joiner]);
+});
@@ -0,0 +1,59 @@
+// Moves are checked against the server's own board; clients only propose them
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, startGame, closeAll } from "./testing.js";
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+test("a legal move is broadcast with the server's FEN, SAN and move number", async () => {
+  const { white, black, gameId } = await startGame(server);
+
+  white.send("MAKE_MOVE", { gameId, move: "e4" });
+  const { payload } = await black.next("MOVE_MADE");
+  assert.equal(payload.san, "e4");
+  assert.equal(payload.moveNumber, 1);
+  assert.equal(payload.fen, "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1");
+
+  black.send("MAKE_MOVE", { gameId, move: { from: "e7", to: "e5", promotion: "q" } });
+  assert.equal((await white.next("MOVE_MADE", (message) => message.payload.san === "e5")).payload.moveNumber, 1);
+  await closeAll([white, black]);
+});
+
+test("an illegal move is rejected with the unchanged position", async () => {
+  const { white, black, gameId } = await startGame(server);
+
+  white.send("MAKE_MOVE", { gameId, move: { from: "e2", to: "e5" } });
+  const { payload } = await white.next("ERROR");
+  assert.equal(payload.code, "ILLEGAL_MOVE");
+  assert.equal(payload.fen, "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1");
+  assert.equal(await black.receives("MOVE_MADE"), false);
+  await closeAll([white, black]);
+});
+
+test("a client-supplied FEN is ignored", async () => {
+  const { white, black, gameId } = await startGame(server);
+
+  white.sendRaw({
+    type: "MAKE_MOVE",
+    payload: { gameId, move: "e4", fen: "4k3/8/8/8/8/8/8/QQQQK3 b - - 0 1" },
+    timestamp: Date.now()
+  });
+  const { payload } = await black.next("MOVE_MADE");
+  assert.equal(payload.fen, "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1");
+  await closeAll([white, black]);
+});
+
+test("moving out of turn or the opponent's pieces is rejected", async () => {
+  const { white, black, gameId } = await startGame(server);
+
+  black.send("MAKE_MOVE", { gameId, move: { from: "e7", to: "e5" } });
+  assert.equal(await black.nextError(), "NOT_YOUR_TURN");
+
+  white.send("MAKE_MOVE", { gameId, move: { from: "e7", to: "e5" } });
+  assert.equal(await white.nextError(), "ILLEGAL_MOVE");
+  await closeAll([white, black]);
+});
@@ -0,0 +1,70 @@
+// The opening named live during play and kept with the game
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, login, startGame, playMoves, uniqueName, closeAll } from "./testing.js";
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+const KINGS_KNIGHT = { eco: "C40", name: "King's Knight Opening" };
+
+test("moves carry the opening, null until a named position", async () => {
+  const game = await startGame(server);
+  assert.equal((await playMoves(game, ["Na3"])).payload.opening, null);
+  assert.equal((await playMoves(game, ["h6"], "black")).payload.opening, null);
+  await closeAll([game.white, game.black]);
+});
+
+test("the opening follows the game and stays once play leaves the table", async () => {
+  const game = await startGame(server);
+  assert.deepEqual((await playMoves(game, ["e4", "e5", "Nf3"])).payload.opening, KINGS_KNIGHT);
+  assert.deepEqual((await playMoves(game, ["a6", "h3"], "black")).payload.opening, KINGS_KNIGHT);
+
+  game.white.send("GET_GAME_STATE", { gameId: game.gameId });
+  assert.deepEqual((await game.white.next("GAME_STATE")).payload.opening, KINGS_KNIGHT);
+  await closeAll([game.white, game.black]);
+});
+
+test("an opening reached by transposition is named", async () => {
+  const game = await startGame(server);
+  const { payload } = await playMoves(game, ["Nf3", "Nc6", "e4", "e5"]);
+  assert.equal(payload.opening.eco, "C44");
+  await closeAll([game.white, game.black]);
+});
+
+test("a takeback goes back to the earlier opening", async () => {
+  const game = await startGame(server);
+  await playMoves(game, ["e4", "e5", "Nf3", "Nf6"]);
+  game.black.send("REQUEST_TAKEBACK", { gameId: game.gameId });
+  await game.white.next("TAKEBACK_REQUESTED");
+  game.white.send("ACCEPT_TAKEBACK", { gameId: game.gameId });
+  const { payload } = await game.black.next("TAKEBACK_ACCEPTED");
+  assert.deepEqual(payload.opening, KINGS_KNIGHT);
+  await closeAll([game.white, game.black]);
+});
+
+test("a game started from a PGN begins in its opening", async () => {
+  const white = await login(server, uniqueName("white"));
+  const black = await login(server, uniqueName("black"));
+  white.send("CREATE_GAME", { pgn: "1. e4 e5 2. Nf3" });
+  const { payload: created } = await white.next("GAME_CREATED");
+  assert.deepEqual(created.opening, KINGS_KNIGHT);
+  black.send("JOIN_GAME", { gameId: created.gameId });
+  assert.deepEqual((await black.next("GAME_JOINED")).payload.opening, KINGS_KNIGHT);
+  await closeAll([white, black]);
+});
+
+test("the opening is kept in the game record and its PGN", async () => {
+  const game = await startGame(server);
+  await playMoves(game, ["e4", "e5", "Nf3"]);
+
+  const record = await (await fetch(`${server.httpUrl}/api/games/${game.gameId}`)).json();
+  assert.deepEqual(record.opening, KINGS_KNIGHT);
+  const pgn = await (await fetch(`${server.httpUrl}/api/games/${game.gameId}/pgn`)).text();
+  assert.match(pgn, /\[ECO "C40"\]/);
+  assert.match(pgn, /\[Opening "King's Knight Opening"\]/);
+  await closeAll([game.white, game.black]);
+});
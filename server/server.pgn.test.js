@@ -0,0 +1,42 @@
+// PGN downloads over HTTP
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, startGame, playMoves, closeAll } from "./testing.js";
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+test("a game in progress can be downloaded as PGN", async () => {
+  const game = await startGame(server);
+  await playMoves(game, ["d4", "d5"]);
+
+  const response = await fetch(`${server.httpUrl}/api/games/${game.gameId}/pgn`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("content-type"), /application\/x-chess-pgn/);
+  assert.match(response.headers.get("content-disposition"), new RegExp(`silentcheckmate-${game.gameId}\\.pgn`));
+  const pgn = await response.text();
+  assert.match(pgn, new RegExp(`\\[White "${game.white.session.username}"\\]`));
+  assert.match(pgn, /\[Result "\*"\]/);
+  assert.match(pgn, /1\. d4 d5 \*/);
+  await closeAll([game.white, game.black]);
+});
+
+test("a resigned game carries its result", async () => {
+  const game = await startGame(server);
+  await playMoves(game, ["e4"]);
+  game.black.send("RESIGN", { gameId: game.gameId });
+  await game.white.next("GAME_OVER");
+
+  const pgn = await (await fetch(`${server.httpUrl}/api/games/${game.gameId}/pgn`)).text();
+  assert.match(pgn, /\[Result "1-0"\]/);
+  assert.match(pgn, /1\. e4 1-0/);
+  await closeAll([game.white, game.black]);
+});
+
+test("an unknown game is a 404", async () => {
+  const response = await fetch(`${server.httpUrl}/api/games/nosuchgame/pgn`);
+  assert.equal(response.status, 404);
+});
@@ -0,0 +1,53 @@
+// Games that start from a FEN or PGN instead of the usual setup
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, login, uniqueName, closeAll } from "./testing.js";
+
+const ENDGAME_FEN = "4k3/8/8/8/8/8/4P3/4K3 w - - 0 1";
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+test("a game created from a FEN starts there for both players", async () => {
+  const white = await login(server, uniqueName("white"));
+  const black = await login(server, uniqueName("black"));
+  white.send("CREATE_GAME", { fen: ENDGAME_FEN });
+  const created = (await white.next("GAME_CREATED")).payload;
+  assert.equal(created.fen, ENDGAME_FEN);
+
+  black.send("JOIN_GAME", { gameId: created.gameId });
+  assert.equal((await black.next("GAME_JOINED")).payload.fen, ENDGAME_FEN);
+  white.send("MAKE_MOVE", { gameId: created.gameId, move: "e4" });
+  assert.equal((await black.next("MOVE_MADE")).payload.fen, "4k3/8/8/8/4P3/8/8/4K3 b - - 0 1");
+  await closeAll([white, black]);
+});
+
+test("a game created from a PGN continues after its moves and exports them", async () => {
+  const white = await login(server, uniqueName("white"));
+  const black = await login(server, uniqueName("black"));
+  white.send("CREATE_GAME", { pgn: "1. e4 e5 2. Nf3" });
+  const created = (await white.next("GAME_CREATED")).payload;
+  assert.equal(created.turn, "black");
+
+  black.send("JOIN_GAME", { gameId: created.gameId });
+  await black.next("GAME_JOINED");
+  black.send("MAKE_MOVE", { gameId: created.gameId, move: "Nc6" });
+  await white.next("MOVE_MADE");
+
+  const pgn = await (await fetch(`${server.httpUrl}/api/games/${created.gameId}/pgn`)).text();
+  assert.match(pgn, /1\. e4 e5 2\. Nf3 Nc6 \*/);
+  await closeAll([white, black]);
+});
+
+test("an invalid or finished position is refused", async () => {
+  const player = await login(server, uniqueName());
+  player.send("CREATE_GAME", { fen: "8/8/8 w - - 0 1" });
+  assert.equal(await player.nextError(), "INVALID_POSITION");
+  player.send("CREATE_GAME", { pgn: "1. f3 e5 2. g4 Qh4#" });
+  assert.equal(await player.nextError(), "INVALID_POSITION");
+  assert.equal(await player.receives("GAME_CREATED"), false);
+  await player.close();
+});
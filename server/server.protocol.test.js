@@ -0,0 +1,51 @@
+// The typed protocol: version handshake, validation and error replies
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, connect } from "./testing.js";
+import { PROTOCOL_VERSION, MIN_PROTOCOL_VERSION } from "./protocol.js";
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+test("CONNECTED announces the protocol versions the server speaks", async () => {
+  const client = await connect(server);
+  const { payload } = await client.next("CONNECTED");
+  assert.equal(payload.protocolVersion, PROTOCOL_VERSION);
+  assert.equal(payload.minProtocolVersion, MIN_PROTOCOL_VERSION);
+  await client.close();
+});
+
+test("HELLO is acknowledged for a supported version and refused otherwise", async () => {
+  const client = await connect(server);
+  client.send("HELLO", { protocolVersion: PROTOCOL_VERSION });
+  assert.equal((await client.next("HELLO_ACK")).payload.protocolVersion, PROTOCOL_VERSION);
+
+  client.send("HELLO", { protocolVersion: PROTOCOL_VERSION + 1 });
+  const { payload } = await client.next("ERROR");
+  assert.equal(payload.code, "UNSUPPORTED_PROTOCOL");
+  assert.equal(payload.protocolVersion, PROTOCOL_VERSION);
+  await client.close();
+});
+
+test("bad JSON, unknown types and invalid payloads get an ERROR", async () => {
+  const client = await connect(server);
+  client.sendRaw("not json");
+  assert.equal(await client.nextError(), "INVALID_MESSAGE");
+
+  client.send("TELEPORT");
+  assert.equal(await client.nextError(), "UNKNOWN_MESSAGE_TYPE");
+
+  client.send("LOGIN", { username: 42 });
+  assert.equal(await client.nextError(), "INVALID_MESSAGE");
+  await client.close();
+});
+
+test("PING is answered with PONG, even before logging in", async () => {
+  const client = await connect(server);
+  client.send("PING");
+  await client.next("PONG");
+  await client.close();
+});
@@ -0,0 +1,186 @@
+// Tactics puzzles over the socket, and importing puzzle sets
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { promisify } from "util";
+import { fileURLToPath } from "url";
+import { startServer, login, register, startGame, uniqueName, closeAll } from "./testing.js";
+
+const IMPORT_SCRIPT = fileURLToPath(new URL("./scripts/import-puzzles.js", import.meta.url));
+
+// One puzzle per theme no bundled puzzle has, so asking by theme gets exactly it
+const FORK = {
+  id: "test-fork",
+  fen: "r5k1/pp1q1ppp/8/3N4/8/3B4/PP3PPP/4R1K1 b - - 0 1",
+  moves: "d7c6 d5e7 g8h8 e7c6",
+  rating: 1500,
+  themes: "testFork"
+};
+const MATE = {
+  id: "test-mate",
+  fen: "6k1/5ppp/8/8/8/8/5PPP/R3R1K1 b - - 0 1",
+  moves: "g8h8 a1a8",
+  rating: 1500,
+  themes: "testMate"
+};
+
+let puzzleDir;
+let server;
+before(async () => {
+  puzzleDir = fs.mkdtempSync(path.join(os.tmpdir(), "puzzles-"));
+  fs.writeFileSync(path.join(puzzleDir, "test.json"), JSON.stringify([FORK, MATE]));
+  server = await startServer({ PUZZLE_DIR: puzzleDir });
+});
+after(async () => {
+  await server.stop();
+  fs.rmSync(puzzleDir, { recursive: true, force: true });
+});
+
+const getPuzzle = async (client, theme) => {
+  client.send("GET_PUZZLE", { theme });
+  return (await client.next("PUZZLE")).payload;
+};
+
+test("a puzzle starts after the opponent's move, its themes held back", async () => {
+  const player = await login(server, uniqueName());
+  const puzzle = await getPuzzle(player, "testFork");
+  assert.equal(puzzle.puzzleId, "test-fork");
+  assert.equal(puzzle.color, "white");
+  assert.deepEqual(puzzle.lastMove, { from: "d7", to: "c6", san: "Qc6" });
+  assert.equal(puzzle.rating, 1500);
+  assert.equal(puzzle.themes, undefined);
+  assert.equal(puzzle.stats.streak, 0);
+  assert.match(puzzle.fen, / w /);
+  await player.close();
+});
+
+test("right moves are answered until the puzzle is solved", async () => {
+  const player = await login(server, uniqueName());
+  const { puzzleId } = await getPuzzle(player, "testFork");
+
+  player.send("PUZZLE_MOVE", { puzzleId, move: { from: "d5", to: "e7" } });
+  const { payload: first } = await player.next("PUZZLE_MOVE_ACCEPTED");
+  assert.equal(first.move.san, "Ne7+");
+  assert.equal(first.reply.san, "Kh8");
+  // the board is sent as it stands after the reply
+  assert.equal(first.fen, first.reply.fen);
+  assert.equal(first.solved, false);
+  assert.equal(first.ratingChange, undefined);
+
+  player.send("PUZZLE_MOVE", { puzzleId, move: "Nxc6" });
+  const { payload: last } = await player.next("PUZZLE_MOVE_ACCEPTED");
+  assert.equal(last.solved, true);
+  assert.equal(last.reply, null);
+  assert.deepEqual(last.themes, ["testFork"]);
+  assert.ok(last.ratingChange.change > 0);
+  assert.equal(last.stats.streak, 1);
+  assert.equal(last.stats.solved, 1);
+
+  // a solved puzzle takes no more moves
+  player.send("PUZZLE_MOVE", { puzzleId, move: "Kf1" });
+  assert.equal(await player.nextError(), "PUZZLE_NOT_FOUND");
+  await player.close();
+});
+
+test("a wrong move costs rating once and the puzzle can be finished", async () => {
+  const player = await login(server, uniqueName());
+  const { puzzleId, fen } = await getPuzzle(player, "testFork");
+
+  player.send("PUZZLE_MOVE", { puzzleId, move: "Nf6+" });
+  const { payload: wrong } = await player.next("PUZZLE_MOVE_REJECTED");
+  assert.equal(wrong.move.san, "Nf6+");
+  assert.equal(wrong.fen, fen);
+  assert.ok(wrong.ratingChange.change < 0);
+  assert.equal(wrong.stats.failed, 1);
+
+  player.send("PUZZLE_MOVE", { puzzleId, move: "Nb6" });
+  const { payload: again } = await player.next("PUZZLE_MOVE_REJECTED");
+  assert.equal(again.ratingChange, undefined);
+  assert.equal(again.stats.failed, 1);
+
+  player.send("PUZZLE_MOVE", { puzzleId, move: "Ne7+" });
+  await player.next("PUZZLE_MOVE_ACCEPTED");
+  player.send("PUZZLE_MOVE", { puzzleId, move: "Nxc6" });
+  const { payload: solved } = await player.next("PUZZLE_MOVE_ACCEPTED");
+  assert.equal(solved.solved, true);
+  assert.equal(solved.ratingChange, undefined);
+  assert.equal(solved.stats.solved, 0);
+  await player.close();
+});
+
+test("any mate finishes a puzzle on its last move", async () => {
+  const player = await login(server, uniqueName());
+  const { puzzleId } = await getPuzzle(player, "testMate");
+  player.send("PUZZLE_MOVE", { puzzleId, move: "Re8#" });
+  assert.equal((await player.next("PUZZLE_MOVE_ACCEPTED")).payload.solved, true);
+  await player.close();
+});
+
+test("illegal moves, other puzzles and unknown themes are refused", async () => {
+  const player = await login(server, uniqueName());
+  const { puzzleId, fen } = await getPuzzle(player, "testFork");
+
+  player.send("PUZZLE_MOVE", { puzzleId, move: "Qd8" });
+  const { payload } = await player.next("ERROR");
+  assert.equal(payload.code, "ILLEGAL_MOVE");
+  assert.equal(payload.fen, fen);
+
+  player.send("PUZZLE_MOVE", { puzzleId: "test-mate", move: "Ra8#" });
+  assert.equal(await player.nextError(), "PUZZLE_NOT_FOUND");
+  player.send("GET_PUZZLE", { theme: "noSuchTheme" });
+  assert.equal(await player.nextError(), "PUZZLE_NOT_FOUND");
+  await player.close();
+});
+
+test("a new puzzle replaces the one in progress and recent puzzles aren't repeated", async () => {
+  const player = await login(server, uniqueName());
+  const first = await getPuzzle(player);
+  const second = await getPuzzle(player);
+  assert.notEqual(second.puzzleId, first.puzzleId);
+
+  player.send("PUZZLE_MOVE", { puzzleId: first.puzzleId, move: "a3" });
+  assert.equal(await player.nextError(), "PUZZLE_NOT_FOUND");
+  await player.close();
+});
+
+test("players in a game cannot start a puzzle", async () => {
+  const game = await startGame(server);
+  game.white.send("GET_PUZZLE", {});
+  assert.equal(await game.white.nextError(), "ALREADY_IN_GAME");
+  await closeAll([game.white, game.black]);
+});
+
+test("accounts keep their puzzle record between logins", async () => {
+  const name = uniqueName("solver");
+  const account = await register(server, name);
+  const { puzzleId } = await getPuzzle(account, "testMate");
+  account.send("PUZZLE_MOVE", { puzzleId, move: "Ra8#" });
+  const { payload } = await account.next("PUZZLE_MOVE_ACCEPTED");
+  await account.close();
+
+  const again = await login(server, name, "password123");
+  const puzzle = await getPuzzle(again, "testFork");
+  assert.deepEqual(puzzle.stats, payload.stats);
+  await again.close();
+});
+
+test("the import script saves the valid puzzles of a set", async () => {
+  const source = path.join(puzzleDir, "source.csv");
+  fs.writeFileSync(
+    source,
+    [`${MATE.id},${MATE.fen},${MATE.moves},1500,80,0,0,${MATE.themes},,`, `bad,${MATE.fen},g8h8,1500,80,0,0,,,`].join("\n")
+  );
+  const importDir = path.join(puzzleDir, "imported");
+  const { stdout, stderr } = await promisify(execFile)(process.execPath, [IMPORT_SCRIPT, source], {
+    env: { ...process.env, PUZZLE_DIR: importDir, INIT_CWD: puzzleDir },
+    timeout: 10000
+  });
+  assert.match(stdout, /Imported 1 puzzles/);
+  assert.match(stderr, /Skipped bad/);
+
+  const saved = JSON.parse(fs.readFileSync(path.join(importDir, "source.json"), "utf8"));
+  assert.deepEqual(saved.map(({ id }) => id), ["test-mate"]);
+});
@@ -0,0 +1,77 @@
+// Rated games, rating changes and the leaderboard
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, login, register, startGame, playMoves, uniqueName, closeAll } from "./testing.js";
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+// Two registered players in a rated game from a seek; the seeker plays white
+const startRatedGame = async (timeControl) => {
+  const white = await register(server, uniqueName("rated"));
+  const black = await register(server, uniqueName("rated"));
+  white.send("CREATE_SEEK", { timeControl, color: "white", rated: true });
+  const { seekId } = (await white.next("SEEK_CREATED")).payload;
+  black.send("ACCEPT_SEEK", { seekId });
+  const { gameId } = (await black.next("GAME_STARTED")).payload;
+  await white.next("GAME_STARTED");
+  return { white, black, gameId };
+};
+
+test("a rated game moves both ratings in its category and reports the change", async () => {
+  const game = await startRatedGame({ minutes: 5, increment: 0 });
+  const [whiteName, blackName] = [game.white.session.username, game.black.session.username];
+  await playMoves(game, ["e4", "e5"]);
+  game.black.send("RESIGN", { gameId: game.gameId });
+  const { payload } = await game.white.next("GAME_OVER");
+  assert.deepEqual(payload.ratingChanges, {
+    [whiteName]: { category: "blitz", before: 1500, after: 1662, change: 162 },
+    [blackName]: { category: "blitz", before: 1500, after: 1338, change: -162 }
+  });
+
+  const { blitz } = await (await fetch(`${server.httpUrl}/api/leaderboard?category=blitz`)).json();
+  const names = blitz.map(({ username }) => username);
+  assert.ok(names.indexOf(whiteName) < names.indexOf(blackName));
+  assert.deepEqual(blitz.find(({ username }) => username === whiteName), {
+    username: whiteName,
+    rating: 1662,
+    rd: 290,
+    games: 1,
+    provisional: true
+  });
+
+  // Logging in again shows the new rating
+  await closeAll([game.white, game.black]);
+  const again = await login(server, whiteName, "password123");
+  assert.equal(again.session.ratings.blitz.rating, 1662);
+  assert.equal(again.session.ratings.rapid.games, 0);
+  await again.close();
+});
+
+test("casual and aborted games leave ratings alone", async () => {
+  const casual = await startGame(server);
+  casual.black.send("RESIGN", { gameId: casual.gameId });
+  assert.equal((await casual.white.next("GAME_OVER")).payload.ratingChanges, undefined);
+  await closeAll([casual.white, casual.black]);
+
+  const rated = await startRatedGame({ minutes: 10, increment: 0 });
+  rated.white.send("ABORT_GAME", { gameId: rated.gameId });
+  assert.equal((await rated.black.next("GAME_OVER")).payload.ratingChanges, undefined);
+  const { rapid } = await (await fetch(`${server.httpUrl}/api/leaderboard?category=rapid`)).json();
+  assert.equal(rapid.some(({ username }) => username === rated.white.session.username), false);
+  await closeAll([rated.white, rated.black]);
+});
+
+test("the leaderboard lists every category, or one, up to a limit", async () => {
+  const all = await (await fetch(`${server.httpUrl}/api/leaderboard`)).json();
+  assert.deepEqual(Object.keys(all), ["bullet", "blitz", "rapid", "classical", "untimed"]);
+  const limited = await (await fetch(`${server.httpUrl}/api/leaderboard?category=blitz&limit=1`)).json();
+  assert.deepEqual(Object.keys(limited), ["blitz"]);
+  assert.ok(limited.blitz.length <= 1);
+
+  const response = await fetch(`${server.httpUrl}/api/leaderboard?category=hyperbullet`);
+  assert.equal(response.status, 400);
+});
@@ -0,0 +1,123 @@
+// Rematches after a finished game
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, login, startGame, playMoves, uniqueName, closeAll } from "./testing.js";
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+test("a rematch of a game from a PGN starts after the same moves", async () => {
+  const white = await login(server, uniqueName("white"));
+  const black = await login(server, uniqueName("black"));
+  white.send("CREATE_GAME", { pgn: "1. e4 e5 2. Nf3" });
+  const { gameId } = (await white.next("GAME_CREATED")).payload;
+  black.send("JOIN_GAME", { gameId });
+  await black.next("GAME_JOINED");
+  white.send("RESIGN", { gameId });
+  await black.next("GAME_OVER");
+
+  black.send("OFFER_REMATCH", { gameId });
+  await white.next("REMATCH_OFFERED");
+  white.send("ACCEPT_REMATCH", { gameId });
+  const { payload: rematch } = await black.next("REMATCH_STARTED");
+  await white.next("REMATCH_STARTED");
+  assert.equal(rematch.color, "white");
+  assert.deepEqual(rematch.moves.map(({ san }) => san), ["e4", "e5", "Nf3"]);
+  assert.equal(rematch.turn, "black");
+
+  // The PGN's moves belong to the starting position, not to this game
+  black.send("REQUEST_TAKEBACK", { gameId: rematch.gameId });
+  assert.equal(await black.nextError(), "NO_MOVE_TO_TAKE_BACK");
+  white.send("MAKE_MOVE", { gameId: rematch.gameId, move: "Nc6" });
+  assert.equal((await black.next("MOVE_MADE")).payload.san, "Nc6");
+  await closeAll([white, black]);
+});
+
+test("a rematch swaps colors, keeps the settings and tallies the series", async () => {
+  const game = await startGame(server, { timeControl: { minutes: 3, increment: 2 }, allowTakebacks: false });
+  const [whiteName, blackName] = [game.white.session.username, game.black.session.username];
+  game.white.send("OFFER_REMATCH", { gameId: game.gameId });
+  assert.equal(await game.white.nextError(), "REMATCH_NOT_AVAILABLE");
+
+  game.black.send("RESIGN", { gameId: game.gameId });
+  const { payload: over } = await game.white.next("GAME_OVER");
+  assert.deepEqual(over.matchScore, { [whiteName]: 1, [blackName]: 0 });
+
+  game.white.send("OFFER_REMATCH", { gameId: game.gameId });
+  assert.equal((await game.black.next("REMATCH_OFFERED")).payload.offeredBy, whiteName);
+  game.white.send("ACCEPT_REMATCH", { gameId: game.gameId });
+  assert.equal(await game.white.nextError(), "NO_REMATCH_OFFER");
+
+  game.black.send("ACCEPT_REMATCH", { gameId: game.gameId });
+  const { payload: rematch } = await game.black.next("REMATCH_STARTED");
+  await game.white.next("REMATCH_STARTED");
+  assert.equal(rematch.color, "white");
+  assert.equal(rematch.white, blackName);
+  assert.equal(rematch.black, whiteName);
+  assert.equal(rematch.previousGameId, game.gameId);
+  assert.deepEqual(rematch.timeControl, { minutes: 3, increment: 2 });
+  assert.equal(rematch.allowTakebacks, false);
+  assert.deepEqual(rematch.matchScore, { [blackName]: 0, [whiteName]: 1 });
+
+  // The old game now points at the rematch and cannot be rematched again
+  game.white.send("OFFER_REMATCH", { gameId: game.gameId });
+  assert.equal(await game.white.nextError(), "REMATCH_NOT_AVAILABLE");
+
+  // A draw in the rematch adds half a point each
+  const second = { white: game.black, black: game.white, gameId: rematch.gameId };
+  await playMoves(second, ["e4"]);
+  second.white.send("OFFER_DRAW", { gameId: second.gameId });
+  await second.black.next("DRAW_OFFERED");
+  second.black.send("ACCEPT_DRAW", { gameId: second.gameId });
+  const { payload: drawn } = await second.white.next("GAME_OVER", ({ payload }) => payload.gameId === second.gameId);
+  assert.deepEqual(drawn.matchScore, { [blackName]: 0.5, [whiteName]: 1.5 });
+  await closeAll([game.white, game.black]);
+});
+
+test("offering back counts as accepting, and spectators follow into the rematch", async () => {
+  const game = await startGame(server);
+  const spectator = await login(server, uniqueName("spectator"));
+  spectator.send("WATCH_GAME", { gameId: game.gameId });
+  await spectator.next("GAME_STATE");
+  game.white.send("RESIGN", { gameId: game.gameId });
+  await game.black.next("GAME_OVER");
+
+  game.white.send("OFFER_REMATCH", { gameId: game.gameId });
+  await game.black.next("REMATCH_OFFERED");
+  game.black.send("OFFER_REMATCH", { gameId: game.gameId });
+  const { payload: rematch } = await game.white.next("REMATCH_STARTED");
+
+  const { payload: watched } = await spectator.next("GAME_STATE", ({ payload }) => payload.gameId === rematch.gameId);
+  assert.equal(watched.spectating, true);
+  assert.equal(watched.previousGameId, game.gameId);
+  await playMoves({ white: game.black, black: game.white, gameId: rematch.gameId }, ["d4"]);
+  assert.equal((await spectator.next("MOVE_MADE")).payload.san, "d4");
+  await closeAll([game.white, game.black, spectator]);
+});
+
+test("no rematch while either player is in another game", async () => {
+  const game = await startGame(server);
+  game.white.send("RESIGN", { gameId: game.gameId });
+  await game.black.next("GAME_OVER");
+  game.white.send("OFFER_REMATCH", { gameId: game.gameId });
+  await game.black.next("REMATCH_OFFERED");
+
+  // white starts a game with someone else before black answers
+  const third = await login(server, uniqueName("third"));
+  game.white.send("CREATE_GAME", {});
+  const { gameId } = (await game.white.next("GAME_CREATED")).payload;
+  third.send("JOIN_GAME", { gameId });
+  await third.next("GAME_JOINED");
+
+  game.black.send("ACCEPT_REMATCH", { gameId: game.gameId });
+  assert.equal(await game.black.nextError(), "ALREADY_IN_GAME");
+  game.black.send("OFFER_REMATCH", { gameId: game.gameId });
+  assert.equal(await game.black.nextError(), "ALREADY_IN_GAME");
+  game.white.send("OFFER_REMATCH", { gameId: game.gameId });
+  assert.equal(await game.white.nextError(), "ALREADY_IN_GAME");
+  assert.equal(await game.white.receives("REMATCH_STARTED"), false);
+  await closeAll([game.white, game.black, third]);
+});
@@ -0,0 +1,62 @@
+// Session tokens put a reconnecting player back in their seat
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, connect, startGame, closeAll } from "./testing.js";
+
+let server;
+before(async () => {
+  server = await startServer({ RECONNECT_GRACE_MS: "500" });
+});
+after(() => server.stop());
+
+test("a player who reconnects with their token is reseated with a snapshot", async () => {
+  const { white, black, gameId } = await startGame(server);
+  white.send("MAKE_MOVE", { gameId, move: "e4" });
+  await black.next("MOVE_MADE");
+  const { username, sessionToken } = black.session;
+
+  await black.close();
+  assert.equal((await white.next("OPPONENT_DISCONNECTED")).payload.graceMs, 500);
+
+  const returning = await connect(server);
+  returning.send("LOGIN", { username, sessionToken });
+  const login = (await returning.next("LOGIN_SUCCESS")).payload;
+  assert.equal(login.resumed, true);
+  assert.equal(login.sessionToken, sessionToken);
+
+  const { payload } = await returning.next("GAME_STATE");
+  assert.equal(payload.gameId, gameId);
+  assert.equal(payload.color, "black");
+  assert.equal(payload.opponent, white.session.username);
+  assert.equal(payload.moves.length, 1);
+  await white.next("OPPONENT_RECONNECTED");
+
+  // Back in time, so the opponent can't claim the game
+  returning.send("MAKE_MOVE", { gameId, move: "e5" });
+  await white.next("MOVE_MADE", (message) => message.payload.san === "e5");
+  assert.equal(await white.receives("OPPONENT_ABSENT", 700), false);
+  await closeAll([white, returning]);
+});
+
+test("a token for another name starts a new session instead", async () => {
+  const { white, black } = await startGame(server);
+  const stranger = await connect(server);
+  stranger.send("LOGIN", { username: "stranger", sessionToken: black.session.sessionToken });
+
+  const { payload } = await stranger.next("LOGIN_SUCCESS");
+  assert.equal(payload.resumed, false);
+  assert.notEqual(payload.sessionToken, black.session.sessionToken);
+  assert.equal(await stranger.receives("GAME_STATE"), false);
+  await closeAll([white, black, stranger]);
+});
+
+test("resuming takes the name over from a connection that is still open", async () => {
+  const { white, black } = await startGame(server);
+  const { username, sessionToken } = white.session;
+
+  const replacement = await connect(server);
+  replacement.send("LOGIN", { username, sessionToken });
+  assert.equal((await replacement.next("LOGIN_SUCCESS")).payload.resumed, true);
+  assert.equal(await white.closed, 4001);
+  await closeAll([black, replacement]);
+});
@@ -0,0 +1,78 @@
+// Watching live games read-only
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, login, startGame, playMoves, uniqueName, closeAll } from "./testing.js";
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+test("a spectator gets the position and every move, and the players see the count", async () => {
+  const game = await startGame(server);
+  await playMoves(game, ["e4"]);
+  const spectator = await login(server, uniqueName("spectator"));
+
+  spectator.send("WATCH_GAME", { gameId: game.gameId });
+  const { payload: state } = await spectator.next("GAME_STATE");
+  assert.equal(state.spectating, true);
+  assert.equal(state.fen, "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1");
+  assert.equal((await game.white.next("SPECTATOR_COUNT")).payload.count, 1);
+  assert.equal((await game.black.next("SPECTATOR_COUNT")).payload.count, 1);
+
+  await playMoves(game, ["e5"], "black");
+  assert.equal((await spectator.next("MOVE_MADE")).payload.san, "e5");
+  game.white.send("RESIGN", { gameId: game.gameId });
+  assert.equal((await spectator.next("GAME_OVER")).payload.reason, "resignation");
+  await closeAll([game.white, game.black, spectator]);
+});
+
+test("spectators cannot move, and players cannot watch", async () => {
+  const game = await startGame(server);
+  const spectator = await login(server, uniqueName("spectator"));
+  spectator.send("WATCH_GAME", { gameId: game.gameId });
+  await spectator.next("GAME_STATE");
+
+  spectator.send("MAKE_MOVE", { gameId: game.gameId, move: "e4" });
+  assert.equal(await spectator.nextError(), "NOT_A_PLAYER");
+  spectator.send("RESIGN", { gameId: game.gameId });
+  assert.equal(await spectator.nextError(), "NOT_A_PLAYER");
+
+  game.white.send("WATCH_GAME", { gameId: game.gameId });
+  assert.equal(await game.white.nextError(), "ALREADY_IN_GAME");
+
+  // Watching another game would take a player out of their own
+  const other = await startGame(server);
+  game.black.send("WATCH_GAME", { gameId: other.gameId });
+  assert.equal(await game.black.nextError(), "ALREADY_IN_GAME");
+  await closeAll([game.white, game.black, other.white, other.black, spectator]);
+});
+
+test("a spectator who stops watching leaves the count and gets no more moves", async () => {
+  const game = await startGame(server);
+  const spectator = await login(server, uniqueName("spectator"));
+  spectator.send("WATCH_GAME", { gameId: game.gameId });
+  await spectator.next("GAME_STATE");
+  assert.equal((await game.white.next("SPECTATOR_COUNT")).payload.count, 1);
+
+  spectator.send("STOP_WATCHING", { gameId: game.gameId });
+  assert.equal((await game.white.next("SPECTATOR_COUNT")).payload.count, 0);
+  await playMoves(game, ["d4"]);
+  assert.equal(await spectator.receives("MOVE_MADE"), false);
+
+  spectator.send("STOP_WATCHING", { gameId: game.gameId });
+  assert.equal(await spectator.nextError(), "NOT_IN_GAME");
+  await closeAll([game.white, game.black, spectator]);
+});
+
+test("a spectator who disconnects leaves the count", async () => {
+  const game = await startGame(server);
+  const spectator = await login(server, uniqueName("spectator"));
+  spectator.send("WATCH_GAME", { gameId: game.gameId });
+  await game.white.next("SPECTATOR_COUNT", (message) => message.payload.count === 1);
+
+  await spectator.close();
+  assert.equal((await game.white.next("SPECTATOR_COUNT")).payload.count, 0);
+  await closeAll([game.white, game.black]);
+});
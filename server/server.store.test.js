@@ -0,0 +1,39 @@
+// Games in the file store outlive a server restart
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { startServer, connect, startGame, closeAll } from "./testing.js";
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "server-store-test-"));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test("a game in progress is reloaded after a restart and its players can resume", async () => {
+  const env = { GAME_STORE: "file", GAME_STORE_PATH: path.join(tempDir, "games.json") };
+  const first = await startServer(env);
+  const { white, black, gameId } = await startGame(first, { timeControl: { minutes: 5, increment: 0 } });
+  white.send("MAKE_MOVE", { gameId, move: "d4" });
+  await black.next("MOVE_MADE");
+
+  // SIGTERM warns the clients and flushes the store before exiting
+  const stopping = first.stop();
+  assert.equal((await black.next("SERVER_RESTARTING")).type, "SERVER_RESTARTING");
+  await stopping;
+  await closeAll([white, black]);
+
+  const second = await startServer(env);
+  const returning = await connect(second);
+  returning.send("LOGIN", { username: black.session.username, sessionToken: black.session.sessionToken });
+  assert.equal((await returning.next("LOGIN_SUCCESS")).payload.resumed, true);
+
+  const { payload } = await returning.next("GAME_STATE");
+  assert.equal(payload.gameId, gameId);
+  assert.equal(payload.color, "black");
+  assert.deepEqual(payload.moves.map(({ san }) => san), ["d4"]);
+
+  returning.send("MAKE_MOVE", { gameId, move: "d5" });
+  assert.equal((await returning.next("MOVE_MADE")).payload.san, "d5");
+  await returning.close();
+  await second.stop();
+});
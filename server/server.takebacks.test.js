@@ -0,0 +1,116 @@
+// Takeback requests and their answers
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, login, startGame, playMoves, uniqueName, closeAll } from "./testing.js";
+
+const START_FEN = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+test("moves from a starting PGN cannot be taken back", async () => {
+  const white = await login(server, uniqueName("white"));
+  const black = await login(server, uniqueName("black"));
+  white.send("CREATE_GAME", { pgn: "1. e4 e5 2. Nf3" });
+  const { gameId } = (await white.next("GAME_CREATED")).payload;
+  black.send("JOIN_GAME", { gameId });
+  await black.next("GAME_JOINED");
+
+  white.send("REQUEST_TAKEBACK", { gameId });
+  assert.equal(await white.nextError(), "NO_MOVE_TO_TAKE_BACK");
+  black.send("REQUEST_TAKEBACK", { gameId });
+  assert.equal(await black.nextError(), "NO_MOVE_TO_TAKE_BACK");
+  assert.equal(await black.receives("TAKEBACK_REQUESTED"), false);
+  await closeAll([white, black]);
+});
+
+test("before the opponent replies, a takeback undoes one ply", async () => {
+  const game = await startGame(server);
+  await playMoves(game, ["e4"]);
+  game.white.send("REQUEST_TAKEBACK", { gameId: game.gameId });
+  const { payload: request } = await game.black.next("TAKEBACK_REQUESTED");
+  assert.equal(request.requestedBy, game.white.session.username);
+  assert.equal(request.plies, 1);
+
+  game.black.send("ACCEPT_TAKEBACK", { gameId: game.gameId });
+  const { payload } = await game.white.next("TAKEBACK_ACCEPTED");
+  assert.equal(payload.plies, 1);
+  assert.equal(payload.fen, START_FEN);
+  assert.equal(payload.turn, "white");
+  assert.deepEqual(payload.moves, []);
+  await game.black.next("TAKEBACK_ACCEPTED");
+
+  // White plays something else
+  game.white.send("MAKE_MOVE", { gameId: game.gameId, move: "d4" });
+  assert.equal((await game.black.next("MOVE_MADE")).payload.san, "d4");
+  await closeAll([game.white, game.black]);
+});
+
+test("after the opponent replies, a takeback undoes both plies", async () => {
+  const game = await startGame(server, { timeControl: { minutes: 5, increment: 0 } });
+  await playMoves(game, ["e4", "e5", "Nf3", "Nc6"]);
+  game.white.send("REQUEST_TAKEBACK", { gameId: game.gameId });
+  assert.equal((await game.black.next("TAKEBACK_REQUESTED")).payload.plies, 2);
+
+  game.black.send("ACCEPT_TAKEBACK", { gameId: game.gameId });
+  const { payload } = await game.white.next("TAKEBACK_ACCEPTED");
+  assert.deepEqual(payload.moves.map(({ san }) => san), ["e4", "e5"]);
+  assert.equal(payload.lastMove, "e5");
+  assert.equal(payload.turn, "white");
+  assert.ok(payload.clocks.white > 0 && payload.clocks.black > 0);
+
+  game.white.send("GET_GAME_STATE", { gameId: game.gameId });
+  assert.equal((await game.white.next("GAME_STATE")).payload.takebackRequest, null);
+  await closeAll([game.white, game.black]);
+});
+
+test("a declined takeback tells the requester and leaves the board alone", async () => {
+  const game = await startGame(server);
+  await playMoves(game, ["e4", "e5"]);
+  game.black.send("REQUEST_TAKEBACK", { gameId: game.gameId });
+  await game.white.next("TAKEBACK_REQUESTED");
+
+  // Only the opponent answers
+  game.black.send("ACCEPT_TAKEBACK", { gameId: game.gameId });
+  assert.equal(await game.black.nextError(), "NO_TAKEBACK_REQUEST");
+
+  game.white.send("DECLINE_TAKEBACK", { gameId: game.gameId });
+  const { payload } = await game.black.next("TAKEBACK_DECLINED");
+  assert.equal(payload.declinedBy, game.white.session.username);
+  game.white.send("ACCEPT_TAKEBACK", { gameId: game.gameId });
+  assert.equal(await game.white.nextError(), "NO_TAKEBACK_REQUEST");
+
+  game.white.send("GET_GAME_STATE", { gameId: game.gameId });
+  assert.deepEqual((await game.white.next("GAME_STATE")).payload.moves.map(({ san }) => san), ["e4", "e5"]);
+  await closeAll([game.white, game.black]);
+});
+
+test("a request lapses once another move is made", async () => {
+  const game = await startGame(server);
+  await playMoves(game, ["e4"]);
+  game.white.send("REQUEST_TAKEBACK", { gameId: game.gameId });
+  await game.black.next("TAKEBACK_REQUESTED");
+  await playMoves(game, ["e5"], "black");
+
+  game.black.send("ACCEPT_TAKEBACK", { gameId: game.gameId });
+  assert.equal(await game.black.nextError(), "NO_TAKEBACK_REQUEST");
+  await closeAll([game.white, game.black]);
+});
+
+test("takebacks can be turned off for a game, and need a move to take back", async () => {
+  const game = await startGame(server);
+  game.white.send("REQUEST_TAKEBACK", { gameId: game.gameId });
+  assert.equal(await game.white.nextError(), "NO_MOVE_TO_TAKE_BACK");
+  await closeAll([game.white, game.black]);
+
+  const strict = await startGame(server, { allowTakebacks: false });
+  await playMoves(strict, ["e4"]);
+  strict.white.send("REQUEST_TAKEBACK", { gameId: strict.gameId });
+  assert.equal(await strict.white.nextError(), "TAKEBACKS_DISABLED");
+  strict.white.send("GET_GAME_STATE", { gameId: strict.gameId });
+  assert.equal((await strict.white.next("GAME_STATE")).payload.allowTakebacks, false);
+  await closeAll([strict.white, strict.black]);
+});
@@ -0,0 +1,91 @@
+// How games end, as the players hear it
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, login, startGame, playMoves, uniqueName, closeAll } from "./testing.js";
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+// Two players in a game created from a FEN
+const startFromFen = async (fen) => {
+  const white = await login(server, uniqueName("white"));
+  const black = await login(server, uniqueName("black"));
+  white.send("CREATE_GAME", { fen });
+  const { gameId } = (await white.next("GAME_CREATED")).payload;
+  black.send("JOIN_GAME", { gameId });
+  await black.next("GAME_JOINED");
+  return { white, black, gameId };
+};
+
+test("checkmate wins for the mating side", async () => {
+  const game = await startGame(server);
+  await playMoves(game, ["f3", "e5", "g4", "Qh4#"]);
+  const { payload } = await game.white.next("GAME_OVER");
+  assert.equal(payload.result, "0-1");
+  assert.equal(payload.reason, "checkmate");
+  assert.equal(payload.winnerColor, "black");
+  assert.equal(payload.winner, game.black.session.username);
+  assert.equal(payload.loser, game.white.session.username);
+
+  game.white.send("MAKE_MOVE", { gameId: game.gameId, move: "a3" });
+  assert.equal(await game.white.nextError(), "GAME_NOT_ACTIVE");
+  await closeAll([game.white, game.black]);
+});
+
+test("stalemate is a draw with no winner", async () => {
+  const game = await startFromFen("7k/8/5Q2/6K1/8/8/8/8 w - - 0 1");
+  game.white.send("MAKE_MOVE", { gameId: game.gameId, move: "Qf7" });
+  const { payload } = await game.black.next("GAME_OVER");
+  assert.equal(payload.result, "1/2-1/2");
+  assert.equal(payload.reason, "stalemate");
+  assert.equal(payload.winnerColor, null);
+  assert.equal(payload.winner, undefined);
+  await closeAll([game.white, game.black]);
+});
+
+test("taking the last mating piece draws by insufficient material", async () => {
+  const game = await startFromFen("4k3/8/8/8/8/8/3r4/4K3 w - - 0 1");
+  game.white.send("MAKE_MOVE", { gameId: game.gameId, move: "Kxd2" });
+  const { payload } = await game.black.next("GAME_OVER");
+  assert.equal(payload.result, "1/2-1/2");
+  assert.equal(payload.reason, "insufficient_material");
+  await closeAll([game.white, game.black]);
+});
+
+test("threefold repetition is only a draw once claimed", async () => {
+  const game = await startGame(server);
+  game.white.send("CLAIM_DRAW", { gameId: game.gameId });
+  assert.equal(await game.white.nextError(), "NO_DRAW_TO_CLAIM");
+
+  const lastMove = await playMoves(game, ["Nf3", "Nf6", "Ng1", "Ng8", "Nf3", "Nf6", "Ng1", "Ng8"]);
+  assert.equal(lastMove.payload.claimableDraw, "threefold_repetition");
+  assert.equal(await game.white.receives("GAME_OVER"), false);
+
+  game.white.send("CLAIM_DRAW", { gameId: game.gameId });
+  const { payload } = await game.black.next("GAME_OVER");
+  assert.equal(payload.result, "1/2-1/2");
+  assert.equal(payload.reason, "threefold_repetition");
+  assert.equal(payload.claimedBy, game.white.session.username);
+  await closeAll([game.white, game.black]);
+});
+
+test("resignation and agreed draws carry their reasons", async () => {
+  const resigned = await startGame(server);
+  resigned.white.send("RESIGN", { gameId: resigned.gameId });
+  const { payload: resignation } = await resigned.black.next("GAME_OVER");
+  assert.equal(resignation.result, "0-1");
+  assert.equal(resignation.reason, "resignation");
+  await closeAll([resigned.white, resigned.black]);
+
+  const drawn = await startGame(server);
+  drawn.black.send("OFFER_DRAW", { gameId: drawn.gameId });
+  await drawn.white.next("DRAW_OFFERED");
+  drawn.white.send("ACCEPT_DRAW", { gameId: drawn.gameId });
+  const { payload: agreement } = await drawn.black.next("GAME_OVER");
+  assert.equal(agreement.result, "1/2-1/2");
+  assert.equal(agreement.reason, "draw_agreement");
+  await closeAll([drawn.white, drawn.black]);
+});
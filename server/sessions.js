@@ -0,0 +1,91 @@
+// sessions.js (ESM) - resumable login sessions
+// LOGIN hands out a signed token; a client that reconnects with it gets
+// its username and game seat back instead of starting over as a stranger.
+// The signature stops anyone from forging a token for someone else's name.
+import { randomBytes, createHmac, timingSafeEqual } from "crypto";
+
+// How long a token can be used to resume, 30 days by default
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_MS) || 30 * 24 * 60 * 60 * 1000;
+
+// Without a fixed secret, tokens stop working when the server restarts
+if (!process.env.SESSION_SECRET) {
+  console.warn("SESSION_SECRET is not set; session tokens will not survive a restart");
+}
+const SESSION_SECRET = process.env.SESSION_SECRET || randomBytes(32).toString("hex");
+
+const sessions = new Map(); // token -> { token, username, guest, gameId, createdAt }
+
+const sign = (data) => createHmac("sha256", SESSION_SECRET).update(data).digest("base64url");
+
+// A token is its base64url JSON claims, a dot, and their signature
+const issueToken = (claims) => {
+  const data = Buffer.from(JSON.stringify(claims)).toString("base64url");
+  return `${data}.${sign(data)}`;
+};
+
+// The claims of a token with a good signature that has not expired, otherwise null
+export const verifyToken = (token) => {
+  if (typeof token !== "string") return null;
+  const [data, signature] = token.split(".");
+  if (!data || !signature) return null;
+
+  const expected = Buffer.from(sign(data));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(data, "base64url").toString("utf8"));
+    return claims.expiresAt > Date.now() ? claims : null;
+  } catch {
+    return null;
+  }
+};
+
+export const createSession = (username, { guest = false } = {}) => {
+  const session = {
+    token: issueToken({
+      sessionId: randomBytes(12).toString("hex"),
+      username,
+      guest,
+      expiresAt: Date.now() + SESSION_TTL_MS
+    }),
+    username,
+    guest,
+    gameId: null,
+    createdAt: Date.now()
+  };
+  sessions.set(session.token, session);
+  return session;
+};
+
+// The session for a valid token; one issued before a restart gets a fresh session without a seat
+export const getSession = (token) => {
+  const claims = verifyToken(token);
+  if (!claims) return null;
+
+  if (!sessions.has(token)) {
+    sessions.set(token, { token, username: claims.username, guest: claims.guest, gameId: null, createdAt: Date.now() });
+  }
+  return sessions.get(token);
+};
+
+// Recreate a session for a game reloaded from the store, so its players can resume
+export const restoreSession = (token, username, gameId) => {
+  const claims = verifyToken(token);
+  if (!claims || sessions.has(token)) return;
+  sessions.set(token, { token, username, guest: claims.guest, gameId, createdAt: Date.now() });
+};
+
+// Forget sessions whose token has expired; returns how many went
+export const pruneSessions = () => {
+  let removed = 0;
+  sessions.forEach((session, token) => {
+    if (!verifyToken(token)) {
+      sessions.delete(token);
+      removed += 1;
+    }
+  });
+  return removed;
+};
+
+export const getSessionCount = () => sessions.size;
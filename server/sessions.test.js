@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { delay } from "./testing.js";
+
+// Short-lived tokens so expiry can be seen
+process.env.SESSION_SECRET = "session-test-secret";
+process.env.SESSION_TTL_MS = "200";
+const { verifyToken, createSession, getSession, restoreSession, pruneSessions, getSessionCount } = await import("./sessions.js");
+
+test("a new session's token carries its claims", () => {
+  const session = createSession("alice", { guest: true });
+  const claims = verifyToken(session.token);
+
+  assert.equal(claims.username, "alice");
+  assert.equal(claims.guest, true);
+  assert.equal(getSession(session.token), session);
+  assert.equal(session.gameId, null);
+});
+
+test("tampered or malformed tokens are rejected", () => {
+  const { token } = createSession("alice");
+  const [data, signature] = token.split(".");
+  const forged = Buffer.from(JSON.stringify({ ...verifyToken(token), username: "mallory" })).toString("base64url");
+
+  assert.equal(verifyToken(`${forged}.${signature}`), null);
+  assert.equal(verifyToken(`${data}.${signature.slice(1)}`), null);
+  assert.equal(verifyToken("nonsense"), null);
+  assert.equal(verifyToken(undefined), null);
+  assert.equal(getSession(`${forged}.${signature}`), null);
+});
+
+test("restoring a session that is already known changes nothing", () => {
+  const session = createSession("carol");
+  session.gameId = "game-2";
+  restoreSession(session.token, "carol", "game-1");
+  assert.equal(getSession(session.token).gameId, "game-2");
+});
+
+test("expired tokens stop working and are pruned", async () => {
+  const { token } = createSession("dave");
+  const before = getSessionCount();
+  await delay(250);
+
+  assert.equal(verifyToken(token), null);
+  assert.equal(getSession(token), null);
+  assert.ok(pruneSessions() >= 1);
+  assert.ok(getSessionCount() < before);
+});
@@ -0,0 +1,265 @@
+// store.js (ESM) - pluggable persistence for game and player records
+// Both stores expose the same interface:
+//   saveGame(record)        insert or replace a game record
+//   getGame(id)             a record, or null
+//   deleteGame(id)          remove a record, e.g. for a game nobody joined
+//   loadUnfinishedGames()   records still waiting or in progress
+//   listFinishedGames(opts) finished records, newest first ({ username, limit })
+//   pruneArchive(max)       drop the oldest finished records beyond max; returns how many
+//   countGames()            number of game records
+//   savePlayer(record)      insert or replace a player record, keyed by username
+//   getPlayer(username)     a player record, or null
+//   listPlayers()           every player record
+//   flush()                 resolve once everything is durably written
+// The memory store is for development; the file store keeps games and
+// ratings across restarts and redeploys, with finished games archived on disk.
+import fs from "fs";
+import path from "path";
+
+const UNFINISHED_STATUSES = new Set(["waiting", "playing"]);
+
+// How long the file store waits to batch writes after a change
+const FILE_WRITE_DELAY_MS = 250;
+
+const isFinished = (record) => !UNFINISHED_STATUSES.has(record.status);
+
+const finishedAt = (record) => record.finishedAt ?? record.updatedAt ?? 0;
+
+// Finished games, newest first, optionally only those the player was in.
+// Works on full records and on the file store's archive index alike.
+const listFinished = (finished, { username = null, limit = 20 } = {}) =>
+  [...finished]
+    .filter((record) => !username || record.creator === username || record.opponent === username)
+    .sort((a, b) => finishedAt(b) - finishedAt(a))
+    .slice(0, limit);
+
+const getFinishedRecords = (records) => [...records.values()].filter(isFinished);
+
+// Remove the oldest finished records beyond `max`; returns how many went
+const pruneFinished = (records, max) => {
+  const excess = listFinished(getFinishedRecords(records), { limit: Infinity }).slice(max);
+  excess.forEach((record) => records.delete(record.id));
+  return excess.length;
+};
+
+export const createMemoryStore = () => {
+  const records = new Map();
+  const players = new Map();
+
+  return {
+    saveGame(record) {
+      records.set(record.id, record);
+    },
+    getGame(id) {
+      return records.get(id) || null;
+    },
+    deleteGame(id) {
+      records.delete(id);
+    },
+    loadUnfinishedGames() {
+      return [...records.values()].filter((record) => UNFINISHED_STATUSES.has(record.status));
+    },
+    listFinishedGames(options) {
+      return listFinished(getFinishedRecords(records), options);
+    },
+    pruneArchive(max) {
+      return pruneFinished(records, max);
+    },
+    countGames() {
+      return records.size;
+    },
+    savePlayer(record) {
+      players.set(record.username, record);
+    },
+    getPlayer(username) {
+      return players.get(username) || null;
+    },
+    listPlayers() {
+      return [...players.values()];
+    },
+    async flush() {}
+  };
+};
+
+// What listing and pruning the archive need to know of a finished game
+const toArchiveEntry = (record) => ({
+  id: record.id,
+  creator: record.creator,
+  opponent: record.opponent,
+  finishedAt: finishedAt(record)
+});
+
+// Live games and players are kept in memory and rewritten to one JSON file shortly
+// after changes. Finished games go to the archive, a directory beside it with a file
+// per game, so saving a live game never rewrites them; only a small index of them is
+// kept in memory and their records are read back when asked for.
+export const createFileStore = (filePath) => {
+  const archiveDir = path.join(path.dirname(filePath), `${path.basename(filePath, path.extname(filePath))}-archive`);
+  const archivePath = (id) => path.join(archiveDir, `${encodeURIComponent(id)}.json`);
+
+  const records = new Map();
+  const players = new Map();
+  const archived = new Map();
+  // Finished records not yet written to the archive
+  const unwritten = new Map();
+  let liveChanged = false;
+  let writeTimer = null;
+  let writing = Promise.resolve();
+
+  if (fs.existsSync(archiveDir)) {
+    fs.readdirSync(archiveDir)
+      .filter((name) => name.endsWith(".json"))
+      .forEach((name) => {
+        try {
+          const record = JSON.parse(fs.readFileSync(path.join(archiveDir, name), "utf8"));
+          archived.set(record.id, toArchiveEntry(record));
+        } catch (error) {
+          console.error(`Could not read archived game ${name}:`, error);
+        }
+      });
+  }
+
+  if (fs.existsSync(filePath)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      saved.games.forEach((record) => {
+        // Files written before the archive had its own directory hold finished games too
+        if (isFinished(record)) {
+          archived.set(record.id, toArchiveEntry(record));
+          unwritten.set(record.id, record);
+          liveChanged = true;
+        } else {
+          records.set(record.id, record);
+        }
+      });
+      // Files written before ratings existed have no players
+      (saved.players || []).forEach((record) => players.set(record.username, record));
+    } catch (error) {
+      console.error(`Could not read game store at ${filePath}:`, error);
+    }
+  }
+
+  // Write to a temp file and rename it so a crash never leaves half a file
+  const writeAtomically = (target, data) => {
+    const tempPath = `${target}.tmp`;
+    return fs.promises.writeFile(tempPath, data).then(() => fs.promises.rename(tempPath, target));
+  };
+
+  const writeFile = () => {
+    writeTimer = null;
+    const toArchive = [...unwritten.values()];
+    const data = liveChanged ? JSON.stringify({ games: [...records.values()], players: [...players.values()] }) : null;
+    liveChanged = false;
+
+    writing = writing
+      .then(() => fs.promises.mkdir(archiveDir, { recursive: true }))
+      .then(() => Promise.all(toArchive.map((record) => writeAtomically(archivePath(record.id), JSON.stringify(record)))))
+      .then(() => {
+        // A record saved again meanwhile waits for the next write
+        toArchive.forEach((record) => {
+          if (unwritten.get(record.id) === record) unwritten.delete(record.id);
+        });
+        return data === null ? null : writeAtomically(filePath, data);
+      })
+      .catch((error) => console.error("Error writing game store:", error));
+    return writing;
+  };
+
+  const scheduleWrite = () => {
+    if (!writeTimer) writeTimer = setTimeout(writeFile, FILE_WRITE_DELAY_MS);
+  };
+
+  const saveLive = () => {
+    liveChanged = true;
+    scheduleWrite();
+  };
+  if (liveChanged) scheduleWrite();
+
+  const readArchived = (id) => {
+    try {
+      return JSON.parse(fs.readFileSync(archivePath(id), "utf8"));
+    } catch (error) {
+      console.error(`Could not read archived game ${id}:`, error);
+      return null;
+    }
+  };
+
+  const getGame = (id) => records.get(id) || unwritten.get(id) || (archived.has(id) ? readArchived(id) : null);
+
+  // Deletions queue behind pending writes, so a game is never written back after it went
+  const removeArchived = (ids) => {
+    ids.forEach((id) => {
+      archived.delete(id);
+      unwritten.delete(id);
+    });
+    writing = writing
+      .then(() => Promise.all(ids.map((id) => fs.promises.rm(archivePath(id), { force: true }))))
+      .catch((error) => console.error("Error removing archived games:", error));
+  };
+
+  return {
+    saveGame(record) {
+      if (!isFinished(record)) {
+        records.set(record.id, record);
+        saveLive();
+        return;
+      }
+      if (records.delete(record.id)) liveChanged = true;
+      archived.set(record.id, toArchiveEntry(record));
+      unwritten.set(record.id, record);
+      scheduleWrite();
+    },
+    getGame,
+    deleteGame(id) {
+      if (records.delete(id)) saveLive();
+      if (archived.has(id)) removeArchived([id]);
+    },
+    loadUnfinishedGames() {
+      return [...records.values()];
+    },
+    listFinishedGames(options) {
+      return listFinished(archived.values(), options)
+        .map(({ id }) => getGame(id))
+        .filter(Boolean);
+    },
+    pruneArchive(max) {
+      const excess = listFinished(archived.values(), { limit: Infinity }).slice(max);
+      if (excess.length) removeArchived(excess.map(({ id }) => id));
+      return excess.length;
+    },
+    countGames() {
+      return records.size + archived.size;
+    },
+    savePlayer(record) {
+      players.set(record.username, record);
+      saveLive();
+    },
+    getPlayer(username) {
+      return players.get(username) || null;
+    },
+    listPlayers() {
+      return [...players.values()];
+    },
+    async flush() {
+      if (writeTimer) {
+        clearTimeout(writeTimer);
+        await writeFile();
+      }
+      await writing;
+    }
+  };
+};
+
+// Pick a store from the environment: GAME_STORE=file|memory (file in production)
+export const createGameStore = (env = process.env) => {
+  const kind = env.GAME_STORE || (env.NODE_ENV === "production" ? "file" : "memory");
+
+  if (kind === "file") {
+    const filePath = path.resolve(env.GAME_STORE_PATH || "data/games.json");
+    console.log(`Using file game store at ${filePath}`);
+    return createFileStore(filePath);
+  }
+
+  console.log("Using in-memory game store");
+  return createMemoryStore();
+};
@@ -0,0 +1,137 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createMemoryStore, createFileStore, createGameStore } from "./store.js";
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "store-test-"));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+let fileCount = 0;
+const newFilePath = () => path.join(tempDir, `games-${++fileCount}.json`);
+
+const game = (id, status, extra = {}) => ({ id, status, creator: "alice", opponent: "bob", moves: [], ...extra });
+
+// Both stores must behave the same
+const stores = {
+  memory: () => createMemoryStore(),
+  file: () => createFileStore(newFilePath())
+};
+
+Object.entries(stores).forEach(([kind, createStore]) => {
+  test(`${kind} store: games are saved, replaced and deleted`, async () => {
+    const store = createStore();
+    store.saveGame(game("g1", "waiting"));
+    store.saveGame(game("g1", "playing", { moves: ["e4"] }));
+
+    assert.deepEqual(store.getGame("g1").moves, ["e4"]);
+    assert.equal(store.countGames(), 1);
+    store.deleteGame("g1");
+    assert.equal(store.getGame("g1"), null);
+    await store.flush();
+  });
+
+  test(`${kind} store: unfinished and finished games are listed apart`, async () => {
+    const store = createStore();
+    store.saveGame(game("waiting", "waiting"));
+    store.saveGame(game("playing", "playing"));
+    store.saveGame(game("old", "completed", { finishedAt: 1 }));
+    store.saveGame(game("new", "abandoned", { finishedAt: 2 }));
+    store.saveGame(game("other", "completed", { finishedAt: 3, creator: "carol", opponent: "dave" }));
+
+    assert.deepEqual(store.loadUnfinishedGames().map(({ id }) => id).sort(), ["playing", "waiting"]);
+    assert.deepEqual(store.listFinishedGames().map(({ id }) => id), ["other", "new", "old"]);
+    assert.deepEqual(store.listFinishedGames({ username: "bob", limit: 1 }).map(({ id }) => id), ["new"]);
+
+    assert.equal(store.pruneArchive(1), 2);
+    assert.deepEqual(store.listFinishedGames().map(({ id }) => id), ["other"]);
+    assert.equal(store.countGames(), 3);
+    await store.flush();
+  });
+
+  test(`${kind} store: players are kept by username`, async () => {
+    const store = createStore();
+    store.savePlayer({ username: "alice", ratings: {} });
+    store.savePlayer({ username: "alice", ratings: { blitz: { rating: 1600 } } });
+
+    assert.equal(store.getPlayer("alice").ratings.blitz.rating, 1600);
+    assert.equal(store.getPlayer("nobody"), null);
+    assert.equal(store.listPlayers().length, 1);
+    await store.flush();
+  });
+});
+
+test("the file store reloads what it flushed", async () => {
+  const filePath = newFilePath();
+  const store = createFileStore(filePath);
+  store.saveGame(game("g1", "playing", { moves: ["e4", "e5"] }));
+  store.savePlayer({ username: "alice", ratings: {} });
+  await store.flush();
+
+  const reopened = createFileStore(filePath);
+  assert.deepEqual(reopened.getGame("g1").moves, ["e4", "e5"]);
+  assert.equal(reopened.getPlayer("alice").username, "alice");
+  assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+});
+
+test("the file store starts empty from an unreadable file", () => {
+  const filePath = newFilePath();
+  fs.writeFileSync(filePath, "{ not json");
+  const store = createFileStore(filePath);
+  assert.equal(store.countGames(), 0);
+});
+
+test("the store kind comes from the environment", async () => {
+  const filePath = newFilePath();
+  const fileStore = createGameStore({ GAME_STORE: "file", GAME_STORE_PATH: filePath });
+  fileStore.saveGame(game("g1", "waiting"));
+  await fileStore.flush();
+  assert.ok(fs.existsSync(filePath));
+
+  const memoryStore = createGameStore({});
+  memoryStore.saveGame(game("g1", "waiting"));
+  await memoryStore.flush();
+  assert.equal(memoryStore.getGame("g1").id, "g1");
+});
+
+test("the file store keeps finished games apart, one file each", async () => {
+  const filePath = newFilePath();
+  const archiveDir = filePath.replace(/\.json$/, "-archive");
+  const store = createFileStore(filePath);
+  store.saveGame(game("live", "playing"));
+  store.saveGame(game("done", "playing"));
+  store.saveGame(game("done", "completed", { finishedAt: 5, moves: ["e4"] }));
+  await store.flush();
+
+  assert.deepEqual(JSON.parse(fs.readFileSync(filePath, "utf8")).games.map(({ id }) => id), ["live"]);
+  assert.deepEqual(fs.readdirSync(archiveDir), ["done.json"]);
+  assert.deepEqual(store.getGame("done").moves, ["e4"]);
+
+  // saving a live game leaves the archive as it was
+  const archivedAt = fs.statSync(path.join(archiveDir, "done.json")).mtimeMs;
+  store.saveGame(game("live", "playing", { moves: ["d4"] }));
+  await store.flush();
+  assert.equal(fs.statSync(path.join(archiveDir, "done.json")).mtimeMs, archivedAt);
+
+  const reopened = createFileStore(filePath);
+  assert.deepEqual(reopened.loadUnfinishedGames().map(({ id }) => id), ["live"]);
+  assert.deepEqual(reopened.listFinishedGames().map(({ id, moves }) => [id, moves]), [["done", ["e4"]]]);
+  assert.equal(reopened.countGames(), 2);
+
+  reopened.deleteGame("done");
+  await reopened.flush();
+  assert.deepEqual(fs.readdirSync(archiveDir), []);
+  assert.equal(reopened.getGame("done"), null);
+});
+
+test("the file store moves finished games out of a file that held them all", async () => {
+  const filePath = newFilePath();
+  fs.writeFileSync(filePath, JSON.stringify({ games: [game("live", "playing"), game("done", "aborted", { finishedAt: 1 })] }));
+  const store = createFileStore(filePath);
+  assert.equal(store.getGame("done").status, "aborted");
+  await store.flush();
+
+  assert.deepEqual(JSON.parse(fs.readFileSync(filePath, "utf8")).games.map(({ id }) => id), ["live"]);
+  assert.ok(fs.existsSync(filePath.replace(/\.json$/, "-archive/done.json")));
+});
@@ -0,0 +1,68 @@
+// termination.js (ESM) - how games end and with what result
+// Follows the FIDE rules: checkmate, stalemate, insufficient material,
+// fivefold repetition and the 75-move rule end a game by themselves, while
+// threefold repetition and the 50-move rule only draw when a player claims them.
+// A result is { result: "1-0" | "0-1" | "1/2-1/2" | "*", reason, winnerColor }.
+import { otherColor } from "./clock.js";
+
+export const winFor = (color, reason) => ({
+  result: color === "white" ? "1-0" : "0-1",
+  reason,
+  winnerColor: color
+});
+
+export const drawBy = (reason) => ({ result: "1/2-1/2", reason, winnerColor: null });
+
+// A game that ended without being decided, e.g. when it was aborted or abandoned
+export const unfinishedBy = (reason) => ({ result: "*", reason, winnerColor: null });
+
+// Plies played since the game started; moves from a starting PGN don't count
+export const getPliesPlayed = (game) => Math.max(0, game.game.history().length - (game.startPly || 0));
+
+// Until both sides have made their first move a game can be aborted without a result
+export const isAbortable = (game) => game.status === "playing" && getPliesPlayed(game) < 2;
+
+// Placement, side to move, castling and en passant: what makes two positions the same
+const positionKey = (fen) => fen.split(" ").slice(0, 4).join(" ");
+
+// How many times the current position has occurred in the game
+export const getRepetitionCount = (chess) => {
+  const history = chess.history({ verbose: true });
+  if (history.length === 0) return 1;
+
+  const current = positionKey(chess.fen());
+  const positions = [history[0].before, ...history.map((move) => move.after)];
+  return positions.filter((fen) => positionKey(fen) === current).length;
+};
+
+// Half-moves since the last capture or pawn move
+const getHalfmoveClock = (chess) => Number(chess.fen().split(" ")[4]);
+
+// The result if the position ends the game on its own, otherwise null
+export const getAutomaticResult = (chess) => {
+  if (chess.isCheckmate()) return winFor(otherColor(chess.turn() === "w" ? "white" : "black"), "checkmate");
+  if (chess.isStalemate()) return drawBy("stalemate");
+  if (chess.isInsufficientMaterial()) return drawBy("insufficient_material");
+  if (getRepetitionCount(chess) >= 5) return drawBy("fivefold_repetition");
+  if (getHalfmoveClock(chess) >= 150) return drawBy("seventy_five_move_rule");
+  return null;
+};
+
+// The draw a player may claim in the current position, if any
+export const getClaimableDraw = (chess) => {
+  if (getRepetitionCount(chess) >= 3) return "threefold_repetition";
+  if (getHalfmoveClock(chess) >= 100) return "fifty_move_rule";
+  return null;
+};
+
+// A lone king, or a king and one bishop or knight, can never force mate
+const hasMatingMaterial = (chess, color) => {
+  const pieces = chess.board().flat().filter((piece) => piece && piece.color === color[0] && piece.type !== "k");
+  return pieces.length > 1 || pieces.some((piece) => piece.type !== "b" && piece.type !== "n");
+};
+
+// Running out of time loses, unless the opponent has nothing left to mate with
+export const getTimeoutResult = (chess, flaggedColor) => {
+  const opponent = otherColor(flaggedColor);
+  return hasMatingMaterial(chess, opponent) ? winFor(opponent, "timeout") : drawBy("timeout_vs_insufficient_material");
+};
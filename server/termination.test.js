@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  winFor,
+  drawBy,
+  unfinishedBy,
+  getPliesPlayed,
+  isAbortable,
+  getRepetitionCount,
+  getAutomaticResult,
+  getClaimableDraw,
+  getTimeoutResult
+} from "./termination.js";
+import { replayGame } from "./position.js";
+
+// Knights out and back: each round trip repeats the starting position once more
+const KNIGHT_SHUFFLE = ["Nf3", "Nf6", "Ng1", "Ng8"];
+const shuffles = (count) => Array.from({ length: count }, () => KNIGHT_SHUFFLE).flat();
+
+test("results carry the score, reason and winner's color", () => {
+  assert.deepEqual(winFor("white", "checkmate"), { result: "1-0", reason: "checkmate", winnerColor: "white" });
+  assert.deepEqual(winFor("black", "resignation"), { result: "0-1", reason: "resignation", winnerColor: "black" });
+  assert.deepEqual(drawBy("stalemate"), { result: "1/2-1/2", reason: "stalemate", winnerColor: null });
+  assert.deepEqual(unfinishedBy("aborted"), { result: "*", reason: "aborted", winnerColor: null });
+});
+
+test("plies from a starting PGN are not counted as played", () => {
+  const game = { status: "playing", game: replayGame(null, ["e4", "e5", "Nf3"]), startPly: 2 };
+  assert.equal(getPliesPlayed(game), 1);
+  assert.equal(isAbortable(game), true);
+  assert.equal(isAbortable({ ...game, startPly: 0 }), false);
+  assert.equal(isAbortable({ ...game, status: "completed" }), false);
+});
+
+test("checkmate wins for the side that gave it", () => {
+  assert.deepEqual(getAutomaticResult(replayGame(null, ["f3", "e5", "g4", "Qh4#"])), winFor("black", "checkmate"));
+  assert.equal(getAutomaticResult(replayGame(null, ["e4"])), null);
+});
+
+test("stalemate and insufficient material draw by themselves", () => {
+  assert.deepEqual(getAutomaticResult(replayGame("7k/5Q2/6K1/8/8/8/8/8 b - - 0 1")), drawBy("stalemate"));
+  assert.deepEqual(getAutomaticResult(replayGame("8/8/4k3/8/8/3NK3/8/8 w - - 0 1")), drawBy("insufficient_material"));
+});
+
+test("threefold repetition and the fifty-move rule can be claimed", () => {
+  const twice = replayGame(null, shuffles(1));
+  assert.equal(getRepetitionCount(twice), 2);
+  assert.equal(getClaimableDraw(twice), null);
+
+  const threefold = replayGame(null, shuffles(2));
+  assert.equal(getRepetitionCount(threefold), 3);
+  assert.equal(getClaimableDraw(threefold), "threefold_repetition");
+  assert.equal(getAutomaticResult(threefold), null);
+
+  assert.equal(getClaimableDraw(replayGame("4k3/8/8/8/8/8/R7/4K3 w - - 100 80")), "fifty_move_rule");
+  assert.equal(getClaimableDraw(replayGame("4k3/8/8/8/8/8/R7/4K3 w - - 99 80")), null);
+});
+
+test("fivefold repetition and the seventy-five-move rule end the game", () => {
+  assert.deepEqual(getAutomaticResult(replayGame(null, shuffles(4))), drawBy("fivefold_repetition"));
+  assert.deepEqual(getAutomaticResult(replayGame("4k3/8/8/8/8/8/R7/4K3 w - - 150 100")), drawBy("seventy_five_move_rule"));
+});
+
+test("running out of time loses unless the opponent cannot mate", () => {
+  assert.deepEqual(getTimeoutResult(replayGame(null), "white"), winFor("black", "timeout"));
+  // Black has only a knight left
+  const knightOnly = replayGame("4k3/8/8/8/8/8/4P3/n3K3 w - - 0 1");
+  assert.deepEqual(getTimeoutResult(knightOnly, "white"), drawBy("timeout_vs_insufficient_material"));
+  assert.deepEqual(getTimeoutResult(knightOnly, "black"), winFor("white", "timeout"));
+});
@@ -0,0 +1,196 @@
+// testing.js (ESM) - helpers for the tests: run the server in a child process
+// on a free port and talk to it over WebSockets like a client would.
+// Each server starts with a memory store and a fixed session secret; pass `env`
+// to shorten timers or change settings for one test file.
+import { spawn } from "child_process";
+import net from "net";
+import { fileURLToPath } from "url";
+import WebSocket from "ws";
+
+const SERVER_PATH = fileURLToPath(new URL("./server.js", import.meta.url));
+const SERVER_DIR = fileURLToPath(new URL(".", import.meta.url));
+
+// How long next() waits for a message before failing the test
+const DEFAULT_WAIT_MS = 3000;
+
+export const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const getFreePort = () =>
+  new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+
+// Start server.js and resolve once it listens. `output()` is everything it has
+// logged so far; `stop()` shuts it down and waits for it to exit.
+export const startServer = async (env = {}) => {
+  const port = await getFreePort();
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    cwd: SERVER_DIR,
+    env: {
+      ...process.env,
+      NODE_ENV: "test",
+      GAME_STORE: "memory",
+      SESSION_SECRET: "test-secret",
+      ...env,
+      PORT: String(port)
+    },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+
+  let log = "";
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+  await new Promise((resolve, reject) => {
+    const onData = (chunk) => {
+      log += chunk;
+      if (log.includes("Server running")) resolve();
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    exited.then((code) => reject(new Error(`Server exited with ${code} before listening:\n${log}`)));
+  });
+
+  return {
+    port,
+    url: `ws://127.0.0.1:${port}/ws`,
+    httpUrl: `http://127.0.0.1:${port}`,
+    output: () => log,
+    stop: async () => {
+      if (child.exitCode !== null) return;
+      child.kill("SIGTERM");
+      const timer = setTimeout(() => child.kill("SIGKILL"), 3000);
+      await exited;
+      clearTimeout(timer);
+    }
+  };
+};
+
+// A connected client. Every message it receives is kept until a next() call
+// takes it, so replies that arrive before the test asks for them aren't lost.
+export const connect = async (server) => {
+  const socket = new WebSocket(server.url);
+  const inbox = [];
+  const waiters = [];
+
+  socket.on("message", (data) => {
+    const message = JSON.parse(data.toString());
+    const waiter = waiters.find(({ matches }) => matches(message));
+    if (waiter) {
+      waiters.splice(waiters.indexOf(waiter), 1);
+      waiter.resolve(message);
+    } else {
+      inbox.push(message);
+    }
+  });
+  const closed = new Promise((resolve) => socket.once("close", (code) => resolve(code)));
+  await new Promise((resolve, reject) => {
+    socket.once("open", resolve);
+    socket.once("error", reject);
+  });
+
+  const client = {
+    socket,
+    inbox,
+    closed,
+    // Send a typed message, or any raw object with sendRaw
+    send: (type, payload = {}) => socket.send(JSON.stringify({ type, payload, timestamp: Date.now() })),
+    sendRaw: (data) => socket.send(typeof data === "string" ? data : JSON.stringify(data)),
+
+    // The next message of `type` (a legacy `t` works too) that `predicate` accepts
+    next: (type, predicate = () => true, timeoutMs = DEFAULT_WAIT_MS) => {
+      const matches = (message) => (message.type ?? message.t) === type && predicate(message);
+      const queued = inbox.find(matches);
+      if (queued) {
+        inbox.splice(inbox.indexOf(queued), 1);
+        return Promise.resolve(queued);
+      }
+      return new Promise((resolve, reject) => {
+        const waiter = {
+          matches,
+          resolve: (message) => {
+            clearTimeout(timer);
+            resolve(message);
+          }
+        };
+        const timer = setTimeout(() => {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          const seen = inbox.map((message) => message.type ?? message.t).join(", ");
+          reject(new Error(`Timed out waiting for ${type}; unread: ${seen || "nothing"}`));
+        }, timeoutMs);
+        waiters.push(waiter);
+      });
+    },
+
+    // The code of the next ERROR
+    nextError: async (timeoutMs) => (await client.next("ERROR", () => true, timeoutMs)).payload.code,
+
+    // True if a message of `type` arrives within `ms`
+    receives: async (type, ms = 300) => {
+      try {
+        await client.next(type, () => true, ms);
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    close: async () => {
+      if (socket.readyState === WebSocket.CLOSED) return;
+      socket.close();
+      await closed;
+    }
+  };
+  return client;
+};
+
+// Connect and log in; a password logs in to an account, without one as a guest
+export const login = async (server, username, password) => {
+  const client = await connect(server);
+  client.send("LOGIN", password === undefined ? { username } : { username, password });
+  client.session = (await client.next("LOGIN_SUCCESS")).payload;
+  return client;
+};
+
+// Connect and register an account
+export const register = async (server, username, password = "password123", extra = {}) => {
+  const client = await connect(server);
+  client.send("REGISTER", { username, password, ...extra });
+  client.session = (await client.next("LOGIN_SUCCESS")).payload;
+  return client;
+};
+
+// A username no other test in the file uses, so one test's clients can't block another's
+let nameCount = 0;
+export const uniqueName = (prefix = "player") => `${prefix}${++nameCount}`;
+
+// Two guests in a started game: `white` created it with `options`, `black` joined
+export const startGame = async (server, options = {}, names = [uniqueName("white"), uniqueName("black")]) => {
+  const white = await login(server, names[0]);
+  const black = await login(server, names[1]);
+  white.send("CREATE_GAME", options);
+  const { gameId } = (await white.next("GAME_CREATED")).payload;
+  black.send("JOIN_GAME", { gameId });
+  await black.next("GAME_JOINED");
+  await white.next("OPPONENT_JOINED");
+  return { white, black, gameId };
+};
+
+// Play SAN moves in turn, starting with `first`; resolves with the last MOVE_MADE
+export const playMoves = async ({ white, black, gameId }, moves, first = "white") => {
+  let mover = first === "white" ? white : black;
+  let watcher = mover === white ? black : white;
+  let moveMade = null;
+  for (const san of moves) {
+    mover.send("MAKE_MOVE", { gameId, move: san });
+    moveMade = await watcher.next("MOVE_MADE");
+    await mover.next("MOVE_MADE");
+    [mover, watcher] = [watcher, mover];
+  }
+  return moveMade;
+};
+
+export const closeAll = (clients) => Promise.all(clients.map((client) => client.close()));
@@ -0,0 +1,119 @@
+const React = require('react');
+const { MAX_EVAL } = require('../engine/analysis');
+
+const GRAPH_WIDTH = 320;
+const GRAPH_HEIGHT = 120;
+
+// ?! for an inaccuracy, ? for a mistake, ?? for a blunder
+const MOVE_MARKS = { inaccuracy: '?!', mistake: '?', blunder: '??' };
+
+// "+0.35", "-1.20", "#3" (white mates), "#-2" (black mates)
+const formatEvaluation = (evaluation) => {
+  if (!evaluation) return '...';
+  if (evaluation.mate !== null) return evaluation.mate === 0 ? 'Checkmate' : `#${evaluation.mate}`;
+  const pawns = evaluation.score / 100;
+  return `${pawns > 0 ? '+' : ''}${pawns.toFixed(2)}`;
+};
+
+// "12." before white's moves, "12..." before a black move that starts a line
+const getMoveLabel = (positions, ply) => {
+  const [, turn, , , , fullMove] = positions[ply - 1].fen.split(' ');
+  if (turn === 'w') return `${fullMove}.`;
+  return ply === 1 ? `${fullMove}...` : '';
+};
+
+const AnalysisPanel = ({ analysis, selectedPly, selectPly }) => {
+  const { positions, moves, analyzed, done } = analysis;
+  const lastPly = positions.length - 1;
+  const selected = positions[selectedPly];
+  const toX = (ply) => (lastPly > 0 ? (ply / lastPly) * GRAPH_WIDTH : 0);
+  const toY = (score) => GRAPH_HEIGHT / 2 - (score / MAX_EVAL) * (GRAPH_HEIGHT / 2);
+
+  // The graph has a point for every position evaluated so far, white's advantage upwards
+  const points = positions
+    .filter(position => position.evaluation)
+    .map((position, ply) => `${toX(ply)},${toY(position.evaluation.score)}`)
+    .join(' ');
+
+  // Clicking the graph jumps to the nearest position
+  const handleGraphClick = (e) => {
+    const bounds = e.currentTarget.getBoundingClientRect();
+    const ply = Math.round(((e.clientX - bounds.left) / bounds.width) * lastPly);
+    selectPly(Math.max(0, Math.min(lastPly, ply)));
+  };
+
+  // What the engine thought of the move into the selected position
+  const selectedMove = selectedPly > 0 ? moves[selectedPly - 1] : null;
+  const previousBest = selectedPly > 0 && positions[selectedPly - 1].evaluation
+    ? positions[selectedPly - 1].evaluation.bestLine[0]
+    : null;
+
+  return (
+    <div className="analysis-panel">
+      <h3>Analysis</h3>
+      {!done && <p>Analyzing position {analyzed + 1} of {positions.length}...</p>}
+
+      <svg
+        className="eval-graph"
+        viewBox={`0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}`}
+        width={GRAPH_WIDTH}
+        height={GRAPH_HEIGHT}
+        onClick={handleGraphClick}
+      >
+        <rect x="0" y="0" width={GRAPH_WIDTH} height={GRAPH_HEIGHT / 2} className="eval-graph-white" />
+        <rect x="0" y={GRAPH_HEIGHT / 2} width={GRAPH_WIDTH} height={GRAPH_HEIGHT / 2} className="eval-graph-black" />
+        <polyline points={points} className="eval-graph-line" />
+        {moves.filter(move => move.classification).map(move => (
+          <circle
+            key={move.ply}
+            cx={toX(move.ply)}
+            cy={toY(positions[move.ply].evaluation.score)}
+            r="3"
+            className={`eval-graph-mark ${move.classification}`}
+          />
+        ))}
+        <line x1={toX(selectedPly)} y1="0" x2={toX(selectedPly)} y2={GRAPH_HEIGHT} className="eval-graph-cursor" />
+      </svg>
+
+      <div className="analysis-navigation">
+        <button onClick={() => selectPly(0)} disabled={selectedPly === 0}>|&lt;</button>
+        <button onClick={() => selectPly(selectedPly - 1)} disabled={selectedPly === 0}>&lt;</button>
+        <button onClick={() => selectPly(selectedPly + 1)} disabled={selectedPly === lastPly}>&gt;</button>
+        <button onClick={() => selectPly(lastPly)} disabled={selectedPly === lastPly}>&gt;|</button>
+      </div>
+
+      <div className="analysis-position">
+        <p><strong>Evaluation:</strong> {formatEvaluation(selected.evaluation)}</p>
+        {selectedMove && selectedMove.classification && (
+          <p className={`analysis-verdict ${selectedMove.classification}`}>
+            {selectedMove.san}{MOVE_MARKS[selectedMove.classification]} is {selectedMove.classification === 'inaccuracy' ? 'an' : 'a'}
+            {' '}{selectedMove.classification}{previousBest && `. Best was ${previousBest}`}
+          </p>
+        )}
+        {selected.evaluation && selected.evaluation.bestLine.length > 0 && (
+          <p><strong>Best line:</strong> {selected.evaluation.bestLine.join(' ')}</p>
+        )}
+      </div>
+
+      <div className="analysis-moves">
+        {positions.slice(1).map((position, index) => {
+          const ply = index + 1;
+          const move = moves[index];
+          return (
+            <span key={ply} className="analysis-move">
+              {getMoveLabel(positions, ply)}
+              <button
+                className={`${move && move.classification ? move.classification : ''} ${ply === selectedPly ? 'selected' : ''}`}
+                onClick={() => selectPly(ply)}
+              >
+                {position.move.san}{move && move.classification ? MOVE_MARKS[move.classification] : ''}
+              </button>
+            </span>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+module.exports = AnalysisPanel;
@@ -1,5 +1,5 @@
 const React = require('react');
-const { useState, useEffect, useCallback } = React;
+const { useState, useEffect, useCallback, useRef } = React;
 // Use global Chess object from CDN
 // const { Chess } = require('chess.js');
 // const { Chessboard } = require('react-chessboard');
@@ -7,14 +7,94 @@ const { useState, useEffect, useCallback } = React;
 const Login = require('./Login');
 const GameControls = require('./GameControls');
 const GameInfo = require('./GameInfo');
+const ChatPanel = require('./ChatPanel');
+const AnalysisPanel = require('./AnalysisPanel');
+const PuzzlePanel = require('./PuzzlePanel');
+const Lobby = require('./Lobby');
 const ServerConnection = require('./ServerConnection');
+const { createLocalGame } = require('../engine/localGame');
+const { analyzeGame } = require('../engine/analysis');
+
+// A pasted starting position is a FEN if it has eight ranks and no move numbers, otherwise PGN
+const toStartingPosition = (text) => {
+  const position = (text || '').trim();
+  if (!position) return {};
+  const isFen = position.split(' ')[0].split('/').length === 8 && !position.includes('.');
+  return isFen ? { fen: position } : { pgn: position };
+};
+
+// How long the opponent's answer in a puzzle waits, so the player sees their own move land first
+const PUZZLE_REPLY_DELAY_MS = 600;
+
+// Errors that mean a login or registration was turned down
+const LOGIN_ERROR_CODES = new Set([
+  'INVALID_CREDENTIALS', 'INVALID_USERNAME', 'WEAK_PASSWORD', 'USERNAME_TAKEN', 'NAME_REGISTERED', 'NAME_IN_USE'
+]);
+
+// Draws only a claim ends, and how to describe one
+const CLAIMABLE_DRAWS = {
+  threefold_repetition: 'threefold repetition',
+  fifty_move_rule: 'the fifty-move rule'
+};
+
+// Status line for a GAME_OVER payload, one per termination reason
+const describeGameOver = ({ reason, winner, loser, flagged, claimedBy, abandonedBy, abortedBy, noShow, absent }) => {
+  switch (reason) {
+    case 'checkmate':
+      return `Checkmate! ${winner} wins!`;
+    case 'resignation':
+      return `${loser} resigned. ${winner} wins.`;
+    case 'timeout':
+      return `${loser} ran out of time. ${winner} wins.`;
+    case 'timeout_vs_insufficient_material':
+      return `${flagged} ran out of time, but the opponent cannot mate. Draw.`;
+    case 'stalemate':
+      return 'Stalemate. The game is a draw.';
+    case 'insufficient_material':
+      return 'Draw: neither side has enough material to mate.';
+    case 'threefold_repetition':
+    case 'fifty_move_rule':
+      return `${claimedBy} claimed a draw by ${CLAIMABLE_DRAWS[reason]}.`;
+    case 'fivefold_repetition':
+      return 'Draw: the position occurred five times.';
+    case 'seventy_five_move_rule':
+      return 'Draw: 75 moves without a capture or pawn move.';
+    case 'draw_agreement':
+      return 'The players agreed to a draw.';
+    case 'abandoned':
+      return `${abandonedBy} did not reconnect. Game abandoned.`;
+    case 'aborted':
+      return `${abortedBy} aborted the game.`;
+    case 'no_show':
+      return `${noShow} did not make a first move. Game aborted.`;
+    case 'opponent_left':
+      return winner
+        ? `${absent} left the game. ${winner} claimed the win.`
+        : `${absent} left the game. ${claimedBy} claimed a draw.`;
+    default:
+      return 'Game over';
+  }
+};
+
+// Clock times as sent, with the side whose clock is running and when they were read
+const toClockState = (clocks, running) => (clocks ? { ...clocks, running, at: Date.now() } : null);
+
+// The server sends how long is left; keep the moment it runs out instead
+const toFirstMoveDeadline = (countdown) =>
+  countdown ? { color: countdown.color, deadline: Date.now() + countdown.remainingMs } : null;
 
 // Main App component
-const ChessApp = ({ sendMessage, isConnected }) => {
+const ChessApp = ({ sendMessage, isConnected, serverUrl }) => {
   // State variables
   const [game, setGame] = useState(new window.Chess());
   const [username, setUsername] = useState('');
   const [isLoggedIn, setIsLoggedIn] = useState(false);
+  const [isGuest, setIsGuest] = useState(true);
+  const [loginError, setLoginError] = useState('');
+  // bumped on every login attempt so the login effect sends it
+  const [loginAttempt, setLoginAttempt] = useState(0);
+  // what to log in with: { mode: 'login' | 'register' | 'guest' | 'resume', username, password }
+  const credentialsRef = useRef(null);
   const [gameId, setGameId] = useState('');
   const [playerColor, setPlayerColor] = useState('white');
   const [opponent, setOpponent] = useState('');
@@ -22,19 +102,76 @@ const ChessApp = ({ sendMessage, isConnected }) => {
   // No longer need socket state as it's managed by ServerConnection
   const [moveHistory, setMoveHistory] = useState([]);
   const [isGameActive, setIsGameActive] = useState(false);
+  const [isGameOver, setIsGameOver] = useState(false);
+  const [isSpectator, setIsSpectator] = useState(false);
+  const [spectatorCount, setSpectatorCount] = useState(0);
+  const [boardOrientation, setBoardOrientation] = useState('white');
+  const [chatMessages, setChatMessages] = useState([]);
+  const [isOpponentMuted, setIsOpponentMuted] = useState(false);
+  const [allowTakebacks, setAllowTakebacks] = useState(true);
+  const [takebackRequestedBy, setTakebackRequestedBy] = useState('');
+  const [rematchOfferedBy, setRematchOfferedBy] = useState('');
+  const [matchScore, setMatchScore] = useState(null);
+  // 'threefold_repetition' or 'fifty_move_rule' while either player may claim a draw
+  const [claimableDraw, setClaimableDraw] = useState(null);
+  // { eco, name } of the opening the game has reached, from the server's ECO table
+  const [opening, setOpening] = useState(null);
+  // { color, deadline } while a side still owes its first move; the game is aborted at the deadline
+  const [firstMoveDeadline, setFirstMoveDeadline] = useState(null);
+  // opponent who left and did not come back in time; we may claim the game
+  const [absentOpponent, setAbsentOpponent] = useState('');
+  // { white, black, running, at } in timed games
+  const [clocks, setClocks] = useState(null);
+  // an offline game against the computer, played in this window instead of on the server
+  const localGameRef = useRef(null);
+  const [isLocalGame, setIsLocalGame] = useState(false);
+  // both players' ratings for the current game, keyed by username
+  const [ratings, setRatings] = useState({});
+  // titles such as BOT for the current game's players, keyed by username
+  const [titles, setTitles] = useState({});
+  const [ratingChanges, setRatingChanges] = useState(null);
+  // After login players land in the lobby; the board opens once they are in a game
+  const [isInLobby, setIsInLobby] = useState(true);
+  const [seeks, setSeeks] = useState([]);
+  const [mySeekId, setMySeekId] = useState('');
+  const [queueStatus, setQueueStatus] = useState(null);
+  // challenges we sent or received that are still open
+  const [challenges, setChallenges] = useState([]);
+  // engine analysis of the finished game, and the position shown on the board
+  const analysisRef = useRef(null);
+  const [analysis, setAnalysis] = useState(null);
+  const [analysisPly, setAnalysisPly] = useState(0);
+  
+  // the tactics puzzle on the board, how the last move in it went, and our puzzle record
+  const [puzzle, setPuzzle] = useState(null);
+  const [puzzleFeedback, setPuzzleFeedback] = useState(null);
+  const [puzzleStats, setPuzzleStats] = useState(null);
+  const puzzleReplyTimerRef = useRef(null);
+
+  // Game messages go to the local game while one is running, otherwise to the server
+  const sendGameMessage = useCallback((type, payload) => {
+    if (localGameRef.current) {
+      localGameRef.current.handle(type, payload);
+    } else if (isConnected) {
+      sendMessage(type, payload);
+    }
+  }, [isConnected, sendMessage]);
+  const canSendGameMessages = isConnected || isLocalGame;
 
   // Initialize chessboard
   useEffect(() => {
-    if (isLoggedIn) {
+    if (isLoggedIn && !isInLobby) {
       // Initialize the chessboard when logged in
       let board = null;
       const config = {
-        draggable: true,
-        position: game.fen(),
-        orientation: playerColor === 'black' ? 'black' : 'white',
+        // spectators get a locked board they can flip freely
+        draggable: !isSpectator,
+        // while analysing, the board shows the position picked there
+        position: analysis ? analysis.positions[analysisPly].fen : game.fen(),
+        orientation: isSpectator ? boardOrientation : (playerColor === 'black' ? 'black' : 'white'),
         onDragStart: (source, piece) => {
           // Only allow the player to drag their own pieces
-          if (!isGameActive) return false;
+          if (!isGameActive || isSpectator) return false;
           if ((game.turn() === 'w' && playerColor !== 'white') ||
               (game.turn() === 'b' && playerColor !== 'black')) {
             return false;
@@ -60,29 +197,24 @@ const ChessApp = ({ sendMessage, isConnected }) => {
           // Update the game state
           setGame(new window.Chess(game.fen()));
 
-          // Send the move to the server
-          if (isConnected) {
-            sendMessage('MAKE_MOVE', {
-              gameId,
-              move,
-              fen: game.fen()
+          // Puzzle moves are checked by the server against the solution
+          if (puzzle) {
+            sendMessage('PUZZLE_MOVE', {
+              puzzleId: puzzle.puzzleId,
+              move: { from: move.from, to: move.to, promotion: move.promotion }
             });
+            return;
           }
 
-          // Update move history
-          setMoveHistory(prev => [...prev, `${username}: ${source} to ${target}`]);
-
-          // Check game status
-          if (game.isGameOver()) {
-            if (game.isCheckmate()) {
-              setStatus(`Checkmate! ${username} wins!`);
-            } else if (game.isDraw()) {
-              setStatus('Game ended in a draw');
-            } else {
-              setStatus('Game over');
+          // Send the move to the server (or the local game), which validates it and broadcasts the result
+          sendGameMessage('MAKE_MOVE', {
+            gameId,
+            move: {
+              from: move.from,
+              to: move.to,
+              promotion: move.promotion
             }
-            setIsGameActive(false);
-          }
+          });
         }
       };
 
@@ -101,7 +233,7 @@ const ChessApp = ({ sendMessage, isConnected }) => {
         }
       };
     }
-  }, [isLoggedIn, game, playerColor, isGameActive, gameId, username, isConnected]);
+  }, [isLoggedIn, isInLobby, game, playerColor, isGameActive, isSpectator, boardOrientation, gameId, username, isConnected, sendGameMessage, puzzle, sendMessage]);
 
   // Handle WebSocket messages - expose to ref
   const handleMessage = useCallback((message) => {
@@ -109,36 +241,139 @@ const ChessApp = ({ sendMessage, isConnected }) => {
     
     switch (type) {
       case 'CONNECTED':
-        console.log('Connected to server');
+        console.log(`Connected to server (protocol v${payload.protocolVersion})`);
+        break;
+        
+      case 'HELLO_ACK':
+        console.log(`Protocol v${payload.protocolVersion} accepted`);
         break;
         
       case 'LOGIN_SUCCESS':
-        console.log('Login successful');
+        console.log(payload.resumed ? 'Session resumed' : 'Login successful');
+        // keep the token for this tab so a reconnect can resume the session
+        sessionStorage.setItem('SESSION_TOKEN', payload.sessionToken);
+        // reconnects resume with the token, so the password is not kept around
+        credentialsRef.current = { mode: 'resume', username: payload.username };
+        setUsername(payload.username);
+        setIsGuest(payload.guest);
+        setLoginError('');
+        setIsLoggedIn(true);
+        break;
+        
+      case 'GAME_STATE':
+        setSpectatorCount(payload.spectatorCount || 0);
+        setChatMessages(payload.chat || []);
+        setAllowTakebacks(payload.allowTakebacks !== false);
+        setMatchScore(payload.matchScore || null);
+        setRatings(payload.ratings || {});
+        setTitles(payload.titles || {});
+        setRatingChanges(null);
+        setClaimableDraw(payload.claimableDraw || null);
+        setOpening(payload.opening || null);
+        setFirstMoveDeadline(toFirstMoveDeadline(payload.firstMoveCountdown));
+        setClocks(toClockState(payload.clocks, payload.status === 'playing' ? payload.turn : null));
+        
+        // Snapshot of a game we are watching
+        if (payload.spectating) {
+          setIsInLobby(false);
+          setIsSpectator(true);
+          setGameId(payload.gameId);
+          // spectators are moved along when the players start a rematch
+          setIsGameOver(['completed', 'abandoned', 'aborted'].includes(payload.status));
+          setGame(new window.Chess(payload.fen));
+          setMoveHistory(payload.moves.map(m => {
+            const player = m.color === 'w' ? payload.white : payload.black;
+            return `${player}: ${m.from} to ${m.to}`;
+          }));
+          setIsGameActive(false);
+          setStatus(payload.black
+            ? `Watching ${payload.white} (white) vs ${payload.black} (black)`
+            : `Watching ${payload.white}'s game. Waiting for an opponent...`);
+          if (window.chessboardInstance) {
+            window.chessboardInstance.position(payload.fen);
+          }
+          break;
+        }
+        
+        // Full snapshot, sent when a reconnect puts us back in our seat
+        if (!payload.color) break;
+        setIsInLobby(false);
+        setAbsentOpponent(payload.absentPlayer || '');
+        // a takeback the opponent asked for while we were away still needs an answer
+        setTakebackRequestedBy(payload.takebackRequest && payload.takebackRequest.requestedBy === payload.opponent
+          ? payload.opponent
+          : '');
+        setGameId(payload.gameId);
+        setPlayerColor(payload.color);
+        setOpponent(payload.opponent || '');
+        setGame(new window.Chess(payload.fen));
+        setMoveHistory(payload.moves.map(m => {
+          const player = m.color === 'w' ? payload.white : payload.black;
+          return `${player}: ${m.from} to ${m.to}`;
+        }));
+        setIsGameActive(payload.status === 'playing');
+        setStatus(payload.status === 'playing'
+          ? `Reconnected. ${payload.turn === payload.color ? 'Your' : `${payload.opponent}'s`} move.`
+          : `Reconnected. Waiting for opponent. Share game ID: ${payload.gameId}`);
+        if (window.chessboardInstance) {
+          window.chessboardInstance.position(payload.fen);
+        }
         break;
         
       case 'GAME_CREATED':
+        // matchmaking starts games this way too, so the lobby may still be open
+        setIsInLobby(false);
         setGameId(payload.gameId);
         setPlayerColor('white');
+        setAllowTakebacks(payload.allowTakebacks !== false);
+        setRatings(payload.ratings || {});
+        setTitles(payload.titles || {});
+        setRatingChanges(null);
+        setClocks(toClockState(payload.clocks, null));
+        // the game may start from a custom position, already in a named opening
+        setOpening(payload.opening || null);
+        setGame(new window.Chess(payload.fen));
+        if (window.chessboardInstance) {
+          window.chessboardInstance.position(payload.fen);
+        }
         setStatus(`Game created. Waiting for opponent. Share game ID: ${payload.gameId}`);
         break;
         
       case 'GAME_JOINED':
+        setIsInLobby(false);
         setGameId(payload.gameId);
         setPlayerColor('black');
         setOpponent(payload.creator);
+        setAllowTakebacks(payload.allowTakebacks !== false);
+        setRatings(payload.ratings || {});
+        setTitles(payload.titles || {});
+        setRatingChanges(null);
+        setFirstMoveDeadline(toFirstMoveDeadline(payload.firstMoveCountdown));
+        setClocks(toClockState(payload.clocks, payload.turn));
+        setOpening(payload.opening || null);
+        setGame(new window.Chess(payload.fen));
+        if (window.chessboardInstance) {
+          window.chessboardInstance.position(payload.fen);
+        }
         setIsGameActive(true);
-        setStatus(`Game started. Playing as black against ${payload.creator}`);
+        setStatus(`Game started. Playing as black against ${payload.creator}. ${payload.turn === 'black' ? 'Your' : "White's"} move.`);
         break;
         
       case 'OPPONENT_JOINED':
         setOpponent(payload.opponent);
+        setRatings(payload.ratings || {});
+        setTitles(payload.titles || {});
+        setFirstMoveDeadline(toFirstMoveDeadline(payload.firstMoveCountdown));
+        setClocks(toClockState(payload.clocks, payload.turn));
         setIsGameActive(true);
-        setStatus(`Game started. Playing as white against ${payload.opponent}`);
+        setStatus(`Game started. Playing as white against ${payload.opponent}. ${payload.turn === 'white' ? 'Your' : "Black's"} move.`);
         break;
         
       case 'MOVE_MADE':
         const newGame = new window.Chess(payload.fen);
         setGame(newGame);
+        // the server drops any pending takeback once another move is made
+        setTakebackRequestedBy('');
         
         // Update the board position if the chessboard instance exists
         if (window.chessboardInstance) {
@@ -148,41 +383,210 @@ const ChessApp = ({ sendMessage, isConnected }) => {
         // Update move history
         const lastMove = payload.move;
         setMoveHistory(prev => [...prev, `${payload.player}: ${lastMove.from} to ${lastMove.to}`]);
-        
-        // Check game status
-        if (newGame.isGameOver()) {
-          if (newGame.isCheckmate()) {
-            setStatus(`Checkmate! ${payload.player} wins!`);
-          } else if (newGame.isDraw()) {
-            setStatus('Game ended in a draw');
-          } else {
-            setStatus('Game over');
-          }
-          setIsGameActive(false);
-        }
+        // the server decides when the game ends and sends GAME_OVER
+        setClaimableDraw(payload.claimableDraw || null);
+        setOpening(payload.opening || null);
+        setFirstMoveDeadline(toFirstMoveDeadline(payload.firstMoveCountdown));
+        setClocks(toClockState(payload.clocks, newGame.turn() === 'w' ? 'white' : 'black'));
         break;
         
       case 'GAME_OVER':
         setIsGameActive(false);
-        if (payload.reason === 'resignation') {
-          setStatus(`${payload.loser} resigned. ${payload.winner} wins.`);
-        } else if (payload.reason === 'checkmate') {
-          setStatus(`Checkmate! ${payload.winner} wins!`);
-        } else if (payload.reason === 'draw') {
-          setStatus('Game ended in a draw');
-        } else {
-          setStatus('Game over');
+        setIsGameOver(true);
+        setMatchScore(payload.matchScore || null);
+        setRatingChanges(payload.ratingChanges || null);
+        setRematchOfferedBy('');
+        setClaimableDraw(null);
+        setFirstMoveDeadline(null);
+        setAbsentOpponent('');
+        setClocks(toClockState(payload.clocks, null));
+        setStatus(describeGameOver(payload));
+        break;
+        
+      case 'TAKEBACK_REQUESTED':
+        setTakebackRequestedBy(payload.requestedBy);
+        setStatus(`${payload.requestedBy} asks to take back their last move.`);
+        break;
+        
+      case 'TAKEBACK_DECLINED':
+        setStatus(`${payload.declinedBy} declined your takeback request.`);
+        break;
+        
+      case 'TAKEBACK_ACCEPTED':
+        setTakebackRequestedBy('');
+        setClaimableDraw(payload.claimableDraw || null);
+        setOpening(payload.opening || null);
+        setFirstMoveDeadline(toFirstMoveDeadline(payload.firstMoveCountdown));
+        setClocks(toClockState(payload.clocks, payload.turn));
+        setGame(new window.Chess(payload.fen));
+        if (window.chessboardInstance) {
+          window.chessboardInstance.position(payload.fen);
+        }
+        setMoveHistory(payload.moves.map(m => {
+          const player = m.color === 'w' ? payload.white : payload.black;
+          return `${player}: ${m.from} to ${m.to}`;
+        }));
+        setStatus(`Takeback accepted. ${payload.turn === 'white' ? payload.white : payload.black} to move.`);
+        break;
+        
+      case 'REMATCH_OFFERED':
+        setRematchOfferedBy(payload.offeredBy);
+        setStatus(`${payload.offeredBy} wants a rematch.`);
+        break;
+        
+      case 'GAME_STARTED':
+      case 'REMATCH_STARTED':
+        // a fresh game from an accepted seek or rematch; both players are already seated
+        setIsInLobby(false);
+        setGameId(payload.gameId);
+        setPlayerColor(payload.color);
+        setOpponent(payload.opponent);
+        setGame(new window.Chess(payload.fen));
+        if (window.chessboardInstance) {
+          window.chessboardInstance.position(payload.fen);
+        }
+        setMoveHistory([]);
+        setChatMessages([]);
+        setOpening(payload.opening || null);
+        setMatchScore(payload.matchScore || null);
+        setRatings(payload.ratings || {});
+        setTitles(payload.titles || {});
+        setRatingChanges(null);
+        setAllowTakebacks(payload.allowTakebacks !== false);
+        setRematchOfferedBy('');
+        setTakebackRequestedBy('');
+        setFirstMoveDeadline(toFirstMoveDeadline(payload.firstMoveCountdown));
+        setClocks(toClockState(payload.clocks, payload.turn));
+        setAbsentOpponent('');
+        setIsGameActive(true);
+        setIsGameOver(false);
+        setStatus(`${type === 'REMATCH_STARTED' ? 'Rematch' : 'Game'} started. Playing as ${payload.color} against ${payload.opponent}. ${payload.turn === payload.color ? 'Your' : `${payload.opponent}'s`} move.`);
+        break;
+        
+      case 'QUEUE_STATUS':
+        setQueueStatus(payload.queued ? payload : null);
+        break;
+        
+      case 'SEEK_LIST':
+        setSeeks(payload.seeks);
+        break;
+        
+      case 'SEEK_CREATED':
+        setMySeekId(payload.seekId);
+        break;
+        
+      case 'SEEK_ADDED':
+        setSeeks(prev => [...prev.filter(seek => seek.seekId !== payload.seekId), payload]);
+        break;
+        
+      case 'SEEK_REMOVED':
+        setSeeks(prev => prev.filter(seek => seek.seekId !== payload.seekId));
+        setMySeekId(prev => (prev === payload.seekId ? '' : prev));
+        break;
+        
+      case 'CHALLENGE_SENT':
+      case 'CHALLENGE_RECEIVED':
+        setChallenges(prev => [...prev.filter(challenge => challenge.challengeId !== payload.challengeId), payload]);
+        break;
+        
+      case 'CHALLENGE_REMOVED':
+        setChallenges(prev => prev.filter(challenge => challenge.challengeId !== payload.challengeId));
+        if (payload.reason === 'declined') {
+          setStatus(`Challenge declined${payload.declineReason ? `: ${payload.declineReason}` : '.'}`);
         }
         break;
         
       case 'ERROR':
         console.error('Error:', payload.message);
         setStatus(`Error: ${payload.message}`);
+        if (LOGIN_ERROR_CODES.has(payload.code)) {
+          setLoginError(payload.message);
+        }
+        
+        // A rejected move comes back with the server's position, so resync to it
+        if (payload.fen) {
+          setGame(new window.Chess(payload.fen));
+          if (window.chessboardInstance) {
+            window.chessboardInstance.position(payload.fen);
+          }
+        }
         break;
         
       case 'OPPONENT_DISCONNECTED':
-        setStatus(`${payload.opponent} disconnected.`);
+        setStatus(`${payload.opponent} disconnected. Waiting ${Math.round(payload.graceMs / 1000)}s for them to reconnect before you can claim the game...`);
+        break;
+        
+      case 'GAME_EXPIRED':
+        // nobody joined in time; the server has dropped the game
+        setGameId('');
         setIsGameActive(false);
+        setStatus(`Nobody joined game ${payload.gameId}, so it has expired. Create a new game or find one in the lobby.`);
+        break;
+        
+      case 'OPPONENT_ABSENT':
+        setAbsentOpponent(payload.opponent);
+        setStatus(`${payload.opponent} has not come back. You may claim the win or a draw, or keep waiting.`);
+        break;
+        
+      case 'OPPONENT_RECONNECTED':
+        setAbsentOpponent('');
+        setStatus(`${payload.opponent} reconnected.`);
+        break;
+        
+      case 'CHAT_MESSAGE':
+        setChatMessages(prev => [...prev, payload]);
+        break;
+        
+      case 'SPECTATOR_COUNT':
+        setSpectatorCount(payload.count);
+        break;
+        
+      case 'PUZZLE':
+        clearTimeout(puzzleReplyTimerRef.current);
+        setPuzzle({ puzzleId: payload.puzzleId, rating: payload.rating, solved: false, themes: [] });
+        setPuzzleStats(payload.stats);
+        setPuzzleFeedback(null);
+        setGame(new window.Chess(payload.fen));
+        setPlayerColor(payload.color);
+        setIsGameActive(true);
+        setIsGameOver(false);
+        setMoveHistory([]);
+        setStatus(`${payload.color === 'white' ? 'Black' : 'White'} played ${payload.lastMove.san}. Find the best move for ${payload.color}.`);
+        setIsInLobby(false);
+        break;
+        
+      case 'PUZZLE_MOVE_ACCEPTED':
+        setPuzzleStats(payload.stats);
+        setGame(new window.Chess(payload.fen));
+        if (payload.solved) {
+          setPuzzle(prev => prev && { ...prev, solved: true, themes: payload.themes });
+          setPuzzleFeedback({ result: 'solved', message: `${payload.move.san} solves it!`, ratingChange: payload.ratingChange });
+          setStatus('Puzzle solved.');
+          setIsGameActive(false);
+        } else {
+          setPuzzleFeedback({ result: 'correct', message: `${payload.move.san} is right. Keep going.` });
+          // Let our move show before the opponent answers it
+          const puzzleReply = payload.reply;
+          puzzleReplyTimerRef.current = setTimeout(() => {
+            setGame(new window.Chess(puzzleReply.fen));
+            setStatus(`Your opponent played ${puzzleReply.san}. Find the next move.`);
+          }, PUZZLE_REPLY_DELAY_MS);
+        }
+        break;
+        
+      case 'PUZZLE_MOVE_REJECTED':
+        setPuzzleStats(payload.stats);
+        setGame(new window.Chess(payload.fen));
+        setPuzzleFeedback({
+          result: 'wrong',
+          message: `${payload.move.san} is not the move. Try again.`,
+          ratingChange: payload.ratingChange
+        });
+        break;
+        
+      case 'SERVER_RESTARTING':
+        // games are saved on the server; the reconnect resumes ours
+        setStatus(payload.message);
         break;
         
       default:
@@ -198,57 +602,362 @@ const ChessApp = ({ sendMessage, isConnected }) => {
     };
   }, [handleMessage]);
   
-  // Effect to send login message when logged in
+  // Effect to log in once connected, and again after every reconnect
   useEffect(() => {
-    if (isLoggedIn && isConnected) {
-      sendMessage('LOGIN', { username });
+    const credentials = credentialsRef.current;
+    if (!isConnected || !credentials) return;
+    
+    if (credentials.mode === 'register') {
+      sendMessage('REGISTER', { username: credentials.username, password: credentials.password });
+      return;
     }
-  }, [isLoggedIn, isConnected, username, sendMessage]);
+    
+    // send the stored session token (if any) so a reconnect resumes our seat;
+    // guests log in with just a name
+    const sessionToken = sessionStorage.getItem('SESSION_TOKEN') || undefined;
+    const password = credentials.mode === 'login' ? credentials.password : undefined;
+    sendMessage('LOGIN', { username: credentials.username, password, sessionToken });
+  }, [isConnected, loginAttempt, sendMessage]);
+
+  // Follow the lobby while it is on screen
+  useEffect(() => {
+    if (!isLoggedIn || !isConnected || !isInLobby) return;
+    sendMessage('LIST_SEEKS', {});
+    return () => sendMessage('LEAVE_LOBBY', {});
+  }, [isLoggedIn, isConnected, isInLobby, sendMessage]);
 
   // Handle piece movement is now handled in the chessboard initialization
 
-  // Handle login
-  const handleLogin = (user) => {
-    setUsername(user);
-    setIsLoggedIn(true);
+  // Handle login, registration or guest play from the login screen
+  const handleLogin = (credentials) => {
+    // Offline play needs no server: straight to the board to play the computer
+    if (credentials.mode === 'offline') {
+      setUsername(credentials.username);
+      setIsGuest(true);
+      setIsLoggedIn(true);
+      setIsInLobby(false);
+      setStatus('Pick a level and press Play Computer.');
+      return;
+    }
+    
+    credentialsRef.current = credentials;
+    setLoginError('');
+    setLoginAttempt(attempt => attempt + 1);
+    
+    // Login message will be sent by the effect above; LOGIN_SUCCESS logs us in
+  };
+
+  const stopLocalGame = () => {
+    if (localGameRef.current) {
+      localGameRef.current.stop();
+      localGameRef.current = null;
+    }
+    setIsLocalGame(false);
+  };
+  
+  // Stop the computer thinking if the window goes away mid-game or mid-analysis
+  useEffect(() => () => {
+    if (localGameRef.current) localGameRef.current.stop();
+    if (analysisRef.current) analysisRef.current.stop();
+  }, []);
+
+  // Play the computer in this window, or on the server when asked and connected.
+  // Either way its moves arrive as MOVE_MADE, like an online opponent's.
+  const playComputer = ({ level, color, timeControl, onServer }) => {
+    stopLocalGame();
+    setMoveHistory([]);
+    setChatMessages([]);
+    setIsGameOver(false);
     
-    // Login message will be sent by the effect above
+    if (onServer) {
+      if (isConnected) sendMessage('PLAY_VS_BOT', { level, color, timeControl });
+      return;
+    }
+    localGameRef.current = createLocalGame({ username, level, color, timeControl, onMessage: handleMessage });
+    setIsLocalGame(true);
   };
 
-  // Create a new game
-  const createGame = () => {
+  const stopAnalysis = () => {
+    if (analysisRef.current) {
+      analysisRef.current.stop();
+      analysisRef.current = null;
+    }
+    setAnalysis(null);
+    if (window.chessboardInstance) {
+      window.chessboardInstance.position(game.fen());
+    }
+  };
+
+  // A new game, or leaving the old one, ends its analysis
+  useEffect(() => {
+    if (!isGameOver) stopAnalysis();
+  }, [isGameOver]);
+
+  // Run the engine over the finished game, which comes from the local game or the server's archive
+  const startAnalysis = async () => {
+    try {
+      let record;
+      if (localGameRef.current) {
+        record = localGameRef.current.getRecord();
+      } else {
+        const response = await fetch(`${serverUrl}/api/games/${gameId}`);
+        if (!response.ok) {
+          throw new Error(`Server responded with ${response.status}`);
+        }
+        record = await response.json();
+      }
+      
+      // start on the final position, set before the first update renders the panel
+      stopAnalysis();
+      setAnalysisPly(record.moves.length);
+      analysisRef.current = analyzeGame(record, { onUpdate: setAnalysis });
+    } catch (error) {
+      console.error('Error analyzing game:', error);
+      setStatus(`Could not analyze the game: ${error.message}`);
+    }
+  };
+
+  const toggleAnalysis = () => {
+    if (analysis) {
+      stopAnalysis();
+    } else {
+      startAnalysis();
+    }
+  };
+
+  // Show a position of the analysed game on the board
+  const selectAnalysisPly = (ply) => {
+    setAnalysisPly(ply);
+    if (window.chessboardInstance) {
+      window.chessboardInstance.position(analysis.positions[ply].fen);
+    }
+  };
+
+  // Create a new game, optionally from a pasted FEN or PGN
+  const createGame = (startingPosition, allowTakebacks = true) => {
     if (isConnected) {
-      sendMessage('CREATE_GAME', {});
+      stopLocalGame();
+      sendMessage('CREATE_GAME', { ...toStartingPosition(startingPosition), allowTakebacks });
       setGame(new window.Chess());
       setMoveHistory([]);
+      setChatMessages([]);
+      setIsGameOver(false);
     }
   };
 
   // Join an existing game
   const joinGame = (id) => {
     if (isConnected && id) {
+      stopLocalGame();
       sendMessage('JOIN_GAME', { gameId: id });
       setGameId(id);
       setGame(new window.Chess());
       setMoveHistory([]);
+      setChatMessages([]);
+      setIsGameOver(false);
     }
   };
 
+  // Watch an existing game read-only
+  const watchGame = (id) => {
+    if (isConnected && id) {
+      stopLocalGame();
+      sendMessage('WATCH_GAME', { gameId: id });
+      setMoveHistory([]);
+      setIsGameOver(false);
+      setOpponent('');
+    }
+  };
+
+  // Stop watching and go back to the lobby view
+  const stopWatching = () => {
+    if (isConnected && gameId) {
+      sendMessage('STOP_WATCHING', { gameId });
+    }
+    setIsSpectator(false);
+    resetGame();
+  };
+
+  const flipBoard = () => {
+    setBoardOrientation(prev => (prev === 'white' ? 'black' : 'white'));
+  };
+
   // Reset the game
   const resetGame = () => {
+    stopLocalGame();
+    clearTimeout(puzzleReplyTimerRef.current);
+    setPuzzle(null);
+    setPuzzleFeedback(null);
     const newGame = new window.Chess();
     setGame(newGame);
     setMoveHistory([]);
     setStatus('Game reset. Create or join a game to start playing.');
     setIsGameActive(false);
+    setIsGameOver(false);
     setGameId('');
     setOpponent('');
+    setChatMessages([]);
+    setIsOpponentMuted(false);
+    setTakebackRequestedBy('');
+    setRematchOfferedBy('');
+    setMatchScore(null);
+    setRatings({});
+    setTitles({});
+    setRatingChanges(null);
+    setClocks(null);
+    setOpening(null);
+  };
+
+  // Download the finished game as PGN from the server
+  const downloadPgn = async () => {
+    try {
+      const response = await fetch(`${serverUrl}/api/games/${gameId}/pgn`);
+      if (!response.ok) {
+        throw new Error(`Server responded with ${response.status}`);
+      }
+      
+      const blob = await response.blob();
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `silentcheckmate-${gameId}.pgn`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (error) {
+      console.error('Error downloading PGN:', error);
+      setStatus(`Could not download PGN: ${error.message}`);
+    }
+  };
+
+  // Send a chat line to the game we are playing or watching
+  const sendChat = (text) => {
+    if (isConnected && gameId) {
+      sendMessage('CHAT_MESSAGE', { gameId, text });
+    }
+  };
+
+  const toggleMuteOpponent = () => {
+    setIsOpponentMuted(prev => !prev);
+  };
+
+  // Ask the opponent to undo our last move
+  const requestTakeback = () => {
+    if (canSendGameMessages && gameId) {
+      sendGameMessage('REQUEST_TAKEBACK', { gameId });
+      setStatus('Takeback requested. Waiting for your opponent...');
+    }
+  };
+
+  const answerTakeback = (accept) => {
+    if (canSendGameMessages && gameId) {
+      sendGameMessage(accept ? 'ACCEPT_TAKEBACK' : 'DECLINE_TAKEBACK', { gameId });
+    }
+    setTakebackRequestedBy('');
+  };
+
+  // Post a seek to the lobby; the server replaces any seek we already have
+  const createSeek = (options) => {
+    if (isConnected) {
+      sendMessage('CREATE_SEEK', options);
+    }
+  };
+
+  const cancelSeek = () => {
+    if (isConnected && mySeekId) {
+      sendMessage('CANCEL_SEEK', { seekId: mySeekId });
+    }
+  };
+
+  const acceptSeek = (seekId) => {
+    if (isConnected) {
+      sendMessage('ACCEPT_SEEK', { seekId });
+    }
+  };
+
+  // Challenge a player who is online by name; bots only play games this way
+  const sendChallenge = (options) => {
+    if (isConnected) {
+      sendMessage('CHALLENGE', options);
+    }
+  };
+
+  const cancelChallenge = (challengeId) => {
+    if (isConnected) {
+      sendMessage('CANCEL_CHALLENGE', { challengeId });
+    }
+  };
+
+  const answerChallenge = (challengeId, accept) => {
+    if (isConnected) {
+      sendMessage(accept ? 'ACCEPT_CHALLENGE' : 'DECLINE_CHALLENGE', { challengeId });
+    }
+  };
+
+  // Let the server pair us with someone looking for a similar game
+  const queueForGame = (timeControl) => {
+    if (isConnected) {
+      sendMessage('QUEUE_FOR_GAME', { timeControl });
+    }
+  };
+
+  const leaveQueue = () => {
+    if (isConnected) {
+      sendMessage('LEAVE_QUEUE', {});
+    }
+  };
+
+  // Leave the lobby for the board, where games can be created or joined by ID
+  const openBoard = () => {
+    cancelSeek();
+    if (queueStatus) leaveQueue();
+    setIsInLobby(false);
+  };
+
+  // Ask for a puzzle near our puzzle rating, optionally with a theme; it opens on the board
+  const getPuzzle = (theme) => {
+    if (isConnected) {
+      sendMessage('GET_PUZZLE', theme ? { theme } : {});
+    }
+  };
+
+  const openLobby = () => {
+    resetGame();
+    setIsSpectator(false);
+    setIsInLobby(true);
+  };
+
+  // Offer a rematch, or accept the one the opponent already offered
+  const offerRematch = () => {
+    if (canSendGameMessages && gameId) {
+      sendGameMessage(rematchOfferedBy ? 'ACCEPT_REMATCH' : 'OFFER_REMATCH', { gameId });
+      if (!rematchOfferedBy) setStatus('Rematch offered. Waiting for your opponent...');
+    }
+  };
+
+  // Claim a draw by threefold repetition, the fifty-move rule or an absent opponent
+  const claimDraw = () => {
+    if (canSendGameMessages && gameId) {
+      sendGameMessage('CLAIM_DRAW', { gameId });
+    }
+  };
+
+  // Claim the win from an opponent who left and did not come back
+  const claimVictory = () => {
+    if (canSendGameMessages && gameId) {
+      sendGameMessage('CLAIM_VICTORY', { gameId });
+    }
+  };
+
+  // Call the game off before both sides have moved; nobody wins or loses rating
+  const abortGame = () => {
+    if (canSendGameMessages && gameId) {
+      sendGameMessage('ABORT_GAME', { gameId });
+    }
   };
 
   // Resign from the game
   const resignGame = () => {
-    if (isConnected && gameId) {
-      sendMessage('RESIGN', { gameId });
+    if (canSendGameMessages && gameId) {
+      sendGameMessage('RESIGN', { gameId });
       setStatus(`You resigned. ${opponent} wins.`);
       setIsGameActive(false);
     }
@@ -261,29 +970,116 @@ const ChessApp = ({ sendMessage, isConnected }) => {
       </div>
 
       {!isLoggedIn ? (
-        <Login onLogin={handleLogin} />
+        <Login onLogin={handleLogin} error={loginError} />
+      ) : isInLobby ? (
+        <Lobby
+          username={username}
+          isGuest={isGuest}
+          seeks={seeks}
+          mySeekId={mySeekId}
+          createSeek={createSeek}
+          cancelSeek={cancelSeek}
+          acceptSeek={acceptSeek}
+          openBoard={openBoard}
+          queueStatus={queueStatus}
+          queueForGame={queueForGame}
+          leaveQueue={leaveQueue}
+          challenges={challenges}
+          sendChallenge={sendChallenge}
+          cancelChallenge={cancelChallenge}
+          answerChallenge={answerChallenge}
+          getPuzzle={getPuzzle}
+        />
       ) : (
         <div className="game-container">
-          <GameInfo 
-            username={username} 
-            opponent={opponent} 
-            status={status} 
-            gameId={gameId} 
-            playerColor={playerColor}
-            moveHistory={moveHistory}
-          />
+          {puzzle ? (
+            <PuzzlePanel
+              puzzle={puzzle}
+              feedback={puzzleFeedback}
+              stats={puzzleStats}
+              status={status}
+              nextPuzzle={getPuzzle}
+              openLobby={openLobby}
+            />
+          ) : (
+            <GameInfo 
+              username={username} 
+              opponent={opponent} 
+              status={status} 
+              gameId={gameId} 
+              playerColor={playerColor}
+              moveHistory={moveHistory}
+              isSpectator={isSpectator}
+              spectatorCount={spectatorCount}
+              matchScore={matchScore}
+              ratings={ratings}
+              titles={titles}
+              opening={opening}
+              ratingChanges={ratingChanges}
+              firstMoveDeadline={isGameActive ? firstMoveDeadline : null}
+              clocks={clocks}
+              isLocalGame={isLocalGame}
+              accuracy={analysis && analysis.done ? analysis.accuracy : null}
+            />
+          )}
+          
+          {gameId && !isLocalGame && (
+            <ChatPanel
+              messages={chatMessages}
+              sendChat={sendChat}
+              opponent={opponent}
+              isSpectator={isSpectator}
+              isOpponentMuted={isOpponentMuted}
+              toggleMuteOpponent={toggleMuteOpponent}
+            />
+          )}
           
           <div className="chessboard">
             <div id="chessboard" className="chess-board" style={{ width: '400px', height: '400px' }}></div>
           </div>
           
-          <GameControls 
-            createGame={createGame} 
-            joinGame={joinGame} 
-            resetGame={resetGame} 
-            resignGame={resignGame}
-            isGameActive={isGameActive}
-          />
+          {analysis && (
+            <AnalysisPanel
+              analysis={analysis}
+              selectedPly={analysisPly}
+              selectPly={selectAnalysisPly}
+            />
+          )}
+          
+          {!puzzle && (
+            <GameControls 
+              createGame={createGame} 
+              joinGame={joinGame} 
+              resetGame={resetGame} 
+              resignGame={resignGame}
+              abortGame={abortGame}
+              claimDraw={claimDraw}
+              claimVictory={claimVictory}
+              downloadPgn={downloadPgn}
+              requestTakeback={requestTakeback}
+              answerTakeback={answerTakeback}
+              offerRematch={offerRematch}
+              openLobby={openLobby}
+              watchGame={watchGame}
+              stopWatching={stopWatching}
+              flipBoard={flipBoard}
+              isGameActive={isGameActive}
+              isSpectator={isSpectator}
+              canDownloadPgn={isGameOver && Boolean(gameId) && !isLocalGame}
+              canRequestTakeback={allowTakebacks && moveHistory.length > 0}
+              takebackRequestedBy={takebackRequestedBy}
+              canOfferRematch={isGameOver && !isSpectator && Boolean(opponent)}
+              rematchOfferedBy={rematchOfferedBy}
+              claimableDraw={isGameActive && !isSpectator ? claimableDraw : null}
+              canAbort={isGameActive && !isSpectator && Boolean(firstMoveDeadline)}
+              absentOpponent={isGameActive && !isSpectator ? absentOpponent : ''}
+              playComputer={playComputer}
+              canPlayOnServer={isConnected}
+              canAnalyze={isGameOver && moveHistory.length > 0 && (isLocalGame || Boolean(gameId))}
+              isAnalyzing={Boolean(analysis)}
+              toggleAnalysis={toggleAnalysis}
+            />
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,64 @@
+const React = require('react');
+const { useState } = React;
+
+// Matches the server's limit so long messages are stopped before sending
+const MAX_CHAT_LENGTH = 300;
+
+const ChatPanel = ({ messages, sendChat, opponent, isSpectator, isOpponentMuted, toggleMuteOpponent }) => {
+  const [draft, setDraft] = useState('');
+
+  // Muting only hides the opponent's lines on this screen
+  const visibleMessages = isOpponentMuted
+    ? messages.filter(message => message.from !== opponent || message.channel !== 'players')
+    : messages;
+
+  const handleSend = () => {
+    if (draft.trim()) {
+      sendChat(draft.trim());
+      setDraft('');
+    }
+  };
+
+  return (
+    <div className="chat-panel">
+      <h3>Chat</h3>
+
+      {!isSpectator && opponent && (
+        <label className="chat-mute">
+          <input
+            type="checkbox"
+            checked={isOpponentMuted}
+            onChange={toggleMuteOpponent}
+          />
+          Mute {opponent}
+        </label>
+      )}
+
+      {visibleMessages.length === 0 ? (
+        <p>No messages yet</p>
+      ) : (
+        <ul className="chat-list">
+          {visibleMessages.map((message, index) => (
+            <li key={index} className={`chat-${message.channel}`}>
+              <strong>{message.from}{message.channel === 'spectators' && ' (spectator)'}:</strong> {message.text}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="chat-input">
+        <input
+          type="text"
+          value={draft}
+          maxLength={MAX_CHAT_LENGTH}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleSend()}
+          placeholder={isSpectator ? 'Message spectators' : 'Message'}
+        />
+        <button onClick={handleSend}>Send</button>
+      </div>
+    </div>
+  );
+};
+
+module.exports = ChatPanel;
@@ -1,8 +1,21 @@
 const React = require('react');
 const { useState } = React;
+const { ENGINE_LEVELS, DEFAULT_ENGINE_LEVEL } = require('../../server/engine.js');
 
-const GameControls = ({ createGame, joinGame, resetGame, resignGame, isGameActive }) => {
+const GameControls = ({
+  createGame, joinGame, watchGame, stopWatching, flipBoard, resetGame, resignGame, abortGame, claimDraw, claimVictory, downloadPgn,
+  requestTakeback, answerTakeback, offerRematch, openLobby, isGameActive, isSpectator, canDownloadPgn, canRequestTakeback,
+  takebackRequestedBy, canOfferRematch, rematchOfferedBy, claimableDraw, canAbort, absentOpponent, playComputer, canPlayOnServer,
+  canAnalyze, isAnalyzing, toggleAnalysis
+}) => {
   const [gameIdInput, setGameIdInput] = useState('');
+  const [startingPosition, setStartingPosition] = useState('');
+  const [allowTakebacks, setAllowTakebacks] = useState(true);
+  const [computerLevel, setComputerLevel] = useState(String(DEFAULT_ENGINE_LEVEL));
+  const [computerColor, setComputerColor] = useState('random');
+  const [computerMinutes, setComputerMinutes] = useState('0');
+  const [computerIncrement, setComputerIncrement] = useState('0');
+  const [playOnServer, setPlayOnServer] = useState(false);
 
   const handleJoinGame = () => {
     if (gameIdInput.trim()) {
@@ -11,11 +24,75 @@ const GameControls = ({ createGame, joinGame, resetGame, resignGame, isGameActiv
     }
   };
 
+  // Zero minutes means an untimed game
+  const handlePlayComputer = () => {
+    playComputer({
+      level: Number(computerLevel),
+      color: computerColor,
+      timeControl: Number(computerMinutes) > 0
+        ? { minutes: Number(computerMinutes), increment: Number(computerIncrement) || 0 }
+        : null,
+      onServer: canPlayOnServer && playOnServer
+    });
+  };
+
+  const handleWatchGame = () => {
+    if (gameIdInput.trim()) {
+      watchGame(gameIdInput.trim());
+      setGameIdInput('');
+    }
+  };
+
+  // Spectators only get board and navigation controls
+  if (isSpectator) {
+    return (
+      <div className="controls">
+        <button onClick={flipBoard}>
+          Flip Board
+        </button>
+        
+        <button onClick={stopWatching}>
+          Stop Watching
+        </button>
+        
+        {canDownloadPgn && (
+          <button onClick={downloadPgn}>
+            Download PGN
+          </button>
+        )}
+        
+        {canAnalyze && (
+          <button onClick={toggleAnalysis}>
+            {isAnalyzing ? 'Close Analysis' : 'Analyze Game'}
+          </button>
+        )}
+      </div>
+    );
+  }
+
   return (
     <div className="controls">
-      <button onClick={createGame} disabled={isGameActive}>
-        Create New Game
-      </button>
+      <div className="create-game">
+        <textarea
+          value={startingPosition}
+          onChange={(e) => setStartingPosition(e.target.value)}
+          placeholder="Optional: paste a FEN or PGN to start from"
+          rows={2}
+          disabled={isGameActive}
+        />
+        <label>
+          <input
+            type="checkbox"
+            checked={allowTakebacks}
+            onChange={(e) => setAllowTakebacks(e.target.checked)}
+            disabled={isGameActive}
+          />
+          Allow takebacks
+        </label>
+        <button onClick={() => createGame(startingPosition, allowTakebacks)} disabled={isGameActive}>
+          Create New Game
+        </button>
+      </div>
       
       <div className="join-game">
         <input
@@ -28,15 +105,117 @@ const GameControls = ({ createGame, joinGame, resetGame, resignGame, isGameActiv
         <button onClick={handleJoinGame} disabled={isGameActive}>
           Join Game
         </button>
+        <button onClick={handleWatchGame} disabled={isGameActive}>
+          Watch Game
+        </button>
+      </div>
+      
+      <div className="play-computer">
+        <select value={computerLevel} onChange={(e) => setComputerLevel(e.target.value)} disabled={isGameActive}>
+          {Object.entries(ENGINE_LEVELS).map(([level, { name }]) => (
+            <option key={level} value={level}>Level {level}: {name}</option>
+          ))}
+        </select>
+        <select value={computerColor} onChange={(e) => setComputerColor(e.target.value)} disabled={isGameActive}>
+          <option value="random">Random</option>
+          <option value="white">White</option>
+          <option value="black">Black</option>
+        </select>
+        <input
+          type="number"
+          min="0"
+          max="180"
+          value={computerMinutes}
+          onChange={(e) => setComputerMinutes(e.target.value)}
+          title="Minutes (0 for untimed)"
+          disabled={isGameActive}
+        />
+        <input
+          type="number"
+          min="0"
+          max="180"
+          value={computerIncrement}
+          onChange={(e) => setComputerIncrement(e.target.value)}
+          title="Increment (seconds)"
+          disabled={isGameActive}
+        />
+        {canPlayOnServer && (
+          <label>
+            <input
+              type="checkbox"
+              checked={playOnServer}
+              onChange={(e) => setPlayOnServer(e.target.checked)}
+              disabled={isGameActive}
+            />
+            On the server
+          </label>
+        )}
+        <button onClick={handlePlayComputer} disabled={isGameActive}>
+          Play Computer
+        </button>
       </div>
       
       <button onClick={resetGame}>
         Reset Board
       </button>
       
+      <button onClick={openLobby} disabled={isGameActive}>
+        Lobby
+      </button>
+      
+      {canAbort && (
+        <button onClick={abortGame}>
+          Abort Game
+        </button>
+      )}
+      
       <button onClick={resignGame} disabled={!isGameActive}>
         Resign
       </button>
+      
+      {absentOpponent && (
+        <div className="absence-claim">
+          <span>{absentOpponent} left the game.</span>
+          <button onClick={claimVictory}>Claim Victory</button>
+          {!claimableDraw && <button onClick={claimDraw}>Claim Draw</button>}
+        </div>
+      )}
+      
+      {claimableDraw && (
+        <button onClick={claimDraw}>
+          {claimableDraw === 'threefold_repetition' ? 'Claim Draw (Repetition)' : 'Claim Draw (50 Moves)'}
+        </button>
+      )}
+      
+      <button onClick={requestTakeback} disabled={!isGameActive || !canRequestTakeback}>
+        Request Takeback
+      </button>
+      
+      {takebackRequestedBy && (
+        <div className="takeback-request">
+          <span>{takebackRequestedBy} wants to take back a move.</span>
+          <button onClick={() => answerTakeback(true)}>Accept</button>
+          <button onClick={() => answerTakeback(false)}>Decline</button>
+        </div>
+      )}
+      
+      {canOfferRematch && (
+        <button onClick={offerRematch}>
+          {rematchOfferedBy ? `Accept Rematch from ${rematchOfferedBy}` : 'Rematch'}
+        </button>
+      )}
+      
+      {canDownloadPgn && (
+        <button onClick={downloadPgn}>
+          Download PGN
+        </button>
+      )}
+      
+      {canAnalyze && (
+        <button onClick={toggleAnalysis}>
+          {isAnalyzing ? 'Close Analysis' : 'Analyze Game'}
+        </button>
+      )}
     </div>
   );
 };
@@ -1,19 +1,95 @@
 const React = require('react');
+const { useState, useEffect } = React;
+
+// m:ss of a clock's remaining time
+const formatClock = (ms) => {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const GameInfo = ({
+  username, opponent, status, gameId, playerColor, moveHistory, isSpectator, spectatorCount, matchScore, ratings = {}, titles = {}, ratingChanges,
+  firstMoveDeadline, clocks, isLocalGame, accuracy, opening
+}) => {
+  // Re-render every second while a first move is pending or a clock runs, so they tick
+  const [now, setNow] = useState(Date.now());
+  const isTicking = Boolean(firstMoveDeadline || (clocks && clocks.running));
+  useEffect(() => {
+    if (!isTicking) return undefined;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [isTicking, firstMoveDeadline, clocks]);
+
+  // The running clock counts down from when its time was last reported
+  const getClockTime = (color) => clocks[color] - (clocks.running === color ? now - clocks.at : 0);
+
+  // Only show the series score once one of its games has been decided
+  const hasMatchScore = matchScore && Object.values(matchScore).some(points => points > 0);
+
+  // Titled players show the title first, e.g. "BOT MyEngine"
+  const formatName = (name) => (titles[name] ? `${titles[name]} ${name}` : name);
+
+  // "1523?" for provisional ratings, plus the change once a rated game is over
+  const formatRating = (name) => {
+    const rating = ratings[name];
+    if (!rating) return '';
+    const change = ratingChanges && ratingChanges[name];
+    if (change) return ` (${change.after} ${change.change >= 0 ? '+' : ''}${change.change})`;
+    return ` (${rating.rating}${rating.provisional ? '?' : ''})`;
+  };
+
+  // Spectators only know the sides by color
+  const getSideName = (color) => {
+    if (isSpectator) return color === 'white' ? 'White' : 'Black';
+    return color === playerColor ? username : opponent;
+  };
+  const formatAccuracy = (value) => (value === null ? '-' : `${value}%`);
 
-const GameInfo = ({ username, opponent, status, gameId, playerColor, moveHistory }) => {
   return (
     <div className="game-info">
       <div className="player-info">
         <h3>Game Information</h3>
-        <p><strong>Your Username:</strong> {username}</p>
-        <p><strong>Playing as:</strong> {playerColor}</p>
-        {opponent && <p><strong>Opponent:</strong> {opponent}</p>}
-        {gameId && <p><strong>Game ID:</strong> {gameId}</p>}
+        <p><strong>Your Username:</strong> {formatName(username)}{formatRating(username)}</p>
+        {isSpectator
+          ? <p><strong>Role:</strong> Spectator</p>
+          : <p><strong>Playing as:</strong> {playerColor}</p>}
+        {opponent && <p><strong>Opponent:</strong> {formatName(opponent)}{formatRating(opponent)}</p>}
+        {gameId && !isLocalGame && <p><strong>Game ID:</strong> {gameId}</p>}
+        {gameId && !isLocalGame && <p><strong>Spectators:</strong> {spectatorCount}</p>}
+        {accuracy && (
+          <p className="accuracy">
+            <strong>Accuracy:</strong> {getSideName('white')} {formatAccuracy(accuracy.white)}
+            {' - '}{getSideName('black')} {formatAccuracy(accuracy.black)}
+          </p>
+        )}
+        {hasMatchScore && (
+          <p>
+            <strong>Match:</strong> {Object.entries(matchScore).map(([name, points]) => `${name} ${points}`).join(' - ')}
+          </p>
+        )}
       </div>
       
       <div className="game-status">
         <h3>Status</h3>
         <p>{status}</p>
+        {opening && (
+          <p className="opening">
+            <strong>Opening:</strong> {opening.eco} {opening.name}
+          </p>
+        )}
+        {clocks && (
+          <p className="clocks">
+            <strong>White:</strong> {formatClock(getClockTime('white'))}
+            {' '}<strong>Black:</strong> {formatClock(getClockTime('black'))}
+          </p>
+        )}
+        {firstMoveDeadline && (
+          <p className="first-move-countdown">
+            {!isSpectator && firstMoveDeadline.color === playerColor ? 'Make your first move' : `Waiting for ${firstMoveDeadline.color}'s first move`}
+            {' '}within {Math.max(0, Math.ceil((firstMoveDeadline.deadline - now) / 1000))}s or the game is aborted.
+          </p>
+        )}
       </div>
       
       <div className="move-history">
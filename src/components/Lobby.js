@@ -0,0 +1,183 @@
+const React = require('react');
+const { useState } = React;
+
+const formatTimeControl = (timeControl) =>
+  timeControl ? `${timeControl.minutes}+${timeControl.increment}` : 'Untimed';
+
+// A challenge's sender or receiver, with the BOT title when it has one
+const formatPlayer = (name, title) => (title ? `${title} ${name}` : name);
+
+const Lobby = ({
+  username, isGuest, seeks, mySeekId, createSeek, cancelSeek, acceptSeek, openBoard, queueStatus, queueForGame, leaveQueue,
+  challenges = [], sendChallenge, cancelChallenge, answerChallenge, getPuzzle
+}) => {
+  const [challengeOpponent, setChallengeOpponent] = useState('');
+  const [minutes, setMinutes] = useState('10');
+  const [increment, setIncrement] = useState('0');
+  const [color, setColor] = useState('random');
+  const [rated, setRated] = useState(false);
+
+  // Zero minutes means an untimed game
+  const getTimeControl = () => (Number(minutes) > 0
+    ? { minutes: Number(minutes), increment: Number(increment) || 0 }
+    : null);
+
+  const handleCreateSeek = (e) => {
+    e.preventDefault();
+    createSeek({ timeControl: getTimeControl(), color, rated });
+  };
+
+  // The challenge uses the time control, color and mode chosen for seeks
+  const handleChallenge = (e) => {
+    e.preventDefault();
+    if (!challengeOpponent.trim()) return;
+    sendChallenge({ opponent: challengeOpponent.trim(), timeControl: getTimeControl(), color, rated });
+  };
+
+  return (
+    <div className="lobby">
+      {challenges.length > 0 && (
+        <div className="lobby-challenges">
+          <h3>Challenges</h3>
+          <ul>
+            {challenges.map(challenge => (
+              <li key={challenge.challengeId}>
+                {challenge.challenger === username ? (
+                  <span>
+                    Challenging {formatPlayer(challenge.opponent, challenge.opponentTitle)}
+                    {' '}({formatTimeControl(challenge.timeControl)}, {challenge.rated ? 'rated' : 'casual'})...
+                    {' '}<button onClick={() => cancelChallenge(challenge.challengeId)}>Cancel</button>
+                  </span>
+                ) : (
+                  <span>
+                    {formatPlayer(challenge.challenger, challenge.challengerTitle)} challenges you
+                    {' '}({formatTimeControl(challenge.timeControl)}, {challenge.rated ? 'rated' : 'casual'},
+                    {' '}they play {challenge.color})
+                    {' '}<button onClick={() => answerChallenge(challenge.challengeId, true)}>Accept</button>
+                    {' '}<button onClick={() => answerChallenge(challenge.challengeId, false)}>Decline</button>
+                  </span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="lobby-seeks">
+        <h3>Open Seeks</h3>
+        {seeks.length === 0 ? (
+          <p>No open seeks. Post one below or open the board to create a private game.</p>
+        ) : (
+          <table className="seek-table">
+            <thead>
+              <tr>
+                <th>Player</th>
+                <th>Time</th>
+                <th>Color</th>
+                <th>Mode</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {seeks.map(seek => (
+                <tr key={seek.seekId}>
+                  <td>{seek.creator}</td>
+                  <td>{formatTimeControl(seek.timeControl)}</td>
+                  <td>{seek.color}</td>
+                  <td>{seek.rated ? 'Rated' : 'Casual'}</td>
+                  <td>
+                    {seek.creator === username ? (
+                      <button onClick={cancelSeek}>Cancel</button>
+                    ) : (
+                      <button onClick={() => acceptSeek(seek.seekId)} disabled={isGuest && seek.rated}>Play</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <form className="lobby-create" onSubmit={handleCreateSeek}>
+        <h3>Find a Game</h3>
+        <div className="form-group">
+          <label htmlFor="seek-minutes">Minutes (0 for untimed)</label>
+          <input
+            type="number"
+            id="seek-minutes"
+            min="0"
+            max="180"
+            value={minutes}
+            onChange={(e) => setMinutes(e.target.value)}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="seek-increment">Increment (seconds)</label>
+          <input
+            type="number"
+            id="seek-increment"
+            min="0"
+            max="180"
+            value={increment}
+            onChange={(e) => setIncrement(e.target.value)}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="seek-color">Play as</label>
+          <select id="seek-color" value={color} onChange={(e) => setColor(e.target.value)}>
+            <option value="random">Random</option>
+            <option value="white">White</option>
+            <option value="black">Black</option>
+          </select>
+        </div>
+        {isGuest ? (
+          <p>Register an account to play rated games.</p>
+        ) : (
+          <div className="form-group">
+            <label>
+              <input type="checkbox" checked={rated} onChange={(e) => setRated(e.target.checked)} />
+              Rated
+            </label>
+          </div>
+        )}
+        <button type="submit">{mySeekId ? 'Replace My Seek' : 'Post Seek'}</button>
+        {queueStatus ? (
+          <div className="queue-status">
+            <p>
+              Looking for an opponent ({Math.round(queueStatus.waitingMs / 1000)}s
+              {queueStatus.searchStep > 0 && ', search widened'})...
+            </p>
+            <button type="button" onClick={leaveQueue}>Cancel Search</button>
+          </div>
+        ) : (
+          <button type="button" onClick={() => queueForGame(getTimeControl())}>
+            Quick Pairing
+          </button>
+        )}
+      </form>
+
+      <form className="lobby-challenge" onSubmit={handleChallenge}>
+        <h3>Challenge a Player</h3>
+        <div className="form-group">
+          <label htmlFor="challenge-opponent">Username (players and bots online now)</label>
+          <input
+            type="text"
+            id="challenge-opponent"
+            value={challengeOpponent}
+            onChange={(e) => setChallengeOpponent(e.target.value)}
+          />
+        </div>
+        <p>Uses the time, color and mode chosen above.</p>
+        <button type="submit" disabled={!challengeOpponent.trim()}>Send Challenge</button>
+      </form>
+
+      <div className="lobby-actions">
+        <button onClick={openBoard}>Go to Board</button>
+        <button onClick={() => getPuzzle()}>Solve Puzzles</button>
+      </div>
+    </div>
+  );
+};
+
+module.exports = Lobby;
@@ -1,27 +1,78 @@
 const React = require('react');
 const { useState } = React;
 
-const Login = ({ onLogin }) => {
+const MIN_PASSWORD_LENGTH = 8;
+
+const TABS = [
+  { mode: 'login', label: 'Log In' },
+  { mode: 'register', label: 'Register' },
+  { mode: 'guest', label: 'Play as Guest' },
+  { mode: 'offline', label: 'Play Offline' }
+];
+
+const Login = ({ onLogin, error: serverError }) => {
+  const [mode, setMode] = useState('login');
   const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
   const [error, setError] = useState('');
 
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setPassword('');
+    setError('');
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
-    
+
     if (!username.trim()) {
       setError('Username cannot be empty');
       return;
     }
-    
-    onLogin(username);
+
+    const needsPassword = mode === 'login' || mode === 'register';
+    if (needsPassword && !password) {
+      setError('Password cannot be empty');
+      return;
+    }
+
+    if (mode === 'register' && password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+
+    setError('');
+    onLogin({ mode, username: username.trim(), password: needsPassword ? password : undefined });
   };
 
   return (
     <div className="login-container">
       <div className="login-form">
         <h2>Welcome to Silent Checkmate</h2>
-        <p>Enter a username to start playing</p>
-        
+
+        <div className="login-tabs">
+          {TABS.map(tab => (
+            <button
+              key={tab.mode}
+              type="button"
+              className={mode === tab.mode ? 'active' : ''}
+              onClick={() => switchMode(tab.mode)}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        <p>
+          {mode === 'offline'
+            ? 'Play the computer on this machine. No server needed.'
+            : mode === 'guest'
+              ? 'Pick any name nobody has registered. Guests play casual games only.'
+              : mode === 'register'
+                ? 'Create an account to keep your name and play rated games'
+                : 'Log in to your account'}
+        </p>
+
         <form onSubmit={handleSubmit}>
           <div className="form-group">
             <label htmlFor="username">Username</label>
@@ -32,10 +83,27 @@ const Login = ({ onLogin }) => {
               onChange={(e) => setUsername(e.target.value)}
               placeholder="Enter your username"
             />
-            {error && <div className="error-message">{error}</div>}
           </div>
-          
-          <button type="submit">Start Playing</button>
+
+          {(mode === 'login' || mode === 'register') && (
+            <div className="form-group">
+              <label htmlFor="password">Password</label>
+              <input
+                type="password"
+                id="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Enter your password"
+                autoComplete={mode === 'register' ? 'new-password' : 'current-password'}
+              />
+            </div>
+          )}
+
+          {(error || serverError) && <div className="error-message">{error || serverError}</div>}
+
+          <button type="submit">
+            {mode === 'register' ? 'Create Account' : mode === 'login' ? 'Log In' : 'Start Playing'}
+          </button>
         </form>
       </div>
     </div>
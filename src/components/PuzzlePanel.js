@@ -0,0 +1,40 @@
+const React = require('react');
+
+const formatChange = (change) => `${change >= 0 ? '+' : ''}${change}`;
+
+// The puzzle being solved, how the last move went and the player's puzzle record.
+// Once a puzzle is solved its themes are shown, each a way to ask for more like it.
+const PuzzlePanel = ({ puzzle, feedback, stats, status, nextPuzzle, openLobby }) => (
+  <div className="puzzle-panel">
+    <h3>Puzzle {puzzle.puzzleId} ({puzzle.rating})</h3>
+    <p>{status}</p>
+    {feedback && (
+      <p className={`puzzle-feedback ${feedback.result}`}>
+        {feedback.message}
+        {feedback.ratingChange && ` Puzzle rating ${feedback.ratingChange.after} (${formatChange(feedback.ratingChange.change)}).`}
+      </p>
+    )}
+    {stats && (
+      <p className="puzzle-stats">
+        <strong>Rating:</strong> {stats.rating.rating}{stats.rating.provisional ? '?' : ''}
+        {' '}<strong>Streak:</strong> {stats.streak} (best {stats.bestStreak})
+        {' '}<strong>Solved:</strong> {stats.solved}
+        {' '}<strong>Failed:</strong> {stats.failed}
+      </p>
+    )}
+    {puzzle.solved && puzzle.themes.length > 0 && (
+      <div className="puzzle-themes">
+        <span>More like this:</span>
+        {puzzle.themes.map(theme => (
+          <button key={theme} onClick={() => nextPuzzle(theme)}>{theme}</button>
+        ))}
+      </div>
+    )}
+    <div className="puzzle-actions">
+      <button onClick={() => nextPuzzle()}>{puzzle.solved ? 'Next Puzzle' : 'Skip Puzzle'}</button>
+      <button onClick={openLobby}>Back to Lobby</button>
+    </div>
+  </div>
+);
+
+module.exports = PuzzlePanel;
@@ -2,6 +2,9 @@
 const React = require('react');
 const { useState, useEffect, useCallback } = React;
 
+// protocol version this client speaks (see server/README.md)
+const PROTOCOL_VERSION = 2;
+
 // Helper to get server URL from localStorage or use default
 const getServerUrl = () => {
   // Try to get from localStorage first
@@ -42,10 +45,17 @@ const ServerConnection = ({ children, onMessage, onConnectionChange }) => {
         setIsConnected(true);
         onConnectionChange(true);
         
+        // version handshake; the server answers with HELLO_ACK or an UNSUPPORTED_PROTOCOL error
+        newSocket.send(JSON.stringify({
+          type: 'HELLO',
+          payload: { protocolVersion: PROTOCOL_VERSION },
+          timestamp: Date.now()
+        }));
+        
         // set up keep-alive ping
         const pingInterval = setInterval(() => {
           if (newSocket.readyState === WebSocket.OPEN) {
-            newSocket.send(JSON.stringify({ type: 'PING', timestamp: Date.now() }));
+            newSocket.send(JSON.stringify({ type: 'PING', payload: {}, timestamp: Date.now() }));
           }
         }, 25000);
         
@@ -171,7 +181,7 @@ const ServerConnection = ({ children, onMessage, onConnectionChange }) => {
   return (
     <div className="server-connection">
       {renderSettings()}
-      {React.cloneElement(children, { sendMessage, isConnected })}
+      {React.cloneElement(children, { sendMessage, isConnected, serverUrl })}
     </div>
   );
 };
@@ -0,0 +1,146 @@
+// Post-game analysis. Runs the built-in engine over every position of a finished
+// game in a Web Worker, then rates each move by how much it dropped the
+// evaluation: inaccuracies, mistakes and blunders, plus an accuracy per player.
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { Chess } = require('chess.js');
+const { getMateIn } = require('../../server/engine.js');
+
+const WORKER_URL = pathToFileURL(path.join(__dirname, 'engineWorker.js'));
+
+// Search per position: deeper than the casual levels, but quick enough for a whole game
+const ANALYSIS_OPTIONS = { depth: 4, timeMs: 1000, randomness: 0 };
+
+// Evaluations are capped here, so a won position that stays won is not a blunder
+const MAX_EVAL = 1000;
+
+// Centipawns a move may lose before it is marked, worst first
+const MOVE_CLASSES = [
+  { classification: 'blunder', minLoss: 300 },
+  { classification: 'mistake', minLoss: 160 },
+  { classification: 'inaccuracy', minLoss: 80 }
+];
+
+const clampEval = (score) => Math.max(-MAX_EVAL, Math.min(MAX_EVAL, score));
+
+// Chance of winning, 0-100, for an evaluation from the player's side
+const getWinChance = (score) => 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * score)) - 1);
+
+// 100 for a move that keeps the winning chances, falling off as they drop
+const getMoveAccuracy = (before, after) => {
+  const drop = Math.max(0, getWinChance(before) - getWinChance(after));
+  return Math.max(0, Math.min(100, 103.1668 * Math.exp(-0.04354 * drop) - 3.1669));
+};
+
+const classifyMove = (loss) => {
+  const match = MOVE_CLASSES.find(({ minLoss }) => loss >= minLoss);
+  return match ? match.classification : null;
+};
+
+// Every position of the game, starting with the initial one, and the move that led to it
+const getPositions = ({ startFen, moves }) => {
+  const chess = new Chess(startFen || undefined);
+  const positions = [{ fen: chess.fen(), move: null }];
+  moves.forEach((san) => {
+    const { from, to, color } = chess.move(san);
+    positions.push({ fen: chess.fen(), move: { san: chess.history().at(-1), from, to, color } });
+  });
+  return positions;
+};
+
+// The engine's verdict on one position, from white's side: `score` in centipawns
+// (capped), `mate` in moves (positive when white mates) and the best line in SAN
+const toEvaluation = (fen, result) => {
+  const chess = new Chess(fen);
+  const sign = chess.turn() === 'w' ? 1 : -1;
+
+  if (!result) {
+    // no legal moves: checkmate for the side to move, or stalemate
+    const mated = chess.isCheckmate();
+    return { score: mated ? -sign * MAX_EVAL : 0, mate: mated ? 0 : null, bestLine: [] };
+  }
+
+  const mateIn = getMateIn(result.score);
+  const bestLine = [];
+  for (const move of result.pv) {
+    try {
+      bestLine.push(chess.move(move).san);
+    } catch (error) {
+      break;
+    }
+  }
+  return {
+    score: mateIn === null ? clampEval(sign * result.score) : sign * Math.sign(mateIn) * MAX_EVAL,
+    mate: mateIn === null ? null : sign * mateIn,
+    bestLine
+  };
+};
+
+// Moves and accuracies for the positions evaluated so far
+const summarize = (positions) => {
+  const moves = [];
+  for (let ply = 1; ply < positions.length && positions[ply].evaluation; ply++) {
+    const { move } = positions[ply];
+    const before = positions[ply - 1].evaluation;
+    const after = positions[ply].evaluation;
+    const sign = move.color === 'w' ? 1 : -1;
+    // the engine's own choice loses nothing, whatever a deeper look at the next position says
+    const isBest = before.bestLine[0] === move.san;
+    const loss = isBest ? 0 : Math.max(0, sign * (before.score - after.score));
+    moves.push({
+      ply,
+      san: move.san,
+      color: move.color === 'w' ? 'white' : 'black',
+      loss,
+      classification: classifyMove(loss),
+      accuracy: isBest ? 100 : getMoveAccuracy(sign * before.score, sign * after.score)
+    });
+  }
+
+  const getAccuracy = (color) => {
+    const played = moves.filter((move) => move.color === color);
+    if (played.length === 0) return null;
+    return Math.round(played.reduce((total, move) => total + move.accuracy, 0) / played.length);
+  };
+
+  return { moves, accuracy: { white: getAccuracy('white'), black: getAccuracy('black') } };
+};
+
+// Analyse a finished game, { startFen, moves } with the moves in SAN. onUpdate gets
+// { positions, moves, accuracy, analyzed, done } after every position the engine
+// finishes, the last time with done: true. Returns { stop }.
+const analyzeGame = (record, { onUpdate, options = ANALYSIS_OPTIONS }) => {
+  const worker = new Worker(WORKER_URL, { type: 'module' });
+  const positions = getPositions(record);
+  let analyzed = 0;
+
+  const update = () => onUpdate({
+    positions: positions.map(({ fen, move, evaluation }) => ({ fen, move, evaluation: evaluation || null })),
+    ...summarize(positions),
+    analyzed,
+    done: analyzed === positions.length
+  });
+
+  const analyzeNext = () => {
+    worker.postMessage({ id: analyzed, fen: positions[analyzed].fen, options });
+  };
+
+  worker.onmessage = ({ data: { id, result, error } }) => {
+    if (id !== analyzed) return;
+    if (error) console.error('Analysis failed:', error);
+    positions[analyzed].evaluation = toEvaluation(positions[analyzed].fen, error ? null : result);
+    analyzed += 1;
+    update();
+    if (analyzed < positions.length) {
+      analyzeNext();
+    } else {
+      worker.terminate();
+    }
+  };
+
+  update();
+  analyzeNext();
+  return { stop: () => worker.terminate() };
+};
+
+module.exports = { analyzeGame, MAX_EVAL };
@@ -0,0 +1,12 @@
+// Runs the computer opponent's search off the renderer's UI thread.
+// Started as a module worker so it can import the server's engine as is.
+// Receives { id, fen, options } and answers { id, result } or { id, error }.
+import { findBestMove } from '../../server/engine.js';
+
+self.onmessage = ({ data: { id, fen, options } }) => {
+  try {
+    self.postMessage({ id, result: findBestMove(fen, options) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
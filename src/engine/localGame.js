@@ -0,0 +1,247 @@
+// Plays the server's part in an offline game against the computer. It takes the
+// messages App.js would send to the server and answers with the server's own
+// replies, so the board, clocks and controls run it like any online game.
+// Moves, takebacks, results and clocks follow the server's own rules (server/gameplay.js).
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { Chess } = require('chess.js');
+const { normalizeTimeControl, createClock, startClock, stopClock, getClockTimes, otherColor } = require('../../server/clock.js');
+const {
+  winFor, drawBy, unfinishedBy, getAutomaticResult, getClaimableDraw, isAbortable
+} = require('../../server/termination.js');
+const {
+  getTurnColor, getPlayerName, getGameClocks, applyMove, getTakebackPlies, takeBackMoves, getFlagResult, nameResult, getMatchScore
+} = require('../../server/gameplay.js');
+const { getComputerName, getEngineSettings, getThinkTime } = require('../../server/engine.js');
+
+const WORKER_URL = pathToFileURL(path.join(__dirname, 'engineWorker.js'));
+
+let nextGameNumber = 1;
+
+// Start a game against the computer at `level`; `color` is the player's side or 'random'.
+// Every reply goes to onMessage as { type, payload, timestamp }. Returns { handle, getRecord, stop }.
+const createLocalGame = ({ username, level, color = 'random', timeControl = null, allowTakebacks = true, onMessage }) => {
+  const worker = new Worker(WORKER_URL, { type: 'module' });
+  const computerName = getComputerName(level);
+  const clockSettings = normalizeTimeControl(timeControl);
+  // the current game, in the same shape the server keeps
+  let game = null;
+  // only the answer to the latest search is played; takebacks and game ends bump it
+  let searchId = 0;
+
+  const emit = (type, payload) => onMessage({ type, payload, timestamp: Date.now() });
+  const sendError = (code, message, extra = {}) => emit('ERROR', { code, message, ...extra });
+
+  const getHumanColor = () => otherColor(game.bot.color);
+
+  const finish = (result, status = 'completed') => {
+    game.status = status;
+    game.result = nameResult(game, result);
+    if (game.clock) {
+      stopClock(game.clock);
+      clearTimeout(game.flagTimer);
+    }
+    searchId += 1;
+    emit('GAME_OVER', { gameId: game.id, ...game.result, clocks: getGameClocks(game), matchScore: getMatchScore(game) });
+  };
+
+  // End the game on time if the side to move has run out; returns true if it did
+  const checkFlag = () => {
+    if (game.status !== 'playing' || !game.clock) return false;
+    const flagResult = getFlagResult(game);
+    if (!flagResult) {
+      scheduleFlagCheck();
+      return false;
+    }
+    finish(flagResult);
+    return true;
+  };
+
+  const scheduleFlagCheck = () => {
+    clearTimeout(game.flagTimer);
+    if (!game.clock || !game.clock.active) return;
+    game.flagTimer = setTimeout(checkFlag, getClockTimes(game.clock)[game.clock.active] + 50);
+  };
+
+  // Ask the worker for a move when it is the computer's turn; its clock runs meanwhile
+  const requestComputerMove = () => {
+    if (game.status !== 'playing' || getTurnColor(game) !== game.bot.color) return;
+
+    searchId += 1;
+    const { depth, randomness } = getEngineSettings(level);
+    const clock = game.clock
+      ? { remainingMs: getClockTimes(game.clock)[game.bot.color], incrementMs: game.clock.incrementMs }
+      : null;
+    worker.postMessage({
+      id: searchId,
+      fen: game.game.fen(),
+      options: { depth, randomness, timeMs: getThinkTime(level, clock) }
+    });
+  };
+
+  // Same as the server: apply, broadcast, then end the game or hand over the move
+  const playMove = (moveInput, side) => {
+    const moveMade = applyMove(game, moveInput, side);
+    if (!moveMade) return null;
+
+    scheduleFlagCheck();
+    emit('MOVE_MADE', { ...moveMade, firstMoveCountdown: null });
+
+    const automaticResult = getAutomaticResult(game.game);
+    if (automaticResult) {
+      finish(automaticResult);
+    } else {
+      requestComputerMove();
+    }
+    return moveMade;
+  };
+
+  worker.onmessage = ({ data: { id, result, error } }) => {
+    if (id !== searchId || game.status !== 'playing' || checkFlag()) return;
+    if (error || !result) {
+      console.error('Computer move failed:', error);
+      return;
+    }
+    playMove(result.move, game.bot.color);
+  };
+
+  const start = (type, humanColor, matchScore = null) => {
+    game = {
+      id: `local-${nextGameNumber++}`,
+      creator: humanColor === 'white' ? username : computerName,
+      opponent: humanColor === 'white' ? computerName : username,
+      game: new Chess(),
+      startPly: 0,
+      opening: null,
+      status: 'playing',
+      clock: clockSettings ? createClock(clockSettings) : null,
+      flagTimer: null,
+      takebackRequest: null,
+      bot: { color: otherColor(humanColor), level },
+      matchScore,
+      result: null
+    };
+    if (game.clock) {
+      startClock(game.clock, 'white');
+      scheduleFlagCheck();
+    }
+
+    emit(type, {
+      gameId: game.id,
+      status: game.status,
+      white: game.creator,
+      black: game.opponent,
+      fen: game.game.fen(),
+      turn: 'white',
+      lastMove: null,
+      moves: [],
+      timeControl: clockSettings,
+      clocks: getGameClocks(game),
+      claimableDraw: null,
+      opening: null,
+      firstMoveCountdown: null,
+      allowTakebacks,
+      rated: false,
+      matchScore,
+      ratings: {},
+      titles: { [computerName]: 'BOT' },
+      bot: game.bot,
+      color: humanColor,
+      opponent: computerName
+    });
+    requestComputerMove();
+  };
+
+  // A message the player's side sent; only the current game's messages are answered
+  const handle = (type, payload = {}) => {
+    if (payload.gameId && payload.gameId !== game.id) return;
+
+    if (type === 'OFFER_REMATCH' || type === 'ACCEPT_REMATCH') {
+      // the computer always accepts
+      if (game.status !== 'playing') start('REMATCH_STARTED', game.bot.color, getMatchScore(game));
+      return;
+    }
+    if (game.status !== 'playing') {
+      sendError('GAME_NOT_ACTIVE', 'Game is not in progress');
+      return;
+    }
+
+    switch (type) {
+      case 'MAKE_MOVE':
+        if (getTurnColor(game) !== getHumanColor()) {
+          sendError('NOT_YOUR_TURN', 'It is not your turn', { fen: game.game.fen() });
+          return;
+        }
+        if (checkFlag()) return;
+
+        const { from, to, promotion } = payload.move;
+        if (!playMove(promotion ? { from, to, promotion } : { from, to }, getHumanColor())) {
+          sendError('ILLEGAL_MOVE', 'Illegal move', { fen: game.game.fen() });
+        }
+        break;
+
+      case 'RESIGN':
+        finish(winFor(game.bot.color, 'resignation'));
+        break;
+
+      case 'ABORT_GAME':
+        if (!isAbortable(game)) {
+          sendError('ABORT_NOT_AVAILABLE', 'Games can only be aborted before both players have moved');
+          return;
+        }
+        finish({ ...unfinishedBy('aborted'), abortedBy: username }, 'aborted');
+        break;
+
+      case 'OFFER_DRAW':
+        // the computer always plays on
+        emit('DRAW_DECLINED', { gameId: game.id, declinedBy: computerName });
+        break;
+
+      case 'CLAIM_DRAW':
+        const claimableDraw = getClaimableDraw(game.game);
+        if (!claimableDraw) {
+          sendError('NO_DRAW_TO_CLAIM', 'There is no threefold repetition or fifty-move rule to claim');
+          return;
+        }
+        finish({ ...drawBy(claimableDraw), claimedBy: username });
+        break;
+
+      case 'REQUEST_TAKEBACK':
+        // the computer always agrees: our last move, and its reply if it has made one
+        if (!allowTakebacks) {
+          sendError('TAKEBACKS_DISABLED', 'Takebacks are disabled in this game');
+          return;
+        }
+        const plies = getTakebackPlies(game, getHumanColor());
+        if (!plies) {
+          sendError('NO_MOVE_TO_TAKE_BACK', 'You have no move to take back');
+          return;
+        }
+        searchId += 1;
+        const takebackAccepted = takeBackMoves(game, plies, username);
+        scheduleFlagCheck();
+        emit('TAKEBACK_ACCEPTED', { ...takebackAccepted, firstMoveCountdown: null });
+        requestComputerMove();
+        break;
+
+      default:
+        // chat and the rest have nobody to go to
+        break;
+    }
+  };
+
+  // The current game's moves in SAN, shaped like the server's game records
+  const getRecord = () => ({ startFen: null, moves: game.game.history() });
+
+  // Drop the game and shut the worker down
+  const stop = () => {
+    searchId += 1;
+    if (game) clearTimeout(game.flagTimer);
+    worker.terminate();
+  };
+
+  start('GAME_STARTED', color === 'random' ? (Math.random() < 0.5 ? 'white' : 'black') : color);
+  return { handle, getRecord, stop };
+};
+
+module.exports = { createLocalGame };